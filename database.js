@@ -1,218 +1,1296 @@
 const Database = require('better-sqlite3');
 const path = require('path');
 const fs = require('fs-extra');
+const { runMigrations } = require('./lib/migrations');
+
+// Data access layer. One SQLite connection (better-sqlite3) whose schema is kept up to
+// date by lib/migrations.js, and the queries below. Every query is exposed as an async
+// function, so callers don't rely on the driver being synchronous, and a failure rejects
+// with a DatabaseError (never a null or empty result) for the Express error handler.
+// Several queries that must succeed or fail together run in db.transaction(tx => ...),
+// where tx has the same queries, called synchronously.
 
 // Ensure database directory exists
 const dbDir = path.join(__dirname, 'data');
 fs.ensureDirSync(dbDir);
 
-const dbPath = path.join(dbDir, 'filestore.db');
+// DATABASE_PATH (relative to the project root) overrides data/filestore.db; the tests use
+// ':memory:' for a throwaway database
+const { DATABASE_PATH } = process.env;
+const dbPath = DATABASE_PATH
+  ? (DATABASE_PATH === ':memory:' ? DATABASE_PATH : path.resolve(__dirname, DATABASE_PATH))
+  : path.join(dbDir, 'filestore.db');
+
+// SQLite result codes that mean "try again" rather than a broken query
+const BUSY_CODES = ['SQLITE_BUSY', 'SQLITE_LOCKED'];
+
+class DatabaseError extends Error {
+  constructor(operation, cause) {
+    super(`Database error in ${operation}: ${cause.message}`, { cause });
+    this.name = 'DatabaseError';
+    this.code = cause.code;
+    this.status = BUSY_CODES.includes(cause.code) ? 503 : 500;
+  }
+}
 
-// Create database connection with better-sqlite3 (more reliable)
+// Create database connection and bring the schema up to date (see lib/migrations.js).
+// A database written by newer code is refused rather than used with the wrong schema.
 let db;
 try {
   db = new Database(dbPath);
   console.log('Connected to SQLite database');
-  initializeTables();
+  const { from, to, applied } = runMigrations(db);
+  console.log(applied.length > 0
+    ? `Database schema migrated from version ${from} to ${to} (${applied.join(', ')})`
+    : `Database schema at version ${to}`);
 } catch (error) {
   console.error('Error opening database:', error);
   process.exit(1);
 }
 
-// Initialize database tables (synchronous with better-sqlite3)
-function initializeTables() {
-  try {
-    // Users table for profile pictures
-    db.exec(`
-      CREATE TABLE IF NOT EXISTS users (
-        id INTEGER PRIMARY KEY AUTOINCREMENT,
-        user_id TEXT UNIQUE NOT NULL,
-        username TEXT,
-        email TEXT,
-        profile_picture_path TEXT,
-        profile_picture_url TEXT,
-        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
-      )
-    `);
+// upsertUser fields and their users columns
+const USER_COLUMNS = {
+  username: 'username',
+  email: 'email',
+  displayName: 'display_name',
+  bio: 'bio',
+  statusMessage: 'status_message',
+  profilePicturePath: 'profile_picture_path',
+  profilePictureUrl: 'profile_picture_url',
+  profilePictureSize: 'profile_picture_size',
+  profilePictureStorage: 'profile_picture_storage',
+  bannerPath: 'banner_path',
+  bannerSize: 'banner_size',
+  bannerStorage: 'banner_storage'
+};
 
-    // Shared files table
-    db.exec(`
-      CREATE TABLE IF NOT EXISTS shared_files (
-        id INTEGER PRIMARY KEY AUTOINCREMENT,
-        file_id TEXT UNIQUE NOT NULL,
-        user_id TEXT NOT NULL,
-        original_name TEXT NOT NULL,
-        file_name TEXT NOT NULL,
-        file_path TEXT NOT NULL,
-        file_url TEXT NOT NULL,
-        file_size INTEGER NOT NULL,
-        mime_type TEXT NOT NULL,
-        description TEXT,
-        category TEXT,
-        download_count INTEGER DEFAULT 0,
-        is_public BOOLEAN DEFAULT 0,
-        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-        last_accessed DATETIME DEFAULT CURRENT_TIMESTAMP
-      )
-    `);
+// Statements are compiled on first use and reused after that
+const statements = new Map();
 
-    // Create indexes for better performance
-    db.exec(`CREATE INDEX IF NOT EXISTS idx_users_user_id ON users(user_id)`);
-    db.exec(`CREATE INDEX IF NOT EXISTS idx_files_user_id ON shared_files(user_id)`);
-    db.exec(`CREATE INDEX IF NOT EXISTS idx_files_file_id ON shared_files(file_id)`);
-    db.exec(`CREATE INDEX IF NOT EXISTS idx_files_created_at ON shared_files(created_at DESC)`);
+function prepare(sql) {
+  let statement = statements.get(sql);
+  if (!statement) {
+    statement = db.prepare(sql);
+    statements.set(sql, statement);
+  }
+  return statement;
+}
 
-    console.log('Database tables initialized successfully');
-  } catch (error) {
-    console.error('Error initializing tables:', error);
-    throw error;
+// WHERE clause and parameters for audit event filters: actorId, action (exact, or a prefix
+// such as "file.*"), fileId, userId (the target user), outcome, and from/to database timestamps
+function auditEventConditions(filters) {
+  const columns = { actorId: 'actor_id', fileId: 'target_file_id', userId: 'target_user_id', outcome: 'outcome' };
+  const conditions = [];
+  const params = [];
+
+  Object.entries(columns).forEach(([filter, column]) => {
+    if (filters[filter]) {
+      conditions.push(`${column} = ?`);
+      params.push(filters[filter]);
+    }
+  });
+  if (filters.action) {
+    if (filters.action.endsWith('.*')) {
+      conditions.push('substr(action, 1, ?) = ?');
+      params.push(filters.action.length - 1, filters.action.slice(0, -1));
+    } else {
+      conditions.push('action = ?');
+      params.push(filters.action);
+    }
+  }
+  if (filters.from) {
+    conditions.push('created_at >= ?');
+    params.push(filters.from);
   }
+  if (filters.to) {
+    conditions.push('created_at <= ?');
+    params.push(filters.to);
+  }
+
+  return { where: conditions.length > 0 ? conditions.join(' AND ') : '1', params };
 }
 
-// Helper functions
-const dbHelpers = {
-  // Get user by Firebase user ID
+// Queries, synchronous; exported wrapped as async functions below
+const queries = {
+  // Get user
   getUser: (userId) => {
-    try {
-      const stmt = db.prepare('SELECT * FROM users WHERE user_id = ?');
-      return stmt.get(userId);
-    } catch (error) {
-      console.error('Error getting user:', error);
-      return null;
-    }
+    const stmt = prepare('SELECT * FROM users WHERE user_id = ?');
+    return stmt.get(userId);
   },
 
-  // Create or update user
+  // Create a user, or update only the supplied fields of an existing one (undefined fields
+  // are left as they are; null clears them)
   upsertUser: (userData) => {
-    try {
-      const { userId, username, email, profilePicturePath, profilePictureUrl } = userData;
-      
-      const stmt = db.prepare(`
-        INSERT OR REPLACE INTO users 
-        (user_id, username, email, profile_picture_path, profile_picture_url, updated_at)
-        VALUES (?, ?, ?, ?, ?, CURRENT_TIMESTAMP)
-      `);
-      
-      const result = stmt.run(userId, username, email, profilePicturePath, profilePictureUrl);
-      return { id: result.lastInsertRowid, userId };
-    } catch (error) {
-      console.error('Error upserting user:', error);
-      throw error;
-    }
+    const { userId, ...fields } = userData;
+    const columns = Object.keys(USER_COLUMNS).filter(field => fields[field] !== undefined);
+    const names = columns.map(field => USER_COLUMNS[field]);
+    const stmt = prepare(`
+      INSERT INTO users (user_id${names.map(name => `, ${name}`).join('')})
+      VALUES (?${names.map(() => ', ?').join('')})
+      ON CONFLICT(user_id) DO UPDATE SET
+        ${names.map(name => `${name} = excluded.${name}, `).join('')}updated_at = CURRENT_TIMESTAMP
+    `);
+    const result = stmt.run(userId, ...columns.map(field => fields[field]));
+    return { changes: result.changes, userId };
+  },
+
+  // Get users with the version of their active picture, for profile responses
+  getUserProfiles: (userIds) => {
+    const stmt = prepare(`
+      SELECT users.*, profile_pictures.version AS profile_picture_version
+      FROM users
+      LEFT JOIN profile_pictures ON profile_pictures.picture_path = users.profile_picture_path
+      WHERE users.user_id IN (SELECT value FROM json_each(?))
+    `);
+    return stmt.all(JSON.stringify(userIds));
+  },
+
+  // Get the user whose banner is stored at a path
+  getUserByBannerPath: (bannerPath) => {
+    const stmt = prepare('SELECT * FROM users WHERE banner_path = ?');
+    return stmt.get(bannerPath);
+  },
+
+  // Get every user with a banner
+  getUsersWithBanner: () => {
+    const stmt = prepare('SELECT * FROM users WHERE banner_path IS NOT NULL');
+    return stmt.all();
+  },
+
+  // Get users whose banner is held by a storage backend other than the given one
+  getBannersNotOn: (backend) => {
+    const stmt = prepare('SELECT * FROM users WHERE banner_path IS NOT NULL AND banner_storage != ?');
+    return stmt.all(backend);
+  },
+
+  // Record that a user's banner now lives on another backend
+  setBannerStorage: (userId, backend) => {
+    const stmt = prepare('UPDATE users SET banner_storage = ? WHERE user_id = ?');
+    const result = stmt.run(backend, userId);
+    return { changes: result.changes };
   },
 
-  // Create shared file record
+  // Forget a user's banner, unless it has been replaced meanwhile
+  clearBanner: (userId, bannerPath) => {
+    const stmt = prepare(`
+      UPDATE users
+      SET banner_path = NULL, banner_size = NULL, updated_at = CURRENT_TIMESTAMP
+      WHERE user_id = ? AND banner_path = ?
+    `);
+    const result = stmt.run(userId, bannerPath);
+    return { changes: result.changes };
+  },
+
+  // Add a stored picture to a user's history; returns its version
+  addProfilePicture: (userId, pictureData) => {
+    const { picturePath, fileSize, storageBackend = 'local' } = pictureData;
+    const stmt = prepare(`
+      INSERT INTO profile_pictures (user_id, picture_path, file_size, storage_backend)
+      VALUES (?, ?, ?, ?)
+    `);
+    const result = stmt.run(userId, picturePath, fileSize, storageBackend);
+    return { version: Number(result.lastInsertRowid) };
+  },
+
+  // Get a user's stored pictures, newest first
+  getProfilePictures: (userId) => {
+    const stmt = prepare('SELECT * FROM profile_pictures WHERE user_id = ? ORDER BY version DESC');
+    return stmt.all(userId);
+  },
+
+  // Get one version of a user's picture
+  getProfilePicture: (userId, version) => {
+    const stmt = prepare('SELECT * FROM profile_pictures WHERE user_id = ? AND version = ?');
+    return stmt.get(userId, version);
+  },
+
+  // Get the stored picture (of any user, active or not) at a path
+  getProfilePictureByPath: (picturePath) => {
+    const stmt = prepare('SELECT * FROM profile_pictures WHERE picture_path = ?');
+    return stmt.get(picturePath);
+  },
+
+  // Get every stored picture
+  getAllProfilePictures: () => {
+    const stmt = prepare('SELECT * FROM profile_pictures ORDER BY version');
+    return stmt.all();
+  },
+
+  // Get stored pictures held by a storage backend other than the given one
+  getProfilePicturesNotOn: (backend) => {
+    const stmt = prepare('SELECT * FROM profile_pictures WHERE storage_backend != ? ORDER BY version');
+    return stmt.all(backend);
+  },
+
+  // Record that a stored picture now lives on another backend
+  setProfilePictureStorage: (picturePath, backend) => {
+    const stmt = prepare('UPDATE profile_pictures SET storage_backend = ? WHERE picture_path = ?');
+    const userStmt = prepare('UPDATE users SET profile_picture_storage = ? WHERE profile_picture_path = ?');
+    const update = db.transaction(() => {
+      const result = stmt.run(backend, picturePath);
+      userStmt.run(backend, picturePath);
+      return { changes: result.changes };
+    });
+    return update();
+  },
+
+  // Make a stored picture the user's active one
+  setActiveProfilePicture: (userId, picture) => {
+    const stmt = prepare(`
+      UPDATE users
+      SET profile_picture_path = ?, profile_picture_url = ?, profile_picture_size = ?, profile_picture_storage = ?,
+          updated_at = CURRENT_TIMESTAMP
+      WHERE user_id = ?
+    `);
+    const result = stmt.run(
+      picture.picture_path, `/${picture.picture_path}`, picture.file_size, picture.storage_backend, userId
+    );
+    return { changes: result.changes };
+  },
+
+  // Delete a stored picture; the user is left without an active one if it was that.
+  // Returns changes (0 when it was already gone) and whether it was active.
+  deleteProfilePicture: (userId, picturePath) => {
+    const stmt = prepare('DELETE FROM profile_pictures WHERE user_id = ? AND picture_path = ?');
+    const remove = db.transaction(() => {
+      const result = stmt.run(userId, picturePath);
+      const { changes: cleared } = queries.clearProfilePicture(userId, picturePath);
+      return { changes: result.changes, wasActive: cleared > 0 };
+    });
+    return remove();
+  },
+
+  // Delete a user's pictures beyond the newest `keep`, except the active one; returns the deleted rows
+  pruneProfilePictures: (userId, keep) => {
+    const selectStmt = prepare(`
+      SELECT * FROM profile_pictures
+      WHERE user_id = ?
+        AND version NOT IN (SELECT version FROM profile_pictures WHERE user_id = ? ORDER BY version DESC LIMIT ?)
+        AND picture_path != COALESCE((SELECT profile_picture_path FROM users WHERE user_id = ?), '')
+    `);
+    const stmt = prepare('DELETE FROM profile_pictures WHERE version = ?');
+    const prune = db.transaction(() => {
+      const rows = selectStmt.all(userId, userId, keep, userId);
+      rows.forEach(row => stmt.run(row.version));
+      return rows;
+    });
+    return prune();
+  },
+
+  // Forget a user's profile picture, unless it has been replaced meanwhile
+  clearProfilePicture: (userId, picturePath) => {
+    const stmt = prepare(`
+      UPDATE users
+      SET profile_picture_path = NULL, profile_picture_url = NULL, profile_picture_size = NULL, updated_at = CURRENT_TIMESTAMP
+      WHERE user_id = ? AND profile_picture_path = ?
+    `);
+    const result = stmt.run(userId, picturePath);
+    return { changes: result.changes };
+  },
+
+  // Get bytes stored by a user (shared files at their logical size, every stored profile picture and the
+  // banner) and their quota override
+  getUserStorageUsage: (userId) => {
+    const stmt = prepare(`
+      SELECT
+        (SELECT COALESCE(SUM(file_size), 0) FROM shared_files WHERE user_id = ?) AS files_size,
+        (SELECT COALESCE(SUM(file_size), 0) FROM profile_pictures WHERE user_id = ?) AS profile_picture_size,
+        COALESCE((SELECT banner_size FROM users WHERE user_id = ?), 0) AS banner_size,
+        (SELECT storage_quota FROM users WHERE user_id = ?) AS storage_quota
+    `);
+    return stmt.get(userId, userId, userId, userId);
+  },
+
+  // Set (or clear, with null) a user's storage quota override
+  setUserStorageQuota: (userId, quota) => {
+    const stmt = prepare(`
+      INSERT INTO users (user_id, storage_quota) VALUES (?, ?)
+      ON CONFLICT(user_id) DO UPDATE SET storage_quota = excluded.storage_quota, updated_at = CURRENT_TIMESTAMP
+    `);
+    const result = stmt.run(userId, quota);
+    return { changes: result.changes };
+  },
+
+  // Create shared file (and its share list, if any)
   createSharedFile: (fileData) => {
-    return new Promise((resolve, reject) => {
-      const {
-        fileId, userId, originalName, fileName, filePath, fileUrl,
-        fileSize, mimeType, description, category
-      } = fileData;
-
-      db.run(`
-        INSERT INTO shared_files 
-        (file_id, user_id, original_name, file_name, file_path, file_url, 
-         file_size, mime_type, description, category)
-        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
-      `, [fileId, userId, originalName, fileName, filePath, fileUrl, 
-          fileSize, mimeType, description, category], function(err) {
-        if (err) reject(err);
-        else resolve({ id: this.lastID, fileId });
-      });
+    const {
+      fileId, userId, originalName, fileName, filePath, fileUrl, fileSize, mimeType, description, category,
+      checksum = null, blobHash = null, visibility = 'link', sharedWith = [], storageBackend = 'local', expiresAt = null,
+      conversationId = null, albumId = null
+    } = fileData;
+    const stmt = prepare(`
+      INSERT INTO shared_files 
+      (file_id, user_id, original_name, file_name, file_path, file_url, file_size, mime_type, description, category,
+       checksum, blob_hash, visibility, is_public, storage_backend, scan_status, expires_at, conversation_id, album_id)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, 'pending', ?, ?, ?)
+    `);
+    const create = db.transaction(() => {
+      if (blobHash) {
+        queries.addBlobReference(blobHash, filePath, fileSize, storageBackend);
+      }
+      const result = stmt.run(
+        fileId, userId, originalName, fileName, filePath, fileUrl, fileSize, mimeType, description, category,
+        checksum, blobHash, visibility, visibility === 'public' ? 1 : 0, storageBackend, expiresAt, conversationId, albumId
+      );
+      queries.replaceFileShares(fileId, sharedWith);
+      return result;
     });
+    const result = create();
+    return { id: result.lastInsertRowid, fileId };
   },
 
-  // Get shared file by ID
+  // Get shared file
   getSharedFile: (fileId) => {
-    return new Promise((resolve, reject) => {
-      db.get('SELECT * FROM shared_files WHERE file_id = ?', [fileId], (err, row) => {
-        if (err) reject(err);
-        else resolve(row);
-      });
+    const stmt = prepare('SELECT * FROM shared_files WHERE file_id = ?');
+    return stmt.get(fileId);
+  },
+
+  // Get shared file by stored file name (used by the static /uploads/shared route)
+  getSharedFileByName: (fileName) => {
+    const stmt = prepare('SELECT * FROM shared_files WHERE file_name = ?');
+    return stmt.get(fileName);
+  },
+
+  // Get shared files by ID, in the order given (IDs without a file are left out)
+  getSharedFilesByIds: (fileIds) => {
+    const stmt = prepare(`
+      SELECT f.* FROM json_each(?) ids
+      JOIN shared_files f ON f.file_id = ids.value
+      ORDER BY ids.key
+    `);
+    return stmt.all(JSON.stringify(fileIds));
+  },
+
+  // Get the files of an album, in upload order
+  getAlbumFiles: (albumId) => {
+    const stmt = prepare('SELECT * FROM shared_files WHERE album_id = ? ORDER BY id');
+    return stmt.all(albumId);
+  },
+
+  // Whether an album already holds files of another user (albums belong to their uploader)
+  isAlbumOwnedByOtherUser: (albumId, userId) => {
+    const stmt = prepare('SELECT 1 FROM shared_files WHERE album_id = ? AND user_id != ? LIMIT 1');
+    return !!stmt.get(albumId, userId);
+  },
+
+  // Change a file's visibility (and, optionally, replace its share list)
+  updateFileAccess: (fileId, visibility, sharedWith) => {
+    const stmt = prepare('UPDATE shared_files SET visibility = ?, is_public = ? WHERE file_id = ?');
+    const update = db.transaction(() => {
+      const result = stmt.run(visibility, visibility === 'public' ? 1 : 0, fileId);
+      if (sharedWith) {
+        queries.replaceFileShares(fileId, sharedWith);
+      }
+      return result;
     });
+    return { changes: update().changes };
+  },
+
+  // Replace the list of users a file is shared with
+  replaceFileShares: (fileId, userIds) => {
+    const deleteStmt = prepare('DELETE FROM file_shares WHERE file_id = ?');
+    const insertStmt = prepare('INSERT OR IGNORE INTO file_shares (file_id, user_id) VALUES (?, ?)');
+    const replace = db.transaction(() => {
+      deleteStmt.run(fileId);
+      userIds.forEach(userId => insertStmt.run(fileId, userId));
+    });
+    replace();
+  },
+
+  // Get the user IDs a file is shared with
+  getFileShares: (fileId) => {
+    const stmt = prepare('SELECT user_id FROM file_shares WHERE file_id = ? ORDER BY created_at');
+    return stmt.all(fileId).map(row => row.user_id);
+  },
+
+  // Check whether a file is shared with a user
+  isFileSharedWith: (fileId, userId) => {
+    const stmt = prepare('SELECT 1 FROM file_shares WHERE file_id = ? AND user_id = ?');
+    return !!stmt.get(fileId, userId);
+  },
+
+  // Check whether a user is currently a member of a conversation
+  isConversationMember: (conversationId, userId) => {
+    const stmt = prepare('SELECT 1 FROM conversation_members WHERE conversation_id = ? AND user_id = ?');
+    return !!stmt.get(conversationId, userId);
+  },
+
+  // Get the members of a conversation
+  getConversationMembers: (conversationId) => {
+    const stmt = prepare(`
+      SELECT user_id, joined_at FROM conversation_members WHERE conversation_id = ? ORDER BY joined_at, user_id
+    `);
+    return stmt.all(conversationId);
+  },
+
+  // Add members to a conversation (existing ones are kept); returns how many were new
+  addConversationMembers: (conversationId, userIds) => {
+    const stmt = prepare('INSERT OR IGNORE INTO conversation_members (conversation_id, user_id) VALUES (?, ?)');
+    const add = db.transaction(() => userIds.reduce((added, userId) => added + stmt.run(conversationId, userId).changes, 0));
+    return { added: add() };
+  },
+
+  // Remove a member from a conversation
+  removeConversationMember: (conversationId, userId) => {
+    const stmt = prepare('DELETE FROM conversation_members WHERE conversation_id = ? AND user_id = ?');
+    const result = stmt.run(conversationId, userId);
+    return { changes: result.changes };
+  },
+
+  // Make the member list exactly userIds; returns how many were added and removed
+  replaceConversationMembers: (conversationId, userIds) => {
+    const removeStmt = prepare(`
+      DELETE FROM conversation_members
+      WHERE conversation_id = ? AND user_id NOT IN (SELECT value FROM json_each(?))
+    `);
+    const replace = db.transaction(() => {
+      const { changes: removed } = removeStmt.run(conversationId, JSON.stringify(userIds));
+      const { added } = queries.addConversationMembers(conversationId, userIds);
+      return { added, removed };
+    });
+    return replace();
+  },
+
+  // Record a link posted in a conversation
+  createConversationLink: (linkData) => {
+    const { linkId, conversationId, userId, url, title = null } = linkData;
+    const stmt = prepare(`
+      INSERT INTO conversation_links (link_id, conversation_id, user_id, url, title) VALUES (?, ?, ?, ?, ?)
+    `);
+    stmt.run(linkId, conversationId, userId, url, title);
+    return queries.getConversationLink(linkId);
+  },
+
+  // Get a link posted in a conversation
+  getConversationLink: (linkId) => {
+    const stmt = prepare('SELECT * FROM conversation_links WHERE link_id = ?');
+    return stmt.get(linkId);
+  },
+
+  // Delete a link posted in a conversation (by the user who posted it)
+  deleteConversationLink: (linkId, userId) => {
+    const stmt = prepare('DELETE FROM conversation_links WHERE link_id = ? AND user_id = ?');
+    const result = stmt.run(linkId, userId);
+    return { changes: result.changes };
+  },
+
+  // Page through a conversation's links, newest first (paged like queryFiles)
+  queryConversationLinks: (conversationId, options) => {
+    const { limit, cursor, offset = 0 } = options;
+    const { total } = prepare('SELECT COUNT(*) AS total FROM conversation_links WHERE conversation_id = ?').get(conversationId);
+
+    const params = [conversationId];
+    let after = '';
+    if (cursor) {
+      after = 'AND (created_at < ? OR (created_at = ? AND id < ?))';
+      params.push(cursor.value, cursor.value, cursor.id);
+    }
+    const rows = prepare(`
+      SELECT *, created_at AS sort_value FROM conversation_links
+      WHERE conversation_id = ? ${after}
+      ORDER BY created_at DESC, id DESC
+      LIMIT ? OFFSET ?
+    `).all(...params, limit + 1, offset);
+
+    return { links: rows.slice(0, limit), total, hasMore: rows.length > limit };
+  },
+
+  // Create signed download link
+  createSignedLink: (linkData) => {
+    const { linkId, fileId, createdBy, recipientId, expiresAt, maxUses } = linkData;
+    const stmt = prepare(`
+      INSERT INTO signed_links (link_id, file_id, created_by, recipient_id, expires_at, max_uses)
+      VALUES (?, ?, ?, ?, ?, ?)
+    `);
+    const result = stmt.run(linkId, fileId, createdBy, recipientId, expiresAt, maxUses);
+    return { id: result.lastInsertRowid, linkId };
+  },
+
+  // Get signed download link
+  getSignedLink: (linkId) => {
+    const stmt = prepare('SELECT * FROM signed_links WHERE link_id = ?');
+    return stmt.get(linkId);
+  },
+
+  // Use up one download of a signed link; changes is 0 when no uses are left
+  consumeSignedLink: (linkId) => {
+    const stmt = prepare(`
+      UPDATE signed_links
+      SET use_count = use_count + 1
+      WHERE link_id = ? AND (max_uses IS NULL OR use_count < max_uses)
+    `);
+    const result = stmt.run(linkId);
+    return { changes: result.changes };
+  },
+
+  // Create resumable upload session
+  createUploadSession: (sessionData) => {
+    const { uploadId, userId, uploadLength, metadata, tempPath } = sessionData;
+    const stmt = prepare(`
+      INSERT INTO upload_sessions (upload_id, user_id, upload_length, metadata, temp_path)
+      VALUES (?, ?, ?, ?, ?)
+    `);
+    const result = stmt.run(uploadId, userId, uploadLength, JSON.stringify(metadata), tempPath);
+    return { id: result.lastInsertRowid, uploadId };
+  },
+
+  // Get resumable upload session
+  getUploadSession: (uploadId) => {
+    const stmt = prepare('SELECT * FROM upload_sessions WHERE upload_id = ?');
+    const session = stmt.get(uploadId);
+    if (session) {
+      session.metadata = JSON.parse(session.metadata || '{}');
+    }
+    return session;
+  },
+
+  // Update upload session progress / status
+  updateUploadSession: (uploadId, updates) => {
+    const { offset, status, fileId, error } = updates;
+    const stmt = prepare(`
+      UPDATE upload_sessions
+      SET upload_offset = COALESCE(?, upload_offset),
+          status = COALESCE(?, status),
+          file_id = COALESCE(?, file_id),
+          error = COALESCE(?, error),
+          updated_at = CURRENT_TIMESTAMP
+      WHERE upload_id = ?
+    `);
+    const result = stmt.run(offset ?? null, status ?? null, fileId ?? null, error ?? null, uploadId);
+    return { changes: result.changes };
+  },
+
+  // Delete resumable upload session
+  deleteUploadSession: (uploadId) => {
+    const stmt = prepare('DELETE FROM upload_sessions WHERE upload_id = ?');
+    const result = stmt.run(uploadId);
+    return { changes: result.changes };
   },
 
   // Get user's shared files
   getUserSharedFiles: (userId, limit = 50, offset = 0) => {
-    return new Promise((resolve, reject) => {
-      db.all(`
-        SELECT * FROM shared_files 
-        WHERE user_id = ? 
-        ORDER BY created_at DESC 
-        LIMIT ? OFFSET ?
-      `, [userId, limit, offset], (err, rows) => {
-        if (err) reject(err);
-        else resolve(rows);
-      });
-    });
+    const stmt = prepare(`
+      SELECT * FROM shared_files 
+      WHERE user_id = ? 
+      ORDER BY created_at DESC 
+      LIMIT ? OFFSET ?
+    `);
+    return stmt.all(userId, limit, offset);
   },
 
   // Delete shared file
+  // Returns releasedBlob when this was the blob's last reference, so the caller can remove it from disk
   deleteSharedFile: (fileId, userId) => {
-    return new Promise((resolve, reject) => {
-      db.run(`
-        DELETE FROM shared_files 
-        WHERE file_id = ? AND user_id = ?
-      `, [fileId, userId], function(err) {
-        if (err) reject(err);
-        else resolve({ changes: this.changes });
-      });
+    const selectStmt = prepare('SELECT blob_hash FROM shared_files WHERE file_id = ? AND user_id = ?');
+    const stmt = prepare('DELETE FROM shared_files WHERE file_id = ? AND user_id = ?');
+    const sharesStmt = prepare('DELETE FROM file_shares WHERE file_id = ?');
+    const linksStmt = prepare('DELETE FROM signed_links WHERE file_id = ?');
+    const remove = db.transaction(() => {
+      const row = selectStmt.get(fileId, userId);
+      const result = stmt.run(fileId, userId);
+      let releasedBlob = null;
+      if (result.changes > 0) {
+        sharesStmt.run(fileId);
+        linksStmt.run(fileId);
+        if (row.blob_hash) {
+          releasedBlob = queries.removeBlobReference(row.blob_hash);
+        }
+      }
+      return { changes: result.changes, releasedBlob };
     });
+    return remove();
   },
 
-  // Update download count
-  incrementDownloadCount: (fileId) => {
-    return new Promise((resolve, reject) => {
-      db.run(`
-        UPDATE shared_files 
-        SET download_count = download_count + 1, last_accessed = CURRENT_TIMESTAMP
-        WHERE file_id = ?
-      `, [fileId], function(err) {
-        if (err) reject(err);
-        else resolve({ changes: this.changes });
-      });
+  // Get blob by content hash
+  getBlob: (hash) => {
+    const stmt = prepare('SELECT * FROM blobs WHERE hash = ?');
+    return stmt.get(hash);
+  },
+
+  // Add a reference to a blob, creating it on first use
+  addBlobReference: (hash, filePath, size, storageBackend = 'local') => {
+    const stmt = prepare(`
+      INSERT INTO blobs (hash, file_path, size, ref_count, storage_backend) VALUES (?, ?, ?, 1, ?)
+      ON CONFLICT(hash) DO UPDATE SET ref_count = ref_count + 1
+    `);
+    stmt.run(hash, filePath, size, storageBackend);
+  },
+
+  // Drop a reference to a blob; returns the blob row if that was the last one (and deletes it)
+  removeBlobReference: (hash) => {
+    const decrementStmt = prepare('UPDATE blobs SET ref_count = ref_count - 1 WHERE hash = ?');
+    const selectStmt = prepare('SELECT * FROM blobs WHERE hash = ?');
+    const deleteStmt = prepare('DELETE FROM blobs WHERE hash = ?');
+    const release = db.transaction(() => {
+      decrementStmt.run(hash);
+      const blob = selectStmt.get(hash);
+      if (blob && blob.ref_count <= 0) {
+        deleteStmt.run(hash);
+        return blob;
+      }
+      return null;
     });
+    return release();
   },
 
-  // Get file statistics for user
-  getUserFileStats: (userId) => {
-    return new Promise((resolve, reject) => {
-      db.get(`
-        SELECT 
-          COUNT(*) as total_files,
-          SUM(file_size) as total_size,
-          SUM(download_count) as total_downloads
-        FROM shared_files 
-        WHERE user_id = ?
-      `, [userId], (err, row) => {
-        if (err) reject(err);
-        else resolve(row);
-      });
+  // Point an existing (pre-dedup) file row at a blob
+  linkFileToBlob: (fileId, hash, filePath, size) => {
+    // The file takes the blob's location, which may differ if the blob already existed
+    const stmt = prepare(`
+      UPDATE shared_files
+      SET blob_hash = ?, checksum = ?,
+          file_path = (SELECT file_path FROM blobs WHERE hash = ?),
+          storage_backend = (SELECT storage_backend FROM blobs WHERE hash = ?)
+      WHERE file_id = ?
+    `);
+    const link = db.transaction(() => {
+      queries.addBlobReference(hash, filePath, size);
+      return stmt.run(hash, hash, hash, hash, fileId);
+    });
+    return { changes: link().changes };
+  },
+
+  // Get the names of the storage backends holding content
+  getStorageBackendsInUse: () => {
+    const stmt = prepare(`
+      SELECT storage_backend AS backend FROM blobs
+      UNION SELECT storage_backend FROM shared_files
+      UNION SELECT storage_backend FROM profile_pictures
+      UNION SELECT banner_storage FROM users WHERE banner_path IS NOT NULL
+    `);
+    return stmt.all().map(row => row.backend);
+  },
+
+  // Get every blob
+  getAllBlobs: () => {
+    const stmt = prepare('SELECT * FROM blobs ORDER BY created_at');
+    return stmt.all();
+  },
+
+  // Get the files using a blob
+  getSharedFilesByBlob: (hash) => {
+    const stmt = prepare('SELECT * FROM shared_files WHERE blob_hash = ?');
+    return stmt.all(hash);
+  },
+
+  // Get blobs held by a storage backend other than the given one
+  getBlobsNotOn: (backend) => {
+    const stmt = prepare('SELECT * FROM blobs WHERE storage_backend != ? ORDER BY created_at');
+    return stmt.all(backend);
+  },
+
+  // Record a blob's new location, for it and every file using it
+  setBlobLocation: (hash, backend, filePath) => {
+    const blobStmt = prepare('UPDATE blobs SET storage_backend = ?, file_path = ? WHERE hash = ?');
+    const filesStmt = prepare('UPDATE shared_files SET storage_backend = ?, file_path = ? WHERE blob_hash = ?');
+    const update = db.transaction(() => {
+      blobStmt.run(backend, filePath, hash);
+      return filesStmt.run(backend, filePath, hash);
+    });
+    return { changes: update().changes };
+  },
+
+  // Get files stored before deduplication that are held by another storage backend
+  getUnlinkedSharedFilesNotOn: (backend) => {
+    const stmt = prepare('SELECT * FROM shared_files WHERE blob_hash IS NULL AND storage_backend != ? ORDER BY created_at');
+    return stmt.all(backend);
+  },
+
+  // Record a (pre-dedup) file's new location
+  setSharedFileLocation: (fileId, backend, filePath) => {
+    const stmt = prepare('UPDATE shared_files SET storage_backend = ?, file_path = ? WHERE file_id = ?');
+    const result = stmt.run(backend, filePath, fileId);
+    return { changes: result.changes };
+  },
+
+  // Get files that are not yet stored as blobs
+  getUnlinkedSharedFiles: () => {
+    const stmt = prepare('SELECT * FROM shared_files WHERE blob_hash IS NULL ORDER BY created_at');
+    return stmt.all();
+  },
+
+  // Record a scan verdict for one file
+  setScanResult: (fileId, status, signature = null) => {
+    const stmt = prepare(`
+      UPDATE shared_files SET scan_status = ?, scan_signature = ?, scanned_at = CURRENT_TIMESTAMP WHERE file_id = ?
+    `);
+    const result = stmt.run(status, signature, fileId);
+    return { changes: result.changes };
+  },
+
+  // Point a blob and every file using it at its quarantine path and flag them infected; returns the newly flagged files
+  quarantineBlob: (hash, quarantinePath, signature) => {
+    const selectStmt = prepare("SELECT * FROM shared_files WHERE blob_hash = ? AND scan_status != 'infected'");
+    const filesStmt = prepare(`
+      UPDATE shared_files
+      SET scan_status = 'infected', scan_signature = ?, scanned_at = CURRENT_TIMESTAMP, file_path = ?
+      WHERE blob_hash = ?
+    `);
+    const blobStmt = prepare('UPDATE blobs SET file_path = ? WHERE hash = ?');
+    const quarantine = db.transaction(() => {
+      const flagged = selectStmt.all(hash);
+      filesStmt.run(signature, quarantinePath, hash);
+      blobStmt.run(quarantinePath, hash);
+      return flagged;
+    });
+    return quarantine();
+  },
+
+  // Quarantine a file stored before deduplication (it owns its content); returns the flagged files
+  quarantineSharedFile: (fileId, quarantinePath, signature) => {
+    const stmt = prepare(`
+      UPDATE shared_files
+      SET scan_status = 'infected', scan_signature = ?, scanned_at = CURRENT_TIMESTAMP, file_path = ?
+      WHERE file_id = ?
+    `);
+    stmt.run(signature, quarantinePath, fileId);
+    return [queries.getSharedFile(fileId)].filter(Boolean);
+  },
+
+  // Get files with any of the given scan statuses, oldest first
+  getFilesByScanStatus: (statuses) => {
+    const stmt = prepare(`
+      SELECT * FROM shared_files WHERE scan_status IN (${statuses.map(() => '?').join(', ')}) ORDER BY created_at
+    `);
+    return stmt.all(...statuses);
+  },
+
+  // Append a scan verdict to the audit trail
+  recordScanEvent: (event) => {
+    const { fileId, userId, blobHash = null, scanner, status, signature = null, detail = null } = event;
+    const stmt = prepare(`
+      INSERT INTO scan_events (file_id, user_id, blob_hash, scanner, status, signature, detail)
+      VALUES (?, ?, ?, ?, ?, ?, ?)
+    `);
+    const result = stmt.run(fileId, userId, blobHash, scanner, status, signature, detail);
+    return { id: result.lastInsertRowid };
+  },
+
+  // Record the preview of one file
+  setPreviewResult: (fileId, status, type = null, previewPath = null) => {
+    const stmt = prepare('UPDATE shared_files SET preview_status = ?, preview_type = ?, preview_path = ? WHERE file_id = ?');
+    const result = stmt.run(status, type, previewPath, fileId);
+    return { changes: result.changes };
+  },
+
+  // Get the finished preview of another file with the same content, if any
+  getBlobPreview: (hash) => {
+    const stmt = prepare(`
+      SELECT preview_status, preview_type, preview_path FROM shared_files
+      WHERE blob_hash = ? AND preview_status IN ('ready', 'unsupported')
+      LIMIT 1
+    `);
+    return stmt.get(hash);
+  },
+
+  // Get the distinct preview paths of files using a blob
+  getBlobPreviewPaths: (hash) => {
+    const stmt = prepare('SELECT DISTINCT preview_path FROM shared_files WHERE blob_hash = ? AND preview_path IS NOT NULL');
+    return stmt.all(hash).map(row => row.preview_path);
+  },
+
+  // Get every stored preview with the backend holding it and the files using it
+  getStoredPreviews: () => {
+    const stmt = prepare(`
+      SELECT preview_path, storage_backend, GROUP_CONCAT(file_id) AS file_ids FROM shared_files
+      WHERE preview_path IS NOT NULL
+      GROUP BY preview_path, storage_backend
+    `);
+    return stmt.all().map(row => ({ ...row, file_ids: row.file_ids.split(',') }));
+  },
+
+  // Get clean files whose preview hasn't been generated yet, oldest first
+  getFilesAwaitingPreview: () => {
+    const stmt = prepare(`
+      SELECT * FROM shared_files WHERE preview_status = 'pending' AND scan_status = 'clean' ORDER BY created_at
+    `);
+    return stmt.all();
+  },
+
+  // Store a file's extracted text in the search index
+  setIndexedText: (fileId, text) => {
+    const indexStmt = prepare(`
+      UPDATE shared_files_fts SET content = ? WHERE rowid = (SELECT id FROM shared_files WHERE file_id = ?)
+    `);
+    const fileStmt = prepare('UPDATE shared_files SET content_indexed_at = CURRENT_TIMESTAMP WHERE file_id = ?');
+    const update = db.transaction(() => {
+      indexStmt.run(text, fileId);
+      return fileStmt.run(fileId);
+    });
+    return { changes: update().changes };
+  },
+
+  // Reuse the indexed text of another file with the same content; returns false if there is none
+  copyIndexedText: (fileId, hash) => {
+    const selectStmt = prepare(`
+      SELECT fts.content FROM shared_files_fts fts JOIN shared_files f ON f.id = fts.rowid
+      WHERE f.blob_hash = ? AND f.file_id != ? AND f.content_indexed_at IS NOT NULL
+      LIMIT 1
+    `);
+    const copy = db.transaction(() => {
+      const source = selectStmt.get(hash, fileId);
+      if (!source) return false;
+      queries.setIndexedText(fileId, source.content);
+      return true;
     });
+    return copy();
+  },
+
+  // Get clean files whose text hasn't been indexed yet, oldest first
+  getFilesAwaitingTextExtraction: () => {
+    const stmt = prepare(`
+      SELECT * FROM shared_files WHERE content_indexed_at IS NULL AND scan_status = 'clean' ORDER BY created_at
+    `);
+    return stmt.all();
+  },
+
+  // List or search files (options from lib/fileQuery.js): a user's own ({ userId }), those posted
+  // in a conversation ({ conversationId, viewerId }; private ones only for their owner, and only
+  // those that can be downloaded: scanned clean, not expired, not taken down) or, for admins,
+  // everyone's ({}; options.takenDown picks taken-down files or the others). Returns { files, total, hasMore }. Pages are keyed on (sort value, id) so cursors
+  // stay stable while files are added.
+  queryFiles: (scope, options) => {
+    const {
+      match, categories = [], mimeType, minSize, maxSize, from, to, takenDown, sort, order, limit, cursor, offset = 0
+    } = options;
+
+    let source = 'shared_files f';
+    const conditions = [];
+    const params = [];
+
+    if (scope.conversationId) {
+      conditions.push(
+        'f.conversation_id = ?',
+        "(f.visibility != 'private' OR f.user_id = ?)",
+        'f.taken_down_at IS NULL',
+        "f.scan_status = 'clean'",
+        '(f.expires_at IS NULL OR f.expires_at > CURRENT_TIMESTAMP)'
+      );
+      params.push(scope.conversationId, scope.viewerId);
+    } else if (scope.userId) {
+      conditions.push('f.user_id = ?');
+      params.push(scope.userId);
+    }
+
+    if (match) {
+      source = 'shared_files_fts JOIN shared_files f ON f.id = shared_files_fts.rowid';
+      conditions.push('shared_files_fts MATCH ?');
+      params.push(match);
+    }
+    if (categories.length > 0) {
+      conditions.push(`f.category IN (${categories.map(() => '?').join(', ')})`);
+      params.push(...categories);
+    }
+    if (mimeType) {
+      if (mimeType.endsWith('/*')) {
+        conditions.push('f.mime_type LIKE ?');
+        params.push(`${mimeType.slice(0, -1)}%`);
+      } else {
+        conditions.push('f.mime_type = ?');
+        params.push(mimeType);
+      }
+    }
+    if (minSize !== undefined) {
+      conditions.push('f.file_size >= ?');
+      params.push(minSize);
+    }
+    if (maxSize !== undefined) {
+      conditions.push('f.file_size <= ?');
+      params.push(maxSize);
+    }
+    if (from) {
+      conditions.push('f.created_at >= ?');
+      params.push(from);
+    }
+    if (to) {
+      conditions.push('f.created_at <= ?');
+      params.push(to);
+    }
+    if (takenDown !== undefined) {
+      conditions.push(takenDown ? 'f.taken_down_at IS NOT NULL' : 'f.taken_down_at IS NULL');
+    }
+
+    const where = conditions.length > 0 ? conditions.join(' AND ') : '1';
+    const { total } = prepare(`SELECT COUNT(*) AS total FROM ${source} WHERE ${where}`).get(...params);
+
+    // Name, description, then extracted text, in order of weight
+    const sortColumns = {
+      relevance: 'bm25(shared_files_fts, 10.0, 5.0, 1.0)',
+      name: 'f.original_name',
+      size: 'f.file_size',
+      date: 'f.created_at',
+      downloads: 'COALESCE(f.download_count, 0)'
+    };
+    const collate = sort === 'name' ? ' COLLATE NOCASE' : '';
+    const direction = order === 'asc' ? 'ASC' : 'DESC';
+    const comparison = order === 'asc' ? '>' : '<';
+
+    let after = '';
+    const pageParams = [];
+    if (cursor) {
+      after = `WHERE sort_value${collate} ${comparison} ? OR (sort_value${collate} = ? AND id ${comparison} ?)`;
+      pageParams.push(cursor.value, cursor.value, cursor.id);
+    }
+
+    // One extra row tells whether there is another page
+    const rows = prepare(`
+      SELECT * FROM (SELECT f.*, ${sortColumns[sort]} AS sort_value FROM ${source} WHERE ${where})
+      ${after}
+      ORDER BY sort_value${collate} ${direction}, id ${direction}
+      LIMIT ? OFFSET ?
+    `).all(...params, ...pageParams, limit + 1, offset);
+
+    return { files: rows.slice(0, limit), total, hasMore: rows.length > limit };
+  },
+
+  // Update download count
+  incrementDownloadCount: (fileId) => {
+    const stmt = prepare(`
+      UPDATE shared_files 
+      SET download_count = download_count + 1, last_accessed = CURRENT_TIMESTAMP
+      WHERE file_id = ?
+    `);
+    const result = stmt.run(fileId);
+    return { changes: result.changes };
+  },
+
+  // Record that a file's content was read (for retention by last access)
+  touchSharedFile: (fileId) => {
+    const stmt = prepare('UPDATE shared_files SET last_accessed = CURRENT_TIMESTAMP WHERE file_id = ?');
+    const result = stmt.run(fileId);
+    return { changes: result.changes };
+  },
+
+  // Get files whose own expiry has passed, oldest first
+  getExpiredSharedFiles: (now, limit) => {
+    const stmt = prepare(`
+      SELECT * FROM shared_files
+      WHERE expires_at IS NOT NULL AND expires_at <= ? AND taken_down_at IS NULL
+      ORDER BY expires_at LIMIT ?
+    `);
+    return stmt.all(now, limit);
+  },
+
+  // Get files not read since a cutoff (never-read files count from their upload). Like the other
+  // retention queries, it leaves out taken-down files, which are kept as evidence.
+  getSharedFilesNotAccessedSince: (cutoff, limit) => {
+    const stmt = prepare(`
+      SELECT * FROM shared_files
+      WHERE COALESCE(last_accessed, created_at) < ? AND taken_down_at IS NULL
+      ORDER BY created_at LIMIT ?
+    `);
+    return stmt.all(cutoff, limit);
+  },
+
+  // Get files of a category uploaded before a cutoff
+  getSharedFilesCreatedBefore: (category, cutoff, limit) => {
+    const stmt = prepare(`
+      SELECT * FROM shared_files
+      WHERE category = ? AND created_at < ? AND taken_down_at IS NULL
+      ORDER BY created_at LIMIT ?
+    `);
+    return stmt.all(category, cutoff, limit);
+  },
+
+  // Get resumable uploads still receiving data, optionally only those idle since a cutoff
+  getActiveUploadSessions: (idleSince = null) => {
+    const stmt = prepare(`
+      SELECT * FROM upload_sessions WHERE status = 'uploading' AND (? IS NULL OR updated_at < ?)
+    `);
+    return stmt.all(idleSince, idleSince);
   },
 
-  // Search files
-  searchFiles: (userId, searchTerm) => {
-    return new Promise((resolve, reject) => {
-      db.all(`
-        SELECT * FROM shared_files 
-        WHERE user_id = ? AND (
-          original_name LIKE ? OR 
-          description LIKE ? OR 
-          category LIKE ?
-        )
-        ORDER BY created_at DESC
-        LIMIT 20
-      `, [userId, `%${searchTerm}%`, `%${searchTerm}%`, `%${searchTerm}%`], (err, rows) => {
-        if (err) reject(err);
-        else resolve(rows);
-      });
+  // Take a file down: it stays stored but can't be read any more
+  takeDownFile: (fileId, reason, takenDownBy) => {
+    const stmt = prepare(`
+      UPDATE shared_files SET taken_down_at = CURRENT_TIMESTAMP, takedown_reason = ?, taken_down_by = ?
+      WHERE file_id = ?
+    `);
+    return { changes: stmt.run(reason, takenDownBy, fileId).changes };
+  },
+
+  // Make a taken-down file readable again
+  restoreFile: (fileId) => {
+    const stmt = prepare(`
+      UPDATE shared_files SET taken_down_at = NULL, takedown_reason = NULL, taken_down_by = NULL
+      WHERE file_id = ? AND taken_down_at IS NOT NULL
+    `);
+    return { changes: stmt.run(fileId).changes };
+  },
+
+  // Get a user's upload suspension (undefined when they may upload)
+  getUploadSuspension: (userId) => {
+    const stmt = prepare(`
+      SELECT uploads_suspended_at, uploads_suspension_reason, uploads_suspended_by FROM users
+      WHERE user_id = ? AND uploads_suspended_at IS NOT NULL
+    `);
+    return stmt.get(userId);
+  },
+
+  // Suspend a user from uploading ({ reason, suspendedBy }), or lift the suspension with null
+  setUploadSuspension: (userId, suspension) => {
+    const { reason = null, suspendedBy = null } = suspension || {};
+    const stmt = prepare(`
+      INSERT INTO users (user_id, uploads_suspended_at, uploads_suspension_reason, uploads_suspended_by)
+      VALUES (?, CASE WHEN ? THEN CURRENT_TIMESTAMP END, ?, ?)
+      ON CONFLICT(user_id) DO UPDATE SET
+        uploads_suspended_at = excluded.uploads_suspended_at,
+        uploads_suspension_reason = excluded.uploads_suspension_reason,
+        uploads_suspended_by = excluded.uploads_suspended_by,
+        updated_at = CURRENT_TIMESTAMP
+    `);
+    return { changes: stmt.run(userId, suspension ? 1 : 0, reason, suspendedBy).changes };
+  },
+
+  // Page through everyone with a profile or files, with their storage usage (as in
+  // getUserStorageUsage). search matches user IDs, usernames and emails; sort is usage, files or
+  // userId. Returns { users, total }.
+  queryUsersWithUsage: ({ search = null, suspended, sort = 'usage', order = 'desc', limit, offset = 0 }) => {
+    const conditions = [];
+    const params = [];
+    if (search) {
+      conditions.push("(ids.user_id LIKE ? ESCAPE '\\' OR u.username LIKE ? ESCAPE '\\' OR u.email LIKE ? ESCAPE '\\')");
+      const pattern = `%${search.replace(/[\\%_]/g, c => `\\${c}`)}%`;
+      params.push(pattern, pattern, pattern);
+    }
+    if (suspended !== undefined) {
+      conditions.push(suspended ? 'u.uploads_suspended_at IS NOT NULL' : 'u.uploads_suspended_at IS NULL');
+    }
+    const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+
+    const from = `
+      FROM (SELECT user_id FROM users UNION SELECT user_id FROM shared_files) ids
+      LEFT JOIN users u ON u.user_id = ids.user_id
+      LEFT JOIN (
+        SELECT user_id, COUNT(*) AS file_count, SUM(file_size) AS files_size FROM shared_files GROUP BY user_id
+      ) f ON f.user_id = ids.user_id
+      LEFT JOIN (
+        SELECT user_id, SUM(file_size) AS profile_picture_size FROM profile_pictures GROUP BY user_id
+      ) p ON p.user_id = ids.user_id
+      ${where}
+    `;
+    const { total } = prepare(`SELECT COUNT(*) AS total ${from}`).get(...params);
+
+    const sortColumns = { usage: 'used', files: 'file_count', userId: 'user_id' };
+    const direction = order === 'asc' ? 'ASC' : 'DESC';
+    const users = prepare(`
+      SELECT * FROM (
+        SELECT
+          ids.user_id, u.username, u.email, u.display_name, u.storage_quota, u.created_at,
+          u.uploads_suspended_at, u.uploads_suspension_reason, u.uploads_suspended_by,
+          COALESCE(f.file_count, 0) AS file_count,
+          COALESCE(f.files_size, 0) AS files_size,
+          COALESCE(p.profile_picture_size, 0) AS profile_picture_size,
+          COALESCE(u.banner_size, 0) AS banner_size,
+          COALESCE(f.files_size, 0) + COALESCE(p.profile_picture_size, 0) + COALESCE(u.banner_size, 0) AS used
+        ${from}
+      )
+      ORDER BY ${sortColumns[sort]} ${direction}, user_id ASC
+      LIMIT ? OFFSET ?
+    `).all(...params, limit, offset);
+
+    return { users, total };
+  },
+
+  // Totals across all users: shared files (overall, by category and by MIME type), stored
+  // content after deduplication, profile images, users and moderation counts
+  getStorageStats: () => {
+    return {
+      files: prepare(`
+        SELECT COUNT(*) AS count, COALESCE(SUM(file_size), 0) AS size,
+          COALESCE(SUM(download_count), 0) AS downloads,
+          COUNT(taken_down_at) AS taken_down
+        FROM shared_files
+      `).get(),
+      categories: prepare(`
+        SELECT category, COUNT(*) AS count, COALESCE(SUM(file_size), 0) AS size
+        FROM shared_files GROUP BY category ORDER BY size DESC
+      `).all(),
+      mimeTypes: prepare(`
+        SELECT mime_type, COUNT(*) AS count, COALESCE(SUM(file_size), 0) AS size
+        FROM shared_files GROUP BY mime_type ORDER BY size DESC
+      `).all(),
+      blobs: prepare('SELECT COUNT(*) AS count, COALESCE(SUM(size), 0) AS size FROM blobs').get(),
+      profilePictures: prepare('SELECT COUNT(*) AS count, COALESCE(SUM(file_size), 0) AS size FROM profile_pictures').get(),
+      banners: prepare(`
+        SELECT COUNT(*) AS count, COALESCE(SUM(banner_size), 0) AS size FROM users WHERE banner_path IS NOT NULL
+      `).get(),
+      users: prepare(`
+        SELECT
+          (SELECT COUNT(*) FROM (SELECT user_id FROM users UNION SELECT user_id FROM shared_files)) AS count,
+          (SELECT COUNT(*) FROM users WHERE uploads_suspended_at IS NOT NULL) AS suspended
+      `).get()
+    };
+  },
+
+  // Record a report (one open per reporter and file), hiding the file at hideThreshold open reports
+  addFileReport: (report, hideThreshold, hiddenBy) => {
+    const { reportId, fileId, reporterId, category, details = null } = report;
+    const insert = prepare(`
+      INSERT INTO file_reports (report_id, file_id, reporter_id, category, details)
+      VALUES (?, ?, ?, ?, ?)
+      ON CONFLICT(file_id, reporter_id) WHERE status = 'open' DO NOTHING
+    `);
+    const countOpen = prepare("SELECT COUNT(*) AS count FROM file_reports WHERE file_id = ? AND status = 'open'");
+
+    const add = db.transaction(() => {
+      const created = insert.run(reportId, fileId, reporterId, category, details).changes > 0;
+      const { count } = countOpen.get(fileId);
+
+      let hidden = false;
+      if (created && hideThreshold > 0 && count >= hideThreshold && !queries.getSharedFile(fileId).taken_down_at) {
+        const reason = `Hidden pending review after ${count} reports`;
+        queries.takeDownFile(fileId, reason, hiddenBy);
+        queries.addModerationAction({ action: 'hide', fileId, reason, moderator: hiddenBy });
+        hidden = true;
+      }
+      return { created, openReports: count, hidden };
     });
+    return add();
+  },
+
+  // Page through the files with open reports, most reported first: the file's row plus
+  // open_reports and first_reported_at. Returns { files, total }.
+  getModerationQueue: ({ limit, offset = 0 }) => {
+    const { total } = prepare(`
+      SELECT COUNT(DISTINCT r.file_id) AS total
+      FROM file_reports r JOIN shared_files f ON f.file_id = r.file_id
+      WHERE r.status = 'open'
+    `).get();
+    const files = prepare(`
+      SELECT f.*, COUNT(*) AS open_reports, MIN(r.created_at) AS first_reported_at
+      FROM file_reports r JOIN shared_files f ON f.file_id = r.file_id
+      WHERE r.status = 'open'
+      GROUP BY r.file_id
+      ORDER BY open_reports DESC, first_reported_at ASC, f.id ASC
+      LIMIT ? OFFSET ?
+    `).all(limit, offset);
+    return { files, total };
+  },
+
+  // Get a file's reports, oldest first, optionally only those with a status
+  getFileReports: (fileId, status = null) => {
+    const stmt = prepare(`
+      SELECT * FROM file_reports WHERE file_id = ? AND (? IS NULL OR status = ?) ORDER BY id
+    `);
+    return stmt.all(fileId, status, status);
+  },
+
+  // Close a file's open reports with a status (dismissed, removed or suspended)
+  resolveFileReports: (fileId, status, resolvedBy) => {
+    const stmt = prepare(`
+      UPDATE file_reports SET status = ?, resolved_by = ?, resolved_at = CURRENT_TIMESTAMP
+      WHERE file_id = ? AND status = 'open'
+    `);
+    return { changes: stmt.run(status, resolvedBy, fileId).changes };
+  },
+
+  // Record a moderation decision about a file and/or user
+  addModerationAction: (actionData) => {
+    const { action, fileId = null, userId = null, reason = null, reportsResolved = 0, moderator } = actionData;
+    const stmt = prepare(`
+      INSERT INTO moderation_actions (action, file_id, user_id, reason, reports_resolved, moderator)
+      VALUES (?, ?, ?, ?, ?, ?)
+    `);
+    return { id: stmt.run(action, fileId, userId, reason, reportsResolved, moderator).lastInsertRowid };
+  },
+
+  // Page through moderation decisions, newest first, optionally about one file or user.
+  // Returns { actions, total }.
+  queryModerationActions: ({ fileId = null, userId = null, limit, offset = 0 }) => {
+    const where = '(? IS NULL OR file_id = ?) AND (? IS NULL OR user_id = ?)';
+    const params = [fileId, fileId, userId, userId];
+    const { total } = prepare(`SELECT COUNT(*) AS total FROM moderation_actions WHERE ${where}`).get(...params);
+    const actions = prepare(`
+      SELECT * FROM moderation_actions WHERE ${where} ORDER BY id DESC LIMIT ? OFFSET ?
+    `).all(...params, limit, offset);
+    return { actions, total };
+  },
+
+  // Append an event to the audit log (rows are never changed or deleted)
+  addAuditEvent: (event) => {
+    const {
+      action, actorId = null, fileId = null, userId = null, outcome, statusCode = null, method, path,
+      ip = null, userAgent = null, details = null
+    } = event;
+    const stmt = prepare(`
+      INSERT INTO audit_events
+      (action, actor_id, target_file_id, target_user_id, outcome, status_code, method, path, ip, user_agent, details)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `);
+    const result = stmt.run(
+      action, actorId, fileId, userId, outcome, statusCode, method, path, ip, userAgent,
+      details ? JSON.stringify(details) : null
+    );
+    return { id: result.lastInsertRowid };
+  },
+
+  // Page through audit events matching filters (see auditEventConditions), newest first.
+  // Returns { events, total }.
+  queryAuditEvents: (filters, { limit, offset = 0 }) => {
+    const { where, params } = auditEventConditions(filters);
+    const { total } = prepare(`SELECT COUNT(*) AS total FROM audit_events WHERE ${where}`).get(...params);
+    const events = prepare(`
+      SELECT * FROM audit_events WHERE ${where} ORDER BY id DESC LIMIT ? OFFSET ?
+    `).all(...params, limit, offset);
+    return { events, total };
+  },
+
+  // Get the next audit events matching filters after an event ID, oldest first (for exports,
+  // which read the log in batches)
+  getAuditEventsAfter: (filters, afterId, limit) => {
+    const { where, params } = auditEventConditions(filters);
+    const stmt = prepare(`SELECT * FROM audit_events WHERE ${where} AND id > ? ORDER BY id LIMIT ?`);
+    return stmt.all(...params, afterId, limit);
+  },
+
+  // Get file statistics
+  getUserFileStats: (userId) => {
+    const stmt = prepare(`
+      SELECT 
+        COUNT(*) as total_files,
+        SUM(file_size) as total_size,
+        SUM(download_count) as total_downloads
+      FROM shared_files 
+      WHERE user_id = ?
+    `);
+    return stmt.get(userId);
+  }
+};
+
+// Driver errors become DatabaseErrors; anything else (a bug in a query helper) is left as is
+function toDatabaseError(operation, error) {
+  return error instanceof Database.SqliteError ? new DatabaseError(operation, error) : error;
+}
+
+const repository = {};
+Object.entries(queries).forEach(([name, query]) => {
+  repository[name] = async (...args) => {
+    try {
+      return query(...args);
+    } catch (error) {
+      throw toDatabaseError(name, error);
+    }
+  };
+});
+
+// Run fn(tx) in one transaction and resolve to its result; tx has the same queries as
+// this module, called synchronously (fn can't await anything)
+repository.transaction = async (fn) => {
+  try {
+    return db.transaction(fn)(queries);
+  } catch (error) {
+    throw toDatabaseError('transaction', error);
+  }
+};
+
+// Close the connection (on shutdown, or at the end of a script); further queries fail
+repository.close = async () => {
+  if (db.open) {
+    db.close();
   }
 };
 
-// Attach helpers to db object
-Object.assign(db, dbHelpers);
+repository.DatabaseError = DatabaseError;
 
-module.exports = db;
\ No newline at end of file
+module.exports = repository;
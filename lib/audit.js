@@ -0,0 +1,139 @@
+const { Readable } = require('stream');
+const db = require('../database');
+const { fromDbTimestamp } = require('./fileUtils');
+
+// Audit log of the mutating file and profile endpoints. audit(action) goes first in a
+// route's middleware, so requests turned away by authentication are recorded too; once the
+// response has been sent (or the client went away) it appends one audit_events row with
+// the actor, action, target file/user, IP, user agent and outcome. The target defaults to
+// req.params.fileId and req.params.userId (or the body's userId); handlers can set
+// res.locals.audit = { action, fileId, userId, details } once they know more, e.g. the ID of
+// a new file, or that a resumable upload's last chunk made it a file.upload. details hold
+// IDs, names and sizes, never file contents or profile field values. Changes the server
+// makes on its own (the cleanup worker) are recorded with recordSystemEvent().
+const AUDIT_OUTCOMES = ['success', 'denied', 'rejected', 'error', 'aborted'];
+// actorId and method of events recorded by recordSystemEvent()
+const SYSTEM_ACTOR = 'system';
+const EXPORT_BATCH_SIZE = 500;
+const MAX_USER_AGENT_LENGTH = 512;
+const CSV_COLUMNS = [
+  'id', 'createdAt', 'action', 'actorId', 'fileId', 'userId', 'outcome', 'statusCode',
+  'method', 'path', 'ip', 'userAgent', 'details'
+];
+
+function outcomeOf(res) {
+  if (!res.writableFinished) return 'aborted';
+  if (res.statusCode < 400) return 'success';
+  if (res.statusCode === 401 || res.statusCode === 403) return 'denied';
+  return res.statusCode < 500 ? 'rejected' : 'error';
+}
+
+// Middleware recording the request as `action` in the audit log
+function audit(action) {
+  return (req, res, next) => {
+    // The route's params are gone by the time an error reaches the app's error handler
+    const { fileId, userId } = req.params;
+
+    res.once('close', () => {
+      const target = res.locals.audit || {};
+      // Multipart bodies are only parsed further down the route
+      const body = req.body || {};
+
+      db.addAuditEvent({
+        action: target.action || action,
+        actorId: req.user ? req.user.uid : null,
+        fileId: target.fileId || fileId || null,
+        userId: target.userId || userId || (typeof body.userId === 'string' ? body.userId : null),
+        outcome: outcomeOf(res),
+        statusCode: res.headersSent ? res.statusCode : null,
+        method: req.method,
+        path: req.originalUrl.split('?')[0],
+        ip: req.ip || null,
+        userAgent: (req.get('user-agent') || '').slice(0, MAX_USER_AGENT_LENGTH) || null,
+        details: target.details || null
+      }).catch(error => console.error(`Could not record audit event ${action}:`, error.message));
+    });
+    next();
+  };
+}
+
+// Record a change made by the server itself rather than a request; `source` (e.g. cleanup)
+// takes the place of the path
+async function recordSystemEvent(action, source, { fileId = null, userId = null, details = null } = {}) {
+  await db.addAuditEvent({
+    action,
+    actorId: SYSTEM_ACTOR,
+    fileId,
+    userId,
+    outcome: 'success',
+    method: 'SYSTEM',
+    path: source,
+    details
+  });
+}
+
+// Format an audit_events row for API responses and exports
+function formatAuditEvent(event) {
+  return {
+    id: event.id,
+    createdAt: fromDbTimestamp(event.created_at),
+    action: event.action,
+    actorId: event.actor_id,
+    fileId: event.target_file_id,
+    userId: event.target_user_id,
+    outcome: event.outcome,
+    statusCode: event.status_code,
+    method: event.method,
+    path: event.path,
+    ip: event.ip,
+    userAgent: event.user_agent,
+    details: event.details ? JSON.parse(event.details) : null
+  };
+}
+
+// Quote a CSV field when needed; fields that a spreadsheet would run as a formula get a
+// leading apostrophe
+function csvField(value) {
+  if (value === null || value === undefined) return '';
+  let text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+  if (/^[=+\-@\t\r]/.test(text)) {
+    text = `'${text}`;
+  }
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+async function* exportLines(filters, format) {
+  if (format === 'csv') {
+    yield `${CSV_COLUMNS.join(',')}\r\n`;
+  }
+
+  let afterId = 0;
+  for (;;) {
+    const events = await db.getAuditEventsAfter(filters, afterId, EXPORT_BATCH_SIZE);
+    if (events.length === 0) return;
+
+    let lines = '';
+    for (const event of events.map(formatAuditEvent)) {
+      lines += format === 'csv'
+        ? `${CSV_COLUMNS.map(column => csvField(event[column])).join(',')}\r\n`
+        : `${JSON.stringify(event)}\n`;
+    }
+    yield lines;
+    afterId = events[events.length - 1].id;
+  }
+}
+
+// A readable stream of every audit event matching filters, oldest first, as CSV or NDJSON.
+// The log is read in batches as the stream is consumed.
+function exportAuditEvents(filters, format) {
+  return Readable.from(exportLines(filters, format), { objectMode: false });
+}
+
+module.exports = {
+  AUDIT_OUTCOMES,
+  SYSTEM_ACTOR,
+  audit,
+  recordSystemEvent,
+  formatAuditEvent,
+  exportAuditEvents
+};
@@ -0,0 +1,97 @@
+const fs = require('fs-extra');
+const db = require('../database');
+const { getStorage, defaultStorageBackend } = require('./storage');
+
+// Content-addressed storage for shared files. Each distinct content is stored once as
+// uploads/shared/<sha256> and shared_files rows reference it through blob_hash; the
+// blobs table keeps the reference count and the storage backend holding it. Storage and
+// DB changes for one hash are serialized so a concurrent upload can't re-reference a
+// blob that a delete is about to remove.
+const BLOB_DIR = 'uploads/shared';
+
+const locks = new Map();
+
+// Run fn while holding the in-process lock for a hash
+async function withBlobLock(hash, fn) {
+  const previous = locks.get(hash) || Promise.resolve();
+  let release;
+  const current = new Promise(resolve => { release = resolve; });
+  const chained = previous.then(() => current);
+  locks.set(hash, chained);
+
+  await previous;
+  try {
+    return await fn();
+  } finally {
+    release();
+    if (locks.get(hash) === chained) {
+      locks.delete(hash);
+    }
+  }
+}
+
+function blobPathFor(hash) {
+  return `${BLOB_DIR}/${hash}`;
+}
+
+// Store a streamed temp upload ({ path, sha256 }) as a blob, then call
+// register(blobPath, storageBackend) to create the DB row(s) referencing it. Content that
+// is already stored is reused where it is; new content goes to the default backend.
+async function storeBlob(tempFile, register) {
+  const hash = tempFile.sha256;
+
+  return withBlobLock(hash, async () => {
+    const existing = await db.getBlob(hash);
+    const backend = existing ? existing.storage_backend : defaultStorageBackend();
+    const blobPath = existing ? existing.file_path : blobPathFor(hash);
+    const storage = getStorage(backend);
+
+    if (await storage.exists(blobPath)) {
+      await fs.remove(tempFile.path);
+    } else {
+      await storage.put(blobPath, tempFile.path);
+    }
+
+    try {
+      return await register(blobPath, backend);
+    } catch (error) {
+      // Don't leave an unreferenced blob behind
+      if (!(await db.getBlob(hash))) {
+        await storage.delete(blobPath);
+      }
+      throw error;
+    }
+  });
+}
+
+// Delete a shared file row and, if it held the last reference, its blob and preview
+async function deleteSharedFile(file) {
+  if (!file.blob_hash) {
+    // Stored before deduplication: the row owns its file
+    const result = await db.deleteSharedFile(file.file_id, file.user_id);
+    const storage = getStorage(file.storage_backend);
+    await storage.delete(file.file_path);
+    if (file.preview_path) {
+      await storage.delete(file.preview_path);
+    }
+    return result;
+  }
+
+  return withBlobLock(file.blob_hash, async () => {
+    const previewPaths = await db.getBlobPreviewPaths(file.blob_hash);
+    const result = await db.deleteSharedFile(file.file_id, file.user_id);
+    if (result.releasedBlob) {
+      const storage = getStorage(result.releasedBlob.storage_backend);
+      await storage.delete(result.releasedBlob.file_path);
+      await Promise.all(previewPaths.map(previewPath => storage.delete(previewPath)));
+    }
+    return result;
+  });
+}
+
+module.exports = {
+  withBlobLock,
+  blobPathFor,
+  storeBlob,
+  deleteSharedFile
+};
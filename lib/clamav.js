@@ -0,0 +1,104 @@
+const net = require('net');
+
+// Minimal clamd client speaking the INSTREAM command over a TCP or Unix socket:
+// the file is sent as <uint32 length><data> chunks terminated by a zero-length chunk,
+// and clamd answers "stream: OK", "stream: <signature> FOUND" or "<message> ERROR".
+const DEFAULT_PORT = 3310;
+const DEFAULT_TIMEOUT = 60 * 1000;
+const CHUNK_SIZE = 64 * 1024;
+
+function clamavOptionsFromEnv() {
+  return {
+    socketPath: process.env.CLAMD_SOCKET || null,
+    host: process.env.CLAMD_HOST || '127.0.0.1',
+    port: parseInt(process.env.CLAMD_PORT) || DEFAULT_PORT,
+    timeout: parseInt(process.env.CLAMD_TIMEOUT) || DEFAULT_TIMEOUT
+  };
+}
+
+// Write a stream chunk as <uint32 length><data> frames of at most CHUNK_SIZE bytes
+function writeChunk(socket, data) {
+  let flushed = true;
+  for (let offset = 0; offset < data.length; offset += CHUNK_SIZE) {
+    const part = data.subarray(offset, offset + CHUNK_SIZE);
+    const length = Buffer.alloc(4);
+    length.writeUInt32BE(part.length);
+    flushed = socket.write(Buffer.concat([length, part]));
+  }
+  return flushed;
+}
+
+function parseReply(reply) {
+  const text = reply.replace(/\0/g, '').trim();
+
+  if (/^stream: OK$/.test(text)) {
+    return { status: 'clean', signature: null };
+  }
+
+  const found = text.match(/^stream: (.+) FOUND$/);
+  if (found) {
+    return { status: 'infected', signature: found[1] };
+  }
+
+  throw new Error(`clamd: ${text || 'empty reply'}`);
+}
+
+// Send a readable stream to clamd; resolves to { status: 'clean' | 'infected', signature }
+function scanStream(stream, options) {
+  return new Promise((resolve, reject) => {
+    const socket = options.socketPath
+      ? net.createConnection(options.socketPath)
+      : net.createConnection(options.port, options.host);
+    const chunks = [];
+    let settled = false;
+
+    const finish = (error, result) => {
+      if (settled) return;
+      settled = true;
+      socket.destroy();
+      error ? reject(error) : resolve(result);
+    };
+
+    socket.setTimeout(options.timeout, () => finish(new Error('clamd: timed out')));
+    socket.on('error', (error) => finish(error));
+    socket.on('data', (chunk) => chunks.push(chunk));
+    socket.on('end', () => {
+      try {
+        finish(null, parseReply(Buffer.concat(chunks).toString('utf8')));
+      } catch (error) {
+        finish(error);
+      }
+    });
+
+    socket.on('connect', async () => {
+      try {
+        socket.write('zINSTREAM\0');
+        for await (const data of stream) {
+          // clamd replies (and closes) early when the stream exceeds StreamMaxLength
+          if (settled || socket.destroyed) return;
+          if (!writeChunk(socket, data)) {
+            await new Promise(resume => {
+              socket.once('drain', resume);
+              socket.once('close', resume);
+            });
+          }
+        }
+        socket.end(Buffer.alloc(4));
+      } catch (error) {
+        finish(error);
+      }
+    });
+  });
+}
+
+function createClamavScanner(options = clamavOptionsFromEnv()) {
+  return {
+    name: 'clamav',
+    scan: (stream) => scanStream(stream, options)
+  };
+}
+
+module.exports = {
+  createClamavScanner,
+  parseReply
+};
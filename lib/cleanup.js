@@ -0,0 +1,172 @@
+const path = require('path');
+const fs = require('fs-extra');
+const db = require('../database');
+const { deleteSharedFile } = require('./blobStore');
+const { recordSystemEvent } = require('./audit');
+const { retentionRulesFromEnv, retentionCutoffs } = require('./retention');
+const { formatFileSize, toDbTimestamp } = require('./fileUtils');
+
+// Background cleanup, run every CLEANUP_INTERVAL_MINUTES (default 60; 0 disables it):
+// deletes files past their expires_at or removed by the retention rules (with their blobs
+// and previews once unreferenced), expires resumable uploads idle for longer than
+// TEMP_FILE_MAX_AGE_HOURS, and removes leftovers of that age from uploads/temp.
+// Each deleted file is recorded in the audit log as a file.delete by the system actor, with
+// reason expired or retention (and the retention rule). Each run logs a summary.
+const TEMP_DIR = path.join(__dirname, '../uploads/temp');
+const DEFAULT_INTERVAL_MINUTES = 60;
+const DEFAULT_TEMP_MAX_AGE_HOURS = 24;
+// Files deleted per rule per run, so one run can't hold up the server for long
+const BATCH_SIZE = 500;
+
+function tempMaxAge() {
+  return (parseInt(process.env.TEMP_FILE_MAX_AGE_HOURS) || DEFAULT_TEMP_MAX_AGE_HOURS) * 60 * 60 * 1000;
+}
+
+// Delete files selected by each rule; a file matching several rules is counted once
+async function removeFiles(rules, summary) {
+  const seen = new Set();
+
+  for (const { reason, files } of rules) {
+    for (const file of files) {
+      if (seen.has(file.file_id)) continue;
+      seen.add(file.file_id);
+
+      try {
+        const { changes } = await deleteSharedFile(file);
+        if (changes > 0) {
+          summary.files[reason] = (summary.files[reason] || 0) + 1;
+          summary.bytes += file.file_size;
+          await recordSystemEvent('file.delete', 'cleanup', {
+            fileId: file.file_id,
+            userId: file.user_id,
+            details: {
+              ...(reason === 'expired' ? { reason } : { reason: 'retention', rule: reason }),
+              originalName: file.original_name,
+              fileSize: file.file_size
+            }
+          }).catch(error => console.error(`Could not record the deletion of ${file.file_id}:`, error.message));
+        }
+      } catch (error) {
+        console.error(`Cleanup could not delete ${file.file_id}:`, error.message);
+        summary.errors++;
+      }
+    }
+  }
+}
+
+// Mark resumable uploads that stopped receiving data as failed and drop their data
+async function expireStaleUploads(cutoff, summary) {
+  for (const session of await db.getActiveUploadSessions(cutoff)) {
+    try {
+      await fs.remove(path.join(__dirname, '..', session.temp_path));
+      await db.updateUploadSession(session.upload_id, { status: 'failed', error: 'Upload expired' });
+      summary.uploads++;
+    } catch (error) {
+      console.error(`Cleanup could not expire upload ${session.upload_id}:`, error.message);
+      summary.errors++;
+    }
+  }
+}
+
+// Remove old entries from uploads/temp that no active upload owns (interrupted uploads, crashed migrations)
+async function sweepTempDir(maxAge, summary) {
+  const owned = new Set((await db.getActiveUploadSessions()).map(session => path.basename(session.temp_path)));
+  const entries = await fs.readdir(TEMP_DIR).catch(() => []);
+
+  for (const entry of entries) {
+    if (entry === '.gitkeep' || owned.has(entry)) continue;
+
+    const entryPath = path.join(TEMP_DIR, entry);
+    try {
+      const stats = await fs.stat(entryPath);
+      if (Date.now() - stats.mtimeMs > maxAge) {
+        await fs.remove(entryPath);
+        summary.tempFiles++;
+      }
+    } catch (error) {
+      // Finished or removed while we looked
+      if (error.code !== 'ENOENT') {
+        console.error(`Cleanup could not remove ${entryPath}:`, error.message);
+        summary.errors++;
+      }
+    }
+  }
+}
+
+// Run one cleanup pass; resolves to a summary of what was removed
+async function runCleanup() {
+  const started = Date.now();
+  const now = new Date();
+  const summary = { files: {}, bytes: 0, uploads: 0, tempFiles: 0, errors: 0 };
+
+  const cutoffs = retentionCutoffs(retentionRulesFromEnv(), now);
+  const rules = [{ reason: 'expired', files: await db.getExpiredSharedFiles(toDbTimestamp(now), BATCH_SIZE) }];
+  if (cutoffs.unaccessedBefore) {
+    rules.push({ reason: 'unaccessed', files: await db.getSharedFilesNotAccessedSince(cutoffs.unaccessedBefore, BATCH_SIZE) });
+  }
+  for (const { category, createdBefore } of cutoffs.categories) {
+    rules.push({ reason: category, files: await db.getSharedFilesCreatedBefore(category, createdBefore, BATCH_SIZE) });
+  }
+
+  await removeFiles(rules, summary);
+
+  const maxAge = tempMaxAge();
+  await expireStaleUploads(toDbTimestamp(new Date(now.getTime() - maxAge)), summary);
+  await sweepTempDir(maxAge, summary);
+
+  summary.durationMs = Date.now() - started;
+  return summary;
+}
+
+function describeSummary(summary) {
+  const reasons = Object.entries(summary.files).map(([reason, count]) => `${count} ${reason}`);
+  const fileCount = Object.values(summary.files).reduce((sum, count) => sum + count, 0);
+  return `removed ${fileCount} file(s)${reasons.length ? ` (${reasons.join(', ')})` : ''}, ` +
+    `freeing up to ${formatFileSize(summary.bytes)}; expired ${summary.uploads} stale upload(s); ` +
+    `removed ${summary.tempFiles} temp file(s); ${summary.errors} error(s) in ${summary.durationMs}ms`;
+}
+
+// Run now and then on an interval; returns a function that stops the worker
+function startCleanupWorker() {
+  const minutes = process.env.CLEANUP_INTERVAL_MINUTES === undefined
+    ? DEFAULT_INTERVAL_MINUTES
+    : parseInt(process.env.CLEANUP_INTERVAL_MINUTES);
+  if (!minutes || minutes < 0) {
+    console.log('🧹 Cleanup worker disabled (CLEANUP_INTERVAL_MINUTES=0)');
+    return () => {};
+  }
+
+  // Validate the rules now rather than on the first run
+  try {
+    retentionRulesFromEnv();
+  } catch (error) {
+    console.error(`🧹 Cleanup worker not started: ${error.message}`);
+    return () => {};
+  }
+
+  let running = false;
+  const run = async () => {
+    // A slow run isn't overlapped by the next one
+    if (running) return;
+    running = true;
+    try {
+      console.log(`🧹 Cleanup: ${describeSummary(await runCleanup())}`);
+    } catch (error) {
+      console.error('Cleanup run failed:', error);
+    } finally {
+      running = false;
+    }
+  };
+
+  const timer = setInterval(run, minutes * 60 * 1000);
+  // Don't keep the process alive just for cleanup
+  timer.unref();
+  run();
+
+  return () => clearInterval(timer);
+}
+
+module.exports = {
+  runCleanup,
+  startCleanupWorker
+};
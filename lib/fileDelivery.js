@@ -0,0 +1,131 @@
+const { pipeline } = require('stream');
+const { promisify } = require('util');
+const { getStorage } = require('./storage');
+
+// Sending stored file content from any storage driver, with Range requests (206/416),
+// If-None-Match / If-Modified-Since (304), If-Match / If-Unmodified-Since (412) and
+// If-Range. The ETag of a shared file is its content's SHA-256, so it stays stable
+// across deduplicated copies and storage migrations.
+const pipelineAsync = promisify(pipeline);
+
+function fileETag(file, stats) {
+  if (file.checksum) {
+    return `"${file.checksum}"`;
+  }
+  // Files stored before checksums existed
+  return `W/"${stats.size.toString(16)}-${stats.modified.getTime().toString(16)}"`;
+}
+
+// Content-Disposition with an ASCII fallback and the UTF-8 name (RFC 6266)
+function contentDisposition(type, fileName) {
+  const fallback = fileName.replace(/[^\x20-\x7e]/g, '_').replace(/["\\]/g, '_');
+  const encoded = encodeURIComponent(fileName).replace(/['()*]/g, c => `%${c.charCodeAt(0).toString(16).toUpperCase()}`);
+  return `${type}; filename="${fallback}"; filename*=UTF-8''${encoded}`;
+}
+
+function parseHttpDate(value) {
+  const time = value ? Date.parse(value) : NaN;
+  // HTTP dates have second precision
+  return isNaN(time) ? NaN : Math.floor(time / 1000);
+}
+
+function isPreconditionFailure(req, etag, modified) {
+  const ifMatch = req.headers['if-match'];
+  if (ifMatch) {
+    return ifMatch.trim() !== '*' && !ifMatch.split(',').map(tag => tag.trim()).includes(etag);
+  }
+
+  const unmodifiedSince = parseHttpDate(req.headers['if-unmodified-since']);
+  return !isNaN(unmodifiedSince) && parseHttpDate(modified.toUTCString()) > unmodifiedSince;
+}
+
+// A Range is only honoured if the content still matches If-Range
+function isRangeFresh(req, etag, modified) {
+  const ifRange = req.headers['if-range'];
+  if (!ifRange) return true;
+
+  if (ifRange.includes('"')) {
+    return ifRange.trim() === etag;
+  }
+  return parseHttpDate(modified.toUTCString()) <= parseHttpDate(ifRange);
+}
+
+// Send a stored file's content. `file` needs file_path and storage_backend, plus mime_type,
+// original_name and checksum where available. Resolves to true when the whole file was
+// delivered, and false for 304s, partial ranges, HEAD requests and aborted transfers.
+async function sendStoredFile(req, res, file, { disposition = 'attachment', cacheControl = 'private, no-cache' } = {}) {
+  const storage = getStorage(file.storage_backend);
+  const stats = await storage.stat(file.file_path);
+  if (!stats) {
+    res.status(404).json({ error: 'File not found on disk' });
+    return false;
+  }
+
+  const etag = fileETag(file, stats);
+  res.setHeader('Content-Type', file.mime_type);
+  if (disposition) {
+    res.setHeader('Content-Disposition', contentDisposition(disposition, file.original_name));
+  }
+  res.setHeader('ETag', etag);
+  res.setHeader('Last-Modified', stats.modified.toUTCString());
+  res.setHeader('Accept-Ranges', 'bytes');
+  // Access usually depends on the caller, so by default only the client may cache, and must revalidate
+  res.setHeader('Cache-Control', cacheControl);
+
+  if (isPreconditionFailure(req, etag, stats.modified)) {
+    res.status(412).end();
+    return false;
+  }
+
+  // Uses the ETag / Last-Modified set above
+  if (req.fresh) {
+    res.status(304).end();
+    return false;
+  }
+
+  let start = 0;
+  let end = stats.size - 1;
+  if (req.headers.range && stats.size > 0 && isRangeFresh(req, etag, stats.modified)) {
+    const ranges = req.range(stats.size, { combine: true });
+
+    if (ranges === -1) {
+      res.setHeader('Content-Range', `bytes */${stats.size}`);
+      res.status(416).end();
+      return false;
+    }
+
+    // Malformed or multiple ranges get the whole file
+    if (Array.isArray(ranges) && ranges.type === 'bytes' && ranges.length === 1) {
+      ({ start, end } = ranges[0]);
+      res.status(206);
+      res.setHeader('Content-Range', `bytes ${start}-${end}/${stats.size}`);
+    }
+  }
+
+  res.setHeader('Content-Length', Math.max(end - start + 1, 0));
+  const wholeFile = start === 0 && end === stats.size - 1;
+
+  if (req.method === 'HEAD') {
+    res.end();
+    return false;
+  }
+
+  if (stats.size === 0) {
+    res.end();
+    return true;
+  }
+
+  const stream = await storage.getStream(file.file_path, { start, end });
+  try {
+    await pipelineAsync(stream, res);
+  } catch (error) {
+    // The client went away mid-transfer
+    return false;
+  }
+  return wholeFile;
+}
+
+module.exports = {
+  contentDisposition,
+  sendStoredFile
+};
@@ -0,0 +1,146 @@
+const { CATEGORIES, toDbTimestamp } = require('./fileUtils');
+
+// Query parameters of the file listing and search endpoints: filters, sort order and
+// cursor pagination. Cursors are opaque to clients; they hold the sort key and row ID of
+// the last item returned and are only valid for the sort order they were issued with.
+const SORT_FIELDS = ['name', 'size', 'date', 'downloads'];
+const DEFAULT_LIMIT = 50;
+const MAX_LIMIT = 100;
+
+// Newest first, except names, which read best A-Z
+const DEFAULT_ORDER = { name: 'asc', size: 'desc', date: 'desc', downloads: 'desc', relevance: 'asc' };
+
+function encodeCursor(sort, order, row) {
+  return Buffer.from(JSON.stringify({ s: sort, o: order, v: row.sort_value, id: row.id })).toString('base64url');
+}
+
+function decodeCursor(value, sort, order) {
+  try {
+    const cursor = JSON.parse(Buffer.from(value, 'base64url').toString('utf8'));
+    if (cursor.s !== sort || cursor.o !== order || !Number.isInteger(cursor.id)) return null;
+    return { value: cursor.v, id: cursor.id };
+  } catch (error) {
+    return null;
+  }
+}
+
+// Database timestamp ('YYYY-MM-DD HH:MM:SS', UTC) of an ISO date; a bare end date covers the whole day
+function parseDateBound(value, endOfDay) {
+  const dateOnly = /^\d{4}-\d{2}-\d{2}$/.test(value);
+  const time = Date.parse(dateOnly ? `${value}T00:00:00Z` : value);
+  if (isNaN(time)) return null;
+
+  const bound = new Date(dateOnly && endOfDay ? time + 24 * 60 * 60 * 1000 - 1000 : time);
+  return toDbTimestamp(bound);
+}
+
+function parseSize(value) {
+  if (value === undefined || value === '') return undefined;
+  const size = Number(value);
+  return Number.isInteger(size) && size >= 0 ? size : null;
+}
+
+// Full-text match expression for free text: every word must match, as a prefix
+function buildMatchExpression(term) {
+  const words = term.match(/[\p{L}\p{N}]+/gu) || [];
+  return words.map(word => `"${word}"*`).join(' ');
+}
+
+// Parse listing/search query parameters. Returns { error } or the options for db.queryFiles.
+function parseFileQuery(query, { search = false } = {}) {
+  const options = {};
+
+  if (search) {
+    const term = String(query.q || '').trim();
+    if (!term) {
+      return { error: 'Search term is required' };
+    }
+    options.match = buildMatchExpression(term);
+    if (!options.match) {
+      return { error: 'Search term must contain letters or digits' };
+    }
+  }
+
+  const categories = query.category ? String(query.category).split(',').map(c => c.trim()).filter(Boolean) : [];
+  const unknown = categories.find(category => !CATEGORIES.includes(category));
+  if (unknown) {
+    return { error: `category must be one of: ${CATEGORIES.join(', ')}` };
+  }
+  options.categories = categories;
+
+  if (query.mimeType) {
+    const mimeType = String(query.mimeType).toLowerCase();
+    if (!/^[a-z0-9.+-]+\/([a-z0-9.+-]+|\*)$/.test(mimeType)) {
+      return { error: 'mimeType must look like type/subtype or type/*' };
+    }
+    options.mimeType = mimeType;
+  }
+
+  options.minSize = parseSize(query.minSize);
+  options.maxSize = parseSize(query.maxSize);
+  if (options.minSize === null || options.maxSize === null) {
+    return { error: 'minSize and maxSize must be byte counts' };
+  }
+
+  if (query.from) {
+    options.from = parseDateBound(String(query.from), false);
+    if (!options.from) return { error: 'from must be an ISO 8601 date' };
+  }
+  if (query.to) {
+    options.to = parseDateBound(String(query.to), true);
+    if (!options.to) return { error: 'to must be an ISO 8601 date' };
+  }
+
+  const sortFields = search ? ['relevance', ...SORT_FIELDS] : SORT_FIELDS;
+  options.sort = query.sort || (search ? 'relevance' : 'date');
+  if (!sortFields.includes(options.sort)) {
+    return { error: `sort must be one of: ${sortFields.join(', ')}` };
+  }
+
+  // Relevance is always best match first
+  options.order = options.sort === 'relevance' ? 'asc' : (query.order || DEFAULT_ORDER[options.sort]);
+  if (!['asc', 'desc'].includes(options.order)) {
+    return { error: 'order must be asc or desc' };
+  }
+
+  const limit = query.limit === undefined ? DEFAULT_LIMIT : parseInt(query.limit);
+  if (!Number.isInteger(limit) || limit < 1) {
+    return { error: 'limit must be a positive integer' };
+  }
+  options.limit = Math.min(limit, MAX_LIMIT);
+
+  if (query.cursor) {
+    options.cursor = decodeCursor(String(query.cursor), options.sort, options.order);
+    if (!options.cursor) {
+      return { error: 'Invalid cursor (cursors only work with the sort order they came from)' };
+    }
+  } else if (query.page !== undefined) {
+    // Page numbers are still accepted, but cursors stay consistent while files are added
+    const page = parseInt(query.page);
+    if (!Number.isInteger(page) || page < 1) {
+      return { error: 'page must be a positive integer' };
+    }
+    options.offset = (page - 1) * options.limit;
+  }
+
+  return options;
+}
+
+// Pagination block for a page of results from db.queryFiles
+function formatPagination(options, result) {
+  const last = result.files[result.files.length - 1];
+  return {
+    limit: options.limit,
+    total: result.total,
+    hasMore: result.hasMore,
+    nextCursor: result.hasMore && last ? encodeCursor(options.sort, options.order, last) : null,
+    sort: options.sort,
+    order: options.order
+  };
+}
+
+module.exports = {
+  parseDateBound,
+  parseFileQuery,
+  formatPagination
+};
@@ -0,0 +1,261 @@
+const fs = require('fs-extra');
+const { getFileCategory } = require('./fileUtils');
+
+// Content sniffing by magic numbers. The client's declared MIME type is only a hint:
+// uploads are identified from their first bytes, must match what was declared, and
+// must be allowed by the route's policy. The stored MIME type, category and
+// extension always come from the detected type.
+const SNIFF_BYTES = 4100;
+
+// Allowlist policies shared by every upload route
+const UPLOAD_POLICIES = {
+  shared: [
+    'image/jpeg', 'image/png', 'image/gif', 'image/webp', 'image/bmp', 'image/tiff', 'image/heic', 'image/avif',
+    'video/mp4', 'video/quicktime', 'video/3gpp', 'video/webm', 'video/x-matroska', 'video/x-msvideo', 'video/ogg',
+    'audio/mpeg', 'audio/mp4', 'audio/wav', 'audio/ogg', 'audio/flac', 'audio/aac', 'audio/webm',
+    'application/pdf', 'application/zip', 'application/msword',
+    'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+    'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+    'application/vnd.openxmlformats-officedocument.presentationml.presentation',
+    'text/plain', 'text/csv', 'text/markdown'
+  ],
+  // Formats the profile picture pipeline can decode
+  profile: ['image/jpeg', 'image/png', 'image/gif', 'image/bmp', 'image/tiff']
+};
+
+const EXTENSIONS = {
+  'image/jpeg': '.jpg',
+  'image/png': '.png',
+  'image/gif': '.gif',
+  'image/webp': '.webp',
+  'image/bmp': '.bmp',
+  'image/tiff': '.tif',
+  'image/heic': '.heic',
+  'image/avif': '.avif',
+  'video/mp4': '.mp4',
+  'video/quicktime': '.mov',
+  'video/3gpp': '.3gp',
+  'video/webm': '.webm',
+  'video/x-matroska': '.mkv',
+  'video/x-msvideo': '.avi',
+  'video/ogg': '.ogv',
+  'audio/mpeg': '.mp3',
+  'audio/mp4': '.m4a',
+  'audio/wav': '.wav',
+  'audio/ogg': '.ogg',
+  'audio/flac': '.flac',
+  'audio/aac': '.aac',
+  'audio/webm': '.weba',
+  'application/pdf': '.pdf',
+  'application/zip': '.zip',
+  'application/msword': '.doc',
+  'application/vnd.openxmlformats-officedocument.wordprocessingml.document': '.docx',
+  'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet': '.xlsx',
+  'application/vnd.openxmlformats-officedocument.presentationml.presentation': '.pptx',
+  'text/plain': '.txt',
+  'text/csv': '.csv',
+  'text/markdown': '.md'
+};
+
+// Common non-canonical names clients send
+const MIME_ALIASES = {
+  'image/jpg': 'image/jpeg',
+  'image/pjpeg': 'image/jpeg',
+  'image/x-png': 'image/png',
+  'image/x-ms-bmp': 'image/bmp',
+  'image/heif': 'image/heic',
+  'audio/mp3': 'audio/mpeg',
+  'audio/x-mp3': 'audio/mpeg',
+  'audio/x-wav': 'audio/wav',
+  'audio/wave': 'audio/wav',
+  'audio/vnd.wave': 'audio/wav',
+  'audio/x-flac': 'audio/flac',
+  'audio/x-m4a': 'audio/mp4',
+  'audio/m4a': 'audio/mp4',
+  'audio/x-aac': 'audio/aac',
+  'video/x-m4v': 'video/mp4',
+  'video/avi': 'video/x-msvideo',
+  'application/x-zip-compressed': 'application/zip',
+  'application/x-pdf': 'application/pdf',
+  'text/x-markdown': 'text/markdown'
+};
+
+// Types that share a container format and can't be told apart by their header;
+// within a family the declared type is trusted
+const CONTAINER_FAMILIES = [
+  ['video/mp4', 'audio/mp4', 'video/quicktime', 'video/3gpp'],
+  ['video/webm', 'audio/webm', 'video/x-matroska'],
+  ['audio/ogg', 'video/ogg'],
+  ['text/plain', 'text/csv', 'text/markdown'],
+  ['application/zip',
+    'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+    'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+    'application/vnd.openxmlformats-officedocument.presentationml.presentation']
+];
+
+// Declared types that make no claim about the content
+const GENERIC_TYPES = ['', 'application/octet-stream', 'binary/octet-stream'];
+
+class FileTypeError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'FileTypeError';
+    this.code = 'INVALID_FILE_TYPE';
+  }
+}
+
+function normalizeMimeType(mimeType) {
+  const base = (mimeType || '').split(';')[0].trim().toLowerCase();
+  return MIME_ALIASES[base] || base;
+}
+
+function startsWith(buffer, bytes, offset = 0) {
+  if (buffer.length < offset + bytes.length) return false;
+  return bytes.every((byte, i) => buffer[offset + i] === byte);
+}
+
+function ascii(buffer, start, end) {
+  return buffer.length >= end ? buffer.toString('latin1', start, end) : '';
+}
+
+// ISO base media (MP4/MOV/HEIC/...) brand from the ftyp box
+function detectIsoMedia(buffer) {
+  if (ascii(buffer, 4, 8) !== 'ftyp') return null;
+
+  const brand = ascii(buffer, 8, 12);
+  if (['heic', 'heix', 'heim', 'heis', 'hevc', 'hevx', 'mif1', 'msf1'].includes(brand)) return 'image/heic';
+  if (brand === 'avif' || brand === 'avis') return 'image/avif';
+  if (brand === 'qt  ') return 'video/quicktime';
+  if (brand.startsWith('3g')) return 'video/3gpp';
+  if (brand === 'M4A ' || brand === 'M4B ') return 'audio/mp4';
+  return 'video/mp4';
+}
+
+function detectZip(buffer) {
+  const head = buffer.toString('latin1');
+  if (head.includes('word/')) return 'application/vnd.openxmlformats-officedocument.wordprocessingml.document';
+  if (head.includes('xl/')) return 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet';
+  if (head.includes('ppt/')) return 'application/vnd.openxmlformats-officedocument.presentationml.presentation';
+  return 'application/zip';
+}
+
+// Text is valid UTF-8 without NUL bytes; markup that a browser would render is flagged
+function detectText(buffer) {
+  if (buffer.includes(0)) return null;
+
+  // The sample may end in the middle of a multi-byte character
+  let text = null;
+  for (let trim = 0; trim <= 3 && text === null; trim++) {
+    try {
+      text = new TextDecoder('utf-8', { fatal: true }).decode(buffer.subarray(0, buffer.length - trim));
+    } catch (error) {
+      if (buffer.length < SNIFF_BYTES) break;
+    }
+  }
+  if (text === null) return null;
+
+  const start = text.replace(/^\uFEFF/, '').trimStart().slice(0, 512).toLowerCase();
+  if (/^<(!doctype html|html|head|body|script|iframe|!--)/.test(start) || /<script[\s>]/.test(text.toLowerCase())) {
+    return 'text/html';
+  }
+  if (/^(<\?xml[^>]*>\s*)?(<!doctype svg[^>]*>\s*)?<svg[\s>]/.test(start)) {
+    return 'image/svg+xml';
+  }
+  return 'text/plain';
+}
+
+// Identify content from its first bytes; returns a MIME type or null
+function detectMimeType(buffer) {
+  if (startsWith(buffer, [0xFF, 0xD8, 0xFF])) return 'image/jpeg';
+  if (startsWith(buffer, [0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A])) return 'image/png';
+  if (ascii(buffer, 0, 6) === 'GIF87a' || ascii(buffer, 0, 6) === 'GIF89a') return 'image/gif';
+  if (ascii(buffer, 0, 4) === 'RIFF') {
+    const format = ascii(buffer, 8, 12);
+    if (format === 'WEBP') return 'image/webp';
+    if (format === 'WAVE') return 'audio/wav';
+    if (format === 'AVI ') return 'video/x-msvideo';
+  }
+  if (ascii(buffer, 0, 2) === 'BM' && buffer.length >= 14 && buffer.readUInt32LE(6) === 0) return 'image/bmp';
+  if (startsWith(buffer, [0x49, 0x49, 0x2A, 0x00]) || startsWith(buffer, [0x4D, 0x4D, 0x00, 0x2A])) return 'image/tiff';
+
+  const isoMedia = detectIsoMedia(buffer);
+  if (isoMedia) return isoMedia;
+
+  if (startsWith(buffer, [0x1A, 0x45, 0xDF, 0xA3])) {
+    return buffer.toString('latin1', 0, 64).includes('webm') ? 'video/webm' : 'video/x-matroska';
+  }
+  if (ascii(buffer, 0, 4) === 'OggS') {
+    return buffer.toString('latin1', 0, 128).includes('theora') ? 'video/ogg' : 'audio/ogg';
+  }
+  if (ascii(buffer, 0, 4) === 'fLaC') return 'audio/flac';
+  if (ascii(buffer, 0, 3) === 'ID3') return 'audio/mpeg';
+  if (buffer.length >= 2 && buffer[0] === 0xFF) {
+    // ADTS AAC (layer bits 00) vs MPEG audio frame sync
+    if ((buffer[1] & 0xF6) === 0xF0) return 'audio/aac';
+    if ((buffer[1] & 0xE0) === 0xE0 && (buffer[1] & 0x06) !== 0) return 'audio/mpeg';
+  }
+
+  if (ascii(buffer, 0, 5) === '%PDF-') return 'application/pdf';
+  if (startsWith(buffer, [0x50, 0x4B, 0x03, 0x04]) || startsWith(buffer, [0x50, 0x4B, 0x05, 0x06])) return detectZip(buffer);
+  if (startsWith(buffer, [0xD0, 0xCF, 0x11, 0xE0, 0xA1, 0xB1, 0x1A, 0xE1])) return 'application/msword';
+
+  return detectText(buffer);
+}
+
+async function readHead(filePath) {
+  const handle = await fs.promises.open(filePath, 'r');
+  try {
+    const buffer = Buffer.alloc(SNIFF_BYTES);
+    const { bytesRead } = await handle.read(buffer, 0, SNIFF_BYTES, 0);
+    return buffer.subarray(0, bytesRead);
+  } finally {
+    await handle.close();
+  }
+}
+
+function sameFamily(a, b) {
+  return CONTAINER_FAMILIES.some(family => family.includes(a) && family.includes(b));
+}
+
+// Quick check of the declared type, for multer's fileFilter (content is verified later)
+function isDeclaredTypeAllowed(policy, declaredType) {
+  const declared = normalizeMimeType(declaredType);
+  return GENERIC_TYPES.includes(declared) || UPLOAD_POLICIES[policy].includes(declared);
+}
+
+// Sniff an uploaded file and check it against the policy and the declared type.
+// Returns { mimeType, extension, category } or throws FileTypeError.
+async function verifyFileType(filePath, declaredType, policy) {
+  const detected = detectMimeType(await readHead(filePath));
+  const declared = normalizeMimeType(declaredType);
+
+  if (!detected) {
+    throw new FileTypeError('Unrecognized file type');
+  }
+
+  let mimeType = detected;
+  if (!GENERIC_TYPES.includes(declared) && declared !== detected) {
+    if (!sameFamily(declared, detected)) {
+      throw new FileTypeError(`File content (${detected}) does not match declared type (${declared})`);
+    }
+    mimeType = declared;
+  }
+
+  if (!UPLOAD_POLICIES[policy].includes(mimeType)) {
+    throw new FileTypeError(`File type not allowed (${mimeType})`);
+  }
+
+  return {
+    mimeType,
+    extension: EXTENSIONS[mimeType],
+    category: getFileCategory(mimeType)
+  };
+}
+
+module.exports = {
+  UPLOAD_POLICIES,
+  FileTypeError,
+  detectMimeType,
+  isDeclaredTypeAllowed,
+  verifyFileType
+};
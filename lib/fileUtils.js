@@ -0,0 +1,47 @@
+// Helpers shared by the file routes
+
+// Maximum size of a shared file upload
+const MAX_FILE_SIZE = parseInt(process.env.MAX_FILE_SIZE) || 50 * 1024 * 1024; // 50MB
+
+// Every category getFileCategory can return
+const CATEGORIES = ['image', 'video', 'audio', 'pdf', 'text', 'document', 'archive', 'other'];
+
+// Helper function to get file category
+function getFileCategory(mimeType) {
+  if (mimeType.startsWith('image/')) return 'image';
+  if (mimeType.startsWith('video/')) return 'video';
+  if (mimeType.startsWith('audio/')) return 'audio';
+  if (mimeType === 'application/pdf') return 'pdf';
+  if (mimeType.startsWith('text/')) return 'text';
+  if (mimeType.includes('word') || mimeType.includes('document') || mimeType.includes('officedocument')) return 'document';
+  if (mimeType.includes('zip')) return 'archive';
+  return 'other';
+}
+
+// Helper function to format file size
+function formatFileSize(bytes) {
+  if (bytes === 0) return '0 Bytes';
+  const k = 1024;
+  const sizes = ['Bytes', 'KB', 'MB', 'GB'];
+  const i = Math.floor(Math.log(bytes) / Math.log(k));
+  return parseFloat((bytes / Math.pow(k, i)).toFixed(2)) + ' ' + sizes[i];
+}
+
+// SQLite CURRENT_TIMESTAMP format ('YYYY-MM-DD HH:MM:SS', UTC), so stored times compare as strings
+function toDbTimestamp(date) {
+  return date.toISOString().replace('T', ' ').slice(0, 19);
+}
+
+// ISO 8601 form of a stored timestamp
+function fromDbTimestamp(timestamp) {
+  return timestamp ? `${timestamp.replace(' ', 'T')}Z` : null;
+}
+
+module.exports = {
+  MAX_FILE_SIZE,
+  CATEGORIES,
+  getFileCategory,
+  formatFileSize,
+  toDbTimestamp,
+  fromDbTimestamp
+};
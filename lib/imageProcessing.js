@@ -0,0 +1,262 @@
+const fs = require('fs-extra');
+const { Jimp } = require('jimp');
+const { getStorage } = require('./storage');
+
+// Profile picture normalization (pure JS, no native modules): apply EXIF orientation,
+// center-crop to a square, flatten transparency and re-encode as JPEG at fixed sizes.
+// Variants are stored side by side as <stem>_<size>.jpg; the largest is the default.
+// Profile banners go through the same steps, cropped to 3:1 and stored at one size.
+const PROFILE_PICTURE_SIZES = [64, 128, 512];
+const DEFAULT_PROFILE_PICTURE_SIZE = 512;
+const JPEG_QUALITY = 85;
+// Profile banners are cropped to 3:1 and scaled down to at most this size
+const BANNER_WIDTH = 1500;
+const BANNER_HEIGHT = 500;
+// Guard against decompression bombs (a small PNG can declare a huge canvas)
+const MAX_INPUT_PIXELS = 40 * 1000 * 1000;
+// Jimp decodes every page of a TIFF
+const MAX_TIFF_PAGES = 16;
+
+class ImageProcessingError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'ImageProcessingError';
+  }
+}
+
+// Width/height from the SOF segment of a JPEG
+function jpegDimensions(buffer) {
+  let offset = 2;
+  while (offset + 9 <= buffer.length) {
+    if (buffer[offset] !== 0xff) return null;
+    const marker = buffer[offset + 1];
+    if (marker === 0xff) {
+      offset++;
+      continue;
+    }
+    // SOF0-SOF15, except DHT, JPG and DAC which share the range
+    if (marker >= 0xc0 && marker <= 0xcf && ![0xc4, 0xc8, 0xcc].includes(marker)) {
+      return { width: buffer.readUInt16BE(offset + 7), height: buffer.readUInt16BE(offset + 5) };
+    }
+    offset += 2 + buffer.readUInt16BE(offset + 2);
+  }
+  return null;
+}
+
+// Pixels of all pages of a TIFF, following its chain of IFDs
+function tiffPixelCount(buffer) {
+  const littleEndian = buffer.toString('ascii', 0, 2) === 'II';
+  const uint16 = offset => (littleEndian ? buffer.readUInt16LE(offset) : buffer.readUInt16BE(offset));
+  const uint32 = offset => (littleEndian ? buffer.readUInt32LE(offset) : buffer.readUInt32BE(offset));
+
+  let pixels = 0;
+  let pages = 0;
+  for (let offset = uint32(4); offset !== 0;) {
+    if (++pages > MAX_TIFF_PAGES || offset + 2 > buffer.length) return null;
+    const count = uint16(offset);
+    const next = offset + 2 + count * 12;
+    if (next + 4 > buffer.length) return null;
+
+    const dimensions = {};
+    for (let entry = offset + 2; entry < next; entry += 12) {
+      const tag = uint16(entry);
+      if (tag === 256 || tag === 257) {
+        // SHORT (3) or LONG values
+        dimensions[tag] = uint16(entry + 2) === 3 ? uint16(entry + 8) : uint32(entry + 8);
+      }
+    }
+    if (!dimensions[256] || !dimensions[257]) return null;
+
+    pixels += dimensions[256] * dimensions[257];
+    offset = uint32(next);
+  }
+  return pixels;
+}
+
+// Pixels an image will decode to, read from its headers without decoding; null for formats
+// Jimp can't decode and for headers that can't be read
+function headerPixelCount(buffer) {
+  let dimensions = null;
+  if (buffer.length >= 24 && buffer.toString('ascii', 1, 4) === 'PNG') {
+    dimensions = { width: buffer.readUInt32BE(16), height: buffer.readUInt32BE(20) };
+  } else if (buffer.length >= 10 && buffer.toString('ascii', 0, 3) === 'GIF') {
+    dimensions = { width: buffer.readUInt16LE(6), height: buffer.readUInt16LE(8) };
+  } else if (buffer.length >= 4 && buffer[0] === 0xff && buffer[1] === 0xd8) {
+    dimensions = jpegDimensions(buffer);
+  } else if (buffer.length >= 26 && buffer.toString('ascii', 0, 2) === 'BM') {
+    // BITMAPCOREHEADER has 16-bit sizes; later headers 32-bit, negative heights are top-down
+    dimensions = buffer.readUInt32LE(14) === 12
+      ? { width: buffer.readUInt16LE(18), height: buffer.readUInt16LE(20) }
+      : { width: Math.abs(buffer.readInt32LE(18)), height: Math.abs(buffer.readInt32LE(22)) };
+  } else if (buffer.length >= 8 && ['II*\0', 'MM\0*'].includes(buffer.toString('binary', 0, 4))) {
+    return tiffPixelCount(buffer);
+  }
+  return dimensions && dimensions.width * dimensions.height;
+}
+
+async function decodeImage(input) {
+  const buffer = Buffer.isBuffer(input) ? input : await fs.readFile(input);
+
+  // Only decode images whose size is known up front
+  const pixels = headerPixelCount(buffer);
+  if (pixels === null) {
+    throw new ImageProcessingError('Unsupported or corrupt image');
+  }
+  if (pixels > MAX_INPUT_PIXELS) {
+    throw new ImageProcessingError('Image dimensions are too large');
+  }
+
+  try {
+    // Jimp applies the EXIF orientation while decoding
+    return await Jimp.fromBuffer(buffer);
+  } catch (error) {
+    throw new ImageProcessingError('Unsupported or corrupt image');
+  }
+}
+
+// Decode, crop and re-encode an uploaded image; returns [{ size, buffer }]
+async function renderProfilePicture(inputPath) {
+  const image = await decodeImage(inputPath);
+
+  // Center-crop to a square
+  const side = Math.min(image.width, image.height);
+  image.crop({
+    x: Math.floor((image.width - side) / 2),
+    y: Math.floor((image.height - side) / 2),
+    w: side,
+    h: side
+  });
+
+  const variants = [];
+  for (const size of PROFILE_PICTURE_SIZES) {
+    // JPEG has no alpha channel, so flatten onto white
+    const canvas = new Jimp({ width: size, height: size, color: 0xffffffff });
+    canvas.composite(image.clone().resize({ w: size, h: size }), 0, 0);
+    variants.push({ size, buffer: await canvas.getBuffer('image/jpeg', { quality: JPEG_QUALITY }) });
+  }
+  return variants;
+}
+
+// Decode, center-crop to the banner aspect ratio and re-encode an uploaded image; returns a Buffer
+async function renderBanner(inputPath) {
+  const image = await decodeImage(inputPath);
+
+  const ratio = BANNER_WIDTH / BANNER_HEIGHT;
+  const cropWidth = Math.max(1, Math.min(image.width, Math.round(image.height * ratio)));
+  const cropHeight = Math.max(1, Math.min(image.height, Math.round(cropWidth / ratio)));
+  image.crop({
+    x: Math.floor((image.width - cropWidth) / 2),
+    y: Math.floor((image.height - cropHeight) / 2),
+    w: cropWidth,
+    h: cropHeight
+  });
+
+  const scale = Math.min(1, BANNER_WIDTH / cropWidth);
+  const width = Math.max(1, Math.round(cropWidth * scale));
+  const height = Math.max(1, Math.round(cropHeight * scale));
+
+  const canvas = new Jimp({ width, height, color: 0xffffffff });
+  canvas.composite(image.resize({ w: width, h: height }), 0, 0);
+  return canvas.getBuffer('image/jpeg', { quality: JPEG_QUALITY });
+}
+
+// Scale an image (path or Buffer) down to fit within maxSize x maxSize, keeping its aspect
+// ratio, and encode it as a JPEG; used for shared file previews
+async function renderThumbnail(input, maxSize) {
+  const image = await decodeImage(input);
+
+  const scale = Math.min(1, maxSize / Math.max(image.width, image.height));
+  const width = Math.max(1, Math.round(image.width * scale));
+  const height = Math.max(1, Math.round(image.height * scale));
+
+  const canvas = new Jimp({ width, height, color: 0xffffffff });
+  canvas.composite(image.resize({ w: width, h: height }), 0, 0);
+  return canvas.getBuffer('image/jpeg', { quality: JPEG_QUALITY });
+}
+
+// Relative path of one size of a stored picture. Pictures stored before processing
+// (no _<size>.jpg suffix) only exist in their original form.
+const VARIANT_SUFFIX = new RegExp(`_(${PROFILE_PICTURE_SIZES.join('|')})\\.jpg$`);
+
+function profilePictureVariantPath(picturePath, size) {
+  if (!VARIANT_SUFFIX.test(picturePath)) {
+    return picturePath;
+  }
+  return picturePath.replace(VARIANT_SUFFIX, `_${size}.jpg`);
+}
+
+// All files belonging to a stored picture
+function profilePictureFiles(picturePath) {
+  const paths = PROFILE_PICTURE_SIZES.map(size => profilePictureVariantPath(picturePath, size));
+  return [...new Set(paths)];
+}
+
+// Smallest available size that is at least the requested one
+function resolveProfilePictureSize(requested) {
+  if (requested === undefined) {
+    return DEFAULT_PROFILE_PICTURE_SIZE;
+  }
+
+  const size = parseInt(requested);
+  if (!Number.isInteger(size) || size < 1) {
+    return null;
+  }
+  return PROFILE_PICTURE_SIZES.find(available => available >= size) || PROFILE_PICTURE_SIZES[PROFILE_PICTURE_SIZES.length - 1];
+}
+
+// Total bytes of rendered variants
+function profilePictureSize(variants) {
+  return variants.reduce((sum, { buffer }) => sum + buffer.length, 0);
+}
+
+// Store rendered variants as uploads/profiles/<stem>_<size>.jpg on a storage backend;
+// returns the default-size path
+async function storeProfilePicture(variants, stem, backend) {
+  const storage = getStorage(backend);
+  const written = [];
+
+  try {
+    for (const { size, buffer } of variants) {
+      const relativePath = `uploads/profiles/${stem}_${size}.jpg`;
+      await storage.put(relativePath, buffer);
+      written.push(relativePath);
+    }
+  } catch (error) {
+    await removeProfilePicture(written, backend);
+    throw error;
+  }
+
+  return `uploads/profiles/${stem}_${DEFAULT_PROFILE_PICTURE_SIZE}.jpg`;
+}
+
+// Delete stored picture files (a picture path, or an explicit list of paths) from a storage backend
+async function removeProfilePicture(picturePathOrFiles, backend) {
+  const storage = getStorage(backend);
+  const files = Array.isArray(picturePathOrFiles) ? picturePathOrFiles : profilePictureFiles(picturePathOrFiles);
+  await Promise.all(files.map(file => storage.delete(file)));
+}
+
+// Public URLs for every size of a stored picture
+function profilePictureUrls(picturePath) {
+  const urls = {};
+  PROFILE_PICTURE_SIZES.forEach(size => {
+    urls[size] = `/${profilePictureVariantPath(picturePath, size)}`;
+  });
+  return urls;
+}
+
+module.exports = {
+  PROFILE_PICTURE_SIZES,
+  DEFAULT_PROFILE_PICTURE_SIZE,
+  ImageProcessingError,
+  renderProfilePicture,
+  renderBanner,
+  renderThumbnail,
+  profilePictureSize,
+  storeProfilePicture,
+  removeProfilePicture,
+  profilePictureVariantPath,
+  profilePictureFiles,
+  profilePictureUrls,
+  resolveProfilePictureSize
+};
@@ -0,0 +1,394 @@
+const crypto = require('crypto');
+const path = require('path');
+const db = require('../database');
+const { getStorage, defaultStorageBackend } = require('./storage');
+const { withBlobLock, blobPathFor, deleteSharedFile } = require('./blobStore');
+const { QUARANTINE_DIR } = require('./scanner');
+const { PREVIEW_DIR } = require('./previews');
+const {
+  DEFAULT_PROFILE_PICTURE_SIZE,
+  profilePictureFiles,
+  profilePictureVariantPath,
+  removeProfilePicture
+} = require('./imageProcessing');
+
+// Storage integrity check. Rows and stored content are deleted in separate steps, so a
+// crash or a failed delete leaves the database and the storage backends out of step.
+// A check compares what the database references (blobs, files stored before
+// deduplication, previews, profile pictures and banners) with what each backend holds and reports:
+//   missing            a row whose content is gone
+//   orphaned           stored content no row references
+//   size_mismatch      content whose size differs from the recorded one
+//   checksum_mismatch  content whose SHA-256 differs from the recorded one (checksums: true)
+// Repairs are opt-in:
+//   relink      point a row with missing content at an intact copy found elsewhere (its
+//               content-addressed path, or the same key on another backend)
+//   quarantine  move orphaned and mismatched content to uploads/quarantine/integrity
+//   purge       delete rows whose content is missing or mismatched, and orphaned content
+//               that wasn't quarantined; missing previews are regenerated
+const STORED_DIRS = ['uploads/shared', PREVIEW_DIR, 'uploads/profiles', 'uploads/banners', QUARANTINE_DIR];
+const INTEGRITY_QUARANTINE_DIR = `${QUARANTINE_DIR}/integrity`;
+// Content is stored before its row is written, so recent objects aren't orphans yet
+const ORPHAN_GRACE_MS = 60 * 60 * 1000;
+
+async function sha256Object(backend, key) {
+  const hash = crypto.createHash('sha256');
+  for await (const chunk of await getStorage(backend).getStream(key)) {
+    hash.update(chunk);
+  }
+  return hash.digest('hex');
+}
+
+// Everything the database expects to be stored, keyed by backend and key
+async function expectedObjects() {
+  const expected = [];
+
+  for (const blob of await db.getAllBlobs()) {
+    expected.push({
+      kind: 'blob', backend: blob.storage_backend, key: blob.file_path,
+      size: blob.size, sha256: blob.hash, hash: blob.hash
+    });
+  }
+  for (const file of await db.getUnlinkedSharedFiles()) {
+    expected.push({
+      kind: 'file', backend: file.storage_backend, key: file.file_path,
+      size: file.file_size, sha256: file.checksum, fileId: file.file_id
+    });
+  }
+  for (const preview of await db.getStoredPreviews()) {
+    expected.push({ kind: 'preview', backend: preview.storage_backend, key: preview.preview_path, fileIds: preview.file_ids });
+  }
+  for (const picture of await db.getAllProfilePictures()) {
+    for (const key of profilePictureFiles(picture.picture_path)) {
+      expected.push({
+        kind: 'profile_picture', backend: picture.storage_backend, key,
+        userId: picture.user_id, picturePath: picture.picture_path
+      });
+    }
+  }
+  for (const user of await db.getUsersWithBanner()) {
+    expected.push({
+      kind: 'banner', backend: user.banner_storage, key: user.banner_path,
+      size: user.banner_size ?? undefined, userId: user.user_id
+    });
+  }
+
+  return expected;
+}
+
+// Check one expected object against the listing; returns an issue or null
+async function checkExpected(entry, stored, checksums) {
+  const { kind, backend, key } = entry;
+  const ref = Object.fromEntries(['hash', 'fileId', 'fileIds', 'userId', 'picturePath']
+    .filter(name => entry[name] !== undefined)
+    .map(name => [name, entry[name]]));
+
+  // Written after the listing was taken?
+  const object = stored.get(key) || (await getStorage(backend).stat(key));
+  if (!object) {
+    return { type: 'missing', kind, backend, key, ...ref };
+  }
+
+  if (entry.size !== undefined && object.size !== entry.size) {
+    return { type: 'size_mismatch', kind, backend, key, ...ref, expectedSize: entry.size, actualSize: object.size };
+  }
+
+  if (checksums && entry.sha256) {
+    const actual = await sha256Object(backend, key);
+    if (actual !== entry.sha256) {
+      return { type: 'checksum_mismatch', kind, backend, key, ...ref, expectedSha256: entry.sha256, actualSha256: actual };
+    }
+  }
+
+  return null;
+}
+
+// Compare the database with the storage backends (those holding content, the default
+// one, and any listed in `backends`). With checksums, stored content is also read and
+// hashed, which is slow for large stores. Resolves to a report of the issues found.
+async function checkIntegrity({ checksums = false, backends: extraBackends = [] } = {}) {
+  const started = Date.now();
+  const backends = [...new Set([defaultStorageBackend(), ...(await db.getStorageBackendsInUse()), ...extraBackends])];
+
+  // List storage before reading the rows, so content stored and registered during the
+  // check isn't reported as orphaned
+  const listings = new Map();
+  for (const backend of backends) {
+    const objects = new Map();
+    for (const dir of STORED_DIRS) {
+      for (const object of await getStorage(backend).list(dir)) {
+        objects.set(object.key, object);
+      }
+    }
+    listings.set(backend, objects);
+  }
+
+  const issues = [];
+  const referenced = new Set();
+  const expected = await expectedObjects();
+  for (const entry of expected) {
+    referenced.add(`${entry.backend}:${entry.key}`);
+    const issue = await checkExpected(entry, listings.get(entry.backend) || new Map(), checksums);
+    if (issue) issues.push(issue);
+  }
+
+  const graceCutoff = Date.now() - ORPHAN_GRACE_MS;
+  let objectCount = 0;
+  for (const [backend, objects] of listings) {
+    for (const object of objects.values()) {
+      objectCount++;
+      if (referenced.has(`${backend}:${object.key}`) || path.posix.basename(object.key) === '.gitkeep') continue;
+      // Set aside by an earlier repair, or possibly still being registered
+      if (object.key.startsWith(`${INTEGRITY_QUARANTINE_DIR}/`) || object.modified.getTime() > graceCutoff) continue;
+
+      issues.push({ type: 'orphaned', kind: null, backend, key: object.key, size: object.size, modified: object.modified.toISOString() });
+    }
+  }
+
+  const summary = { missing: 0, orphaned: 0, size_mismatch: 0, checksum_mismatch: 0 };
+  issues.forEach(issue => { summary[issue.type]++; });
+
+  return {
+    checkedAt: new Date(started).toISOString(),
+    checksums,
+    scanned: { backends, objects: objectCount, references: expected.length },
+    summary,
+    issues,
+    durationMs: Date.now() - started
+  };
+}
+
+// First intact copy among the candidate keys on any backend, or null
+async function findCopy(keys, backends, sha256) {
+  for (const backend of backends) {
+    for (const key of keys) {
+      if (!(await getStorage(backend).exists(key))) continue;
+      if (sha256 && (await sha256Object(backend, key)) !== sha256) continue;
+      return { backend, key };
+    }
+  }
+  return null;
+}
+
+// Point rows with missing content at a copy found elsewhere; resolves to true if relinked
+async function relinkMissing(issue, backends) {
+  if (issue.kind === 'blob') {
+    return withBlobLock(issue.hash, async () => {
+      const blob = await db.getBlob(issue.hash);
+      if (!blob || blob.file_path !== issue.key || blob.storage_backend !== issue.backend) return false;
+
+      const copy = await findCopy([...new Set([blobPathFor(blob.hash), blob.file_path])], backends, blob.hash);
+      if (!copy) return false;
+      await db.setBlobLocation(blob.hash, copy.backend, copy.key);
+      return true;
+    });
+  }
+
+  if (issue.kind === 'file') {
+    const file = await db.getSharedFile(issue.fileId);
+    if (!file || file.blob_hash) return false;
+
+    // Identical content may be stored as a blob by now
+    if (file.checksum && (await db.getBlob(file.checksum))) {
+      const linked = await withBlobLock(file.checksum, async () => {
+        const blob = await db.getBlob(file.checksum);
+        if (!blob || !(await getStorage(blob.storage_backend).exists(blob.file_path))) return false;
+        await db.linkFileToBlob(file.file_id, blob.hash, blob.file_path, blob.size);
+        return true;
+      });
+      if (linked) return true;
+    }
+
+    const copy = await findCopy([file.file_path], backends, file.checksum);
+    if (!copy) return false;
+    await db.setSharedFileLocation(file.file_id, copy.backend, copy.key);
+    return true;
+  }
+
+  if (issue.kind === 'profile_picture') {
+    const picture = await db.getProfilePictureByPath(issue.picturePath);
+    if (!picture) return false;
+
+    const keys = profilePictureFiles(picture.picture_path);
+    for (const backend of backends) {
+      const storage = getStorage(backend);
+      if ((await Promise.all(keys.map(key => storage.exists(key)))).every(Boolean)) {
+        await db.setProfilePictureStorage(picture.picture_path, backend);
+        return true;
+      }
+    }
+  }
+
+  if (issue.kind === 'banner') {
+    const user = await db.getUser(issue.userId);
+    if (!user || user.banner_path !== issue.key) return false;
+
+    const copy = await findCopy([issue.key], backends);
+    if (!copy) return false;
+    await db.setBannerStorage(user.user_id, copy.backend);
+    return true;
+  }
+
+  // Previews are regenerated instead (purge)
+  return false;
+}
+
+// Delete the rows referencing missing or mismatched content
+async function purgeRows(issue) {
+  if (issue.kind === 'blob') {
+    for (const file of await db.getSharedFilesByBlob(issue.hash)) {
+      await deleteSharedFile(file);
+    }
+  } else if (issue.kind === 'file') {
+    const file = await db.getSharedFile(issue.fileId);
+    if (file && !file.blob_hash) {
+      await deleteSharedFile(file);
+    }
+  } else if (issue.kind === 'preview') {
+    // Forget the preview so it is generated again
+    for (const fileId of issue.fileIds) {
+      const file = await db.getSharedFile(fileId);
+      if (file && file.preview_path === issue.key) {
+        await db.setPreviewResult(fileId, 'pending');
+      }
+    }
+  } else if (issue.kind === 'profile_picture') {
+    const { changes } = await db.deleteProfilePicture(issue.userId, issue.picturePath);
+    if (changes > 0) {
+      await removeProfilePicture(issue.picturePath, issue.backend);
+    }
+  } else if (issue.kind === 'banner') {
+    const { changes } = await db.clearBanner(issue.userId, issue.key);
+    if (changes > 0) {
+      await getStorage(issue.backend).delete(issue.key);
+    }
+  }
+}
+
+// Whether a row references a key (re-checked before acting on an orphan)
+async function isReferenced(backend, key) {
+  if (key.startsWith('uploads/profiles/')) {
+    const picture = await db.getProfilePictureByPath(profilePictureVariantPath(key, DEFAULT_PROFILE_PICTURE_SIZE));
+    return !!picture && picture.storage_backend === backend;
+  }
+  if (key.startsWith('uploads/banners/')) {
+    const user = await db.getUserByBannerPath(key);
+    return !!user && user.banner_storage === backend;
+  }
+
+  const name = path.posix.basename(key);
+  const blob = await db.getBlob(name);
+  if (blob && blob.file_path === key && blob.storage_backend === backend) return true;
+  const file = await db.getSharedFileByName(name);
+  return !!file && file.file_path === key && file.storage_backend === backend;
+}
+
+function integrityQuarantinePath(key) {
+  return `${INTEGRITY_QUARANTINE_DIR}/${key.replace(/^uploads\//, '')}`;
+}
+
+async function repairIssue(issue, actions, backends) {
+  const storage = getStorage(issue.backend);
+  const done = [];
+
+  if (issue.type === 'missing') {
+    if (actions.relink && (await relinkMissing(issue, backends))) {
+      done.push('relinked');
+    } else if (actions.purge) {
+      await purgeRows(issue);
+      done.push('purged');
+    }
+    return done;
+  }
+
+  if (issue.type === 'orphaned') {
+    // Named by content hash (or file name), which is also what storing a blob locks on
+    await withBlobLock(path.posix.basename(issue.key), async () => {
+      if (await isReferenced(issue.backend, issue.key)) return;
+
+      if (actions.quarantine && !issue.key.startsWith(`${QUARANTINE_DIR}/`)) {
+        await storage.move(issue.key, integrityQuarantinePath(issue.key));
+        done.push('quarantined');
+      } else if (actions.purge) {
+        await storage.delete(issue.key);
+        done.push('purged');
+      }
+    });
+    return done;
+  }
+
+  // Size or checksum mismatch: keep the content for inspection if asked, then drop the rows
+  if (actions.quarantine) {
+    const move = async () => {
+      if (await storage.exists(issue.key)) {
+        await storage.move(issue.key, integrityQuarantinePath(issue.key));
+        done.push('quarantined');
+      }
+    };
+    await (issue.hash ? withBlobLock(issue.hash, move) : move());
+  }
+  if (actions.purge) {
+    await purgeRows(issue);
+    done.push('purged');
+  }
+  return done;
+}
+
+// Apply the chosen repairs ({ relink, quarantine, purge }) to the issues of a report.
+// Each issue gets `repaired` (the actions taken) or `repairError`; resolves to the counts.
+async function repairIntegrity(report, actions) {
+  const counts = { relinked: 0, quarantined: 0, purged: 0, failed: 0 };
+  const purgedPictures = new Set();
+
+  for (const issue of report.issues) {
+    // Every size of a profile picture is purged together
+    if (issue.kind === 'profile_picture' && issue.type === 'missing' && purgedPictures.has(issue.picturePath)) {
+      issue.repaired = ['purged'];
+      continue;
+    }
+
+    try {
+      issue.repaired = await repairIssue(issue, actions, report.scanned.backends);
+      issue.repaired.forEach(action => { counts[action]++; });
+      if (issue.kind === 'profile_picture' && issue.repaired.includes('purged')) {
+        purgedPictures.add(issue.picturePath);
+      }
+    } catch (error) {
+      console.error(`Integrity repair of ${issue.backend}:${issue.key} failed:`, error.message);
+      issue.repairError = error.message;
+      counts.failed++;
+    }
+  }
+
+  report.repairs = counts;
+  return counts;
+}
+
+// One line per issue, for logs and the CLI
+function describeIssue(issue) {
+  const subject = {
+    blob: `blob ${issue.hash}`,
+    file: `file ${issue.fileId}`,
+    preview: `preview of ${issue.fileIds && issue.fileIds.join(', ')}`,
+    profile_picture: `profile picture of ${issue.userId}`,
+    banner: `banner of ${issue.userId}`
+  }[issue.kind];
+  const details = {
+    missing: `${subject}: content missing`,
+    orphaned: `no row references this content (${issue.size} bytes)`,
+    size_mismatch: `${subject}: ${issue.actualSize} bytes, expected ${issue.expectedSize}`,
+    checksum_mismatch: `${subject}: SHA-256 ${issue.actualSha256}, expected ${issue.expectedSha256}`
+  }[issue.type];
+  const outcome = issue.repairError
+    ? ` [repair failed: ${issue.repairError}]`
+    : (issue.repaired && issue.repaired.length ? ` [${issue.repaired.join(', ')}]` : '');
+
+  return `${issue.type} ${issue.backend}:${issue.key} - ${details}${outcome}`;
+}
+
+module.exports = {
+  INTEGRITY_QUARANTINE_DIR,
+  checkIntegrity,
+  repairIntegrity,
+  describeIssue
+};
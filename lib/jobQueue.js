@@ -0,0 +1,20 @@
+// Background work on shared files (scans, previews, text extraction) runs one job at a
+// time per queue. Returns enqueue(id); an id already waiting is not queued twice.
+function createJobQueue(description, run) {
+  let queue = Promise.resolve();
+  const queued = new Set();
+
+  return function enqueue(id) {
+    if (queued.has(id)) return;
+    queued.add(id);
+
+    queue = queue
+      .then(() => run(id))
+      .catch((error) => console.error(`Error ${description} ${id}:`, error))
+      .finally(() => queued.delete(id));
+  };
+}
+
+module.exports = {
+  createJobQueue
+};
@@ -0,0 +1,128 @@
+const fs = require('fs');
+const path = require('path');
+
+// Versioned schema migrations. Each file in migrations/ is named <version>_<name>.js and
+// exports up(db), which receives the better-sqlite3 connection. Pending migrations run
+// in order, each in its own transaction, and are recorded in schema_migrations; the
+// schema version is the highest version recorded there. A database whose version is
+// newer than the newest migration here was written by newer code, and is refused.
+//
+// To change the schema, add the next numbered file; never edit one that has shipped.
+const MIGRATIONS_DIR = path.join(__dirname, '../migrations');
+const MIGRATION_FILE = /^(\d+)_([a-z0-9_-]+)\.js$/i;
+
+class MigrationError extends Error {
+  constructor(message, options) {
+    super(message, options);
+    this.name = 'MigrationError';
+  }
+}
+
+// Thrown inside the dry-run transaction to roll it back
+const ROLLBACK = Symbol('rollback');
+
+// Migration files in version order: [{ version, name, up }]
+function loadMigrations(dir = MIGRATIONS_DIR) {
+  const migrations = fs.readdirSync(dir)
+    .map(file => ({ file, match: MIGRATION_FILE.exec(file) }))
+    .filter(({ match }) => match)
+    .map(({ file, match }) => ({ version: parseInt(match[1], 10), name: match[2], file }))
+    .sort((a, b) => a.version - b.version);
+
+  migrations.forEach((migration, index) => {
+    if (index > 0 && migrations[index - 1].version === migration.version) {
+      throw new MigrationError(`Duplicate migration version ${migration.version} (${migrations[index - 1].file}, ${migration.file})`);
+    }
+    migration.up = require(path.join(dir, migration.file)).up;
+    if (typeof migration.up !== 'function') {
+      throw new MigrationError(`Migration ${migration.file} does not export up(db)`);
+    }
+  });
+
+  return migrations;
+}
+
+function hasMigrationsTable(db) {
+  return !!db.prepare("SELECT 1 FROM sqlite_master WHERE type = 'table' AND name = 'schema_migrations'").get();
+}
+
+// Versions applied to this database, oldest first: [{ version, name, applied_at }]
+function appliedMigrations(db) {
+  if (!hasMigrationsTable(db)) return [];
+  return db.prepare('SELECT version, name, applied_at FROM schema_migrations ORDER BY version').all();
+}
+
+function currentVersion(db) {
+  if (!hasMigrationsTable(db)) return 0;
+  return db.prepare('SELECT MAX(version) AS version FROM schema_migrations').get().version || 0;
+}
+
+// Where the database stands: { current, latest, pending, applied }
+function migrationStatus(db, migrations = loadMigrations()) {
+  const current = currentVersion(db);
+  return {
+    current,
+    latest: migrations.length ? migrations[migrations.length - 1].version : 0,
+    pending: migrations.filter(migration => migration.version > current),
+    applied: appliedMigrations(db)
+  };
+}
+
+function applyMigration(db, migration) {
+  try {
+    migration.up(db);
+  } catch (error) {
+    throw new MigrationError(`Migration ${migration.file} failed: ${error.message}`, { cause: error });
+  }
+  db.prepare('INSERT INTO schema_migrations (version, name) VALUES (?, ?)').run(migration.version, migration.name);
+}
+
+// Bring the schema up to date. With dryRun, the pending migrations are run and then rolled
+// back, so failures show up without changing anything. Resolves to { from, to, applied }.
+function runMigrations(db, { dryRun = false, migrations = loadMigrations() } = {}) {
+  const status = migrationStatus(db, migrations);
+  if (status.current > status.latest) {
+    throw new MigrationError(
+      `Database schema version ${status.current} is newer than this code supports (${status.latest}); ` +
+      'deploy the newer code or restore a matching backup'
+    );
+  }
+
+  const createTable = () => db.exec(`
+    CREATE TABLE IF NOT EXISTS schema_migrations (
+      version INTEGER PRIMARY KEY,
+      name TEXT NOT NULL,
+      applied_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+
+  if (dryRun) {
+    try {
+      db.transaction(() => {
+        createTable();
+        status.pending.forEach(migration => applyMigration(db, migration));
+        throw ROLLBACK;
+      })();
+    } catch (error) {
+      if (error !== ROLLBACK) throw error;
+    }
+  } else {
+    createTable();
+    // One transaction per migration: a failure keeps the ones before it
+    status.pending.forEach(migration => db.transaction(() => applyMigration(db, migration))());
+  }
+
+  return {
+    from: status.current,
+    to: dryRun || status.pending.length === 0 ? status.current : status.latest,
+    applied: status.pending.map(migration => `${migration.version}_${migration.name}`)
+  };
+}
+
+module.exports = {
+  MIGRATIONS_DIR,
+  MigrationError,
+  loadMigrations,
+  migrationStatus,
+  runMigrations
+};
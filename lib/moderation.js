@@ -0,0 +1,100 @@
+const { v4: uuidv4 } = require('uuid');
+const db = require('../database');
+const { fromDbTimestamp } = require('./fileUtils');
+
+// Moderation actions taken through the admin API (routes/admin.js). A taken-down file keeps
+// its row and content as evidence, but nobody can read it (its owner can still see it in
+// their listing, with the reason) and neither its owner nor the cleanup worker deletes it.
+// A user suspended from uploading gets 403 from every upload endpoint until it is lifted.
+//
+// Users can report files they can read (POST /api/files/:fileId/report). A file reaching
+// REPORT_HIDE_THRESHOLD open reports (default 3; 0 disables it) is taken down automatically
+// until a moderator resolves its reports from the queue: dismissing them restores the file.
+const REPORT_CATEGORIES = ['spam', 'malware', 'harassment', 'hate', 'sexual', 'violence', 'copyright', 'other'];
+const MAX_REPORT_DETAILS_LENGTH = 1000;
+const DEFAULT_REPORT_HIDE_THRESHOLD = 3;
+// Recorded as the moderator of automatic takedowns
+const REPORTS_MODERATOR = 'system:reports';
+
+function reportHideThreshold() {
+  const threshold = parseInt(process.env.REPORT_HIDE_THRESHOLD);
+  return Number.isInteger(threshold) && threshold >= 0 ? threshold : DEFAULT_REPORT_HIDE_THRESHOLD;
+}
+
+function isTakenDown(file) {
+  return !!file.taken_down_at;
+}
+
+// Whether a file was taken down automatically, and is waiting for a moderator
+function isHiddenByReports(file) {
+  return isTakenDown(file) && file.taken_down_by === REPORTS_MODERATOR;
+}
+
+// Send 451 for a taken-down file; returns true otherwise
+function checkTakedown(file, res) {
+  if (!isTakenDown(file)) {
+    return true;
+  }
+  res.status(451).json({ error: 'This file has been taken down', code: 'FILE_TAKEN_DOWN' });
+  return false;
+}
+
+// Reject uploads from suspended users. Run after requireAuth, before the upload is received.
+async function requireUploadsAllowed(req, res, next) {
+  try {
+    const suspension = await db.getUploadSuspension(req.user.uid);
+    if (suspension) {
+      return res.status(403).json({
+        error: 'Your uploads have been suspended',
+        code: 'UPLOADS_SUSPENDED',
+        reason: suspension.uploads_suspension_reason
+      });
+    }
+    next();
+  } catch (error) {
+    next(error);
+  }
+}
+
+// Parse a report from a request body: { category, details }; returns { error } or the report
+function parseReport(body = {}) {
+  if (!REPORT_CATEGORIES.includes(body.category)) {
+    return { error: `category must be one of: ${REPORT_CATEGORIES.join(', ')}` };
+  }
+
+  const { details } = body;
+  if (details !== undefined && details !== null &&
+      (typeof details !== 'string' || details.trim().length > MAX_REPORT_DETAILS_LENGTH)) {
+    return { error: `details must be a string of at most ${MAX_REPORT_DETAILS_LENGTH} characters` };
+  }
+
+  return { category: body.category, details: (details && details.trim()) || null };
+}
+
+// Record a report, hiding the file if it has now been reported often enough; resolves to
+// { created, openReports, hidden } (see db.addFileReport)
+async function reportFile(fileId, reporterId, { category, details }) {
+  return db.addFileReport(
+    { reportId: uuidv4(), fileId, reporterId, category, details },
+    reportHideThreshold(),
+    REPORTS_MODERATOR
+  );
+}
+
+// Format a taken-down file's takedown for API responses (null for other files)
+function formatTakedown(file) {
+  return isTakenDown(file)
+    ? { reason: file.takedown_reason, takenDownAt: fromDbTimestamp(file.taken_down_at) }
+    : null;
+}
+
+module.exports = {
+  REPORT_CATEGORIES,
+  isTakenDown,
+  isHiddenByReports,
+  checkTakedown,
+  requireUploadsAllowed,
+  parseReport,
+  reportFile,
+  formatTakedown
+};
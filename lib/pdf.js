@@ -0,0 +1,22 @@
+const path = require('path');
+
+// PDF parsing with pdf.js (pure JS). pdfjs-dist is ESM-only and large, so it is loaded on
+// first use. Scripts in documents are never evaluated.
+const STANDARD_FONTS = path.join(path.dirname(require.resolve('pdfjs-dist/package.json')), 'standard_fonts/');
+
+// Open a PDF held in memory; call destroy() on the result when done
+async function openPdf(buffer) {
+  const pdfjs = await import('pdfjs-dist/legacy/build/pdf.mjs');
+  return pdfjs.getDocument({
+    data: new Uint8Array(buffer),
+    standardFontDataUrl: STANDARD_FONTS,
+    isEvalSupported: false,
+    disableFontFace: true,
+    useSystemFonts: false,
+    verbosity: 0
+  }).promise;
+}
+
+module.exports = {
+  openPdf
+};
@@ -0,0 +1,302 @@
+const db = require('../database');
+const { withBlobLock } = require('./blobStore');
+const { getStorage, readObject } = require('./storage');
+const { renderThumbnail } = require('./imageProcessing');
+const { sendStoredFile } = require('./fileDelivery');
+const { createJobQueue } = require('./jobQueue');
+const { openPdf } = require('./pdf');
+
+// Previews for shared files, generated in the background once a file has been scanned
+// clean: a JPEG thumbnail for images and the first page of PDFs, a waveform (peak
+// amplitudes) for audio and the opening characters of text files. A preview is stored on
+// the file's storage backend as uploads/previews/<hash>.<jpg|json> and shared by every
+// file with the same content.
+//
+// preview_status is pending | ready | unsupported | failed; preview_type is
+// thumbnail | waveform | snippet.
+const PREVIEW_DIR = 'uploads/previews';
+const THUMBNAIL_SIZE = 320;
+const WAVEFORM_PEAKS = 100;
+// Peaks are first collected per 10ms block, then merged down to WAVEFORM_PEAKS
+const WAVEFORM_BLOCKS_PER_SECOND = 100;
+const SNIPPET_LENGTH = 500;
+// Images and PDFs are decoded in memory
+const MAX_RENDER_INPUT = 50 * 1024 * 1024;
+
+// Image formats Jimp can decode
+const THUMBNAIL_IMAGE_TYPES = ['image/jpeg', 'image/png', 'image/gif', 'image/bmp', 'image/tiff'];
+
+// audio-decode format per stored MIME type ('audio/ogg' is resolved from the stream)
+const AUDIO_FORMATS = {
+  'audio/mpeg': 'mp3',
+  'audio/wav': 'wav',
+  'audio/flac': 'flac',
+  'audio/aac': 'aac',
+  'audio/mp4': 'm4a',
+  'audio/webm': 'webm',
+  'audio/ogg': 'oga'
+};
+
+const PREVIEW_CONTENT_TYPES = {
+  thumbnail: 'image/jpeg',
+  waveform: 'application/json',
+  snippet: 'application/json'
+};
+
+// Stored content in memory (optionally only up to byte `end`)
+function readStored(file, { end } = {}) {
+  return readObject(file.storage_backend, file.file_path, { start: 0, end });
+}
+
+let canvasModule;
+
+// @napi-rs/canvas (for PDF thumbnails) is an optional native dependency, loaded on first
+// use; null when it isn't installed
+function loadCanvas() {
+  if (canvasModule === undefined) {
+    try {
+      canvasModule = require('@napi-rs/canvas');
+    } catch (error) {
+      console.warn(`⚠️ @napi-rs/canvas is not available (${error.message}); PDFs get no thumbnail`);
+      canvasModule = null;
+    }
+  }
+  return canvasModule;
+}
+
+async function renderPdfPage(buffer) {
+  const { createCanvas } = loadCanvas();
+  const document = await openPdf(buffer);
+
+  try {
+    const page = await document.getPage(1);
+    const { width, height } = page.getViewport({ scale: 1 });
+    const viewport = page.getViewport({ scale: THUMBNAIL_SIZE / Math.max(width, height) });
+
+    const canvas = createCanvas(Math.max(1, Math.ceil(viewport.width)), Math.max(1, Math.ceil(viewport.height)));
+    const context = canvas.getContext('2d');
+    // Pages are transparent; JPEG needs a background
+    context.fillStyle = '#ffffff';
+    context.fillRect(0, 0, canvas.width, canvas.height);
+
+    await page.render({ canvasContext: context, viewport, canvas }).promise;
+    return canvas.toBuffer('image/jpeg', 85);
+  } finally {
+    await document.destroy();
+  }
+}
+
+// Ogg holds either Vorbis or Opus; the first page names the codec
+async function* withOggFormat(stream, onFormat) {
+  let first = true;
+  for await (const chunk of stream) {
+    if (first) {
+      onFormat(chunk.includes('OpusHead') ? 'opus' : 'oga');
+      first = false;
+    }
+    yield chunk;
+  }
+}
+
+async function renderWaveform(file) {
+  const { default: decode } = await import('audio-decode');
+  const stream = await getStorage(file.storage_backend).getStream(file.file_path);
+
+  const blockPeaks = [];
+  let blockPeak = 0;
+  let blockFill = 0;
+  let samples = 0;
+  let sampleRate = 0;
+  let channels = 0;
+
+  try {
+    let source = stream;
+    let format = AUDIO_FORMATS[file.mime_type];
+    if (file.mime_type === 'audio/ogg') {
+      // Peek at the first chunk before picking the decoder
+      const iterator = withOggFormat(stream, (detected) => { format = detected; });
+      const first = await iterator.next();
+      source = (async function* () {
+        if (!first.done) yield first.value;
+        yield* iterator;
+      })();
+    }
+
+    // Decoded chunk by chunk so long recordings don't have to fit in memory
+    for await (const { channelData, sampleRate: rate } of decode(source, format)) {
+      if (!channelData.length || !channelData[0].length) continue;
+      sampleRate = rate;
+      channels = channelData.length;
+      const blockSize = Math.max(1, Math.round(rate / WAVEFORM_BLOCKS_PER_SECOND));
+
+      for (let i = 0; i < channelData[0].length; i++) {
+        for (const channel of channelData) {
+          const value = Math.abs(channel[i]);
+          if (value > blockPeak) blockPeak = value;
+        }
+        if (++blockFill === blockSize) {
+          blockPeaks.push(blockPeak);
+          blockPeak = 0;
+          blockFill = 0;
+        }
+      }
+      samples += channelData[0].length;
+    }
+  } finally {
+    stream.destroy();
+  }
+
+  if (blockFill > 0) blockPeaks.push(blockPeak);
+  if (!sampleRate) {
+    throw new Error('No audio could be decoded');
+  }
+
+  const count = Math.min(WAVEFORM_PEAKS, blockPeaks.length);
+  const peaks = [];
+  for (let i = 0; i < count; i++) {
+    const from = Math.floor(i * blockPeaks.length / count);
+    const to = Math.floor((i + 1) * blockPeaks.length / count);
+    const peak = blockPeaks.slice(from, to).reduce((max, value) => Math.max(max, value), 0);
+    peaks.push(Math.round(Math.min(1, peak) * 1000) / 1000);
+  }
+
+  return {
+    type: 'waveform',
+    duration: Math.round(samples / sampleRate * 1000) / 1000,
+    sampleRate,
+    channels,
+    peaks
+  };
+}
+
+async function renderSnippet(file) {
+  // Up to 4 bytes per character in UTF-8
+  const buffer = file.file_size > 0
+    ? await readStored(file, { end: Math.min(file.file_size, SNIPPET_LENGTH * 4) - 1 })
+    : Buffer.alloc(0);
+  // A character cut off at the end of the read decodes as U+FFFD
+  let text = buffer.toString('utf8').replace(/\r\n?/g, '\n');
+  if (buffer.length < file.file_size) {
+    text = text.replace(/\uFFFD$/, '');
+  }
+
+  const characters = Array.from(text);
+  return {
+    type: 'snippet',
+    text: characters.slice(0, SNIPPET_LENGTH).join(''),
+    truncated: characters.length > SNIPPET_LENGTH || buffer.length < file.file_size
+  };
+}
+
+// Preview generator for a file, or null when its type has none (or can't be rendered here)
+function previewGenerator(file) {
+  if (THUMBNAIL_IMAGE_TYPES.includes(file.mime_type) && file.file_size <= MAX_RENDER_INPUT) {
+    return { type: 'thumbnail', render: async () => renderThumbnail(await readStored(file), THUMBNAIL_SIZE) };
+  }
+  if (file.mime_type === 'application/pdf' && file.file_size <= MAX_RENDER_INPUT && loadCanvas()) {
+    return { type: 'thumbnail', render: async () => renderPdfPage(await readStored(file)) };
+  }
+  if (AUDIO_FORMATS[file.mime_type]) {
+    return { type: 'waveform', render: async () => Buffer.from(JSON.stringify(await renderWaveform(file))) };
+  }
+  if (file.mime_type.startsWith('text/')) {
+    return { type: 'snippet', render: async () => Buffer.from(JSON.stringify(await renderSnippet(file))) };
+  }
+  return null;
+}
+
+function previewPathFor(file, type) {
+  return `${PREVIEW_DIR}/${file.blob_hash || file.file_id}.${type === 'thumbnail' ? 'jpg' : 'json'}`;
+}
+
+async function runPreview(fileId) {
+  // Re-read under the lock: the file may have been deleted meanwhile
+  const file = await db.getSharedFile(fileId);
+  if (!file || file.preview_status !== 'pending' || file.scan_status !== 'clean') {
+    return;
+  }
+
+  // Identical content may already have one
+  if (file.blob_hash) {
+    const existing = await db.getBlobPreview(file.blob_hash);
+    if (existing) {
+      await db.setPreviewResult(fileId, existing.preview_status, existing.preview_type, existing.preview_path);
+      return;
+    }
+  }
+
+  const generator = previewGenerator(file);
+  if (!generator) {
+    await db.setPreviewResult(fileId, 'unsupported');
+    return;
+  }
+
+  const previewPath = previewPathFor(file, generator.type);
+  try {
+    const buffer = await generator.render();
+    await getStorage(file.storage_backend).put(previewPath, buffer);
+    await db.setPreviewResult(fileId, 'ready', generator.type, previewPath);
+  } catch (error) {
+    console.error(`Preview of ${fileId} failed:`, error.message);
+    await db.setPreviewResult(fileId, 'failed', generator.type);
+  }
+}
+
+async function generatePreview(fileId) {
+  const file = await db.getSharedFile(fileId);
+  if (!file) return;
+
+  // Hold the blob lock so the content can't be deleted mid-render
+  if (file.blob_hash) {
+    await withBlobLock(file.blob_hash, () => runPreview(fileId));
+  } else {
+    await runPreview(fileId);
+  }
+}
+
+// Previews are generated one after another in the background
+const queuePreview = createJobQueue('generating preview for', generatePreview);
+
+// Queue clean files still waiting for a preview (e.g. stored before previews existed); called at startup
+async function resumePendingPreviews() {
+  const files = await db.getFilesAwaitingPreview();
+  files.forEach(file => queuePreview(file.file_id));
+  return files.length;
+}
+
+// Preview summary for file listings
+function formatPreview(file) {
+  return {
+    status: file.preview_status,
+    type: file.preview_type || null,
+    url: file.preview_status === 'ready' ? `/api/files/preview/${file.file_id}` : null
+  };
+}
+
+// Send a file's preview, or the reason there isn't one. Run after the access and scan checks.
+async function sendPreview(req, res, file) {
+  switch (file.preview_status) {
+    case 'ready':
+      return sendStoredFile(req, res, {
+        file_path: file.preview_path,
+        storage_backend: file.storage_backend,
+        mime_type: PREVIEW_CONTENT_TYPES[file.preview_type],
+        checksum: file.checksum && `${file.checksum}-${file.preview_type}`
+      }, { disposition: null });
+    case 'pending':
+      res.setHeader('Retry-After', '5');
+      return res.status(409).json({ error: 'Preview is still being generated', code: 'PREVIEW_PENDING' });
+    case 'unsupported':
+      return res.status(404).json({ error: 'No preview is available for this file type', code: 'PREVIEW_UNSUPPORTED' });
+    default:
+      return res.status(404).json({ error: 'Preview could not be generated', code: 'PREVIEW_FAILED' });
+  }
+}
+
+module.exports = {
+  PREVIEW_DIR,
+  queuePreview,
+  resumePendingPreviews,
+  formatPreview,
+  sendPreview
+};
@@ -0,0 +1,97 @@
+const db = require('../database');
+const { formatFileSize } = require('./fileUtils');
+
+// Per-user storage quotas. The default comes from USER_STORAGE_QUOTA (bytes);
+// users.storage_quota overrides it for individual users.
+// checkQuota() is a quick check before any work is done; the rows that use up quota are
+// written through storeWithinQuota(), which checks again in the same transaction, so
+// concurrent uploads can't each pass checkQuota() and together go over.
+const DEFAULT_USER_QUOTA = parseInt(process.env.USER_STORAGE_QUOTA) || 500 * 1024 * 1024; // 500MB
+
+class QuotaExceededError extends Error {
+  constructor(usage, requested) {
+    super('Storage quota exceeded');
+    this.name = 'QuotaExceededError';
+    this.code = 'QUOTA_EXCEEDED';
+    this.usage = usage;
+    this.requested = requested;
+  }
+}
+
+// Usage against the quota from a getUserStorageUsage row
+function quotaUsageFrom(usage) {
+  const used = usage.files_size + usage.profile_picture_size + usage.banner_size;
+  const limit = usage.storage_quota ?? DEFAULT_USER_QUOTA;
+
+  return {
+    used,
+    limit,
+    remaining: Math.max(limit - used, 0),
+    profilePictureSize: usage.profile_picture_size
+  };
+}
+
+// Get a user's usage against their quota
+async function getQuotaUsage(userId) {
+  return quotaUsageFrom(await db.getUserStorageUsage(userId));
+}
+
+// Check whether storing `bytes` more (after freeing `freedBytes`, e.g. pruned profile
+// pictures or a replaced banner) keeps the user within quota
+async function checkQuota(userId, bytes, freedBytes = 0) {
+  const usage = await getQuotaUsage(userId);
+  return {
+    allowed: usage.used - freedBytes + bytes <= usage.limit,
+    usage
+  };
+}
+
+// Run write(tx) in one transaction (tx as in db.transaction) and roll it back, throwing
+// QuotaExceededError, if the user is over quota afterwards. Space the write frees (pruned
+// pictures, a replaced banner) counts, as it is freed in the same transaction.
+async function storeWithinQuota(userId, requested, write) {
+  return db.transaction((tx) => {
+    const before = quotaUsageFrom(tx.getUserStorageUsage(userId));
+    const result = write(tx);
+    const after = quotaUsageFrom(tx.getUserStorageUsage(userId));
+    if (after.used > after.limit) {
+      throw new QuotaExceededError(before, requested);
+    }
+    return result;
+  });
+}
+
+// Format usage for API responses
+function formatQuota(usage) {
+  return {
+    used: usage.used,
+    limit: usage.limit,
+    remaining: usage.remaining,
+    formattedUsed: formatFileSize(usage.used),
+    formattedLimit: formatFileSize(usage.limit),
+    formattedRemaining: formatFileSize(usage.remaining),
+    percentUsed: usage.limit > 0 ? Math.min(Math.round((usage.used / usage.limit) * 1000) / 10, 100) : 100
+  };
+}
+
+// Structured 413 for uploads that would exceed the quota
+function sendQuotaExceeded(res, usage, requested) {
+  return res.status(413).json({
+    error: 'Storage quota exceeded',
+    message: `This upload needs ${formatFileSize(requested)} but only ${formatFileSize(usage.remaining)} of your quota is left`,
+    quota: {
+      ...formatQuota(usage),
+      requested
+    }
+  });
+}
+
+module.exports = {
+  DEFAULT_USER_QUOTA,
+  QuotaExceededError,
+  getQuotaUsage,
+  checkQuota,
+  storeWithinQuota,
+  formatQuota,
+  sendQuotaExceeded
+};
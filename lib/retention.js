@@ -0,0 +1,91 @@
+const { CATEGORIES, toDbTimestamp } = require('./fileUtils');
+
+// File expiry and retention. A shared file may carry its own expires_at (set on upload
+// with expiresIn or expiresAt); server-wide rules can also remove files that haven't been
+// accessed for FILE_RETENTION_UNACCESSED_DAYS, or that are older than a per-category TTL
+// (FILE_RETENTION_CATEGORY_DAYS, e.g. "video:30,archive:7"). Expired files are refused
+// right away and deleted by the cleanup worker (lib/cleanup.js).
+const MAX_EXPIRES_IN = 10 * 365 * 24 * 60 * 60; // 10 years
+const DAY = 24 * 60 * 60 * 1000;
+
+// Parse "category:days,..." into { category: days }
+function parseCategoryRetention(value) {
+  const rules = {};
+  if (!value) return rules;
+
+  value.split(',').map(rule => rule.trim()).filter(Boolean).forEach(rule => {
+    const [category, days] = rule.split(':').map(part => part.trim());
+    const parsedDays = parseInt(days);
+    if (!CATEGORIES.includes(category) || !Number.isInteger(parsedDays) || parsedDays < 1) {
+      throw new Error(`Invalid FILE_RETENTION_CATEGORY_DAYS rule "${rule}" (expected <category>:<days>)`);
+    }
+    rules[category] = parsedDays;
+  });
+  return rules;
+}
+
+// Server-wide retention rules from the environment
+function retentionRulesFromEnv() {
+  const unaccessedDays = parseInt(process.env.FILE_RETENTION_UNACCESSED_DAYS) || null;
+  return {
+    unaccessedDays: unaccessedDays > 0 ? unaccessedDays : null,
+    categoryDays: parseCategoryRetention(process.env.FILE_RETENTION_CATEGORY_DAYS)
+  };
+}
+
+// Cutoff timestamps for the rules, relative to `now`
+function retentionCutoffs(rules, now = new Date()) {
+  const cutoff = (days) => toDbTimestamp(new Date(now.getTime() - days * DAY));
+  return {
+    unaccessedBefore: rules.unaccessedDays ? cutoff(rules.unaccessedDays) : null,
+    categories: Object.entries(rules.categoryDays).map(([category, days]) => ({ category, createdBefore: cutoff(days) }))
+  };
+}
+
+// Parse expiresIn (seconds) or expiresAt (ISO 8601) from an upload; returns { error } or
+// { expiresAt } (a DB timestamp, or null for no expiry)
+function parseExpiry({ expiresIn, expiresAt } = {}) {
+  if (expiresIn !== undefined && expiresIn !== '' && expiresAt !== undefined && expiresAt !== '') {
+    return { error: 'Send either expiresIn or expiresAt, not both' };
+  }
+
+  if (expiresIn !== undefined && expiresIn !== '') {
+    const seconds = Number(expiresIn);
+    if (!Number.isInteger(seconds) || seconds < 1 || seconds > MAX_EXPIRES_IN) {
+      return { error: `expiresIn must be between 1 and ${MAX_EXPIRES_IN} seconds` };
+    }
+    // Stored with second precision, so round up rather than expire early
+    return { expiresAt: toDbTimestamp(new Date(Math.ceil((Date.now() + seconds * 1000) / 1000) * 1000)) };
+  }
+
+  if (expiresAt !== undefined && expiresAt !== '') {
+    const time = Date.parse(expiresAt);
+    if (isNaN(time) || time <= Date.now() || time > Date.now() + MAX_EXPIRES_IN * 1000) {
+      return { error: 'expiresAt must be an ISO 8601 date in the future (at most 10 years ahead)' };
+    }
+    return { expiresAt: toDbTimestamp(new Date(Math.ceil(time / 1000) * 1000)) };
+  }
+
+  return { expiresAt: null };
+}
+
+function isExpired(file) {
+  return !!file.expires_at && file.expires_at <= toDbTimestamp(new Date());
+}
+
+// Send 410 for a file past its expiry (before the cleanup worker has removed it); returns true otherwise
+function checkFileExpiry(file, res) {
+  if (!isExpired(file)) {
+    return true;
+  }
+  res.status(410).json({ error: 'This file has expired', code: 'FILE_EXPIRED' });
+  return false;
+}
+
+module.exports = {
+  retentionRulesFromEnv,
+  retentionCutoffs,
+  parseExpiry,
+  isExpired,
+  checkFileExpiry
+};
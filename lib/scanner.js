@@ -0,0 +1,171 @@
+const db = require('../database');
+const { withBlobLock } = require('./blobStore');
+const { getStorage } = require('./storage');
+const { createClamavScanner } = require('./clamav');
+const { createJobQueue } = require('./jobQueue');
+const { queuePreview } = require('./previews');
+const { queueTextExtraction } = require('./textExtraction');
+
+// Malware scanning for shared files. New files start as scan_status 'pending' and are
+// scanned in the background, one at a time; only 'clean' files can be downloaded (and
+// get a preview and their text indexed, see lib/previews.js and lib/textExtraction.js).
+// Infected content is moved to uploads/quarantine (every file sharing the blob is
+// flagged, since the content is identical) and each verdict is recorded in scan_events.
+//
+// The backend is chosen with MALWARE_SCANNER. A backend is { name, scan(stream) } taking
+// the file's content and resolving to { status: 'clean' | 'infected', signature };
+// throwing marks the file 'error'.
+const QUARANTINE_DIR = 'uploads/quarantine';
+
+const scannerFactories = {
+  // No scanning: files become downloadable as soon as they are processed
+  none: () => ({
+    name: 'none',
+    scan: async () => ({ status: 'clean', signature: null })
+  }),
+  clamav: () => createClamavScanner()
+};
+
+let scanner = null;
+
+// Make another backend available under MALWARE_SCANNER=<name>
+function registerScanner(name, factory) {
+  scannerFactories[name] = factory;
+  scanner = null;
+}
+
+function getScanner() {
+  if (!scanner) {
+    const name = process.env.MALWARE_SCANNER || 'none';
+    const factory = scannerFactories[name];
+    if (!factory) {
+      throw new Error(`Unknown MALWARE_SCANNER "${name}"`);
+    }
+    if (name === 'none') {
+      console.warn('⚠️ MALWARE_SCANNER is not set; shared files are not scanned for malware');
+    }
+    scanner = factory();
+  }
+  return scanner;
+}
+
+// Move a file's content into quarantine; returns the quarantine path
+async function moveToQuarantine(file) {
+  const quarantinePath = `${QUARANTINE_DIR}/${file.blob_hash || file.file_name}`;
+  const storage = getStorage(file.storage_backend);
+
+  if (file.file_path !== quarantinePath && (await storage.exists(file.file_path))) {
+    await storage.move(file.file_path, quarantinePath);
+  }
+  return quarantinePath;
+}
+
+async function runScan(fileId) {
+  // Re-read under the lock: the file may have been deleted or rescanned meanwhile
+  const file = await db.getSharedFile(fileId);
+  if (!file || !['pending', 'error'].includes(file.scan_status)) {
+    return;
+  }
+
+  const backend = getScanner();
+  let result;
+  let stream = null;
+  try {
+    stream = await getStorage(file.storage_backend).getStream(file.file_path);
+    result = await backend.scan(stream);
+  } catch (error) {
+    console.error(`Scan of ${fileId} failed:`, error.message);
+    result = { status: 'error', signature: null, detail: error.message };
+  } finally {
+    if (stream) stream.destroy();
+  }
+
+  const quarantinePath = result.status === 'infected' ? await moveToQuarantine(file) : null;
+
+  // Record the verdict and its scan events together. Infected content flags every file that uses it.
+  const affected = await db.transaction((tx) => {
+    let files = [file];
+    if (quarantinePath) {
+      files = file.blob_hash
+        ? tx.quarantineBlob(file.blob_hash, quarantinePath, result.signature)
+        : tx.quarantineSharedFile(file.file_id, quarantinePath, result.signature);
+    } else {
+      tx.setScanResult(fileId, result.status, result.signature);
+    }
+
+    files.forEach(affectedFile => tx.recordScanEvent({
+      fileId: affectedFile.file_id,
+      userId: affectedFile.user_id,
+      blobHash: affectedFile.blob_hash,
+      scanner: backend.name,
+      status: result.status,
+      signature: result.signature,
+      detail: result.detail || (affectedFile.file_id !== fileId ? `Same content as ${fileId}` : null)
+    }));
+    return files;
+  });
+
+  if (quarantinePath) {
+    console.warn(`🦠 Quarantined ${fileId} (${result.signature}); ${affected.length} file(s) flagged`);
+  } else if (result.status === 'clean') {
+    queuePreview(fileId);
+    queueTextExtraction(fileId);
+  }
+}
+
+async function scanSharedFile(fileId) {
+  const file = await db.getSharedFile(fileId);
+  if (!file) return;
+
+  // Hold the blob lock so the content can't be deleted or re-referenced mid-scan
+  if (file.blob_hash) {
+    await withBlobLock(file.blob_hash, () => runScan(fileId));
+  } else {
+    await runScan(fileId);
+  }
+}
+
+// Scans run one after another in the background
+const queueScan = createJobQueue('scanning', scanSharedFile);
+
+// Queue files left pending (or failed) by a previous run; called at startup
+async function resumePendingScans() {
+  getScanner();
+  const files = await db.getFilesByScanStatus(['pending', 'error']);
+  files.forEach(file => queueScan(file.file_id));
+  return files.length;
+}
+
+// Send the appropriate error if a file hasn't been scanned clean; returns true when it has
+function checkScanStatus(file, res) {
+  switch (file.scan_status) {
+    case 'clean':
+      return true;
+    case 'pending':
+      res.setHeader('Retry-After', '5');
+      res.status(409).json({ error: 'File is still being scanned', code: 'SCAN_PENDING' });
+      return false;
+    case 'infected':
+      res.status(403).json({ error: 'File was flagged as malware and is unavailable', code: 'FILE_INFECTED' });
+      return false;
+    default:
+      res.status(503).json({ error: 'File could not be scanned and is unavailable', code: 'SCAN_FAILED' });
+      return false;
+  }
+}
+
+// Only let clean files through to the handler. Run after the access checks.
+function requireCleanFile(req, res, next) {
+  if (checkScanStatus(req.sharedFile, res)) {
+    next();
+  }
+}
+
+module.exports = {
+  QUARANTINE_DIR,
+  registerScanner,
+  queueScan,
+  resumePendingScans,
+  checkScanStatus,
+  requireCleanFile
+};
@@ -0,0 +1,61 @@
+const { createLocalStorage } = require('./local');
+const { createS3Storage } = require('./s3');
+
+// Storage drivers for stored file content (shared files, quarantine, profile pictures).
+// Every driver implements:
+//   put(key, source)                  store a Buffer, or move a local file (by path) into storage
+//   getStream(key, { start, end })    readable stream of the content (inclusive byte range);
+//                                     rejects with code ENOENT when the key doesn't exist
+//   delete(key)                       no-op when the key doesn't exist
+//   exists(key)
+//   stat(key)                         { size, modified } or null
+//   move(fromKey, toKey)
+//   list(prefix)                      every object under a directory-like prefix (e.g.
+//                                     uploads/shared) as [{ key, size, modified }]
+// Keys look like uploads/shared/<hash>. New content goes to STORAGE_BACKEND; the backend
+// holding each item is recorded next to its key so content can be migrated between them.
+const driverFactories = {
+  local: () => createLocalStorage(),
+  s3: () => createS3Storage()
+};
+
+const drivers = new Map();
+
+// Make another driver available under STORAGE_BACKEND=<name>
+function registerStorageDriver(name, factory) {
+  driverFactories[name] = factory;
+  drivers.delete(name);
+}
+
+function getStorage(name) {
+  if (!drivers.has(name)) {
+    const factory = driverFactories[name];
+    if (!factory) {
+      throw new Error(`Unknown storage backend "${name}"`);
+    }
+    drivers.set(name, factory());
+  }
+  return drivers.get(name);
+}
+
+// Read a stored object (or a byte range of it) into memory
+async function readObject(backend, key, range = {}) {
+  const stream = await getStorage(backend).getStream(key, range);
+  const chunks = [];
+  for await (const chunk of stream) {
+    chunks.push(chunk);
+  }
+  return Buffer.concat(chunks);
+}
+
+// Backend new content is written to
+function defaultStorageBackend() {
+  return process.env.STORAGE_BACKEND || 'local';
+}
+
+module.exports = {
+  registerStorageDriver,
+  getStorage,
+  readObject,
+  defaultStorageBackend
+};
@@ -0,0 +1,97 @@
+const path = require('path');
+const fs = require('fs-extra');
+const { v4: uuidv4 } = require('uuid');
+
+// Local filesystem driver. Keys are paths relative to the project root
+// (e.g. uploads/shared/<hash>), which is what file_path held before drivers existed.
+function createLocalStorage({ root = path.join(__dirname, '../..') } = {}) {
+  const resolve = (key) => {
+    const filePath = path.resolve(root, key);
+    if (!filePath.startsWith(path.resolve(root) + path.sep)) {
+      throw new Error(`Invalid storage key: ${key}`);
+    }
+    return filePath;
+  };
+
+  return {
+    name: 'local',
+
+    async put(key, source) {
+      const filePath = resolve(key);
+      await fs.ensureDir(path.dirname(filePath));
+
+      if (Buffer.isBuffer(source)) {
+        // Write beside the target first so the final file appears atomically
+        const tempPath = `${filePath}.${uuidv4()}.tmp`;
+        await fs.writeFile(tempPath, source);
+        await fs.move(tempPath, filePath, { overwrite: true });
+      } else {
+        await fs.move(source, filePath, { overwrite: true });
+      }
+    },
+
+    async getStream(key, { start, end } = {}) {
+      // Open eagerly so a missing file rejects here (ENOENT) rather than mid-response
+      const handle = await fs.promises.open(resolve(key), 'r');
+      return handle.createReadStream({ start, end });
+    },
+
+    async delete(key) {
+      await fs.remove(resolve(key));
+    },
+
+    async exists(key) {
+      return fs.pathExists(resolve(key));
+    },
+
+    async stat(key) {
+      try {
+        const stats = await fs.stat(resolve(key));
+        return { size: stats.size, modified: stats.mtime };
+      } catch (error) {
+        if (error.code === 'ENOENT') return null;
+        throw error;
+      }
+    },
+
+    async move(fromKey, toKey) {
+      const toPath = resolve(toKey);
+      await fs.ensureDir(path.dirname(toPath));
+      await fs.move(resolve(fromKey), toPath, { overwrite: true });
+    },
+
+    async list(prefix) {
+      const objects = [];
+      const walk = async (dir) => {
+        let entries;
+        try {
+          entries = await fs.readdir(dir, { withFileTypes: true });
+        } catch (error) {
+          if (error.code === 'ENOENT') return;
+          throw error;
+        }
+
+        for (const entry of entries) {
+          const entryPath = path.join(dir, entry.name);
+          if (entry.isDirectory()) {
+            await walk(entryPath);
+          } else if (entry.isFile()) {
+            // May have been removed since the directory was read
+            const stats = await fs.stat(entryPath).catch(() => null);
+            if (stats) {
+              const key = path.relative(root, entryPath).split(path.sep).join('/');
+              objects.push({ key, size: stats.size, modified: stats.mtime });
+            }
+          }
+        }
+      };
+
+      await walk(resolve(prefix));
+      return objects;
+    }
+  };
+}
+
+module.exports = {
+  createLocalStorage
+};
@@ -0,0 +1,260 @@
+const http = require('http');
+const https = require('https');
+const crypto = require('crypto');
+const fs = require('fs-extra');
+
+// S3-compatible driver (AWS S3, MinIO, R2, ...) over plain HTTP(S) with Signature V4.
+// Keys map to object keys under an optional prefix. Uploads are sent with
+// UNSIGNED-PAYLOAD so files can be streamed without hashing them twice.
+const EMPTY_SHA256 = crypto.createHash('sha256').update('').digest('hex');
+const DEFAULT_TIMEOUT = 60 * 1000;
+
+function s3OptionsFromEnv() {
+  const region = process.env.S3_REGION || 'us-east-1';
+  return {
+    bucket: process.env.S3_BUCKET,
+    region,
+    endpoint: process.env.S3_ENDPOINT || `https://s3.${region}.amazonaws.com`,
+    accessKeyId: process.env.S3_ACCESS_KEY_ID,
+    secretAccessKey: process.env.S3_SECRET_ACCESS_KEY,
+    // Custom endpoints (MinIO and friends) usually need /<bucket>/<key> URLs
+    forcePathStyle: process.env.S3_FORCE_PATH_STYLE
+      ? process.env.S3_FORCE_PATH_STYLE === 'true'
+      : !!process.env.S3_ENDPOINT,
+    prefix: process.env.S3_PREFIX || '',
+    timeout: parseInt(process.env.S3_TIMEOUT) || DEFAULT_TIMEOUT
+  };
+}
+
+function sha256Hex(value) {
+  return crypto.createHash('sha256').update(value).digest('hex');
+}
+
+function hmac(key, value) {
+  return crypto.createHmac('sha256', key).update(value).digest();
+}
+
+// RFC 3986 encoding, as SigV4 expects
+function encodeRfc3986(value) {
+  return encodeURIComponent(value).replace(/[!'()*]/g, c => `%${c.charCodeAt(0).toString(16).toUpperCase()}`);
+}
+
+function encodeKey(key) {
+  return key.split('/').map(encodeRfc3986).join('/');
+}
+
+// Text of the first <tag> element in an XML fragment (responses are small and flat)
+function xmlValue(xml, tag) {
+  const match = new RegExp(`<${tag}>([^<]*)</${tag}>`).exec(xml);
+  return match ? match[1] : '';
+}
+
+function decodeXml(value) {
+  return value.replace(/&(lt|gt|quot|apos|amp);/g, (entity, name) => ({ lt: '<', gt: '>', quot: '"', apos: "'", amp: '&' })[name]);
+}
+
+function storageError(message, code, status) {
+  return Object.assign(new Error(message), { code, status });
+}
+
+// Sign a request with Signature V4: returns its headers plus host, x-amz-date,
+// x-amz-content-sha256 and authorization. requestPath and query are already URI-encoded,
+// with the query parameters sorted.
+function signRequest({ method, host, requestPath, query, headers, payloadHash, region, accessKeyId, secretAccessKey, date = new Date() }) {
+  const amzDate = date.toISOString().replace(/[:-]|\.\d{3}/g, '');
+  const dateStamp = amzDate.slice(0, 8);
+  const scope = `${dateStamp}/${region}/s3/aws4_request`;
+
+  const signed = { ...headers, host, 'x-amz-date': amzDate, 'x-amz-content-sha256': payloadHash };
+  const names = Object.keys(signed).map(name => name.toLowerCase()).sort();
+  const lookup = Object.fromEntries(Object.entries(signed).map(([name, value]) => [name.toLowerCase(), value]));
+  const canonicalHeaders = names.map(name => `${name}:${String(lookup[name]).trim().replace(/\s+/g, ' ')}\n`).join('');
+  const signedHeaders = names.join(';');
+
+  const canonicalRequest = [method, requestPath, query, canonicalHeaders, signedHeaders, payloadHash].join('\n');
+  const stringToSign = ['AWS4-HMAC-SHA256', amzDate, scope, sha256Hex(canonicalRequest)].join('\n');
+
+  const signingKey = ['s3', 'aws4_request'].reduce(hmac, hmac(hmac(`AWS4${secretAccessKey}`, dateStamp), region));
+  const signature = crypto.createHmac('sha256', signingKey).update(stringToSign).digest('hex');
+
+  return {
+    ...signed,
+    authorization: `AWS4-HMAC-SHA256 Credential=${accessKeyId}/${scope}, SignedHeaders=${signedHeaders}, Signature=${signature}`
+  };
+}
+
+function createS3Storage(options = s3OptionsFromEnv()) {
+  const { bucket, region, accessKeyId, secretAccessKey, forcePathStyle, prefix, timeout } = options;
+  if (!bucket || !accessKeyId || !secretAccessKey) {
+    throw new Error('S3 storage requires S3_BUCKET, S3_ACCESS_KEY_ID and S3_SECRET_ACCESS_KEY');
+  }
+
+  const endpoint = new URL(options.endpoint);
+  const transport = endpoint.protocol === 'http:' ? http : https;
+  const host = forcePathStyle ? endpoint.host : `${bucket}.${endpoint.host}`;
+  const basePath = endpoint.pathname.replace(/\/$/, '');
+
+  const objectPath = (key) => {
+    const encoded = encodeKey(prefix + key);
+    return forcePathStyle ? `${basePath}/${encodeRfc3986(bucket)}/${encoded}` : `${basePath}/${encoded}`;
+  };
+  // Bucket-level requests (listing)
+  const bucketPath = forcePathStyle ? `${basePath}/${encodeRfc3986(bucket)}` : `${basePath}/`;
+
+  const sign = (method, requestPath, query, headers, payloadHash) => signRequest({
+    method, host, requestPath, query, headers, payloadHash, region, accessKeyId, secretAccessKey
+  });
+
+  // Send a signed request (to the bucket itself when key is null); resolves to the
+  // response (body unread) for 2xx and 404
+  const request = (method, key, { headers = {}, body = null, query = {} } = {}) => new Promise((resolve, reject) => {
+    const requestPath = key === null ? bucketPath : objectPath(key);
+    const queryString = Object.entries(query)
+      .map(([name, value]) => `${encodeRfc3986(name)}=${encodeRfc3986(value)}`)
+      .sort()
+      .join('&');
+    const payloadHash = body ? 'UNSIGNED-PAYLOAD' : EMPTY_SHA256;
+
+    const req = transport.request({
+      protocol: endpoint.protocol,
+      hostname: forcePathStyle ? endpoint.hostname : `${bucket}.${endpoint.hostname}`,
+      port: endpoint.port || undefined,
+      method,
+      path: queryString ? `${requestPath}?${queryString}` : requestPath,
+      headers: sign(method, requestPath, queryString, headers, payloadHash)
+    });
+
+    const target = key === null ? bucket : key;
+    req.setTimeout(timeout, () => req.destroy(storageError(`S3 ${method} ${target} timed out`, 'ETIMEDOUT')));
+    req.on('error', reject);
+    req.on('response', (res) => {
+      if ((res.statusCode >= 200 && res.statusCode < 300) || res.statusCode === 404) {
+        return resolve(res);
+      }
+
+      const chunks = [];
+      res.on('data', chunk => chunks.push(chunk));
+      res.on('end', () => {
+        const code = (Buffer.concat(chunks).toString('utf8').match(/<Code>([^<]+)<\/Code>/) || [])[1];
+        reject(storageError(`S3 ${method} ${target} failed: ${res.statusCode}${code ? ` ${code}` : ''}`, code || 'S3_ERROR', res.statusCode));
+      });
+    });
+
+    if (!body) {
+      req.end();
+    } else if (Buffer.isBuffer(body)) {
+      req.end(body);
+    } else {
+      body.on('error', (error) => req.destroy(error));
+      body.pipe(req);
+    }
+  });
+
+  // Consume a response we don't need the body of
+  const drain = (res) => {
+    res.resume();
+    return res;
+  };
+
+  const readBody = async (res) => {
+    const chunks = [];
+    for await (const chunk of res) {
+      chunks.push(chunk);
+    }
+    return Buffer.concat(chunks).toString('utf8');
+  };
+
+  return {
+    name: 's3',
+
+    async put(key, source) {
+      const isBuffer = Buffer.isBuffer(source);
+      const length = isBuffer ? source.length : (await fs.stat(source)).size;
+      const body = isBuffer ? source : fs.createReadStream(source);
+
+      drain(await request('PUT', key, { headers: { 'content-length': length }, body }));
+
+      if (!isBuffer) {
+        // Same contract as the local driver: the source file is moved into storage
+        await fs.remove(source);
+      }
+    },
+
+    async getStream(key, { start, end } = {}) {
+      const headers = {};
+      if (start !== undefined || end !== undefined) {
+        headers.range = `bytes=${start || 0}-${end !== undefined ? end : ''}`;
+      }
+
+      const res = await request('GET', key, { headers });
+      if (res.statusCode === 404) {
+        drain(res);
+        throw storageError(`No such object: ${key}`, 'ENOENT', 404);
+      }
+      return res;
+    },
+
+    async delete(key) {
+      drain(await request('DELETE', key));
+    },
+
+    async exists(key) {
+      const res = drain(await request('HEAD', key));
+      return res.statusCode !== 404;
+    },
+
+    async stat(key) {
+      const res = drain(await request('HEAD', key));
+      if (res.statusCode === 404) return null;
+      return {
+        size: parseInt(res.headers['content-length']),
+        modified: new Date(res.headers['last-modified'])
+      };
+    },
+
+    async move(fromKey, toKey) {
+      const copySource = `/${encodeRfc3986(bucket)}/${encodeKey(prefix + fromKey)}`;
+      drain(await request('PUT', toKey, { headers: { 'x-amz-copy-source': copySource } }));
+      drain(await request('DELETE', fromKey));
+    },
+
+    // ListObjectsV2, following continuation tokens
+    async list(listPrefix) {
+      const objects = [];
+      let continuationToken = null;
+
+      do {
+        const query = { 'list-type': '2', prefix: `${prefix}${listPrefix.replace(/\/?$/, '/')}` };
+        if (continuationToken) {
+          query['continuation-token'] = continuationToken;
+        }
+
+        const res = await request('GET', null, { query });
+        if (res.statusCode === 404) {
+          drain(res);
+          throw storageError(`No such bucket: ${bucket}`, 'NoSuchBucket', 404);
+        }
+        const xml = await readBody(res);
+
+        for (const [, contents] of xml.matchAll(/<Contents>([\s\S]*?)<\/Contents>/g)) {
+          const key = decodeXml(xmlValue(contents, 'Key'));
+          objects.push({
+            key: key.slice(prefix.length),
+            size: parseInt(xmlValue(contents, 'Size')),
+            modified: new Date(xmlValue(contents, 'LastModified'))
+          });
+        }
+        continuationToken = xmlValue(xml, 'IsTruncated') === 'true'
+          ? decodeXml(xmlValue(xml, 'NextContinuationToken'))
+          : null;
+      } while (continuationToken);
+
+      return objects;
+    }
+  };
+}
+
+module.exports = {
+  createS3Storage,
+  signRequest
+};
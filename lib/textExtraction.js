@@ -0,0 +1,100 @@
+const db = require('../database');
+const { withBlobLock } = require('./blobStore');
+const { readObject } = require('./storage');
+const { createJobQueue } = require('./jobQueue');
+const { openPdf } = require('./pdf');
+
+// Text extraction for full-text search. Once a shared file has been scanned clean, the
+// text of text files and PDFs is extracted in the background and added to the search
+// index (shared_files_fts) next to its name and description. content_indexed_at is set
+// for every processed file, including types without text.
+const MAX_TEXT_LENGTH = 100 * 1000;
+// Only the start of large text files is read
+const MAX_TEXT_BYTES = 256 * 1024;
+const MAX_PDF_PAGES = 50;
+// PDFs are parsed in memory
+const MAX_PDF_SIZE = 50 * 1024 * 1024;
+
+async function extractPdfText(buffer) {
+  const document = await openPdf(buffer);
+  try {
+    const pages = [];
+    let length = 0;
+    for (let number = 1; number <= Math.min(document.numPages, MAX_PDF_PAGES) && length < MAX_TEXT_LENGTH; number++) {
+      const page = await document.getPage(number);
+      const content = await page.getTextContent();
+      const text = content.items.map(item => item.str || '').join(' ').replace(/\s+/g, ' ').trim();
+      pages.push(text);
+      length += text.length;
+      page.cleanup();
+    }
+    return pages.join('\n');
+  } finally {
+    await document.destroy();
+  }
+}
+
+// Searchable text of a file, or null when its type has none
+async function extractText(file) {
+  if (file.mime_type.startsWith('text/')) {
+    if (file.file_size === 0) return '';
+    const buffer = await readObject(file.storage_backend, file.file_path, {
+      start: 0,
+      end: Math.min(file.file_size, MAX_TEXT_BYTES) - 1
+    });
+    return buffer.toString('utf8');
+  }
+  if (file.mime_type === 'application/pdf' && file.file_size <= MAX_PDF_SIZE) {
+    return extractPdfText(await readObject(file.storage_backend, file.file_path));
+  }
+  return null;
+}
+
+async function runExtraction(fileId) {
+  // Re-read under the lock: the file may have been deleted meanwhile
+  const file = await db.getSharedFile(fileId);
+  if (!file || file.content_indexed_at || file.scan_status !== 'clean') {
+    return;
+  }
+
+  // Identical content may already have been indexed
+  if (file.blob_hash && (await db.copyIndexedText(fileId, file.blob_hash))) {
+    return;
+  }
+
+  let text = null;
+  try {
+    text = await extractText(file);
+  } catch (error) {
+    // Still searchable by name and description
+    console.error(`Text extraction of ${fileId} failed:`, error.message);
+  }
+  await db.setIndexedText(fileId, text ? text.slice(0, MAX_TEXT_LENGTH) : '');
+}
+
+async function indexFileContent(fileId) {
+  const file = await db.getSharedFile(fileId);
+  if (!file) return;
+
+  // Hold the blob lock so the content can't be deleted mid-read
+  if (file.blob_hash) {
+    await withBlobLock(file.blob_hash, () => runExtraction(fileId));
+  } else {
+    await runExtraction(fileId);
+  }
+}
+
+// Extraction runs one file at a time in the background
+const queueTextExtraction = createJobQueue('extracting text from', indexFileContent);
+
+// Queue clean files whose content isn't indexed yet (e.g. stored before search indexed it); called at startup
+async function resumeTextExtraction() {
+  const files = await db.getFilesAwaitingTextExtraction();
+  files.forEach(file => queueTextExtraction(file.file_id));
+  return files.length;
+}
+
+module.exports = {
+  queueTextExtraction,
+  resumeTextExtraction
+};
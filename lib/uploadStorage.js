@@ -0,0 +1,70 @@
+const path = require('path');
+const crypto = require('crypto');
+const fs = require('fs-extra');
+const { Transform, pipeline } = require('stream');
+const { v4: uuidv4 } = require('uuid');
+
+// Multer storage engine that streams each upload straight to uploads/temp, hashing
+// (SHA-256) and counting bytes on the way, so memory use doesn't grow with file size.
+// Routes validate the temp file and store it (shared files through storeBlob() in
+// lib/blobStore.js), then discardUpload() it. Partial files are removed on errors and
+// client aborts.
+const TEMP_DIR = path.join(__dirname, '../uploads/temp');
+
+class TempFileStorage {
+  _handleFile(req, file, cb) {
+    const tempPath = path.join(TEMP_DIR, `${uuidv4()}.upload`);
+    const hash = crypto.createHash('sha256');
+    let size = 0;
+
+    const meter = new Transform({
+      transform(chunk, encoding, callback) {
+        size += chunk.length;
+        hash.update(chunk);
+        callback(null, chunk);
+      }
+    });
+
+    // busboy never sees the end of an aborted request, so stop the write ourselves
+    const onClose = () => {
+      if (!req.complete) {
+        meter.destroy(new Error('Upload aborted by client'));
+      }
+    };
+    req.once('close', onClose);
+
+    fs.ensureDir(TEMP_DIR)
+      .then(() => {
+        pipeline(file.stream, meter, fs.createWriteStream(tempPath), (err) => {
+          req.removeListener('close', onClose);
+
+          if (err) {
+            return fs.remove(tempPath, () => cb(err));
+          }
+
+          cb(null, { path: tempPath, size, sha256: hash.digest('hex') });
+        });
+      })
+      .catch(cb);
+  }
+
+  _removeFile(req, file, cb) {
+    fs.remove(file.path, cb);
+  }
+}
+
+function tempFileStorage() {
+  return new TempFileStorage();
+}
+
+// Remove an upload's temp file if it is still there
+async function discardUpload(file) {
+  if (file && file.path) {
+    await fs.remove(file.path);
+  }
+}
+
+module.exports = {
+  tempFileStorage,
+  discardUpload
+};
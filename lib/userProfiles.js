@@ -0,0 +1,80 @@
+const { PROFILE_PICTURE_SIZES, profilePictureUrls } = require('./imageProcessing');
+
+// User profiles: the editable text fields (with their length limits) and the shape
+// profiles take in API responses. Pictures and banners are uploaded separately.
+const PROFILE_FIELDS = {
+  username: 50,
+  email: 254,
+  displayName: 100,
+  bio: 500,
+  statusMessage: 140
+};
+// Users looked up by one POST /api/profile/batch request
+const MAX_BATCH_USERS = 100;
+
+// Parse the profile fields of a request body; returns { error } or { fields } with only the
+// supplied ones (a string, or null / "" to clear it)
+function parseProfileUpdate(body = {}) {
+  const fields = {};
+
+  for (const [field, maxLength] of Object.entries(PROFILE_FIELDS)) {
+    const value = body[field];
+    if (value === undefined) continue;
+
+    if (value === null || value === '') {
+      fields[field] = null;
+    } else if (typeof value !== 'string') {
+      return { error: `${field} must be a string or null` };
+    } else if (value.trim().length > maxLength) {
+      return { error: `${field} must be at most ${maxLength} characters` };
+    } else {
+      fields[field] = value.trim() || null;
+    }
+  }
+
+  return { fields };
+}
+
+// Cache-busting URLs for one version of a profile picture: they change whenever the active
+// picture does, so clients and CDNs caching by URL pick up a new picture right away
+function versionedUrls(userId, version) {
+  const url = `/api/profile/picture/${encodeURIComponent(userId)}?v=${version}`;
+  const versionedSizes = {};
+  PROFILE_PICTURE_SIZES.forEach(size => {
+    versionedSizes[size] = `${url}&size=${size}`;
+  });
+  return { version, versionedUrl: url, versionedSizes };
+}
+
+// Format a users row (from getUserProfiles) for API responses; the email is only shown
+// to the user themselves
+function formatProfile(user, { includeEmail = false } = {}) {
+  const picture = user.profile_picture_path
+    ? {
+      url: user.profile_picture_url,
+      sizes: profilePictureUrls(user.profile_picture_path),
+      ...(user.profile_picture_version && versionedUrls(user.user_id, user.profile_picture_version))
+    }
+    : null;
+
+  return {
+    userId: user.user_id,
+    username: user.username,
+    ...(includeEmail && { email: user.email }),
+    displayName: user.display_name,
+    bio: user.bio,
+    statusMessage: user.status_message,
+    profilePicture: picture,
+    bannerUrl: user.banner_path ? `/${user.banner_path}` : null,
+    createdAt: user.created_at,
+    updatedAt: user.updated_at
+  };
+}
+
+module.exports = {
+  PROFILE_FIELDS,
+  MAX_BATCH_USERS,
+  parseProfileUpdate,
+  versionedUrls,
+  formatProfile
+};
@@ -0,0 +1,128 @@
+const zlib = require('zlib');
+const { Readable } = require('stream');
+
+// Streaming ZIP writer for file bundles. Entries are read one at a time and written
+// stored (uncompressed: most shared files are already compressed media), with the CRC-32
+// and sizes in a data descriptor after each entry's content, so nothing is buffered and
+// the archive can be sent as it is produced. Names are stored as UTF-8.
+// Classic ZIP without Zip64: callers keep bundles under MAX_ZIP_SIZE and MAX_ZIP_ENTRIES.
+const MAX_ZIP_SIZE = 0xffffffff;
+const MAX_ZIP_ENTRIES = 0xffff;
+
+const VERSION = 20;
+// Bit 3: CRC and sizes follow the content; bit 11: UTF-8 names
+const FLAGS = 0x0808;
+const METHOD_STORED = 0;
+
+// MS-DOS time and date (2-second precision, 1980 onwards)
+function dosDateTime(date) {
+  const year = Math.max(date.getUTCFullYear(), 1980);
+  return {
+    time: (date.getUTCHours() << 11) | (date.getUTCMinutes() << 5) | Math.floor(date.getUTCSeconds() / 2),
+    date: ((year - 1980) << 9) | ((date.getUTCMonth() + 1) << 5) | date.getUTCDate()
+  };
+}
+
+function localHeader(entry) {
+  const header = Buffer.alloc(30);
+  header.writeUInt32LE(0x04034b50, 0);
+  header.writeUInt16LE(VERSION, 4);
+  header.writeUInt16LE(FLAGS, 6);
+  header.writeUInt16LE(METHOD_STORED, 8);
+  header.writeUInt16LE(entry.dos.time, 10);
+  header.writeUInt16LE(entry.dos.date, 12);
+  // CRC-32 and sizes (12 bytes) are left zero; they are in the data descriptor
+  header.writeUInt16LE(entry.name.length, 26);
+  return Buffer.concat([header, entry.name]);
+}
+
+function dataDescriptor(entry) {
+  const descriptor = Buffer.alloc(16);
+  descriptor.writeUInt32LE(0x08074b50, 0);
+  descriptor.writeUInt32LE(entry.crc, 4);
+  descriptor.writeUInt32LE(entry.size, 8);
+  descriptor.writeUInt32LE(entry.size, 12);
+  return descriptor;
+}
+
+function centralDirectoryHeader(entry) {
+  const header = Buffer.alloc(46);
+  header.writeUInt32LE(0x02014b50, 0);
+  header.writeUInt16LE(VERSION, 4);
+  header.writeUInt16LE(VERSION, 6);
+  header.writeUInt16LE(FLAGS, 8);
+  header.writeUInt16LE(METHOD_STORED, 10);
+  header.writeUInt16LE(entry.dos.time, 12);
+  header.writeUInt16LE(entry.dos.date, 14);
+  header.writeUInt32LE(entry.crc, 16);
+  header.writeUInt32LE(entry.size, 20);
+  header.writeUInt32LE(entry.size, 24);
+  header.writeUInt16LE(entry.name.length, 28);
+  header.writeUInt32LE(entry.offset, 42);
+  return Buffer.concat([header, entry.name]);
+}
+
+function endOfCentralDirectory(count, size, offset) {
+  const record = Buffer.alloc(22);
+  record.writeUInt32LE(0x06054b50, 0);
+  record.writeUInt16LE(count, 8);
+  record.writeUInt16LE(count, 10);
+  record.writeUInt32LE(size, 12);
+  record.writeUInt32LE(offset, 16);
+  return record;
+}
+
+async function* zipChunks(entries) {
+  const written = [];
+  let offset = 0;
+
+  for (const { name, modified, open } of entries) {
+    const entry = { name: Buffer.from(name, 'utf8'), dos: dosDateTime(modified), offset, crc: 0, size: 0 };
+
+    const header = localHeader(entry);
+    yield header;
+
+    const stream = await open();
+    try {
+      for await (const chunk of stream) {
+        entry.crc = zlib.crc32(chunk, entry.crc);
+        entry.size += chunk.length;
+        yield chunk;
+      }
+    } finally {
+      stream.destroy();
+    }
+
+    const descriptor = dataDescriptor(entry);
+    yield descriptor;
+
+    offset += header.length + entry.size + descriptor.length;
+    if (offset > MAX_ZIP_SIZE) {
+      throw new Error('Archive is too large for ZIP without Zip64');
+    }
+    written.push(entry);
+  }
+
+  let directorySize = 0;
+  for (const entry of written) {
+    const header = centralDirectoryHeader(entry);
+    directorySize += header.length;
+    yield header;
+  }
+  yield endOfCentralDirectory(written.length, directorySize, offset);
+}
+
+// A readable stream of the ZIP archive of entries: { name, modified (Date), open() } where
+// open resolves to a readable stream of the entry's content. Entries are opened in order,
+// each once the previous one has been written.
+function createZipStream(entries) {
+  if (entries.length > MAX_ZIP_ENTRIES) {
+    throw new Error(`A ZIP archive holds at most ${MAX_ZIP_ENTRIES} entries`);
+  }
+  return Readable.from(zipChunks(entries), { objectMode: false });
+}
+
+module.exports = {
+  MAX_ZIP_SIZE,
+  createZipStream
+};
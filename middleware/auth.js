@@ -0,0 +1,218 @@
+const crypto = require('crypto');
+const fs = require('fs-extra');
+
+// Firebase ID token verification (RS256 JWTs signed by Google's securetoken service).
+// Keys are read from FIREBASE_PUBLIC_KEYS_PATH (JWKS, Google's kid->certificate map,
+// or a single PEM key) so tokens can be verified offline, otherwise fetched from
+// FIREBASE_JWKS_URL and cached for as long as the response allows.
+const DEFAULT_JWKS_URL = 'https://www.googleapis.com/service_accounts/v1/jwk/securetoken@system.gserviceaccount.com';
+const CLOCK_SKEW_SECONDS = 60;
+const KEY_RELOAD_INTERVAL_MS = 60 * 1000;
+
+class AuthError extends Error {
+  constructor(message, status = 401) {
+    super(message);
+    this.name = 'AuthError';
+    this.status = status;
+  }
+}
+
+let keyCache = { keys: new Map(), fallbackKey: null, expiresAt: 0, loadedAt: 0 };
+
+function base64UrlDecode(segment) {
+  return Buffer.from(segment.replace(/-/g, '+').replace(/_/g, '/'), 'base64');
+}
+
+// Turn any supported key document into a kid -> KeyObject map
+function parseKeyDocument(contents) {
+  const keys = new Map();
+  let fallbackKey = null;
+
+  let parsed = null;
+  try {
+    parsed = JSON.parse(contents);
+  } catch (error) {
+    // Not JSON - treat as a PEM public key or certificate
+  }
+
+  if (parsed && Array.isArray(parsed.keys)) {
+    parsed.keys
+      .filter(jwk => jwk.kty === 'RSA')
+      .forEach(jwk => keys.set(jwk.kid, crypto.createPublicKey({ key: jwk, format: 'jwk' })));
+  } else if (parsed && typeof parsed === 'object') {
+    Object.entries(parsed).forEach(([kid, pem]) => keys.set(kid, crypto.createPublicKey(pem)));
+  } else {
+    fallbackKey = crypto.createPublicKey(contents);
+  }
+
+  return { keys, fallbackKey };
+}
+
+async function loadKeys() {
+  const keysPath = process.env.FIREBASE_PUBLIC_KEYS_PATH;
+
+  if (keysPath) {
+    const contents = await fs.readFile(keysPath, 'utf8');
+    return { ...parseKeyDocument(contents), expiresAt: Infinity };
+  }
+
+  const response = await fetch(process.env.FIREBASE_JWKS_URL || DEFAULT_JWKS_URL);
+  if (!response.ok) {
+    throw new Error(`Failed to fetch signing keys: HTTP ${response.status}`);
+  }
+
+  const maxAge = /max-age=(\d+)/.exec(response.headers.get('cache-control') || '');
+  const ttlMs = maxAge ? parseInt(maxAge[1]) * 1000 : 60 * 60 * 1000;
+  return { ...parseKeyDocument(await response.text()), expiresAt: Date.now() + ttlMs };
+}
+
+async function getSigningKey(kid) {
+  const now = Date.now();
+  const expired = now >= keyCache.expiresAt;
+  // Reload on unknown kid (key rotation), but not more than once a minute
+  const unknownKid = kid && !keyCache.keys.has(kid) && now - keyCache.loadedAt > KEY_RELOAD_INTERVAL_MS;
+
+  if (expired || unknownKid) {
+    keyCache = { ...(await loadKeys()), loadedAt: now };
+  }
+
+  return (kid && keyCache.keys.get(kid)) || keyCache.fallbackKey;
+}
+
+// Verify a Firebase ID token and return its claims
+async function verifyIdToken(token) {
+  const projectId = process.env.FIREBASE_PROJECT_ID;
+  if (!projectId) {
+    throw new AuthError('Authentication is not configured', 500);
+  }
+
+  const parts = token.split('.');
+  if (parts.length !== 3) {
+    throw new AuthError('Malformed token');
+  }
+
+  let header, claims;
+  try {
+    header = JSON.parse(base64UrlDecode(parts[0]).toString('utf8'));
+    claims = JSON.parse(base64UrlDecode(parts[1]).toString('utf8'));
+  } catch (error) {
+    throw new AuthError('Malformed token');
+  }
+
+  if (header.alg !== 'RS256') {
+    throw new AuthError('Unsupported token algorithm');
+  }
+
+  const key = await getSigningKey(header.kid);
+  if (!key) {
+    throw new AuthError('Unknown token signing key');
+  }
+
+  const signedData = Buffer.from(`${parts[0]}.${parts[1]}`);
+  if (!crypto.verify('RSA-SHA256', signedData, key, base64UrlDecode(parts[2]))) {
+    throw new AuthError('Invalid token signature');
+  }
+
+  const now = Math.floor(Date.now() / 1000);
+  if (typeof claims.exp !== 'number' || claims.exp + CLOCK_SKEW_SECONDS < now) {
+    throw new AuthError('Token expired');
+  }
+  if (typeof claims.iat !== 'number' || claims.iat - CLOCK_SKEW_SECONDS > now) {
+    throw new AuthError('Token issued in the future');
+  }
+  if (claims.aud !== projectId || claims.iss !== `https://securetoken.google.com/${projectId}`) {
+    throw new AuthError('Token was not issued for this project');
+  }
+  if (typeof claims.sub !== 'string' || !claims.sub || claims.sub.length > 128) {
+    throw new AuthError('Token has no valid subject');
+  }
+
+  return claims;
+}
+
+function getBearerToken(req) {
+  const header = req.headers.authorization || '';
+  const match = /^Bearer\s+(.+)$/i.exec(header);
+  return match ? match[1].trim() : null;
+}
+
+// Require a valid Firebase ID token; sets req.user = { uid, email, claims }
+async function requireAuth(req, res, next) {
+  const token = getBearerToken(req);
+  if (!token) {
+    return res.status(401).json({ error: 'Authentication required' });
+  }
+
+  let claims;
+  try {
+    claims = await verifyIdToken(token);
+  } catch (error) {
+    if (error instanceof AuthError) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Token verification error:', error);
+    return res.status(500).json({ error: 'Failed to verify authentication token' });
+  }
+
+  req.user = { uid: claims.sub, email: claims.email || null, claims };
+  next();
+}
+
+// Like requireAuth, but anonymous requests pass through with req.user unset.
+// A token that is present but invalid is still rejected.
+async function optionalAuth(req, res, next) {
+  if (!getBearerToken(req)) {
+    return next();
+  }
+  return requireAuth(req, res, next);
+}
+
+// Reject requests whose userId (route param or body) is not the authenticated user.
+// Must run after requireAuth, and after multer on multipart routes so req.body is populated.
+function requireSelf(req, res, next) {
+  const requestedUserId = req.params.userId || (req.body && req.body.userId);
+
+  if (requestedUserId && requestedUserId !== req.user.uid) {
+    return res.status(403).json({ error: 'Forbidden - token does not match the requested user' });
+  }
+
+  next();
+}
+
+function tokensMatch(presented, expected) {
+  const a = Buffer.from(presented);
+  const b = Buffer.from(expected);
+  return a.length === b.length && crypto.timingSafeEqual(a, b);
+}
+
+// Admin-only routes. Accepts the shared ADMIN_TOKEN in an X-Admin-Token header (for
+// scripts and operators), or a Firebase ID token carrying the custom claim admin: true
+// (set with the Admin SDK's setCustomUserClaims). Sets req.admin = { via, uid }.
+async function requireAdmin(req, res, next) {
+  const presented = req.headers['x-admin-token'];
+  if (presented !== undefined) {
+    const adminToken = process.env.ADMIN_TOKEN;
+    if (!adminToken || !tokensMatch(presented, adminToken)) {
+      return res.status(403).json({ error: 'Forbidden - invalid admin token' });
+    }
+    req.admin = { via: 'token', uid: null };
+    return next();
+  }
+
+  return requireAuth(req, res, () => {
+    if (req.user.claims.admin !== true) {
+      return res.status(403).json({ error: 'Forbidden - admin access required' });
+    }
+    req.admin = { via: 'role', uid: req.user.uid };
+    next();
+  });
+}
+
+module.exports = {
+  AuthError,
+  verifyIdToken,
+  requireAuth,
+  optionalAuth,
+  requireSelf,
+  requireAdmin
+};
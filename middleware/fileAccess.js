@@ -0,0 +1,167 @@
+const db = require('../database');
+const { checkScanStatus } = require('../lib/scanner');
+const { sendStoredFile } = require('../lib/fileDelivery');
+const { checkFileExpiry } = require('../lib/retention');
+const { checkTakedown } = require('../lib/moderation');
+
+// Visibility levels for shared files:
+//   private - owner only
+//   link    - anyone who has the file ID / URL
+//   public  - anyone
+//   shared  - owner plus the users listed in file_shares
+//   conversation - owner plus the current members of the conversation it was posted in
+// Files posted in a conversation are readable by its current members at every level but
+// private (the default for them is conversation).
+const VISIBILITY_LEVELS = ['private', 'link', 'public', 'shared', 'conversation'];
+const MAX_SHARED_USERS = 100;
+// Conversation IDs come from the chat backend
+const CONVERSATION_ID_PATTERN = /^[A-Za-z0-9_.:-]{1,128}$/;
+
+// Parse a visibility value from a request, falling back to the default
+function parseVisibility(value, defaultValue = 'link') {
+  if (value === undefined || value === null || value === '') {
+    return defaultValue;
+  }
+  return VISIBILITY_LEVELS.includes(value) ? value : null;
+}
+
+// Parse a share list given as an array, a JSON array string or a comma-separated string
+function parseSharedWith(value) {
+  if (value === undefined || value === null || value === '') {
+    return [];
+  }
+
+  let userIds = value;
+  if (typeof value === 'string') {
+    try {
+      userIds = value.trim().startsWith('[') ? JSON.parse(value) : value.split(',');
+    } catch (error) {
+      return null;
+    }
+  }
+
+  if (!Array.isArray(userIds) || !userIds.every(id => typeof id === 'string')) {
+    return null;
+  }
+
+  const unique = [...new Set(userIds.map(id => id.trim()).filter(Boolean))];
+  return unique.length <= MAX_SHARED_USERS ? unique : null;
+}
+
+// Parse the conversation an upload is posted to; returns { error } or { conversationId }
+// (null when it isn't posted to one)
+function parseConversation(value) {
+  if (value === undefined || value === null || value === '') {
+    return { conversationId: null };
+  }
+  if (typeof value !== 'string' || !CONVERSATION_ID_PATTERN.test(value)) {
+    return { error: 'conversationId must be 1-128 letters, digits or _.:- characters' };
+  }
+  return { conversationId: value };
+}
+
+// Send the appropriate error if the user can't post a file with this visibility to the
+// conversation (uploaders must be members); resolves to true otherwise
+async function checkConversationUpload(conversationId, visibility, uid, res) {
+  if (!conversationId) {
+    if (visibility !== 'conversation') return true;
+    res.status(400).json({ error: 'conversation visibility requires a conversationId' });
+    return false;
+  }
+
+  if (await db.isConversationMember(conversationId, uid)) {
+    return true;
+  }
+  res.status(403).json({ error: 'You are not a member of this conversation' });
+  return false;
+}
+
+// Decide whether the (possibly anonymous) user may read a file
+async function canAccessFile(file, uid) {
+  if (uid && file.user_id === uid) return true;
+
+  if (uid && file.conversation_id && file.visibility !== 'private' &&
+      (await db.isConversationMember(file.conversation_id, uid))) {
+    return true;
+  }
+
+  switch (file.visibility) {
+    case 'public':
+    case 'link':
+      return true;
+    case 'shared':
+      return !!uid && (await db.isFileSharedWith(file.file_id, uid));
+    default:
+      return false;
+  }
+}
+
+// Send the appropriate error if the file can't be read; resolves to true when access is allowed
+async function checkFileAccess(file, req, res) {
+  const uid = req.user && req.user.uid;
+
+  if (await canAccessFile(file, uid)) {
+    return true;
+  }
+
+  if (!uid) {
+    res.status(401).json({ error: 'Authentication required to access this file' });
+  } else {
+    res.status(403).json({ error: 'You do not have access to this file' });
+  }
+  return false;
+}
+
+// Load req.params.fileId into req.sharedFile, enforcing visibility. Run after optionalAuth.
+async function loadAccessibleFile(req, res, next) {
+  try {
+    const file = await db.getSharedFile(req.params.fileId);
+    if (!file) {
+      return res.status(404).json({ error: 'File not found' });
+    }
+
+    if (!(await checkFileAccess(file, req, res)) || !checkTakedown(file, res) || !checkFileExpiry(file, res)) {
+      return;
+    }
+
+    req.sharedFile = file;
+    next();
+  } catch (error) {
+    next(error);
+  }
+}
+
+// Serve /uploads/shared/<fileName> for files the caller can read. The URL keeps the
+// per-file name; the content is read from the row's file_path (a shared blob).
+// Mounted at /uploads/shared/:fileName.
+async function serveSharedFile(req, res, next) {
+  try {
+    const file = await db.getSharedFileByName(req.params.fileName);
+    if (!file) {
+      return res.status(404).json({ error: 'File not found' });
+    }
+
+    if (!(await checkFileAccess(file, req, res)) || !checkTakedown(file, res) || !checkFileExpiry(file, res) ||
+        !checkScanStatus(file, res)) {
+      return;
+    }
+
+    await db.touchSharedFile(file.file_id);
+    await sendStoredFile(req, res, file, { disposition: 'inline' });
+  } catch (error) {
+    if (!res.headersSent) {
+      next(error);
+    }
+  }
+}
+
+module.exports = {
+  VISIBILITY_LEVELS,
+  parseVisibility,
+  parseSharedWith,
+  parseConversation,
+  checkConversationUpload,
+  canAccessFile,
+  loadAccessibleFile,
+  serveSharedFile
+};
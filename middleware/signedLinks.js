@@ -0,0 +1,145 @@
+const crypto = require('crypto');
+const { v4: uuidv4 } = require('uuid');
+const db = require('../database');
+const { loadAccessibleFile } = require('./fileAccess');
+const { checkScanStatus } = require('../lib/scanner');
+const { checkFileExpiry } = require('../lib/retention');
+const { checkTakedown } = require('../lib/moderation');
+
+// HMAC-signed download links: /api/files/download/:fileId?link=<id>&expires=<unix>&sig=<hmac>
+// The link row in signed_links tracks use counts and the optional recipient binding.
+const DEFAULT_EXPIRES_IN = 60 * 60; // 1 hour
+const MAX_EXPIRES_IN = 7 * 24 * 60 * 60; // 7 days
+const MAX_USES_LIMIT = 1000;
+// The example value in .env.example, which anyone could use to forge links
+const EXAMPLE_SECRET = 'change-me-to-a-long-random-string';
+
+let signingSecret = process.env.SIGNED_URL_SECRET;
+if (signingSecret === EXAMPLE_SECRET) {
+  throw new Error('SIGNED_URL_SECRET is still the example value from .env.example - set it to a long random string');
+}
+if (!signingSecret) {
+  signingSecret = crypto.randomBytes(32).toString('hex');
+  console.warn('SIGNED_URL_SECRET not set - signed download links will stop working on restart');
+}
+
+function sign(fileId, linkId, expires) {
+  return crypto
+    .createHmac('sha256', signingSecret)
+    .update(`${fileId}:${linkId}:${expires}`)
+    .digest('base64url');
+}
+
+function signaturesMatch(expected, actual) {
+  const a = Buffer.from(expected);
+  const b = Buffer.from(String(actual));
+  return a.length === b.length && crypto.timingSafeEqual(a, b);
+}
+
+// Validate link options from a request body; returns { error } or the parsed options
+function parseLinkOptions(body = {}) {
+  const expiresIn = body.expiresIn === undefined ? DEFAULT_EXPIRES_IN : parseInt(body.expiresIn);
+  if (!Number.isInteger(expiresIn) || expiresIn < 1 || expiresIn > MAX_EXPIRES_IN) {
+    return { error: `expiresIn must be between 1 and ${MAX_EXPIRES_IN} seconds` };
+  }
+
+  let maxUses = null;
+  if (body.maxUses !== undefined && body.maxUses !== null) {
+    maxUses = parseInt(body.maxUses);
+    if (!Number.isInteger(maxUses) || maxUses < 1 || maxUses > MAX_USES_LIMIT) {
+      return { error: `maxUses must be between 1 and ${MAX_USES_LIMIT}` };
+    }
+  }
+
+  const recipientId = body.recipientId || null;
+  if (recipientId !== null && typeof recipientId !== 'string') {
+    return { error: 'recipientId must be a user ID' };
+  }
+
+  return { expiresIn, maxUses, recipientId };
+}
+
+// Create a signed link for a file and return its URL
+async function createSignedLink(fileId, createdBy, { expiresIn, maxUses, recipientId }) {
+  const linkId = uuidv4();
+  const expires = Math.floor(Date.now() / 1000) + expiresIn;
+
+  await db.createSignedLink({ linkId, fileId, createdBy, recipientId, expiresAt: expires, maxUses });
+
+  const query = new URLSearchParams({ link: linkId, expires: String(expires), sig: sign(fileId, linkId, expires) });
+  return {
+    linkId,
+    url: `/api/files/download/${fileId}?${query}`,
+    expiresAt: new Date(expires * 1000).toISOString(),
+    maxUses,
+    recipientId
+  };
+}
+
+// Verify ?link/expires/sig, use up one of the link's uses and load the file into
+// req.sharedFile. A valid link grants access regardless of the file's visibility. Every
+// admitted request counts, range requests included, so a link can't be stretched past
+// maxUses by fetching the file in pieces. Run after optionalAuth.
+async function loadFileFromSignedLink(req, res, next) {
+  try {
+    const { fileId } = req.params;
+    const { link: linkId, expires, sig } = req.query;
+
+    if (!linkId || !expires || !signaturesMatch(sign(fileId, linkId, expires), sig)) {
+      return res.status(403).json({ error: 'Invalid link signature', code: 'LINK_INVALID' });
+    }
+
+    if (parseInt(expires) < Math.floor(Date.now() / 1000)) {
+      return res.status(410).json({ error: 'This link has expired', code: 'LINK_EXPIRED' });
+    }
+
+    const link = await db.getSignedLink(linkId);
+    if (!link || link.file_id !== fileId) {
+      return res.status(403).json({ error: 'This link has been revoked', code: 'LINK_INVALID' });
+    }
+
+    if (link.recipient_id) {
+      if (!req.user) {
+        return res.status(401).json({ error: 'Authentication required to use this link', code: 'LINK_RECIPIENT_REQUIRED' });
+      }
+      if (req.user.uid !== link.recipient_id) {
+        return res.status(403).json({ error: 'This link was issued to another user', code: 'LINK_WRONG_RECIPIENT' });
+      }
+    }
+
+    const file = await db.getSharedFile(fileId);
+    if (!file) {
+      return res.status(404).json({ error: 'File not found' });
+    }
+
+    if (!checkTakedown(file, res) || !checkFileExpiry(file, res) || !checkScanStatus(file, res)) {
+      return;
+    }
+
+    // Checking and counting in one statement, so parallel requests can't all get in
+    const { changes } = await db.consumeSignedLink(linkId);
+    if (changes === 0) {
+      return res.status(410).json({ error: 'This link has already been used up', code: 'LINK_USED_UP' });
+    }
+
+    req.sharedFile = file;
+    next();
+  } catch (error) {
+    next(error);
+  }
+}
+
+// Signed-link requests are checked against the link, everything else against visibility
+function loadDownloadableFile(req, res, next) {
+  if (req.query.sig !== undefined) {
+    return loadFileFromSignedLink(req, res, next);
+  }
+  return loadAccessibleFile(req, res, next);
+}
+
+module.exports = {
+  parseLinkOptions,
+  createSignedLink,
+  loadFileFromSignedLink,
+  loadDownloadableFile
+};
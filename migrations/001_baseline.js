@@ -0,0 +1,205 @@
+// Baseline: the schema as initializeTables built it before versioned migrations. It is
+// written to be idempotent, so databases created before migrations existed (version 0,
+// any subset of these tables and columns) are brought up to date without failing.
+
+// Add a column to an existing table (CREATE TABLE IF NOT EXISTS won't alter old databases)
+function addColumnIfMissing(db, table, column, definition) {
+  const columns = db.prepare(`PRAGMA table_info(${table})`).all();
+  if (!columns.some(col => col.name === column)) {
+    db.exec(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`);
+  }
+}
+
+function up(db) {
+  // Users table
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS users (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      user_id TEXT UNIQUE NOT NULL,
+      username TEXT,
+      email TEXT,
+      profile_picture_path TEXT,
+      profile_picture_url TEXT,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+
+  // Shared files table
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS shared_files (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      file_id TEXT UNIQUE NOT NULL,
+      user_id TEXT NOT NULL,
+      original_name TEXT NOT NULL,
+      file_name TEXT NOT NULL,
+      file_path TEXT NOT NULL,
+      file_url TEXT NOT NULL,
+      file_size INTEGER NOT NULL,
+      mime_type TEXT NOT NULL,
+      description TEXT,
+      category TEXT,
+      download_count INTEGER DEFAULT 0,
+      is_public BOOLEAN DEFAULT 0,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      last_accessed DATETIME DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+
+  // Per-user storage quota override in bytes (NULL = server default), and the size of the
+  // current profile picture, which counts towards the quota
+  addColumnIfMissing(db, 'users', 'storage_quota', 'INTEGER');
+  addColumnIfMissing(db, 'users', 'profile_picture_size', 'INTEGER');
+
+  // Visibility: private | link | public | shared (see middleware/fileAccess.js).
+  // Existing files were reachable by URL, so they default to link-only.
+  addColumnIfMissing(db, 'shared_files', 'visibility', "TEXT NOT NULL DEFAULT 'link'");
+  db.exec(`UPDATE shared_files SET visibility = 'public' WHERE is_public = 1 AND visibility != 'public'`);
+
+  // SHA-256 of the stored content, computed while the upload streams in
+  addColumnIfMissing(db, 'shared_files', 'checksum', 'TEXT');
+
+  // Content-addressed storage: identical uploads share one blob, reference counted
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS blobs (
+      hash TEXT PRIMARY KEY,
+      file_path TEXT NOT NULL,
+      size INTEGER NOT NULL,
+      ref_count INTEGER NOT NULL DEFAULT 0,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+  addColumnIfMissing(db, 'shared_files', 'blob_hash', 'TEXT');
+
+  // Storage driver holding the content (lib/storage); existing content is on local disk
+  addColumnIfMissing(db, 'shared_files', 'storage_backend', "TEXT NOT NULL DEFAULT 'local'");
+  addColumnIfMissing(db, 'blobs', 'storage_backend', "TEXT NOT NULL DEFAULT 'local'");
+  addColumnIfMissing(db, 'users', 'profile_picture_storage', "TEXT NOT NULL DEFAULT 'local'");
+
+  // Malware scan verdict: pending | clean | infected | error (see lib/scanner.js).
+  // Files stored before scanning existed start as pending and are scanned at startup.
+  addColumnIfMissing(db, 'shared_files', 'scan_status', "TEXT NOT NULL DEFAULT 'pending'");
+  addColumnIfMissing(db, 'shared_files', 'scan_signature', 'TEXT');
+  addColumnIfMissing(db, 'shared_files', 'scanned_at', 'DATETIME');
+
+  // Preview generated after the scan: pending | ready | unsupported | failed (see lib/previews.js).
+  // Files stored before previews existed start as pending and get one at startup.
+  addColumnIfMissing(db, 'shared_files', 'preview_status', "TEXT NOT NULL DEFAULT 'pending'");
+  addColumnIfMissing(db, 'shared_files', 'preview_type', 'TEXT');
+  addColumnIfMissing(db, 'shared_files', 'preview_path', 'TEXT');
+
+  // Full-text search over names, descriptions and extracted text (see lib/textExtraction.js),
+  // keyed by shared_files.id. Triggers keep names and descriptions in sync; existing files
+  // are indexed when the table is first created.
+  const hasSearchIndex = db.prepare("SELECT 1 FROM sqlite_master WHERE type = 'table' AND name = 'shared_files_fts'").get();
+  db.exec(`
+    CREATE VIRTUAL TABLE IF NOT EXISTS shared_files_fts USING fts5(
+      original_name, description, content, tokenize = 'unicode61 remove_diacritics 2'
+    )
+  `);
+  db.exec(`
+    CREATE TRIGGER IF NOT EXISTS shared_files_fts_insert AFTER INSERT ON shared_files BEGIN
+      INSERT INTO shared_files_fts (rowid, original_name, description, content)
+      VALUES (new.id, new.original_name, COALESCE(new.description, ''), '');
+    END
+  `);
+  db.exec(`
+    CREATE TRIGGER IF NOT EXISTS shared_files_fts_update AFTER UPDATE OF original_name, description ON shared_files BEGIN
+      UPDATE shared_files_fts SET original_name = new.original_name, description = COALESCE(new.description, '')
+      WHERE rowid = new.id;
+    END
+  `);
+  db.exec(`
+    CREATE TRIGGER IF NOT EXISTS shared_files_fts_delete AFTER DELETE ON shared_files BEGIN
+      DELETE FROM shared_files_fts WHERE rowid = old.id;
+    END
+  `);
+  if (!hasSearchIndex) {
+    db.exec(`
+      INSERT INTO shared_files_fts (rowid, original_name, description, content)
+      SELECT id, original_name, COALESCE(description, ''), '' FROM shared_files
+    `);
+  }
+  // When the file's text was added to the index (NULL = not yet extracted)
+  addColumnIfMissing(db, 'shared_files', 'content_indexed_at', 'DATETIME');
+
+  // Optional expiry set on upload ('YYYY-MM-DD HH:MM:SS' UTC); see lib/retention.js
+  addColumnIfMissing(db, 'shared_files', 'expires_at', 'DATETIME');
+
+  // Audit trail of scan verdicts
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS scan_events (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      file_id TEXT NOT NULL,
+      user_id TEXT NOT NULL,
+      blob_hash TEXT,
+      scanner TEXT NOT NULL,
+      status TEXT NOT NULL,
+      signature TEXT,
+      detail TEXT,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+
+  // Users a file with 'shared' visibility is shared with
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS file_shares (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      file_id TEXT NOT NULL,
+      user_id TEXT NOT NULL,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      UNIQUE(file_id, user_id)
+    )
+  `);
+
+  // Signed, expiring download links
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS signed_links (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      link_id TEXT UNIQUE NOT NULL,
+      file_id TEXT NOT NULL,
+      created_by TEXT NOT NULL,
+      recipient_id TEXT,
+      expires_at INTEGER NOT NULL,
+      max_uses INTEGER,
+      use_count INTEGER DEFAULT 0,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+
+  // Resumable (tus) upload sessions, staged in uploads/temp
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS upload_sessions (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      upload_id TEXT UNIQUE NOT NULL,
+      user_id TEXT NOT NULL,
+      upload_length INTEGER NOT NULL,
+      upload_offset INTEGER DEFAULT 0,
+      metadata TEXT,
+      temp_path TEXT NOT NULL,
+      status TEXT DEFAULT 'uploading',
+      file_id TEXT,
+      error TEXT,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+
+  // Create indexes
+  db.exec(`CREATE INDEX IF NOT EXISTS idx_users_user_id ON users(user_id)`);
+  db.exec(`CREATE INDEX IF NOT EXISTS idx_files_user_id ON shared_files(user_id)`);
+  db.exec(`CREATE INDEX IF NOT EXISTS idx_files_file_id ON shared_files(file_id)`);
+  db.exec(`CREATE INDEX IF NOT EXISTS idx_files_file_name ON shared_files(file_name)`);
+  db.exec(`CREATE INDEX IF NOT EXISTS idx_file_shares_user_id ON file_shares(user_id)`);
+  db.exec(`CREATE INDEX IF NOT EXISTS idx_signed_links_file_id ON signed_links(file_id)`);
+  db.exec(`CREATE INDEX IF NOT EXISTS idx_upload_sessions_user_id ON upload_sessions(user_id)`);
+  db.exec(`CREATE INDEX IF NOT EXISTS idx_files_blob_hash ON shared_files(blob_hash)`);
+  db.exec(`CREATE INDEX IF NOT EXISTS idx_files_scan_status ON shared_files(scan_status)`);
+  db.exec(`CREATE INDEX IF NOT EXISTS idx_scan_events_file_id ON scan_events(file_id)`);
+  db.exec(`CREATE INDEX IF NOT EXISTS idx_files_preview_status ON shared_files(preview_status)`);
+  db.exec(`CREATE INDEX IF NOT EXISTS idx_files_expires_at ON shared_files(expires_at)`);
+}
+
+module.exports = {
+  up
+};
@@ -0,0 +1,29 @@
+// Profile picture history: every uploaded picture gets a row (its version) until it is
+// pruned or deleted. users.profile_picture_* keep describing the active one.
+
+function up(db) {
+  db.exec(`
+    CREATE TABLE profile_pictures (
+      version INTEGER PRIMARY KEY AUTOINCREMENT,
+      user_id TEXT NOT NULL,
+      picture_path TEXT UNIQUE NOT NULL,
+      file_size INTEGER NOT NULL DEFAULT 0,
+      storage_backend TEXT NOT NULL DEFAULT 'local',
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+  db.exec(`CREATE INDEX idx_profile_pictures_user_id ON profile_pictures(user_id, version)`);
+
+  // Current pictures become each user's first version
+  db.exec(`
+    INSERT INTO profile_pictures (user_id, picture_path, file_size, storage_backend, created_at)
+    SELECT user_id, profile_picture_path, COALESCE(profile_picture_size, 0), COALESCE(profile_picture_storage, 'local'), updated_at
+    FROM users
+    WHERE profile_picture_path IS NOT NULL
+    ORDER BY id
+  `);
+}
+
+module.exports = {
+  up
+};
@@ -0,0 +1,15 @@
+// Richer user profiles: display name, bio, status message and a banner image (stored
+// like profile pictures, on the backend recorded in banner_storage)
+
+function up(db) {
+  db.exec(`ALTER TABLE users ADD COLUMN display_name TEXT`);
+  db.exec(`ALTER TABLE users ADD COLUMN bio TEXT`);
+  db.exec(`ALTER TABLE users ADD COLUMN status_message TEXT`);
+  db.exec(`ALTER TABLE users ADD COLUMN banner_path TEXT`);
+  db.exec(`ALTER TABLE users ADD COLUMN banner_size INTEGER`);
+  db.exec(`ALTER TABLE users ADD COLUMN banner_storage TEXT DEFAULT 'local'`);
+}
+
+module.exports = {
+  up
+};
@@ -0,0 +1,35 @@
+// Conversation attachments: shared files posted in a chat record its conversation, whose
+// current members (kept in sync by the chat backend) may read them. Links posted there
+// are recorded alongside for the conversation's links tab.
+
+function up(db) {
+  db.exec(`ALTER TABLE shared_files ADD COLUMN conversation_id TEXT`);
+  db.exec(`CREATE INDEX idx_files_conversation_id ON shared_files(conversation_id)`);
+
+  db.exec(`
+    CREATE TABLE conversation_members (
+      conversation_id TEXT NOT NULL,
+      user_id TEXT NOT NULL,
+      joined_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      PRIMARY KEY (conversation_id, user_id)
+    )
+  `);
+  db.exec(`CREATE INDEX idx_conversation_members_user_id ON conversation_members(user_id)`);
+
+  db.exec(`
+    CREATE TABLE conversation_links (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      link_id TEXT UNIQUE NOT NULL,
+      conversation_id TEXT NOT NULL,
+      user_id TEXT NOT NULL,
+      url TEXT NOT NULL,
+      title TEXT,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+  db.exec(`CREATE INDEX idx_conversation_links_conversation_id ON conversation_links(conversation_id, created_at)`);
+}
+
+module.exports = {
+  up
+};
@@ -0,0 +1,11 @@
+// Albums: files uploaded together (POST /api/files/upload-batch) can share an album ID,
+// chosen by the uploader, so they can be shown and downloaded as a group.
+
+function up(db) {
+  db.exec(`ALTER TABLE shared_files ADD COLUMN album_id TEXT`);
+  db.exec(`CREATE INDEX idx_files_album_id ON shared_files(album_id)`);
+}
+
+module.exports = {
+  up
+};
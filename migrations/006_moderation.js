@@ -0,0 +1,16 @@
+// Moderation: admins can take a shared file down (it stays stored, as evidence, but can't
+// be read) and suspend a user from uploading. Both record who did it, when and why.
+
+function up(db) {
+  db.exec(`ALTER TABLE shared_files ADD COLUMN taken_down_at DATETIME`);
+  db.exec(`ALTER TABLE shared_files ADD COLUMN takedown_reason TEXT`);
+  db.exec(`ALTER TABLE shared_files ADD COLUMN taken_down_by TEXT`);
+
+  db.exec(`ALTER TABLE users ADD COLUMN uploads_suspended_at DATETIME`);
+  db.exec(`ALTER TABLE users ADD COLUMN uploads_suspension_reason TEXT`);
+  db.exec(`ALTER TABLE users ADD COLUMN uploads_suspended_by TEXT`);
+}
+
+module.exports = {
+  up
+};
@@ -0,0 +1,41 @@
+// Abuse reports: users flag shared files (once per file each) and moderators resolve the
+// reports from the admin queue. moderation_actions records every moderation decision, the
+// automatic hiding of much-reported files included.
+
+function up(db) {
+  db.exec(`
+    CREATE TABLE file_reports (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      report_id TEXT UNIQUE NOT NULL,
+      file_id TEXT NOT NULL,
+      reporter_id TEXT NOT NULL,
+      category TEXT NOT NULL,
+      details TEXT,
+      status TEXT NOT NULL DEFAULT 'open',
+      resolved_by TEXT,
+      resolved_at DATETIME,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      UNIQUE (file_id, reporter_id)
+    )
+  `);
+  db.exec(`CREATE INDEX idx_file_reports_status ON file_reports(status, file_id)`);
+
+  db.exec(`
+    CREATE TABLE moderation_actions (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      action TEXT NOT NULL,
+      file_id TEXT,
+      user_id TEXT,
+      reason TEXT,
+      reports_resolved INTEGER NOT NULL DEFAULT 0,
+      moderator TEXT NOT NULL,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+  db.exec(`CREATE INDEX idx_moderation_actions_file_id ON moderation_actions(file_id)`);
+  db.exec(`CREATE INDEX idx_moderation_actions_user_id ON moderation_actions(user_id)`);
+}
+
+module.exports = {
+  up
+};
@@ -0,0 +1,41 @@
+// Audit log: one row per request to a mutating file or profile endpoint (see lib/audit.js).
+// Rows can't be changed or deleted, so the log can be trusted when looking into what
+// happened to a file or profile.
+
+function up(db) {
+  db.exec(`
+    CREATE TABLE audit_events (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      action TEXT NOT NULL,
+      actor_id TEXT,
+      target_file_id TEXT,
+      target_user_id TEXT,
+      outcome TEXT NOT NULL,
+      status_code INTEGER,
+      method TEXT NOT NULL,
+      path TEXT NOT NULL,
+      ip TEXT,
+      user_agent TEXT,
+      details TEXT,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+  db.exec(`CREATE INDEX idx_audit_events_created_at ON audit_events(created_at)`);
+  db.exec(`CREATE INDEX idx_audit_events_actor_id ON audit_events(actor_id)`);
+  db.exec(`CREATE INDEX idx_audit_events_target_file_id ON audit_events(target_file_id)`);
+  db.exec(`CREATE INDEX idx_audit_events_target_user_id ON audit_events(target_user_id)`);
+
+  // Append-only
+  db.exec(`
+    CREATE TRIGGER audit_events_no_update BEFORE UPDATE ON audit_events
+    BEGIN SELECT RAISE(ABORT, 'audit_events is append-only'); END
+  `);
+  db.exec(`
+    CREATE TRIGGER audit_events_no_delete BEFORE DELETE ON audit_events
+    BEGIN SELECT RAISE(ABORT, 'audit_events is append-only'); END
+  `);
+}
+
+module.exports = {
+  up
+};
@@ -0,0 +1,35 @@
+// Reports were unique per file and reporter for good, so someone whose report had been
+// dismissed could never report the file again. Now a reporter can have one open report per
+// file. SQLite can't drop a table constraint, so file_reports is rebuilt.
+
+function up(db) {
+  db.exec(`
+    CREATE TABLE file_reports_new (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      report_id TEXT UNIQUE NOT NULL,
+      file_id TEXT NOT NULL,
+      reporter_id TEXT NOT NULL,
+      category TEXT NOT NULL,
+      details TEXT,
+      status TEXT NOT NULL DEFAULT 'open',
+      resolved_by TEXT,
+      resolved_at DATETIME,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+  db.exec(`
+    INSERT INTO file_reports_new
+    (id, report_id, file_id, reporter_id, category, details, status, resolved_by, resolved_at, created_at)
+    SELECT id, report_id, file_id, reporter_id, category, details, status, resolved_by, resolved_at, created_at
+    FROM file_reports
+  `);
+  db.exec(`DROP TABLE file_reports`);
+  db.exec(`ALTER TABLE file_reports_new RENAME TO file_reports`);
+
+  db.exec(`CREATE INDEX idx_file_reports_status ON file_reports(status, file_id)`);
+  db.exec(`CREATE UNIQUE INDEX idx_file_reports_open ON file_reports(file_id, reporter_id) WHERE status = 'open'`);
+}
+
+module.exports = {
+  up
+};
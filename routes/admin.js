@@ -0,0 +1,642 @@
+const express = require('express');
+const { pipeline } = require('stream');
+const { promisify } = require('util');
+const db = require('../database');
+const { requireAdmin } = require('../middleware/auth');
+const { checkIntegrity, repairIntegrity } = require('../lib/integrity');
+const { resumePendingPreviews, formatPreview } = require('../lib/previews');
+const { DEFAULT_USER_QUOTA, formatQuota } = require('../lib/quota');
+const { parseDateBound, parseFileQuery, formatPagination } = require('../lib/fileQuery');
+const { formatFileSize, fromDbTimestamp } = require('../lib/fileUtils');
+const { contentDisposition, sendStoredFile } = require('../lib/fileDelivery');
+const { isTakenDown, isHiddenByReports, formatTakedown } = require('../lib/moderation');
+const { AUDIT_OUTCOMES, formatAuditEvent, exportAuditEvents } = require('../lib/audit');
+
+const router = express.Router();
+const pipelineAsync = promisify(pipeline);
+
+const USER_SORT_FIELDS = ['usage', 'files', 'userId'];
+const DEFAULT_PAGE_LIMIT = 50;
+const MAX_PAGE_LIMIT = 100;
+const MAX_REASON_LENGTH = 500;
+// How a moderator resolves a file's reports, and the status the reports get
+const REPORT_RESOLUTIONS = { dismiss: 'dismissed', remove: 'removed', suspend: 'suspended' };
+const AUDIT_EXPORT_TYPES = { csv: 'text/csv; charset=utf-8', ndjson: 'application/x-ndjson' };
+const AUDIT_ACTION_PATTERN = /^[a-z_]+(\.[a-z_]+|\.\*)?$/;
+
+// Everything here is for operators (see requireAdmin for the accepted credentials)
+router.use(requireAdmin);
+
+// A check reads every row and lists every stored object, so only one runs at a time
+let integrityRunning = false;
+
+async function runIntegrity(res, next, run) {
+  if (integrityRunning) {
+    return res.status(409).json({ error: 'An integrity check is already running' });
+  }
+
+  integrityRunning = true;
+  try {
+    res.json({ success: true, report: await run() });
+  } catch (error) {
+    next(error);
+  } finally {
+    integrityRunning = false;
+  }
+}
+
+function isTrue(value) {
+  return value === true || value === 'true' || value === '1';
+}
+
+// Parse an optional true/false query filter; returns undefined when absent and null if invalid
+function parseBooleanFilter(value) {
+  if (value === undefined || value === '') return undefined;
+  if (['true', '1'].includes(value)) return true;
+  if (['false', '0'].includes(value)) return false;
+  return null;
+}
+
+// Parse limit and page query parameters; returns { error } or { limit, page, offset }
+function parsePage(query) {
+  const limit = query.limit === undefined ? DEFAULT_PAGE_LIMIT : parseInt(query.limit);
+  const page = query.page === undefined ? 1 : parseInt(query.page);
+  if (!Number.isInteger(limit) || limit < 1 || !Number.isInteger(page) || page < 1) {
+    return { error: 'limit and page must be positive integers' };
+  }
+
+  const pageSize = Math.min(limit, MAX_PAGE_LIMIT);
+  return { limit: pageSize, page, offset: (page - 1) * pageSize };
+}
+
+function formatPage({ limit, page }, total) {
+  return { limit, page, total, hasMore: page * limit < total };
+}
+
+// Who performed a moderation action, for the record
+function adminName(req) {
+  return req.admin.uid || 'admin-token';
+}
+
+// Parse the reason for a moderation action from a request body; returns { error } or { reason }
+// (null when it is optional and not given)
+function parseReason(body, { required = true } = {}) {
+  const reason = body && typeof body.reason === 'string' ? body.reason.trim() : '';
+  if ((required && !reason) || reason.length > MAX_REASON_LENGTH) {
+    return {
+      error: required
+        ? `reason is required (at most ${MAX_REASON_LENGTH} characters)`
+        : `reason must be at most ${MAX_REASON_LENGTH} characters`
+    };
+  }
+  return { reason: reason || null };
+}
+
+function formatSuspension(user) {
+  return user && user.uploads_suspended_at
+    ? {
+      reason: user.uploads_suspension_reason,
+      suspendedBy: user.uploads_suspended_by,
+      suspendedAt: fromDbTimestamp(user.uploads_suspended_at)
+    }
+    : null;
+}
+
+function formatUser(user) {
+  const limit = user.storage_quota ?? DEFAULT_USER_QUOTA;
+  return {
+    userId: user.user_id,
+    username: user.username,
+    email: user.email,
+    displayName: user.display_name,
+    fileCount: user.file_count,
+    usage: {
+      filesSize: user.files_size,
+      profilePictureSize: user.profile_picture_size,
+      bannerSize: user.banner_size
+    },
+    quota: formatQuota({ used: user.used, limit, remaining: Math.max(limit - user.used, 0) }),
+    uploadSuspension: formatSuspension(user),
+    createdAt: user.created_at
+  };
+}
+
+function formatFile(file) {
+  return {
+    fileId: file.file_id,
+    userId: file.user_id,
+    originalName: file.original_name,
+    fileSize: file.file_size,
+    formattedSize: formatFileSize(file.file_size),
+    mimeType: file.mime_type,
+    category: file.category,
+    description: file.description,
+    downloadCount: file.download_count,
+    fileUrl: file.file_url,
+    visibility: file.visibility,
+    conversationId: file.conversation_id,
+    albumId: file.album_id,
+    checksum: file.checksum,
+    storageBackend: file.storage_backend,
+    scanStatus: file.scan_status,
+    takedown: file.taken_down_at ? { ...formatTakedown(file), takenDownBy: file.taken_down_by } : null,
+    preview: formatPreview(file),
+    expiresAt: fromDbTimestamp(file.expires_at),
+    uploadedAt: file.created_at,
+    lastAccessed: file.last_accessed
+  };
+}
+
+function formatReport(report) {
+  return {
+    reportId: report.report_id,
+    reporterId: report.reporter_id,
+    category: report.category,
+    details: report.details,
+    status: report.status,
+    resolvedBy: report.resolved_by,
+    resolvedAt: fromDbTimestamp(report.resolved_at),
+    reportedAt: fromDbTimestamp(report.created_at)
+  };
+}
+
+function formatAction(action) {
+  return {
+    action: action.action,
+    fileId: action.file_id,
+    userId: action.user_id,
+    reason: action.reason,
+    reportsResolved: action.reports_resolved,
+    moderator: action.moderator,
+    createdAt: fromDbTimestamp(action.created_at)
+  };
+}
+
+// Parse the audit log filters of a query; returns { error } or the filters
+function parseAuditFilters(query) {
+  const filters = {};
+  for (const name of ['actorId', 'fileId', 'userId']) {
+    if (query[name] !== undefined && query[name] !== '') {
+      filters[name] = String(query[name]);
+    }
+  }
+
+  if (query.action) {
+    if (!AUDIT_ACTION_PATTERN.test(query.action)) {
+      return { error: 'action must be an action name such as file.delete, or a prefix such as file.*' };
+    }
+    filters.action = query.action;
+  }
+  if (query.outcome) {
+    if (!AUDIT_OUTCOMES.includes(query.outcome)) {
+      return { error: `outcome must be one of: ${AUDIT_OUTCOMES.join(', ')}` };
+    }
+    filters.outcome = query.outcome;
+  }
+
+  for (const [name, endOfDay] of [['from', false], ['to', true]]) {
+    if (query[name]) {
+      filters[name] = parseDateBound(String(query[name]), endOfDay);
+      if (!filters[name]) return { error: `${name} must be an ISO 8601 date` };
+    }
+  }
+  return filters;
+}
+
+// Rows of { count, size } as an object keyed by one of their columns
+function groupStats(rows, key) {
+  const groups = {};
+  rows.forEach(row => {
+    groups[row[key] || 'unknown'] = { count: row.count, size: row.size, formattedSize: formatFileSize(row.size) };
+  });
+  return groups;
+}
+
+// Report DB rows with missing content, stored content without rows and size (or, with
+// ?checksums=true, checksum) mismatches
+router.get('/integrity', (req, res, next) => runIntegrity(res, next, () => checkIntegrity({
+  checksums: isTrue(req.query.checksums)
+})));
+
+// Check, then apply the chosen repairs: { relink, quarantine, purge, checksums }
+router.post('/integrity/repair', (req, res, next) => {
+  const body = req.body || {};
+  const actions = { relink: isTrue(body.relink), quarantine: isTrue(body.quarantine), purge: isTrue(body.purge) };
+  if (!actions.relink && !actions.quarantine && !actions.purge) {
+    return res.status(400).json({ error: 'Choose at least one repair: relink, quarantine or purge' });
+  }
+
+  return runIntegrity(res, next, async () => {
+    const report = await checkIntegrity({ checksums: isTrue(body.checksums) });
+    await repairIntegrity(report, actions);
+
+    // Previews whose stored copy was missing are generated again
+    if (actions.purge) {
+      await resumePendingPreviews();
+    }
+    return report;
+  });
+});
+
+// List users (everyone with a profile or files) with their storage usage. Filters: q (user ID,
+// username or email contains), suspended=true|false; sort=usage|files|userId, order=asc|desc;
+// paginated with limit and page.
+router.get('/users', async (req, res, next) => {
+  try {
+    const sort = req.query.sort || 'usage';
+    if (!USER_SORT_FIELDS.includes(sort)) {
+      return res.status(400).json({ error: `sort must be one of: ${USER_SORT_FIELDS.join(', ')}` });
+    }
+
+    const order = req.query.order || (sort === 'userId' ? 'asc' : 'desc');
+    if (!['asc', 'desc'].includes(order)) {
+      return res.status(400).json({ error: 'order must be asc or desc' });
+    }
+
+    const suspended = parseBooleanFilter(req.query.suspended);
+    if (suspended === null) {
+      return res.status(400).json({ error: 'suspended must be true or false' });
+    }
+
+    const page = parsePage(req.query);
+    if (page.error) {
+      return res.status(400).json({ error: page.error });
+    }
+
+    const { users, total } = await db.queryUsersWithUsage({
+      search: req.query.q ? String(req.query.q).trim() : null,
+      suspended,
+      sort,
+      order,
+      limit: page.limit,
+      offset: page.offset
+    });
+
+    res.json({
+      success: true,
+      users: users.map(formatUser),
+      pagination: { ...formatPage(page, total), sort, order }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Suspend a user from uploading: { reason }. Their existing files stay available.
+router.post('/users/:userId/upload-suspension', async (req, res, next) => {
+  try {
+    const { userId } = req.params;
+
+    const { reason, error } = parseReason(req.body);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    await db.transaction((tx) => {
+      tx.setUploadSuspension(userId, { reason, suspendedBy: adminName(req) });
+      tx.addModerationAction({ action: 'suspend', userId, reason, moderator: adminName(req) });
+    });
+
+    res.json({
+      success: true,
+      message: 'Uploads suspended',
+      userId,
+      uploadSuspension: formatSuspension(await db.getUploadSuspension(userId))
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Lift a user's upload suspension
+router.delete('/users/:userId/upload-suspension', async (req, res, next) => {
+  try {
+    const { userId } = req.params;
+
+    if (!(await db.getUploadSuspension(userId))) {
+      return res.status(404).json({ error: 'This user\'s uploads are not suspended' });
+    }
+
+    await db.transaction((tx) => {
+      tx.setUploadSuspension(userId, null);
+      tx.addModerationAction({ action: 'lift-suspension', userId, moderator: adminName(req) });
+    });
+
+    res.json({ success: true, message: 'Upload suspension lifted', userId });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// List or search every user's files. Takes the filters, sorting and pagination of
+// GET /api/files/user/:userId; q searches like /api/files/search, userId limits it to one
+// user and takenDown=true|false to taken-down files or the others.
+router.get('/files', async (req, res, next) => {
+  try {
+    const options = parseFileQuery(req.query, { search: !!req.query.q });
+    if (options.error) {
+      return res.status(400).json({ error: options.error });
+    }
+
+    options.takenDown = parseBooleanFilter(req.query.takenDown);
+    if (options.takenDown === null) {
+      return res.status(400).json({ error: 'takenDown must be true or false' });
+    }
+
+    const result = await db.queryFiles({ userId: req.query.userId || undefined }, options);
+
+    res.json({
+      success: true,
+      files: result.files.map(formatFile),
+      pagination: formatPagination(options, result)
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Get any file's details, including its share list and takedown
+router.get('/files/:fileId', async (req, res, next) => {
+  try {
+    const file = await db.getSharedFile(req.params.fileId);
+    if (!file) {
+      return res.status(404).json({ error: 'File not found' });
+    }
+
+    res.json({ success: true, file: { ...formatFile(file), sharedWith: await db.getFileShares(file.file_id) } });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Download any file's content, taken down or not (e.g. to review it)
+router.get('/files/:fileId/content', async (req, res, next) => {
+  try {
+    const file = await db.getSharedFile(req.params.fileId);
+    if (!file) {
+      return res.status(404).json({ error: 'File not found' });
+    }
+
+    await sendStoredFile(req, res, file, { cacheControl: 'private, no-store' });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Take a file down: { reason }. Its content and row are kept, but nobody can read it and it
+// isn't deleted (by its owner or by cleanup) until it is restored.
+router.post('/files/:fileId/takedown', async (req, res, next) => {
+  try {
+    const { fileId } = req.params;
+
+    const { reason, error } = parseReason(req.body);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const file = await db.getSharedFile(fileId);
+    if (!file) {
+      return res.status(404).json({ error: 'File not found' });
+    }
+
+    await db.transaction((tx) => {
+      tx.takeDownFile(fileId, reason, adminName(req));
+      tx.addModerationAction({ action: 'takedown', fileId, userId: file.user_id, reason, moderator: adminName(req) });
+    });
+
+    res.json({ success: true, message: 'File taken down', file: formatFile(await db.getSharedFile(fileId)) });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Restore a taken-down file
+router.delete('/files/:fileId/takedown', async (req, res, next) => {
+  try {
+    const { fileId } = req.params;
+
+    const file = await db.getSharedFile(fileId);
+    if (!file || !isTakenDown(file)) {
+      return res.status(404).json({ error: 'No takedown found for this file' });
+    }
+
+    await db.transaction((tx) => {
+      tx.restoreFile(fileId);
+      tx.addModerationAction({ action: 'restore', fileId, userId: file.user_id, moderator: adminName(req) });
+    });
+
+    res.json({ success: true, message: 'File restored', file: formatFile(await db.getSharedFile(fileId)) });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// The moderation queue: files with open reports, most reported first, with those reports
+router.get('/reports', async (req, res, next) => {
+  try {
+    const page = parsePage(req.query);
+    if (page.error) {
+      return res.status(400).json({ error: page.error });
+    }
+
+    const { files, total } = await db.getModerationQueue(page);
+    const queue = [];
+    for (const file of files) {
+      queue.push({
+        file: formatFile(file),
+        openReports: file.open_reports,
+        firstReportedAt: fromDbTimestamp(file.first_reported_at),
+        hiddenByReports: isHiddenByReports(file),
+        reports: (await db.getFileReports(file.file_id, 'open')).map(formatReport)
+      });
+    }
+
+    res.json({ success: true, queue, pagination: formatPage(page, total) });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Every report of a file and the moderation decisions about it
+router.get('/reports/:fileId', async (req, res, next) => {
+  try {
+    const { fileId } = req.params;
+
+    const reports = await db.getFileReports(fileId);
+    if (reports.length === 0) {
+      return res.status(404).json({ error: 'No reports for this file' });
+    }
+
+    const file = await db.getSharedFile(fileId);
+    const { actions } = await db.queryModerationActions({ fileId, limit: MAX_PAGE_LIMIT });
+
+    res.json({
+      success: true,
+      fileId,
+      // null once the file has been deleted
+      file: file ? formatFile(file) : null,
+      reports: reports.map(formatReport),
+      actions: actions.map(formatAction)
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Resolve a file's open reports: { action, reason }. dismiss closes them (restoring the file
+// if the reports had hidden it), remove takes the file down, and suspend also suspends its
+// uploader from uploading. The reason defaults to the reported categories.
+router.post('/reports/:fileId/resolve', async (req, res, next) => {
+  try {
+    const { fileId } = req.params;
+    const { action } = req.body || {};
+
+    if (!Object.prototype.hasOwnProperty.call(REPORT_RESOLUTIONS, action)) {
+      return res.status(400).json({ error: `action must be one of: ${Object.keys(REPORT_RESOLUTIONS).join(', ')}` });
+    }
+
+    const { reason: givenReason, error } = parseReason(req.body, { required: false });
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const file = await db.getSharedFile(fileId);
+    const reports = await db.getFileReports(fileId, 'open');
+    if (!file || reports.length === 0) {
+      return res.status(404).json({ error: 'No open reports for this file' });
+    }
+
+    const categories = [...new Set(reports.map(report => report.category))].join(', ');
+    const reason = givenReason || (action === 'dismiss' ? null : `Removed after reports: ${categories}`);
+    const moderator = adminName(req);
+
+    const { changes } = await db.transaction((tx) => {
+      if (action === 'dismiss') {
+        if (isHiddenByReports(file)) {
+          tx.restoreFile(fileId);
+        }
+      } else {
+        tx.takeDownFile(fileId, reason, moderator);
+      }
+      if (action === 'suspend') {
+        tx.setUploadSuspension(file.user_id, { reason, suspendedBy: moderator });
+      }
+
+      const resolved = tx.resolveFileReports(fileId, REPORT_RESOLUTIONS[action], moderator);
+      tx.addModerationAction({
+        action,
+        fileId,
+        userId: file.user_id,
+        reason,
+        reportsResolved: resolved.changes,
+        moderator
+      });
+      return resolved;
+    });
+
+    res.json({
+      success: true,
+      message: `${changes} report(s) resolved`,
+      action,
+      file: formatFile(await db.getSharedFile(fileId))
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// The moderation decisions log, newest first; fileId and userId filter it
+router.get('/moderation-actions', async (req, res, next) => {
+  try {
+    const page = parsePage(req.query);
+    if (page.error) {
+      return res.status(400).json({ error: page.error });
+    }
+
+    const { actions, total } = await db.queryModerationActions({
+      fileId: req.query.fileId || null,
+      userId: req.query.userId || null,
+      limit: page.limit,
+      offset: page.offset
+    });
+
+    res.json({ success: true, actions: actions.map(formatAction), pagination: formatPage(page, total) });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// The audit log of file and profile changes, newest first. Filters: actorId, action (exact,
+// or a prefix such as file.*), fileId, userId (the file's owner or the profile changed),
+// outcome and from/to. format=csv|ndjson downloads every matching event, oldest first,
+// instead of a page.
+router.get('/audit-events', async (req, res, next) => {
+  try {
+    const filters = parseAuditFilters(req.query);
+    if (filters.error) {
+      return res.status(400).json({ error: filters.error });
+    }
+
+    const { format } = req.query;
+    if (format !== undefined && !Object.prototype.hasOwnProperty.call(AUDIT_EXPORT_TYPES, format)) {
+      return res.status(400).json({ error: `format must be one of: ${Object.keys(AUDIT_EXPORT_TYPES).join(', ')}` });
+    }
+
+    if (format) {
+      res.setHeader('Content-Type', AUDIT_EXPORT_TYPES[format]);
+      res.setHeader('Content-Disposition', contentDisposition('attachment', `audit-events.${format}`));
+      res.setHeader('Cache-Control', 'private, no-store');
+      try {
+        await pipelineAsync(exportAuditEvents(filters, format), res);
+      } catch (error) {
+        // The client went away, or the log couldn't be read (the export is cut short)
+        if (!res.writableFinished) {
+          console.error(`Audit log export stopped: ${error.message}`);
+        }
+      }
+      return;
+    }
+
+    const page = parsePage(req.query);
+    if (page.error) {
+      return res.status(400).json({ error: page.error });
+    }
+
+    const { events, total } = await db.queryAuditEvents(filters, page);
+
+    res.json({ success: true, events: events.map(formatAuditEvent), pagination: formatPage(page, total) });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Storage totals across all users, with shared files broken down by category and MIME type
+router.get('/stats', async (req, res, next) => {
+  try {
+    const stats = await db.getStorageStats();
+
+    res.json({
+      success: true,
+      stats: {
+        users: stats.users,
+        files: {
+          count: stats.files.count,
+          size: stats.files.size,
+          formattedSize: formatFileSize(stats.files.size),
+          downloads: stats.files.downloads,
+          takenDown: stats.files.taken_down,
+          byCategory: groupStats(stats.categories, 'category'),
+          byMimeType: groupStats(stats.mimeTypes, 'mime_type')
+        },
+        // Bytes actually stored for shared files once identical content is deduplicated
+        storedContent: { count: stats.blobs.count, size: stats.blobs.size, formattedSize: formatFileSize(stats.blobs.size) },
+        profilePictures: { ...stats.profilePictures, formattedSize: formatFileSize(stats.profilePictures.size) },
+        banners: { ...stats.banners, formattedSize: formatFileSize(stats.banners.size) }
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
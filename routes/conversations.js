@@ -0,0 +1,280 @@
+const express = require('express');
+const { v4: uuidv4 } = require('uuid');
+const db = require('../database');
+const { requireAuth, requireAdmin } = require('../middleware/auth');
+const { parseConversation } = require('../middleware/fileAccess');
+const { formatFileSize, fromDbTimestamp } = require('../lib/fileUtils');
+const { formatPreview } = require('../lib/previews');
+const { parseFileQuery, formatPagination } = require('../lib/fileQuery');
+
+const router = express.Router();
+
+// Conversations are owned by the chat backend, which keeps their member lists in sync
+// here (admin credentials, see requireAdmin). Members can list what was posted in a
+// conversation: files uploaded with its conversationId, and links.
+const MAX_MEMBERS_PER_REQUEST = 1000;
+const MAX_URL_LENGTH = 2048;
+const MAX_TITLE_LENGTH = 300;
+
+// Tabs of the conversation's shared content view
+const TABS = {
+  media: ['image', 'video', 'audio'],
+  docs: ['pdf', 'text', 'document', 'archive', 'other'],
+  links: null
+};
+
+// Validate req.params.conversationId
+function validateConversationId(req, res, next) {
+  const { error } = parseConversation(req.params.conversationId);
+  if (error) {
+    return res.status(400).json({ error });
+  }
+  next();
+}
+
+// Only current members may see a conversation's content. Run after requireAuth.
+async function requireMember(req, res, next) {
+  try {
+    if (!(await db.isConversationMember(req.params.conversationId, req.user.uid))) {
+      return res.status(403).json({ error: 'You are not a member of this conversation' });
+    }
+    next();
+  } catch (error) {
+    next(error);
+  }
+}
+
+// Parse a member list from a request body: { userIds: [...] }; returns null if invalid
+function parseMemberList(body) {
+  const userIds = body && body.userIds;
+  if (!Array.isArray(userIds) || !userIds.every(id => typeof id === 'string' && id.trim())) {
+    return null;
+  }
+
+  const unique = [...new Set(userIds.map(id => id.trim()))];
+  return unique.length <= MAX_MEMBERS_PER_REQUEST ? unique : null;
+}
+
+function formatMembers(conversationId, members) {
+  return {
+    conversationId,
+    members: members.map(member => ({ userId: member.user_id, joinedAt: member.joined_at })),
+    count: members.length
+  };
+}
+
+function formatFile(file) {
+  return {
+    fileId: file.file_id,
+    originalName: file.original_name,
+    fileSize: file.file_size,
+    formattedSize: formatFileSize(file.file_size),
+    mimeType: file.mime_type,
+    category: file.category,
+    description: file.description,
+    downloadCount: file.download_count,
+    fileUrl: file.file_url,
+    visibility: file.visibility,
+    albumId: file.album_id,
+    uploadedBy: file.user_id,
+    scanStatus: file.scan_status,
+    preview: formatPreview(file),
+    expiresAt: fromDbTimestamp(file.expires_at),
+    uploadedAt: file.created_at
+  };
+}
+
+function formatLink(link) {
+  return {
+    linkId: link.link_id,
+    url: link.url,
+    title: link.title,
+    postedBy: link.user_id,
+    postedAt: link.created_at
+  };
+}
+
+router.param('conversationId', validateConversationId);
+
+// Get a conversation's members
+router.get('/:conversationId/members', requireAdmin, async (req, res, next) => {
+  try {
+    const { conversationId } = req.params;
+    res.json({ success: true, ...formatMembers(conversationId, await db.getConversationMembers(conversationId)) });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Replace the member list: { userIds: [...] } (an empty list removes everyone)
+router.put('/:conversationId/members', requireAdmin, async (req, res, next) => {
+  try {
+    const { conversationId } = req.params;
+
+    const userIds = parseMemberList(req.body);
+    if (!userIds) {
+      return res.status(400).json({ error: `userIds must be a list of at most ${MAX_MEMBERS_PER_REQUEST} user IDs` });
+    }
+
+    const { added, removed } = await db.replaceConversationMembers(conversationId, userIds);
+
+    res.json({
+      success: true,
+      added,
+      removed,
+      ...formatMembers(conversationId, await db.getConversationMembers(conversationId))
+    });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Add members: { userIds: [...] }
+router.post('/:conversationId/members', requireAdmin, async (req, res, next) => {
+  try {
+    const { conversationId } = req.params;
+
+    const userIds = parseMemberList(req.body);
+    if (!userIds || userIds.length === 0) {
+      return res.status(400).json({ error: `userIds must be a non-empty list of at most ${MAX_MEMBERS_PER_REQUEST} user IDs` });
+    }
+
+    const { added } = await db.addConversationMembers(conversationId, userIds);
+
+    res.json({
+      success: true,
+      added,
+      ...formatMembers(conversationId, await db.getConversationMembers(conversationId))
+    });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Remove a member; they lose access to the conversation's files right away
+router.delete('/:conversationId/members/:userId', requireAdmin, async (req, res, next) => {
+  try {
+    const { conversationId, userId } = req.params;
+
+    const { changes } = await db.removeConversationMember(conversationId, userId);
+    if (changes === 0) {
+      return res.status(404).json({ error: 'Member not found' });
+    }
+
+    res.json({ success: true, message: 'Member removed successfully' });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+// List what was posted in a conversation. ?tab=media|docs picks file categories (or use
+// the category filter), ?tab=links lists links instead of files. Files take the filters,
+// sorting and pagination of GET /api/files/user/:userId; links are newest first.
+router.get('/:conversationId/files', requireAuth, requireMember, async (req, res, next) => {
+  try {
+    const { conversationId } = req.params;
+    const { tab } = req.query;
+
+    if (tab !== undefined && !Object.prototype.hasOwnProperty.call(TABS, tab)) {
+      return res.status(400).json({ error: `tab must be one of: ${Object.keys(TABS).join(', ')}` });
+    }
+    if (tab && req.query.category) {
+      return res.status(400).json({ error: 'Use either tab or category, not both' });
+    }
+
+    const query = tab && TABS[tab] ? { ...req.query, category: TABS[tab].join(',') } : req.query;
+    const options = parseFileQuery(query);
+    if (options.error) {
+      return res.status(400).json({ error: options.error });
+    }
+
+    if (tab === 'links') {
+      if (options.sort !== 'date' || options.order !== 'desc') {
+        return res.status(400).json({ error: 'Links are always listed newest first' });
+      }
+      const result = await db.queryConversationLinks(conversationId, options);
+      return res.json({
+        success: true,
+        conversationId,
+        tab,
+        links: result.links.map(formatLink),
+        pagination: formatPagination(options, { ...result, files: result.links })
+      });
+    }
+
+    const result = await db.queryFiles({ conversationId, viewerId: req.user.uid }, options);
+
+    res.json({
+      success: true,
+      conversationId,
+      tab: tab || null,
+      files: result.files.map(formatFile),
+      pagination: formatPagination(options, result)
+    });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Record a link posted in the conversation: { url, title }
+router.post('/:conversationId/links', requireAuth, requireMember, async (req, res, next) => {
+  try {
+    const { conversationId } = req.params;
+    const { url, title } = req.body || {};
+
+    let parsed;
+    try {
+      parsed = typeof url === 'string' && url.length <= MAX_URL_LENGTH ? new URL(url) : null;
+    } catch (error) {
+      parsed = null;
+    }
+    if (!parsed || !['http:', 'https:'].includes(parsed.protocol)) {
+      return res.status(400).json({ error: `url must be an http(s) URL of at most ${MAX_URL_LENGTH} characters` });
+    }
+
+    if (title !== undefined && title !== null && (typeof title !== 'string' || title.length > MAX_TITLE_LENGTH)) {
+      return res.status(400).json({ error: `title must be a string of at most ${MAX_TITLE_LENGTH} characters` });
+    }
+
+    const link = await db.createConversationLink({
+      linkId: uuidv4(),
+      conversationId,
+      userId: req.user.uid,
+      url: parsed.href,
+      title: (title && title.trim()) || null
+    });
+
+    res.status(201).json({ success: true, link: formatLink(link) });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Delete a link (only the member who posted it)
+router.delete('/:conversationId/links/:linkId', requireAuth, requireMember, async (req, res, next) => {
+  try {
+    const { conversationId, linkId } = req.params;
+
+    const link = await db.getConversationLink(linkId);
+    if (!link || link.conversation_id !== conversationId) {
+      return res.status(404).json({ error: 'Link not found' });
+    }
+    if (link.user_id !== req.user.uid) {
+      return res.status(403).json({ error: 'Unauthorized - you can only delete links you posted' });
+    }
+
+    await db.deleteConversationLink(linkId, req.user.uid);
+
+    res.json({ success: true, message: 'Link deleted successfully' });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
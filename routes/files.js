@@ -1,170 +1,473 @@
 const express = require('express');
+const { pipeline } = require('stream');
+const { promisify } = require('util');
 const multer = require('multer');
-const path = require('path');
-const fs = require('fs-extra');
 const { v4: uuidv4 } = require('uuid');
-const db = require('../database-simple');
+const db = require('../database');
+const { requireAuth, optionalAuth, requireSelf } = require('../middleware/auth');
+const {
+  VISIBILITY_LEVELS,
+  parseVisibility,
+  parseSharedWith,
+  parseConversation,
+  checkConversationUpload,
+  canAccessFile,
+  loadAccessibleFile
+} = require('../middleware/fileAccess');
+const { parseLinkOptions, createSignedLink, loadDownloadableFile } = require('../middleware/signedLinks');
+const { MAX_FILE_SIZE, formatFileSize, fromDbTimestamp } = require('../lib/fileUtils');
+const { FileTypeError, isDeclaredTypeAllowed, verifyFileType } = require('../lib/fileTypes');
+const { tempFileStorage, discardUpload } = require('../lib/uploadStorage');
+const { storeBlob, deleteSharedFile } = require('../lib/blobStore');
+const { QuotaExceededError, checkQuota, getQuotaUsage, storeWithinQuota, formatQuota, sendQuotaExceeded } = require('../lib/quota');
+const { queueScan, requireCleanFile } = require('../lib/scanner');
+const { contentDisposition, sendStoredFile } = require('../lib/fileDelivery');
+const { formatPreview, sendPreview } = require('../lib/previews');
+const { parseFileQuery, formatPagination } = require('../lib/fileQuery');
+const { parseExpiry, isExpired } = require('../lib/retention');
+const { getStorage } = require('../lib/storage');
+const { MAX_ZIP_SIZE, createZipStream } = require('../lib/zipStream');
+const { isTakenDown, requireUploadsAllowed, parseReport, reportFile, formatTakedown } = require('../lib/moderation');
+const { audit } = require('../lib/audit');
 
 const router = express.Router();
+const pipelineAsync = promisify(pipeline);
 
-// Multer configuration for shared files
-const storage = multer.memoryStorage();
+// Files per batch upload and per bundle download
+const MAX_BATCH_FILES = 20;
+const MAX_BUNDLE_FILES = 100;
+// Album IDs are chosen by the uploader (like conversation IDs)
+const ALBUM_ID_PATTERN = /^[A-Za-z0-9_.:-]{1,128}$/;
+
+// Multer configuration for shared files (streamed to uploads/temp)
+const storage = tempFileStorage();
 const upload = multer({
   storage,
   limits: {
-    fileSize: 50 * 1024 * 1024, // 50MB limit
+    fileSize: MAX_FILE_SIZE,
     files: 1
   },
   fileFilter: (req, file, cb) => {
-    // Allow most common file types
-    const allowedTypes = [
-      'image/', 'video/', 'audio/', 'application/pdf',
-      'text/', 'application/msword', 'application/vnd.openxmlformats',
-      'application/zip', 'application/x-zip-compressed'
-    ];
-    
-    const isAllowed = allowedTypes.some(type => file.mimetype.startsWith(type));
-    
-    if (isAllowed) {
+    // Early rejection on the declared type; the content is verified after upload
+    if (isDeclaredTypeAllowed('shared', file.mimetype)) {
+      cb(null, true);
+    } else {
+      cb(new FileTypeError('File type not allowed'), false);
+    }
+  }
+});
+
+// Batch uploads: a disallowed type fails only that file, so it is noted and skipped
+const batchUpload = multer({
+  storage,
+  limits: {
+    fileSize: MAX_FILE_SIZE,
+    files: MAX_BATCH_FILES
+  },
+  fileFilter: (req, file, cb) => {
+    // Position in the request, for the per-file results
+    file.index = req.batchFileCount || 0;
+    req.batchFileCount = file.index + 1;
+
+    if (isDeclaredTypeAllowed('shared', file.mimetype)) {
       cb(null, true);
     } else {
-      cb(new Error('File type not allowed'), false);
+      req.rejectedFiles = [...(req.rejectedFiles || []), file];
+      cb(null, false);
     }
   }
 });
 
-// Helper function to get file category
-function getFileCategory(mimeType) {
-  if (mimeType.startsWith('image/')) return 'image';
-  if (mimeType.startsWith('video/')) return 'video';
-  if (mimeType.startsWith('audio/')) return 'audio';
-  if (mimeType === 'application/pdf') return 'pdf';
-  if (mimeType.startsWith('text/')) return 'text';
-  if (mimeType.includes('word') || mimeType.includes('document')) return 'document';
-  if (mimeType.includes('zip')) return 'archive';
-  return 'other';
+// Parse the fields of an upload besides the file (in a batch they apply to every file);
+// returns { error } or the options for storeSharedUpload
+function parseUploadOptions(body) {
+  const { conversationId, error: conversationError } = parseConversation(body.conversationId);
+  if (conversationError) {
+    return { error: conversationError };
+  }
+
+  // Files posted in a conversation are for its members unless asked otherwise
+  const visibility = parseVisibility(body.visibility, conversationId ? 'conversation' : undefined);
+  if (!visibility) {
+    return { error: `Visibility must be one of: ${VISIBILITY_LEVELS.join(', ')}` };
+  }
+
+  const sharedWith = parseSharedWith(body.sharedWith);
+  if (!sharedWith) {
+    return { error: 'sharedWith must be a list of user IDs' };
+  }
+
+  const expiry = parseExpiry(body);
+  if (expiry.error) {
+    return { error: expiry.error };
+  }
+
+  return { description: body.description || '', visibility, sharedWith, conversationId, expiresAt: expiry.expiresAt };
+}
+
+// Parse the album a batch is uploaded to; returns { error } or { albumId } (null for none)
+function parseAlbum(value) {
+  if (value === undefined || value === null || value === '') {
+    return { albumId: null };
+  }
+  if (typeof value !== 'string' || !ALBUM_ID_PATTERN.test(value)) {
+    return { error: 'albumId must be 1-128 letters, digits or _.:- characters' };
+  }
+  return { albumId: value };
 }
 
-// Helper function to format file size
-function formatFileSize(bytes) {
-  if (bytes === 0) return '0 Bytes';
-  const k = 1024;
-  const sizes = ['Bytes', 'KB', 'MB', 'GB'];
-  const i = Math.floor(Math.log(bytes) / Math.log(k));
-  return parseFloat((bytes / Math.pow(k, i)).toFixed(2)) + ' ' + sizes[i];
+// Verify and store an uploaded temp file as a shared file, queueing its scan; resolves to
+// the file as returned by the upload endpoints. Throws FileTypeError for disallowed content
+// and QuotaExceededError if the file no longer fits the user's quota.
+async function storeSharedUpload(tempFile, userId, options) {
+  const { description, visibility, sharedWith, conversationId, expiresAt, albumId = null } = options;
+
+  // Identify the content; type, category and extension never come from the client
+  const { mimeType, extension, category } = await verifyFileType(tempFile.path, tempFile.mimetype, 'shared');
+
+  // Generate unique file ID and name
+  const fileId = uuidv4();
+  const fileName = `${fileId}${extension}`;
+  const fileUrl = `/uploads/shared/${fileName}`;
+
+  // Store content by hash (reusing an identical blob) and save to database
+  await storeBlob(tempFile, (blobPath, storageBackend) => storeWithinQuota(userId, tempFile.size, tx => tx.createSharedFile({
+    fileId,
+    userId,
+    originalName: tempFile.originalname,
+    fileName,
+    filePath: blobPath,
+    fileUrl,
+    fileSize: tempFile.size,
+    mimeType,
+    description,
+    category,
+    checksum: tempFile.sha256,
+    blobHash: tempFile.sha256,
+    visibility,
+    sharedWith,
+    storageBackend,
+    expiresAt,
+    conversationId,
+    albumId
+  })));
+
+  // Downloadable once the malware scan has passed
+  queueScan(fileId);
+
+  return {
+    fileId,
+    originalName: tempFile.originalname,
+    fileName,
+    fileUrl,
+    fileSize: tempFile.size,
+    formattedSize: formatFileSize(tempFile.size),
+    mimeType,
+    category,
+    visibility,
+    sharedWith,
+    conversationId,
+    albumId,
+    scanStatus: 'pending',
+    preview: { status: 'pending', type: null, url: null },
+    expiresAt: fromDbTimestamp(expiresAt),
+    uploadedAt: new Date().toISOString()
+  };
 }
 
 // Upload shared file
-router.post('/upload', upload.single('file'), async (req, res) => {
+router.post('/upload', audit('file.upload'), requireAuth, requireUploadsAllowed, upload.single('file'), requireSelf, async (req, res, next) => {
   try {
-    const { userId, description } = req.body;
-    
-    if (!userId) {
-      return res.status(400).json({ error: 'User ID is required' });
-    }
+    const userId = req.user.uid;
 
     if (!req.file) {
       return res.status(400).json({ error: 'No file uploaded' });
     }
 
-    // Generate unique file ID and name
-    const fileId = uuidv4();
-    const fileExtension = path.extname(req.file.originalname);
-    const fileName = `${fileId}${fileExtension}`;
-    const filePath = path.join(__dirname, '../uploads/shared', fileName);
-    
-    // Save file to disk
-    await fs.writeFile(filePath, req.file.buffer);
-    
-    const fileUrl = `/uploads/shared/${fileName}`;
-    const category = getFileCategory(req.file.mimetype);
+    const options = parseUploadOptions(req.body);
+    if (options.error) {
+      return res.status(400).json({ error: options.error });
+    }
 
-    // Save to database
-    await db.createSharedFile({
-      fileId,
-      userId,
-      originalName: req.file.originalname,
-      fileName,
-      filePath: `uploads/shared/${fileName}`,
-      fileUrl,
-      fileSize: req.file.size,
-      mimeType: req.file.mimetype,
-      description: description || '',
-      category
-    });
+    if (!(await checkConversationUpload(options.conversationId, options.visibility, userId, res))) {
+      return;
+    }
+
+    const quota = await checkQuota(userId, req.file.size);
+    if (!quota.allowed) {
+      return sendQuotaExceeded(res, quota.usage, req.file.size);
+    }
+
+    const file = await storeSharedUpload(req.file, userId, options);
+    res.locals.audit = { fileId: file.fileId, userId, details: { originalName: file.originalName, fileSize: file.fileSize } };
 
     res.json({
       success: true,
       message: 'File uploaded successfully',
-      file: {
-        fileId,
-        originalName: req.file.originalname,
-        fileName,
-        fileUrl,
-        fileSize: req.file.size,
-        formattedSize: formatFileSize(req.file.size),
-        mimeType: req.file.mimetype,
-        category,
-        uploadedAt: new Date().toISOString()
-      }
+      file
     });
 
   } catch (error) {
-    console.error('File upload error:', error);
-    
-    if (error.message.includes('File type not allowed')) {
+    if (error instanceof FileTypeError) {
       return res.status(400).json({ error: error.message });
     }
-    
-    res.status(500).json({ 
-      error: 'Failed to upload file',
-      message: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    if (error instanceof QuotaExceededError) {
+      return sendQuotaExceeded(res, error.usage, error.requested);
+    }
+    next(error);
+  } finally {
+    // No-op once the file has been stored
+    await discardUpload(req.file);
+  }
+});
+
+// Upload several files at once (field "files"). The other fields (description, visibility,
+// sharedWith, conversationId, expiry and an optional albumId grouping the files) apply to
+// all of them. Each file succeeds or fails on its own; results are in upload order.
+router.post('/upload-batch', audit('file.upload_batch'), requireAuth, requireUploadsAllowed, batchUpload.array('files', MAX_BATCH_FILES), requireSelf, async (req, res, next) => {
+  const files = req.files || [];
+
+  try {
+    const userId = req.user.uid;
+    const rejected = req.rejectedFiles || [];
+
+    if (files.length + rejected.length === 0) {
+      return res.status(400).json({ error: 'No files uploaded' });
+    }
+
+    const options = parseUploadOptions(req.body);
+    if (options.error) {
+      return res.status(400).json({ error: options.error });
+    }
+
+    const { albumId, error: albumError } = parseAlbum(req.body.albumId);
+    if (albumError) {
+      return res.status(400).json({ error: albumError });
+    }
+    if (albumId && (await db.isAlbumOwnedByOtherUser(albumId, userId))) {
+      return res.status(409).json({ error: 'This albumId is already used by another user' });
+    }
+
+    if (!(await checkConversationUpload(options.conversationId, options.visibility, userId, res))) {
+      return;
+    }
+
+    const results = rejected.map(file => ({
+      index: file.index,
+      originalName: file.originalname,
+      success: false,
+      error: 'File type not allowed'
+    }));
+
+    // One at a time, so each quota check sees the files stored before it
+    for (const file of files) {
+      const result = { index: file.index, originalName: file.originalname };
+      try {
+        const quota = await checkQuota(userId, file.size);
+        if (quota.allowed) {
+          Object.assign(result, { success: true, file: await storeSharedUpload(file, userId, { ...options, albumId }) });
+        } else {
+          Object.assign(result, { success: false, error: 'Storage quota exceeded', code: 'QUOTA_EXCEEDED' });
+        }
+      } catch (error) {
+        if (error instanceof QuotaExceededError) {
+          Object.assign(result, { success: false, error: error.message, code: error.code });
+        } else {
+          if (!(error instanceof FileTypeError)) {
+            console.error(`Batch upload could not store ${file.originalname}:`, error);
+          }
+          Object.assign(result, { success: false, error: error instanceof FileTypeError ? error.message : 'Could not store file' });
+        }
+      } finally {
+        await discardUpload(file);
+      }
+      results.push(result);
+    }
+
+    results.sort((a, b) => a.index - b.index);
+    const uploaded = results.filter(result => result.success).length;
+    const fileIds = results.filter(result => result.success).map(result => result.file.fileId);
+    res.locals.audit = { userId, details: { albumId, fileIds, failed: results.length - uploaded } };
+
+    res.status(uploaded > 0 ? 200 : 400).json({
+      success: uploaded > 0,
+      message: `${uploaded} of ${results.length} file(s) uploaded`,
+      albumId,
+      uploaded,
+      failed: results.length - uploaded,
+      results
     });
+
+  } catch (error) {
+    next(error);
+  } finally {
+    // Files not reached (e.g. after a validation error) are removed here
+    await Promise.all(files.map(discardUpload));
   }
 });
 
-// Download/view shared file
-router.get('/download/:fileId', async (req, res) => {
+// Download/view shared file. Supports Range and conditional requests; ?inline=1 serves it
+// for in-page display (e.g. playing a video in chat) instead of as an attachment.
+router.get('/download/:fileId', optionalAuth, loadDownloadableFile, requireCleanFile, async (req, res, next) => {
   try {
     const { fileId } = req.params;
-    
-    const file = await db.getSharedFile(fileId);
-    if (!file) {
-      return res.status(404).json({ error: 'File not found' });
+    const file = req.sharedFile;
+    const inline = req.query.inline === '1' || req.query.inline === 'true';
+
+    await db.touchSharedFile(fileId);
+    const complete = await sendStoredFile(req, res, file, { disposition: inline ? 'inline' : 'attachment' });
+
+    // Only whole-file responses count as downloads; seeking, resuming and 304 revalidations
+    // don't (signed link uses are counted per request, see loadFileFromSignedLink)
+    if (complete) {
+      await db.incrementDownloadCount(fileId);
     }
 
-    const filePath = path.join(__dirname, '..', file.file_path);
-    
-    // Check if file exists
-    if (!(await fs.pathExists(filePath))) {
-      return res.status(404).json({ error: 'File not found on disk' });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Why a file can't go into the caller's bundle, or null if it can
+async function bundleProblem(file, uid) {
+  if (!(await canAccessFile(file, uid))) return 'You do not have access to this file';
+  if (isTakenDown(file)) return 'This file has been taken down';
+  if (isExpired(file)) return 'This file has expired';
+  if (file.scan_status === 'pending') return 'File is still being scanned';
+  if (file.scan_status !== 'clean') return 'File is unavailable';
+  return null;
+}
+
+// Name files inside a bundle after their original names, made safe for extraction and
+// unique (case-insensitively) with a " (2)" style suffix
+function bundleEntryNames(files) {
+  const used = new Set();
+
+  return files.map(file => {
+    const name = file.original_name.replace(/[\x00-\x1f\x7f/\\]/g, '_').replace(/^\.+$/, '_') || file.file_id;
+    const dot = name.lastIndexOf('.');
+    const [base, extension] = dot > 0 ? [name.slice(0, dot), name.slice(dot)] : [name, ''];
+
+    let candidate = name;
+    for (let n = 2; used.has(candidate.toLowerCase()); n++) {
+      candidate = `${base} (${n})${extension}`;
     }
+    used.add(candidate.toLowerCase());
+    return candidate;
+  });
+}
 
-    // Increment download count
-    await db.incrementDownloadCount(fileId);
+// Download several files as one ZIP, streamed as it is built: ?ids=<id>,<id>,... (every
+// file must be downloadable by the caller) or ?albumId= (the album's files the caller can
+// download). Files keep their original names; ?name= sets the archive's name.
+router.get('/bundle', optionalAuth, async (req, res, next) => {
+  try {
+    const uid = req.user && req.user.uid;
+    const { ids, albumId } = req.query;
 
-    // Set appropriate headers
-    res.setHeader('Content-Type', file.mime_type);
-    res.setHeader('Content-Disposition', `attachment; filename="${file.original_name}"`);
-    
-    // Send file
-    res.sendFile(filePath);
+    if (!ids === !albumId) {
+      return res.status(400).json({ error: 'Specify either ids or albumId' });
+    }
+
+    let files;
+    if (ids) {
+      const fileIds = [...new Set(String(ids).split(',').map(id => id.trim()).filter(Boolean))];
+      if (fileIds.length === 0 || fileIds.length > MAX_BUNDLE_FILES) {
+        return res.status(400).json({ error: `ids must list 1-${MAX_BUNDLE_FILES} file IDs` });
+      }
+
+      files = await db.getSharedFilesByIds(fileIds);
+      const found = new Set(files.map(file => file.file_id));
+      const unavailable = fileIds.filter(fileId => !found.has(fileId)).map(fileId => ({ fileId, error: 'File not found' }));
+      for (const file of files) {
+        const problem = await bundleProblem(file, uid);
+        if (problem) {
+          unavailable.push({ fileId: file.file_id, error: problem });
+        }
+      }
+
+      if (unavailable.length > 0) {
+        return res.status(uid ? 403 : 401).json({ error: 'Some files can\'t be downloaded', files: unavailable });
+      }
+    } else {
+      const { error } = parseAlbum(String(albumId));
+      if (error) {
+        return res.status(400).json({ error });
+      }
+
+      files = [];
+      for (const file of await db.getAlbumFiles(String(albumId))) {
+        if (!(await bundleProblem(file, uid))) {
+          files.push(file);
+        }
+      }
+
+      if (files.length === 0) {
+        return res.status(404).json({ error: 'Album not found' });
+      }
+      if (files.length > MAX_BUNDLE_FILES) {
+        return res.status(400).json({ error: `Bundles hold at most ${MAX_BUNDLE_FILES} files` });
+      }
+    }
+
+    // Stay well inside what a ZIP without Zip64 can address
+    const totalSize = files.reduce((sum, file) => sum + file.file_size, 0);
+    if (totalSize > MAX_ZIP_SIZE - files.length * 1024) {
+      return res.status(413).json({ error: 'These files are too large to download as one bundle' });
+    }
+
+    const requestedName = typeof req.query.name === 'string' ? req.query.name.replace(/[\x00-\x1f\x7f/\\]/g, '_').trim() : '';
+    const archiveName = requestedName || (albumId ? `album-${albumId}` : 'files');
+
+    res.setHeader('Content-Type', 'application/zip');
+    res.setHeader('Content-Disposition', contentDisposition('attachment', archiveName.endsWith('.zip') ? archiveName : `${archiveName}.zip`));
+    res.setHeader('Cache-Control', 'private, no-store');
+
+    if (req.method === 'HEAD') {
+      return res.end();
+    }
+
+    await Promise.all(files.map(file => db.touchSharedFile(file.file_id)));
+
+    const names = bundleEntryNames(files);
+    const entries = files.map((file, index) => ({
+      name: names[index],
+      modified: new Date(fromDbTimestamp(file.created_at)),
+      open: () => getStorage(file.storage_backend).getStream(file.file_path)
+    }));
+
+    try {
+      await pipelineAsync(createZipStream(entries), res);
+    } catch (error) {
+      // The client went away, or a file couldn't be read mid-archive (the response is cut short)
+      if (!res.writableFinished) {
+        console.error(`Bundle download stopped: ${error.message}`);
+      }
+      return;
+    }
+
+    // Every file of a complete bundle was downloaded whole
+    await Promise.all(files.map(file => db.incrementDownloadCount(file.file_id)));
+
+  } catch (error) {
+    next(error);
+  }
+});
 
+// Get a file's preview: a JPEG thumbnail (images, PDFs), or JSON with an audio waveform
+// ({ type: 'waveform', duration, peaks }) or the start of a text file ({ type: 'snippet', text })
+router.get('/preview/:fileId', optionalAuth, loadAccessibleFile, requireCleanFile, async (req, res, next) => {
+  try {
+    await sendPreview(req, res, req.sharedFile);
   } catch (error) {
-    console.error('Error downloading file:', error);
-    res.status(500).json({ error: 'Internal server error' });
+    next(error);
   }
 });
 
 // Get file info
-router.get('/info/:fileId', async (req, res) => {
+router.get('/info/:fileId', optionalAuth, loadAccessibleFile, async (req, res, next) => {
   try {
-    const { fileId } = req.params;
-    
-    const file = await db.getSharedFile(fileId);
-    if (!file) {
-      return res.status(404).json({ error: 'File not found' });
-    }
+    const file = req.sharedFile;
 
     res.json({
       fileId: file.file_id,
@@ -175,24 +478,173 @@ router.get('/info/:fileId', async (req, res) => {
       category: file.category,
       description: file.description,
       downloadCount: file.download_count,
+      visibility: file.visibility,
+      conversationId: file.conversation_id,
+      albumId: file.album_id,
+      scanStatus: file.scan_status,
+      preview: formatPreview(file),
+      expiresAt: fromDbTimestamp(file.expires_at),
       uploadedAt: file.created_at,
       lastAccessed: file.last_accessed
     });
 
   } catch (error) {
-    console.error('Error fetching file info:', error);
-    res.status(500).json({ error: 'Internal server error' });
+    next(error);
+  }
+});
+
+// Issue an expiring signed download URL (owner only)
+router.post('/:fileId/signed-url', audit('file.signed_url'), requireAuth, async (req, res, next) => {
+  try {
+    const { fileId } = req.params;
+
+    const file = await db.getSharedFile(fileId);
+    if (!file) {
+      return res.status(404).json({ error: 'File not found' });
+    }
+
+    if (file.user_id !== req.user.uid) {
+      return res.status(403).json({ error: 'Unauthorized - you can only create links for your own files' });
+    }
+
+    const options = parseLinkOptions(req.body);
+    if (options.error) {
+      return res.status(400).json({ error: options.error });
+    }
+
+    const link = await createSignedLink(fileId, req.user.uid, options);
+    res.locals.audit = { userId: file.user_id, details: { linkId: link.linkId } };
+
+    res.json({
+      success: true,
+      fileId,
+      ...link
+    });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Report a file as abusive: { category, details }. Anyone who can read it but its owner can
+// report a file, once until the report is resolved; see lib/moderation.js for what happens next.
+router.post('/:fileId/report', audit('file.report'), requireAuth, loadAccessibleFile, async (req, res, next) => {
+  try {
+    const file = req.sharedFile;
+
+    if (file.user_id === req.user.uid) {
+      return res.status(400).json({ error: 'You can\'t report your own file' });
+    }
+
+    const report = parseReport(req.body);
+    if (report.error) {
+      return res.status(400).json({ error: report.error });
+    }
+
+    res.locals.audit = { userId: file.user_id, details: { category: report.category } };
+    const { created } = await reportFile(file.file_id, req.user.uid, report);
+    if (!created) {
+      return res.status(409).json({ error: 'You have already reported this file', code: 'ALREADY_REPORTED' });
+    }
+
+    res.status(201).json({
+      success: true,
+      message: 'File reported, thank you',
+      fileId: file.file_id
+    });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Get file visibility and share list (owner only)
+router.get('/:fileId/access', requireAuth, async (req, res, next) => {
+  try {
+    const { fileId } = req.params;
+
+    const file = await db.getSharedFile(fileId);
+    if (!file) {
+      return res.status(404).json({ error: 'File not found' });
+    }
+
+    if (file.user_id !== req.user.uid) {
+      return res.status(403).json({ error: 'Unauthorized - you can only view access for your own files' });
+    }
+
+    res.json({
+      success: true,
+      fileId,
+      visibility: file.visibility,
+      sharedWith: await db.getFileShares(fileId)
+    });
+
+  } catch (error) {
+    next(error);
   }
 });
 
-// Get user's files
-router.get('/user/:userId', async (req, res) => {
+// Change file visibility and/or share list (owner only)
+router.patch('/:fileId/access', audit('file.access_update'), requireAuth, async (req, res, next) => {
+  try {
+    const { fileId } = req.params;
+
+    const file = await db.getSharedFile(fileId);
+    if (!file) {
+      return res.status(404).json({ error: 'File not found' });
+    }
+
+    if (file.user_id !== req.user.uid) {
+      return res.status(403).json({ error: 'Unauthorized - you can only change access for your own files' });
+    }
+
+    const visibility = parseVisibility(req.body.visibility, file.visibility);
+    if (!visibility) {
+      return res.status(400).json({ error: `Visibility must be one of: ${VISIBILITY_LEVELS.join(', ')}` });
+    }
+    if (visibility === 'conversation' && !file.conversation_id) {
+      return res.status(400).json({ error: 'conversation visibility is only for files posted in a conversation' });
+    }
+
+    // Omitting sharedWith keeps the current list
+    let sharedWith = null;
+    if (req.body.sharedWith !== undefined) {
+      sharedWith = parseSharedWith(req.body.sharedWith);
+      if (!sharedWith) {
+        return res.status(400).json({ error: 'sharedWith must be a list of user IDs' });
+      }
+    }
+
+    await db.updateFileAccess(fileId, visibility, sharedWith);
+    res.locals.audit = { userId: file.user_id, details: { visibility } };
+
+    res.json({
+      success: true,
+      message: 'File access updated successfully',
+      fileId,
+      visibility,
+      sharedWith: await db.getFileShares(fileId)
+    });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Get user's files. Filters: category (comma-separated), mimeType (type/subtype or type/*),
+// minSize/maxSize (bytes), from/to (ISO dates); sort=name|size|date|downloads, order=asc|desc;
+// paginated with limit and the cursor returned as pagination.nextCursor.
+router.get('/user/:userId', requireAuth, requireSelf, async (req, res, next) => {
   try {
     const { userId } = req.params;
-    const { limit = 50, page = 1 } = req.query;
-    
-    const offset = (parseInt(page) - 1) * parseInt(limit);
-    const files = await db.getUserSharedFiles(userId, parseInt(limit), offset);
+
+    const options = parseFileQuery(req.query);
+    if (options.error) {
+      return res.status(400).json({ error: options.error });
+    }
+
+    const result = await db.queryFiles({ userId }, options);
+    const files = result.files;
 
     // Format files for response
     const formattedFiles = files.map(file => ({
@@ -205,6 +657,13 @@ router.get('/user/:userId', async (req, res) => {
       description: file.description,
       downloadCount: file.download_count,
       fileUrl: file.file_url,
+      visibility: file.visibility,
+      conversationId: file.conversation_id,
+      albumId: file.album_id,
+      scanStatus: file.scan_status,
+      takedown: formatTakedown(file),
+      preview: formatPreview(file),
+      expiresAt: fromDbTimestamp(file.expires_at),
       uploadedAt: file.created_at,
       lastAccessed: file.last_accessed
     }));
@@ -212,28 +671,19 @@ router.get('/user/:userId', async (req, res) => {
     res.json({
       success: true,
       files: formattedFiles,
-      pagination: {
-        page: parseInt(page),
-        limit: parseInt(limit),
-        total: formattedFiles.length
-      }
+      pagination: formatPagination(options, result)
     });
 
   } catch (error) {
-    console.error('Error fetching user files:', error);
-    res.status(500).json({ error: 'Internal server error' });
+    next(error);
   }
 });
 
 // Delete file
-router.delete('/:fileId', async (req, res) => {
+router.delete('/:fileId', audit('file.delete'), requireAuth, requireSelf, async (req, res, next) => {
   try {
     const { fileId } = req.params;
-    const { userId } = req.body;
-    
-    if (!userId) {
-      return res.status(400).json({ error: 'User ID is required' });
-    }
+    const userId = req.user.uid;
 
     const file = await db.getSharedFile(fileId);
     if (!file) {
@@ -245,14 +695,15 @@ router.delete('/:fileId', async (req, res) => {
       return res.status(403).json({ error: 'Unauthorized - you can only delete your own files' });
     }
 
-    // Delete file from disk
-    const filePath = path.join(__dirname, '..', file.file_path);
-    if (await fs.pathExists(filePath)) {
-      await fs.remove(filePath);
+    // Kept as evidence until an admin restores it
+    if (isTakenDown(file)) {
+      return res.status(409).json({ error: 'This file has been taken down and can\'t be deleted', code: 'FILE_TAKEN_DOWN' });
     }
 
-    // Delete from database
-    await db.deleteSharedFile(fileId, userId);
+    res.locals.audit = { userId: file.user_id, details: { originalName: file.original_name } };
+
+    // Delete from database, and from disk if no other file shares the content
+    await deleteSharedFile(file);
 
     res.json({ 
       success: true,
@@ -260,18 +711,18 @@ router.delete('/:fileId', async (req, res) => {
     });
 
   } catch (error) {
-    console.error('Error deleting file:', error);
-    res.status(500).json({ error: 'Internal server error' });
+    next(error);
   }
 });
 
 // Get file statistics for user
-router.get('/stats/:userId', async (req, res) => {
+router.get('/stats/:userId', requireAuth, requireSelf, async (req, res, next) => {
   try {
     const { userId } = req.params;
     
     const stats = await db.getUserFileStats(userId);
     const recentFiles = await db.getUserSharedFiles(userId, 5, 0);
+    const quota = await getQuotaUsage(userId);
 
     res.json({
       success: true,
@@ -280,6 +731,7 @@ router.get('/stats/:userId', async (req, res) => {
         totalSize: stats.total_size || 0,
         formattedTotalSize: formatFileSize(stats.total_size || 0),
         totalDownloads: stats.total_downloads || 0,
+        quota: formatQuota(quota),
         recentFiles: recentFiles.map(file => ({
           fileId: file.file_id,
           originalName: file.original_name,
@@ -292,22 +744,24 @@ router.get('/stats/:userId', async (req, res) => {
     });
 
   } catch (error) {
-    console.error('Error fetching file stats:', error);
-    res.status(500).json({ error: 'Internal server error' });
+    next(error);
   }
 });
 
-// Search files
-router.get('/search/:userId', async (req, res) => {
+// Search files by name, description and text content (prefix matching on every word).
+// Takes the same filters and pagination as the file list; sort defaults to relevance.
+router.get('/search/:userId', requireAuth, requireSelf, async (req, res, next) => {
   try {
     const { userId } = req.params;
     const { q: searchTerm } = req.query;
-    
-    if (!searchTerm) {
-      return res.status(400).json({ error: 'Search term is required' });
+
+    const options = parseFileQuery(req.query, { search: true });
+    if (options.error) {
+      return res.status(400).json({ error: options.error });
     }
 
-    const files = await db.searchFiles(userId, searchTerm);
+    const result = await db.queryFiles({ userId }, options);
+    const files = result.files;
 
     const formattedFiles = files.map(file => ({
       fileId: file.file_id,
@@ -319,6 +773,13 @@ router.get('/search/:userId', async (req, res) => {
       description: file.description,
       downloadCount: file.download_count,
       fileUrl: file.file_url,
+      visibility: file.visibility,
+      conversationId: file.conversation_id,
+      albumId: file.album_id,
+      scanStatus: file.scan_status,
+      takedown: formatTakedown(file),
+      preview: formatPreview(file),
+      expiresAt: fromDbTimestamp(file.expires_at),
       uploadedAt: file.created_at
     }));
 
@@ -326,12 +787,12 @@ router.get('/search/:userId', async (req, res) => {
       success: true,
       searchTerm,
       results: formattedFiles,
-      count: formattedFiles.length
+      count: formattedFiles.length,
+      pagination: formatPagination(options, result)
     });
 
   } catch (error) {
-    console.error('Error searching files:', error);
-    res.status(500).json({ error: 'Internal server error' });
+    next(error);
   }
 });
 
@@ -1,17 +1,40 @@
 const express = require('express');
 const multer = require('multer');
-const path = require('path');
-const fs = require('fs-extra');
 const { v4: uuidv4 } = require('uuid');
-const db = require('../database-simple');
-
-// No image processing - store files as-is for maximum compatibility
-console.log('Image processing disabled for maximum compatibility on all platforms');
+const db = require('../database');
+const { requireAuth, requireSelf } = require('../middleware/auth');
+const { tempFileStorage, discardUpload } = require('../lib/uploadStorage');
+const { QuotaExceededError, checkQuota, storeWithinQuota, sendQuotaExceeded } = require('../lib/quota');
+const { FileTypeError, isDeclaredTypeAllowed, verifyFileType } = require('../lib/fileTypes');
+const { getStorage, defaultStorageBackend } = require('../lib/storage');
+const { sendStoredFile } = require('../lib/fileDelivery');
+const { requireUploadsAllowed } = require('../lib/moderation');
+const { audit } = require('../lib/audit');
+const { MAX_BATCH_USERS, parseProfileUpdate, versionedUrls, formatProfile } = require('../lib/userProfiles');
+const {
+  PROFILE_PICTURE_SIZES,
+  DEFAULT_PROFILE_PICTURE_SIZE,
+  ImageProcessingError,
+  renderProfilePicture,
+  renderBanner,
+  profilePictureSize,
+  storeProfilePicture,
+  removeProfilePicture,
+  profilePictureVariantPath,
+  profilePictureUrls,
+  resolveProfilePictureSize
+} = require('../lib/imageProcessing');
 
 const router = express.Router();
 
-// Multer configuration for profile pictures
-const storage = multer.memoryStorage();
+// Pictures kept per user, the active one included (PROFILE_PICTURE_HISTORY, default 5).
+// Uploading past the limit deletes the oldest inactive ones.
+const PROFILE_PICTURE_HISTORY = Math.max(parseInt(process.env.PROFILE_PICTURE_HISTORY) || 5, 1);
+// Versioned URLs (?v=<version>) always serve the same picture, so caches may keep them
+const VERSIONED_CACHE_CONTROL = 'public, max-age=31536000, immutable';
+
+// Multer configuration for profile pictures (streamed to uploads/temp)
+const storage = tempFileStorage();
 const upload = multer({
   storage,
   limits: {
@@ -19,112 +42,178 @@ const upload = multer({
     files: 1
   },
   fileFilter: (req, file, cb) => {
-    // Only allow image files
-    if (file.mimetype.startsWith('image/')) {
+    // Early rejection on the declared type; the content is verified after upload
+    if (isDeclaredTypeAllowed('profile', file.mimetype)) {
       cb(null, true);
     } else {
-      cb(new Error('Only image files are allowed for profile pictures'), false);
+      cb(new FileTypeError('Only JPEG, PNG, GIF, BMP or TIFF images are allowed for profile pictures and banners'), false);
     }
   }
 });
 
 // Upload profile picture
-router.post('/upload-picture', upload.single('profilePicture'), async (req, res) => {
+router.post('/upload-picture', audit('profile.picture_upload'), requireAuth, requireUploadsAllowed, upload.single('profilePicture'), requireSelf, async (req, res, next) => {
   try {
-    const { userId } = req.body;
-    
-    if (!userId) {
-      return res.status(400).json({ error: 'User ID is required' });
-    }
+    const userId = req.user.uid;
 
     if (!req.file) {
       return res.status(400).json({ error: 'No file uploaded' });
     }
 
-    // Generate unique filename
+    // A username and email may be sent along, validated as in a profile update
+    const profile = parseProfileUpdate({ username: req.body.username, email: req.body.email });
+    if (profile.error) {
+      return res.status(400).json({ error: profile.error });
+    }
+
+    // Only decode content that really is an allowed image format
+    await verifyFileType(req.file.path, req.file.mimetype, 'profile');
+
+    // Normalize: EXIF orientation, square crop, fixed sizes
+    const variants = await renderProfilePicture(req.file.path);
+    const totalSize = profilePictureSize(variants);
+
+    // The oldest pictures beyond the history limit will be pruned (the new picture becomes
+    // the active one, so none of them is kept for being active), so their size is freed
+    const prunable = (await db.getProfilePictures(userId)).slice(PROFILE_PICTURE_HISTORY - 1);
+    const quota = await checkQuota(userId, totalSize, prunable.reduce((sum, picture) => sum + picture.file_size, 0));
+    if (!quota.allowed) {
+      return sendQuotaExceeded(res, quota.usage, totalSize);
+    }
+
+    // Store every size as profile_<userId>_<id>_<size>.jpg
     const fileId = uuidv4();
-    const fileExtension = path.extname(req.file.originalname) || '.jpg';
-    const fileName = `profile_${userId}_${fileId}${fileExtension}`;
-    const filePath = path.join(__dirname, '../uploads/profiles', fileName);
-    
-    // Save original file (no processing for maximum compatibility)
-    await fs.writeFile(filePath, req.file.buffer);
+    const storageBackend = defaultStorageBackend();
+    const picturePath = await storeProfilePicture(variants, `profile_${userId}_${fileId}`, storageBackend);
+    const fileUrl = `/${picturePath}`;
 
-    // Get file stats
-    const stats = await fs.stat(filePath);
-    const fileUrl = `/uploads/profiles/${fileName}`;
+    // Save to database as the active version, pruning the history in the same transaction
+    // so the quota check counts the space it frees
+    let version;
+    let pruned;
+    try {
+      ({ version, pruned } = await storeWithinQuota(userId, totalSize, (tx) => {
+        // Only the picture changes; username and email are kept unless sent along (empty ones don't clear them)
+        tx.upsertUser({
+          userId,
+          username: profile.fields.username || undefined,
+          email: profile.fields.email || undefined,
+          profilePicturePath: picturePath,
+          profilePictureUrl: fileUrl,
+          profilePictureSize: totalSize,
+          profilePictureStorage: storageBackend
+        });
+        const added = tx.addProfilePicture(userId, { picturePath, fileSize: totalSize, storageBackend });
+        return { version: added.version, pruned: tx.pruneProfilePictures(userId, PROFILE_PICTURE_HISTORY) };
+      }));
+    } catch (error) {
+      await removeProfilePicture(picturePath, storageBackend);
+      if (error instanceof QuotaExceededError) {
+        return sendQuotaExceeded(res, error.usage, error.requested);
+      }
+      throw error;
+    }
 
-    // Delete old profile picture if exists
+    // Delete old versions' files now that nothing points at them. If this fails the files
+    // are left behind, and the integrity check (npm run check-integrity) reports them as orphaned.
+    const freed = pruned.reduce((sum, picture) => sum + picture.file_size, 0);
     try {
-      const existingUser = await db.getUser(userId);
-      if (existingUser && existingUser.profile_picture_path) {
-        const oldPath = path.join(__dirname, '..', existingUser.profile_picture_path);
-        if (await fs.pathExists(oldPath)) {
-          await fs.remove(oldPath);
-        }
+      for (const picture of pruned) {
+        await removeProfilePicture(picture.picture_path, picture.storage_backend);
       }
     } catch (error) {
-      console.warn('Failed to delete old profile picture:', error);
+      console.warn('Failed to delete old profile pictures:', error);
     }
 
-    // Save to database
-    await db.upsertUser({
-      userId,
-      username: req.body.username || null,
-      email: req.body.email || null,
-      profilePicturePath: `uploads/profiles/${fileName}`,
-      profilePictureUrl: fileUrl
-    });
-
+    res.locals.audit = { userId, details: { version, fileSize: totalSize, freedSize: freed } };
     res.json({
       success: true,
       message: 'Profile picture uploaded successfully',
       profilePictureUrl: fileUrl,
-      fileSize: stats.size
+      sizes: profilePictureUrls(picturePath),
+      fileSize: totalSize,
+      freedSize: freed,
+      ...versionedUrls(userId, version)
     });
 
   } catch (error) {
-    console.error('Profile picture upload error:', error);
-    
-    if (error.message.includes('Only image files')) {
+    if (error instanceof FileTypeError || error instanceof ImageProcessingError) {
       return res.status(400).json({ error: error.message });
     }
-    
-    res.status(500).json({ 
-      error: 'Failed to upload profile picture',
-      message: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
-    });
+    next(error);
+  } finally {
+    // The original upload is never kept
+    await discardUpload(req.file);
   }
 });
 
-// Get profile picture
-router.get('/picture/:userId', async (req, res) => {
+function parseVersion(value) {
+  const version = Number(value);
+  return Number.isInteger(version) && version > 0 ? version : null;
+}
+
+// Send one size of a stored picture from its storage backend
+function sendProfilePicture(req, res, picture, variantPath, cacheControl = 'public, max-age=0') {
+  return sendStoredFile(req, res, {
+    file_path: variantPath,
+    storage_backend: picture.storage_backend,
+    // Pictures uploaded before processing may be in their original format
+    mime_type: express.static.mime.lookup(variantPath)
+  }, { disposition: null, cacheControl });
+}
+
+// Serve /uploads/profiles/<fileName> (the URLs handed out for pictures). Profile pictures
+// are public, earlier versions included; their row says which backend holds the file.
+async function serveProfilePicture(req, res, next) {
+  try {
+    const variantPath = `uploads/profiles/${req.params.fileName}`;
+    const picture = await db.getProfilePictureByPath(profilePictureVariantPath(variantPath, DEFAULT_PROFILE_PICTURE_SIZE));
+    if (!picture) {
+      return res.status(404).json({ error: 'Profile picture not found' });
+    }
+
+    await sendProfilePicture(req, res, picture, variantPath);
+  } catch (error) {
+    if (!res.headersSent) {
+      next(error);
+    }
+  }
+}
+
+// Get profile picture (the active one, or with ?v=<version> that version)
+router.get('/picture/:userId', async (req, res, next) => {
   try {
     const { userId } = req.params;
+
+    const size = resolveProfilePictureSize(req.query.size);
+    if (!size) {
+      return res.status(400).json({ error: `Size must be a positive number (available: ${PROFILE_PICTURE_SIZES.join(', ')})` });
+    }
+
+    if (req.query.v !== undefined) {
+      const version = parseVersion(req.query.v);
+      const picture = version && (await db.getProfilePicture(userId, version));
+      if (!picture) {
+        return res.status(404).json({ error: 'Profile picture not found' });
+      }
+      return await sendProfilePicture(req, res, picture, profilePictureVariantPath(picture.picture_path, size), VERSIONED_CACHE_CONTROL);
+    }
     
     const user = await db.getUser(userId);
     if (!user || !user.profile_picture_path) {
       return res.status(404).json({ error: 'Profile picture not found' });
     }
 
-    const filePath = path.join(__dirname, '..', user.profile_picture_path);
-    
-    // Check if file exists
-    if (!(await fs.pathExists(filePath))) {
-      return res.status(404).json({ error: 'Profile picture file not found' });
-    }
-
-    // Send file
-    res.sendFile(filePath);
+    const picture = { storage_backend: user.profile_picture_storage };
+    await sendProfilePicture(req, res, picture, profilePictureVariantPath(user.profile_picture_path, size));
 
   } catch (error) {
-    console.error('Error fetching profile picture:', error);
-    res.status(500).json({ error: 'Internal server error' });
+    next(error);
   }
 });
 
 // Get profile picture URL
-router.get('/picture-url/:userId', async (req, res) => {
+router.get('/picture-url/:userId', async (req, res, next) => {
   try {
     const { userId } = req.params;
     
@@ -133,19 +222,21 @@ router.get('/picture-url/:userId', async (req, res) => {
       return res.status(404).json({ error: 'Profile picture not found' });
     }
 
+    const picture = await db.getProfilePictureByPath(user.profile_picture_path);
     res.json({
       profilePictureUrl: user.profile_picture_url,
-      userId: user.user_id
+      sizes: profilePictureUrls(user.profile_picture_path),
+      userId: user.user_id,
+      ...(picture && versionedUrls(user.user_id, picture.version))
     });
 
   } catch (error) {
-    console.error('Error fetching profile picture URL:', error);
-    res.status(500).json({ error: 'Internal server error' });
+    next(error);
   }
 });
 
-// Delete profile picture
-router.delete('/picture/:userId', async (req, res) => {
+// Delete profile picture (the active version; earlier ones stay in the history)
+router.delete('/picture/:userId', audit('profile.picture_delete'), requireAuth, requireSelf, async (req, res, next) => {
   try {
     const { userId } = req.params;
     
@@ -154,20 +245,12 @@ router.delete('/picture/:userId', async (req, res) => {
       return res.status(404).json({ error: 'Profile picture not found' });
     }
 
-    // Delete file
-    const filePath = path.join(__dirname, '..', user.profile_picture_path);
-    if (await fs.pathExists(filePath)) {
-      await fs.remove(filePath);
-    }
+    // Update the database first: a failed file delete then leaves orphaned files (found by
+    // the integrity check) rather than a profile pointing at a missing picture
+    await db.deleteProfilePicture(userId, user.profile_picture_path);
 
-    // Update database
-    await db.upsertUser({
-      userId,
-      username: user.username,
-      email: user.email,
-      profilePicturePath: null,
-      profilePictureUrl: null
-    });
+    // Delete every size
+    await removeProfilePicture(user.profile_picture_path, user.profile_picture_storage);
 
     res.json({ 
       success: true,
@@ -175,40 +258,311 @@ router.delete('/picture/:userId', async (req, res) => {
     });
 
   } catch (error) {
-    console.error('Error deleting profile picture:', error);
-    res.status(500).json({ error: 'Internal server error' });
+    next(error);
   }
 });
 
-// Sync user profile data
-router.post('/sync', async (req, res) => {
+function formatProfilePicture(picture, user) {
+  return {
+    ...versionedUrls(picture.user_id, picture.version),
+    active: !!user && user.profile_picture_path === picture.picture_path,
+    profilePictureUrl: `/${picture.picture_path}`,
+    sizes: profilePictureUrls(picture.picture_path),
+    fileSize: picture.file_size,
+    uploadedAt: picture.created_at
+  };
+}
+
+// List the stored versions of a user's picture, newest first
+router.get('/picture/:userId/versions', requireAuth, requireSelf, async (req, res, next) => {
   try {
-    const { userId, profileData } = req.body;
-    
-    if (!userId || !profileData) {
-      return res.status(400).json({ error: 'User ID and profile data are required' });
+    const { userId } = req.params;
+
+    const user = await db.getUser(userId);
+    const pictures = await db.getProfilePictures(userId);
+
+    res.json({
+      success: true,
+      versions: pictures.map(picture => formatProfilePicture(picture, user)),
+      limit: PROFILE_PICTURE_HISTORY
+    });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Make an earlier version the active picture
+router.post('/picture/:userId/versions/:version/activate', audit('profile.picture_activate'), requireAuth, requireSelf, async (req, res, next) => {
+  try {
+    const { userId } = req.params;
+
+    const version = parseVersion(req.params.version);
+    const picture = version && (await db.getProfilePicture(userId, version));
+    if (!picture) {
+      return res.status(404).json({ error: 'Profile picture version not found' });
     }
 
-    // Get existing user data to preserve profile picture
-    const existingUser = await db.getUser(userId);
-    
-    await db.upsertUser({
-      userId,
-      username: profileData.username,
-      email: profileData.email,
-      profilePicturePath: existingUser?.profile_picture_path || null,
-      profilePictureUrl: existingUser?.profile_picture_url || null
+    await db.setActiveProfilePicture(userId, picture);
+    res.locals.audit = { details: { version } };
+
+    res.json({
+      success: true,
+      message: 'Profile picture switched successfully',
+      picture: formatProfilePicture(picture, await db.getUser(userId))
+    });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Delete one version; deleting the active one leaves the user without a picture
+router.delete('/picture/:userId/versions/:version', audit('profile.picture_version_delete'), requireAuth, requireSelf, async (req, res, next) => {
+  try {
+    const { userId } = req.params;
+
+    const version = parseVersion(req.params.version);
+    const picture = version && (await db.getProfilePicture(userId, version));
+    if (!picture) {
+      return res.status(404).json({ error: 'Profile picture version not found' });
+    }
+
+    // Row first, as when deleting the active picture
+    const { wasActive } = await db.deleteProfilePicture(userId, picture.picture_path);
+    res.locals.audit = { details: { version, wasActive } };
+    await removeProfilePicture(picture.picture_path, picture.storage_backend);
+
+    res.json({
+      success: true,
+      message: 'Profile picture version deleted successfully',
+      version,
+      wasActive
+    });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Upload profile banner (replaces the current one)
+router.post('/upload-banner', audit('profile.banner_upload'), requireAuth, requireUploadsAllowed, upload.single('banner'), requireSelf, async (req, res, next) => {
+  try {
+    const userId = req.user.uid;
+
+    if (!req.file) {
+      return res.status(400).json({ error: 'No file uploaded' });
+    }
+
+    await verifyFileType(req.file.path, req.file.mimetype, 'profile');
+    const buffer = await renderBanner(req.file.path);
+
+    // The new banner replaces the current one, so its size is freed
+    const currentUser = await db.getUser(userId);
+    const quota = await checkQuota(userId, buffer.length, currentUser?.banner_size || 0);
+    if (!quota.allowed) {
+      return sendQuotaExceeded(res, quota.usage, buffer.length);
+    }
+
+    const storageBackend = defaultStorageBackend();
+    const bannerPath = `uploads/banners/banner_${userId}_${uuidv4()}.jpg`;
+    await getStorage(storageBackend).put(bannerPath, buffer);
+
+    // The banner being replaced is read in the same transaction, in case another upload
+    // replaced it meanwhile
+    let existingUser;
+    try {
+      existingUser = await storeWithinQuota(userId, buffer.length, (tx) => {
+        const user = tx.getUser(userId);
+        tx.upsertUser({ userId, bannerPath, bannerSize: buffer.length, bannerStorage: storageBackend });
+        return user;
+      });
+    } catch (error) {
+      await getStorage(storageBackend).delete(bannerPath);
+      if (error instanceof QuotaExceededError) {
+        return sendQuotaExceeded(res, error.usage, error.requested);
+      }
+      throw error;
+    }
+
+    // As with pictures, a failed delete leaves an orphan for the integrity check
+    try {
+      if (existingUser && existingUser.banner_path) {
+        await getStorage(existingUser.banner_storage).delete(existingUser.banner_path);
+      }
+    } catch (error) {
+      console.warn('Failed to delete old profile banner:', error);
+    }
+
+    res.locals.audit = { userId, details: { fileSize: buffer.length } };
+    res.json({
+      success: true,
+      message: 'Profile banner uploaded successfully',
+      bannerUrl: `/${bannerPath}`,
+      fileSize: buffer.length
     });
 
+  } catch (error) {
+    if (error instanceof FileTypeError || error instanceof ImageProcessingError) {
+      return res.status(400).json({ error: error.message });
+    }
+    next(error);
+  } finally {
+    await discardUpload(req.file);
+  }
+});
+
+// Serve /uploads/banners/<fileName> (the URLs handed out for banners). Banners are public;
+// the owning user's row says which backend holds the file.
+async function serveBanner(req, res, next) {
+  try {
+    const bannerPath = `uploads/banners/${req.params.fileName}`;
+    const user = await db.getUserByBannerPath(bannerPath);
+    if (!user) {
+      return res.status(404).json({ error: 'Profile banner not found' });
+    }
+
+    // Each upload gets a new path, so the content behind one never changes
+    await sendStoredFile(req, res, {
+      file_path: bannerPath,
+      storage_backend: user.banner_storage,
+      mime_type: 'image/jpeg'
+    }, { disposition: null, cacheControl: VERSIONED_CACHE_CONTROL });
+  } catch (error) {
+    if (!res.headersSent) {
+      next(error);
+    }
+  }
+}
+
+// Delete profile banner
+router.delete('/banner/:userId', audit('profile.banner_delete'), requireAuth, requireSelf, async (req, res, next) => {
+  try {
+    const { userId } = req.params;
+
+    const user = await db.getUser(userId);
+    if (!user || !user.banner_path) {
+      return res.status(404).json({ error: 'Profile banner not found' });
+    }
+
+    // Database first, as for pictures
+    await db.clearBanner(userId, user.banner_path);
+    await getStorage(user.banner_storage).delete(user.banner_path);
+
+    res.json({
+      success: true,
+      message: 'Profile banner deleted successfully'
+    });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Sync user profile data
+router.post('/sync', audit('profile.sync'), requireAuth, requireSelf, async (req, res, next) => {
+  try {
+    const userId = req.user.uid;
+    const { profileData } = req.body;
+
+    if (!profileData) {
+      return res.status(400).json({ error: 'Profile data is required' });
+    }
+
+    const { fields, error } = parseProfileUpdate(profileData);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    // Only the fields sent are updated; the picture, banner and quota are left alone
+    await db.upsertUser({ userId, ...fields });
+    res.locals.audit = { userId, details: { fields: Object.keys(fields) } };
+
     res.json({
       success: true,
       message: 'Profile synced successfully'
     });
 
   } catch (error) {
-    console.error('Profile sync error:', error);
-    res.status(500).json({ error: 'Internal server error' });
+    next(error);
+  }
+});
+
+// Look up several users' profiles at once: { userIds: [...] }
+router.post('/batch', requireAuth, async (req, res, next) => {
+  try {
+    const { userIds } = req.body || {};
+
+    if (!Array.isArray(userIds) || userIds.length === 0 || !userIds.every(id => typeof id === 'string' && id)) {
+      return res.status(400).json({ error: 'userIds must be a non-empty array of user IDs' });
+    }
+    if (userIds.length > MAX_BATCH_USERS) {
+      return res.status(400).json({ error: `At most ${MAX_BATCH_USERS} users can be looked up at once` });
+    }
+
+    const requested = [...new Set(userIds)];
+    const users = await db.getUserProfiles(requested);
+    const found = new Set(users.map(user => user.user_id));
+
+    res.json({
+      success: true,
+      profiles: users.map(user => formatProfile(user, { includeEmail: user.user_id === req.user.uid })),
+      notFound: requested.filter(userId => !found.has(userId))
+    });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Get a user's profile (the email only for the user themselves)
+router.get('/:userId', requireAuth, async (req, res, next) => {
+  try {
+    const { userId } = req.params;
+
+    const [user] = await db.getUserProfiles([userId]);
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    res.json({
+      success: true,
+      profile: formatProfile(user, { includeEmail: userId === req.user.uid })
+    });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Update the supplied profile fields; omitted ones are left as they are, null clears one
+router.patch('/:userId', audit('profile.update'), requireAuth, requireSelf, async (req, res, next) => {
+  try {
+    const { userId } = req.params;
+
+    const { fields, error } = parseProfileUpdate(req.body);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+    if (Object.keys(fields).length === 0) {
+      return res.status(400).json({ error: 'Nothing to update (send username, email, displayName, bio or statusMessage)' });
+    }
+
+    await db.upsertUser({ userId, ...fields });
+    res.locals.audit = { details: { fields: Object.keys(fields) } };
+    const [user] = await db.getUserProfiles([userId]);
+
+    res.json({
+      success: true,
+      message: 'Profile updated successfully',
+      profile: formatProfile(user, { includeEmail: true })
+    });
+
+  } catch (error) {
+    next(error);
   }
 });
 
-module.exports = router;
\ No newline at end of file
+module.exports = router;
+module.exports.serveProfilePicture = serveProfilePicture;
+module.exports.serveBanner = serveBanner;
\ No newline at end of file
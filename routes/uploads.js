@@ -0,0 +1,421 @@
+const express = require('express');
+const path = require('path');
+const crypto = require('crypto');
+const fs = require('fs-extra');
+const { Transform, pipeline } = require('stream');
+const { promisify } = require('util');
+const { v4: uuidv4 } = require('uuid');
+const db = require('../database');
+const { requireAuth } = require('../middleware/auth');
+const {
+  VISIBILITY_LEVELS,
+  parseVisibility,
+  parseSharedWith,
+  parseConversation,
+  checkConversationUpload
+} = require('../middleware/fileAccess');
+const { MAX_FILE_SIZE, formatFileSize, fromDbTimestamp } = require('../lib/fileUtils');
+const { FileTypeError, isDeclaredTypeAllowed, verifyFileType } = require('../lib/fileTypes');
+const { storeBlob } = require('../lib/blobStore');
+const { QuotaExceededError, checkQuota, storeWithinQuota, sendQuotaExceeded } = require('../lib/quota');
+const { queueScan } = require('../lib/scanner');
+const { formatPreview } = require('../lib/previews');
+const { parseExpiry } = require('../lib/retention');
+const { requireUploadsAllowed } = require('../lib/moderation');
+const { audit } = require('../lib/audit');
+
+const pipelineAsync = promisify(pipeline);
+const router = express.Router();
+
+// Resumable uploads following the tus 1.0.0 core protocol (plus creation and termination):
+//   POST   /api/uploads            create an upload (Upload-Length, Upload-Metadata)
+//   HEAD   /api/uploads/:uploadId  current Upload-Offset
+//   PATCH  /api/uploads/:uploadId  append a chunk at Upload-Offset
+//   DELETE /api/uploads/:uploadId  abort and discard
+//   GET    /api/uploads/:uploadId  JSON status (includes the file once finalized)
+// Partial data is staged in uploads/temp (uploads idle for a day are expired by lib/cleanup.js).
+// When the last chunk arrives the size and the optional sha256 `checksum` metadata are
+// verified and the file is registered as a shared file. Creating, appending to and aborting an
+// upload are audited (upload.create, upload.chunk, upload.delete); the PATCH that completes
+// an upload is recorded as the file.upload.
+const TUS_VERSION = '1.0.0';
+const TEMP_DIR = path.join(__dirname, '../uploads/temp');
+
+// Uploads currently receiving a chunk; tus forbids concurrent PATCHes to one upload
+const activeUploads = new Set();
+
+router.use((req, res, next) => {
+  res.setHeader('Tus-Resumable', TUS_VERSION);
+
+  if (req.method !== 'GET' && req.headers['tus-resumable'] !== TUS_VERSION) {
+    res.setHeader('Tus-Version', TUS_VERSION);
+    return res.status(412).json({ error: `Unsupported tus version, expected ${TUS_VERSION}` });
+  }
+
+  next();
+});
+
+// Parse "key base64value,key2 base64value2"
+function parseMetadata(header) {
+  const metadata = {};
+  if (!header) return metadata;
+
+  header.split(',').forEach(pair => {
+    const [key, value] = pair.trim().split(' ');
+    if (key) {
+      metadata[key] = value ? Buffer.from(value, 'base64').toString('utf8') : '';
+    }
+  });
+  return metadata;
+}
+
+// Load the caller's upload session into req.uploadSession
+async function loadSession(req, res, next) {
+  try {
+    const session = await db.getUploadSession(req.params.uploadId);
+    if (!session || session.user_id !== req.user.uid) {
+      return res.status(404).json({ error: 'Upload not found' });
+    }
+
+    req.uploadSession = session;
+    next();
+  } catch (error) {
+    next(error);
+  }
+}
+
+async function sha256File(filePath) {
+  const hash = crypto.createHash('sha256');
+  await pipelineAsync(fs.createReadStream(filePath), hash);
+  return hash.digest('hex');
+}
+
+// Verify a completed upload and register it as a shared file
+async function finalizeUpload(session) {
+  const { metadata } = session;
+  const tempPath = path.join(__dirname, '..', session.temp_path);
+
+  const stats = await fs.stat(tempPath);
+  if (stats.size !== session.upload_length) {
+    throw Object.assign(new Error('Upload size does not match Upload-Length'), { status: 400 });
+  }
+
+  // Re-checked here since other uploads may have finished since this one was created (and
+  // again when the file is recorded)
+  const quota = await checkQuota(session.user_id, stats.size);
+  if (!quota.allowed) {
+    throw new QuotaExceededError(quota.usage, stats.size);
+  }
+
+  const checksum = await sha256File(tempPath);
+  if (metadata.checksum && metadata.checksum.toLowerCase() !== checksum) {
+    throw Object.assign(new Error('Checksum mismatch'), { status: 460 });
+  }
+
+  let fileType;
+  try {
+    fileType = await verifyFileType(tempPath, metadata.filetype, 'shared');
+  } catch (error) {
+    if (error instanceof FileTypeError) {
+      error.status = 400;
+    }
+    throw error;
+  }
+
+  // The uploader may have left the conversation during the upload
+  if (metadata.conversationId && !(await db.isConversationMember(metadata.conversationId, session.user_id))) {
+    throw Object.assign(new Error('You are no longer a member of this conversation'), { status: 403 });
+  }
+
+  const fileId = uuidv4();
+  const fileName = `${fileId}${fileType.extension}`;
+  // An expiresAt that has passed during the upload is rejected here
+  const expiry = parseExpiry(metadata);
+  if (expiry.error) {
+    throw Object.assign(new Error(expiry.error), { status: 400 });
+  }
+
+  // The file and the completed session are recorded together
+  await storeBlob({ path: tempPath, sha256: checksum }, (blobPath, storageBackend) => storeWithinQuota(session.user_id, stats.size, (tx) => {
+    tx.createSharedFile({
+      fileId,
+      userId: session.user_id,
+      originalName: metadata.filename,
+      fileName,
+      filePath: blobPath,
+      fileUrl: `/uploads/shared/${fileName}`,
+      fileSize: stats.size,
+      mimeType: fileType.mimeType,
+      description: metadata.description || '',
+      category: fileType.category,
+      checksum,
+      blobHash: checksum,
+      visibility: metadata.visibility,
+      sharedWith: metadata.sharedWith,
+      storageBackend,
+      expiresAt: expiry.expiresAt,
+      conversationId: metadata.conversationId
+    });
+    tx.updateUploadSession(session.upload_id, { status: 'completed', fileId });
+  }));
+  queueScan(fileId);
+
+  return fileId;
+}
+
+// Discard a failed upload's staged data
+async function failUpload(session, error) {
+  await fs.remove(path.join(__dirname, '..', session.temp_path));
+  await db.updateUploadSession(session.upload_id, { status: 'failed', error: error.message });
+}
+
+// Server capabilities for OPTIONS requests. Mounted ahead of cors(), which answers OPTIONS itself.
+function tusCapabilities(req, res, next) {
+  res.setHeader('Tus-Resumable', TUS_VERSION);
+  res.setHeader('Tus-Version', TUS_VERSION);
+  res.setHeader('Tus-Extension', 'creation,termination');
+  res.setHeader('Tus-Max-Size', MAX_FILE_SIZE);
+  next();
+}
+
+// Create upload
+router.post('/', audit('upload.create'), requireAuth, requireUploadsAllowed, async (req, res, next) => {
+  try {
+    const uploadLength = parseInt(req.headers['upload-length']);
+    if (!Number.isInteger(uploadLength) || uploadLength < 0) {
+      return res.status(400).json({ error: 'Upload-Length header is required' });
+    }
+
+    if (uploadLength > MAX_FILE_SIZE) {
+      return res.status(413).json({ error: 'File too large', message: 'File size exceeds the maximum allowed limit' });
+    }
+
+    const quota = await checkQuota(req.user.uid, uploadLength);
+    if (!quota.allowed) {
+      return sendQuotaExceeded(res, quota.usage, uploadLength);
+    }
+
+    const metadata = parseMetadata(req.headers['upload-metadata']);
+    if (!metadata.filename || !metadata.filetype) {
+      return res.status(400).json({ error: 'Upload-Metadata must include filename and filetype' });
+    }
+
+    if (!isDeclaredTypeAllowed('shared', metadata.filetype)) {
+      return res.status(400).json({ error: 'File type not allowed' });
+    }
+
+    if (metadata.checksum && !/^[a-f0-9]{64}$/i.test(metadata.checksum)) {
+      return res.status(400).json({ error: 'checksum must be a hex-encoded SHA-256 digest' });
+    }
+
+    const { conversationId, error: conversationError } = parseConversation(metadata.conversationId);
+    if (conversationError) {
+      return res.status(400).json({ error: conversationError });
+    }
+    metadata.conversationId = conversationId;
+
+    metadata.visibility = parseVisibility(metadata.visibility, conversationId ? 'conversation' : undefined);
+    if (!metadata.visibility) {
+      return res.status(400).json({ error: `Visibility must be one of: ${VISIBILITY_LEVELS.join(', ')}` });
+    }
+
+    if (!(await checkConversationUpload(conversationId, metadata.visibility, req.user.uid, res))) {
+      return;
+    }
+
+    metadata.sharedWith = parseSharedWith(metadata.sharedWith);
+    if (!metadata.sharedWith) {
+      return res.status(400).json({ error: 'sharedWith must be a list of user IDs' });
+    }
+
+    // Validated now; an expiresIn counts from when the upload completes
+    const expiry = parseExpiry(metadata);
+    if (expiry.error) {
+      return res.status(400).json({ error: expiry.error });
+    }
+
+    const uploadId = uuidv4();
+    const tempPath = `uploads/temp/${uploadId}.part`;
+    await fs.ensureDir(TEMP_DIR);
+    await fs.writeFile(path.join(__dirname, '..', tempPath), '');
+
+    await db.createUploadSession({ uploadId, userId: req.user.uid, uploadLength, metadata, tempPath });
+    res.locals.audit = { userId: req.user.uid, details: { uploadId, originalName: metadata.filename, uploadLength } };
+
+    res.setHeader('Location', `${req.baseUrl}/${uploadId}`);
+    res.status(201).json({ success: true, uploadId, uploadLength });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Upload status (tus)
+router.head('/:uploadId', requireAuth, loadSession, (req, res) => {
+  const session = req.uploadSession;
+
+  if (session.status === 'failed') {
+    return res.status(410).end();
+  }
+
+  res.setHeader('Cache-Control', 'no-store');
+  res.setHeader('Upload-Offset', session.upload_offset);
+  res.setHeader('Upload-Length', session.upload_length);
+  res.status(200).end();
+});
+
+// Upload status (JSON)
+router.get('/:uploadId', requireAuth, loadSession, async (req, res, next) => {
+  try {
+    const session = req.uploadSession;
+    const file = session.file_id ? await db.getSharedFile(session.file_id) : null;
+
+    res.json({
+      success: true,
+      uploadId: session.upload_id,
+      status: session.status,
+      offset: session.upload_offset,
+      length: session.upload_length,
+      error: session.error,
+      file: file && {
+        fileId: file.file_id,
+        originalName: file.original_name,
+        fileName: file.file_name,
+        fileUrl: file.file_url,
+        fileSize: file.file_size,
+        formattedSize: formatFileSize(file.file_size),
+        mimeType: file.mime_type,
+        category: file.category,
+        visibility: file.visibility,
+        conversationId: file.conversation_id,
+        scanStatus: file.scan_status,
+        preview: formatPreview(file),
+        expiresAt: fromDbTimestamp(file.expires_at),
+        uploadedAt: file.created_at
+      }
+    });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Append a chunk
+router.patch('/:uploadId', audit('upload.chunk'), requireAuth, requireUploadsAllowed, loadSession, async (req, res, next) => {
+  const session = req.uploadSession;
+  const { upload_id: uploadId } = session;
+  res.locals.audit = { userId: session.user_id, details: { uploadId, offset: session.upload_offset } };
+
+  if (req.headers['content-type'] !== 'application/offset+octet-stream') {
+    return res.status(415).json({ error: 'Content-Type must be application/offset+octet-stream' });
+  }
+
+  if (session.status !== 'uploading') {
+    return res.status(410).json({ error: `Upload is ${session.status}` });
+  }
+
+  const offset = parseInt(req.headers['upload-offset']);
+  if (offset !== session.upload_offset) {
+    return res.status(409).json({ error: 'Upload-Offset does not match the current offset', offset: session.upload_offset });
+  }
+
+  if (activeUploads.has(uploadId)) {
+    return res.status(423).json({ error: 'Another chunk is already being uploaded' });
+  }
+  activeUploads.add(uploadId);
+
+  const tempPath = path.join(__dirname, '..', session.temp_path);
+  const remaining = session.upload_length - offset;
+  let received = 0;
+
+  try {
+    // Drop any bytes past the recorded offset left by an interrupted request
+    await fs.truncate(tempPath, offset);
+
+    const limiter = new Transform({
+      transform(chunk, encoding, callback) {
+        received += chunk.length;
+        if (received > remaining) {
+          return callback(Object.assign(new Error('Chunk exceeds Upload-Length'), { status: 413 }));
+        }
+        callback(null, chunk);
+      }
+    });
+
+    let streamError = null;
+    try {
+      await pipelineAsync(req, limiter, fs.createWriteStream(tempPath, { flags: 'r+', start: offset }));
+    } catch (error) {
+      streamError = error;
+    }
+
+    // Keep whatever reached the disk so the client can resume from there
+    const { size } = await fs.stat(tempPath);
+    const newOffset = Math.min(size, session.upload_length);
+    await db.updateUploadSession(uploadId, { offset: newOffset });
+
+    if (streamError) {
+      if (streamError.status === 413) {
+        await fs.truncate(tempPath, newOffset);
+        return res.status(413).json({ error: streamError.message });
+      }
+      // Client went away mid-chunk; nothing left to respond to
+      console.warn(`Upload ${uploadId} interrupted at offset ${newOffset}:`, streamError.message);
+      return;
+    }
+
+    res.locals.audit.details.received = newOffset - offset;
+
+    if (newOffset === session.upload_length) {
+      const details = { uploadId, originalName: session.metadata.filename, fileSize: session.upload_length };
+      res.locals.audit = { action: 'file.upload', userId: session.user_id, details };
+      try {
+        const fileId = await finalizeUpload(session);
+        res.locals.audit.fileId = fileId;
+        res.setHeader('Upload-File-Id', fileId);
+      } catch (error) {
+        await failUpload(session, error);
+        if (error instanceof QuotaExceededError) {
+          return sendQuotaExceeded(res, error.usage, error.requested);
+        }
+        if (error.status) {
+          return res.status(error.status).json({ error: error.message });
+        }
+        throw error;
+      }
+    }
+
+    res.setHeader('Upload-Offset', newOffset);
+    res.status(204).end();
+
+  } catch (error) {
+    next(error);
+  } finally {
+    activeUploads.delete(uploadId);
+  }
+});
+
+// Abort an upload
+router.delete('/:uploadId', audit('upload.delete'), requireAuth, loadSession, async (req, res, next) => {
+  try {
+    const session = req.uploadSession;
+    res.locals.audit = { userId: session.user_id, details: { uploadId: session.upload_id, status: session.status } };
+
+    if (activeUploads.has(session.upload_id)) {
+      return res.status(423).json({ error: 'Upload is receiving a chunk' });
+    }
+
+    if (session.status !== 'completed') {
+      await fs.remove(path.join(__dirname, '..', session.temp_path));
+    }
+    await db.deleteUploadSession(session.upload_id);
+
+    res.status(204).end();
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
+module.exports.tusCapabilities = tusCapabilities;
@@ -0,0 +1,63 @@
+#!/usr/bin/env node
+// Check that the database and the storage backends agree (see lib/integrity.js): rows
+// whose content is missing, stored content no row references, and size or checksum
+// mismatches. Only reports unless repairs are chosen. Exits with status 2 when issues
+// remain, so it can run from cron.
+//
+// Usage: node scripts/check-integrity.js [--checksums] [--relink] [--quarantine] [--purge]
+//                                        [--backend=<name>] [--json]
+const db = require('../database');
+const { checkIntegrity, repairIntegrity, describeIssue } = require('../lib/integrity');
+
+const args = process.argv.slice(2);
+const FLAGS = ['--checksums', '--relink', '--quarantine', '--purge', '--json'];
+
+async function main() {
+  const unknown = args.find(arg => !FLAGS.includes(arg) && !arg.startsWith('--backend='));
+  if (unknown) {
+    console.error('Usage: node scripts/check-integrity.js [--checksums] [--relink] [--quarantine] [--purge] [--backend=<name>] [--json]');
+    process.exit(1);
+  }
+
+  const actions = {
+    relink: args.includes('--relink'),
+    quarantine: args.includes('--quarantine'),
+    purge: args.includes('--purge')
+  };
+  const repair = actions.relink || actions.quarantine || actions.purge;
+
+  const report = await checkIntegrity({
+    checksums: args.includes('--checksums'),
+    backends: args.filter(arg => arg.startsWith('--backend=')).map(arg => arg.slice('--backend='.length))
+  });
+  if (repair) {
+    await repairIntegrity(report, actions);
+  }
+
+  if (args.includes('--json')) {
+    console.log(JSON.stringify(report, null, 2));
+  } else {
+    report.issues.forEach(issue => console.log(describeIssue(issue)));
+    const { summary, scanned } = report;
+    console.log(`Checked ${scanned.references} reference(s) and ${scanned.objects} stored object(s) on ` +
+      `${scanned.backends.join(', ')} in ${report.durationMs}ms: ${summary.missing} missing, ${summary.orphaned} orphaned, ` +
+      `${summary.size_mismatch} size mismatch(es), ${summary.checksum_mismatch} checksum mismatch(es)`);
+    if (repair) {
+      const { relinked, quarantined, purged, failed } = report.repairs;
+      console.log(`Repairs: ${relinked} relinked, ${quarantined} quarantined, ${purged} purged, ${failed} failed`);
+    }
+  }
+
+  const unresolved = report.issues.filter(issue => !issue.repaired || issue.repaired.length === 0);
+  return unresolved.length > 0 ? 2 : 0;
+}
+
+main()
+  .then((exitCode) => {
+    db.close();
+    process.exitCode = exitCode;
+  })
+  .catch((error) => {
+    console.error('Integrity check failed:', error);
+    process.exit(1);
+  });
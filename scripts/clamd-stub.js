@@ -0,0 +1,65 @@
+#!/usr/bin/env node
+// Stand-in for clamd, for local development and testing of MALWARE_SCANNER=clamav.
+// Speaks the PING and INSTREAM commands and reports the EICAR test string as
+// "Eicar-Test-Signature FOUND"; everything else is OK.
+//
+// Usage: node scripts/clamd-stub.js [port|socket path]   (default: CLAMD_PORT or 3310)
+const net = require('net');
+const fs = require('fs');
+
+const EICAR = 'X5O!P%@AP[4\\PZX54(P^)7CC)7}$EICAR-STANDARD-ANTIVIRUS-TEST-FILE!$H+H*';
+const STREAM_MAX_LENGTH = 25 * 1024 * 1024;
+
+const target = process.argv[2] || process.env.CLAMD_PORT || '3310';
+
+function handleConnection(socket) {
+  let buffer = Buffer.alloc(0);
+  let command = null;
+  const received = [];
+  let receivedBytes = 0;
+
+  const reply = (message) => socket.end(`${message}\0`);
+
+  socket.on('data', (chunk) => {
+    buffer = Buffer.concat([buffer, chunk]);
+
+    if (command === null) {
+      const end = buffer.indexOf(0);
+      if (end === -1) return;
+      command = buffer.toString('utf8', 0, end).replace(/^[zn]/, '').trim();
+      buffer = buffer.subarray(end + 1);
+
+      if (command === 'PING') return reply('PONG');
+      if (command !== 'INSTREAM') return reply('UNKNOWN COMMAND');
+    }
+
+    // <uint32 length><data> chunks, ended by a zero length
+    while (buffer.length >= 4) {
+      const length = buffer.readUInt32BE(0);
+      if (length === 0) {
+        const content = Buffer.concat(received).toString('latin1');
+        return reply(content.includes(EICAR) ? 'stream: Eicar-Test-Signature FOUND' : 'stream: OK');
+      }
+      if (buffer.length < 4 + length) return;
+
+      received.push(buffer.subarray(4, 4 + length));
+      receivedBytes += length;
+      buffer = buffer.subarray(4 + length);
+
+      if (receivedBytes > STREAM_MAX_LENGTH) {
+        return reply('INSTREAM size limit exceeded. ERROR');
+      }
+    }
+  });
+
+  socket.on('error', () => {});
+}
+
+const server = net.createServer(handleConnection);
+
+if (/^\d+$/.test(target)) {
+  server.listen(parseInt(target), '127.0.0.1', () => console.log(`clamd stub listening on 127.0.0.1:${target}`));
+} else {
+  if (fs.existsSync(target)) fs.unlinkSync(target);
+  server.listen(target, () => console.log(`clamd stub listening on ${target}`));
+}
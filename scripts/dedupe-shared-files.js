@@ -0,0 +1,84 @@
+#!/usr/bin/env node
+// One-off migration: move shared files stored before content-addressed deduplication
+// (uploads/shared/<fileId>.<ext>) into blobs (uploads/shared/<sha256>), merging
+// identical content. Safe to re-run; only rows without blob_hash are touched.
+//
+// Usage: node scripts/dedupe-shared-files.js [--dry-run]
+const path = require('path');
+const crypto = require('crypto');
+const fs = require('fs-extra');
+const db = require('../database');
+const { withBlobLock, blobPathFor } = require('../lib/blobStore');
+const { formatFileSize } = require('../lib/fileUtils');
+
+const ROOT_DIR = path.join(__dirname, '..');
+const dryRun = process.argv.includes('--dry-run');
+
+async function sha256File(filePath) {
+  const hash = crypto.createHash('sha256');
+  for await (const chunk of fs.createReadStream(filePath)) {
+    hash.update(chunk);
+  }
+  return hash.digest('hex');
+}
+
+async function main() {
+  const files = await db.getUnlinkedSharedFiles();
+  const seen = new Set();
+  const summary = { files: files.length, linked: 0, duplicates: 0, missing: 0, bytesFreed: 0 };
+
+  console.log(`${dryRun ? '[dry run] ' : ''}Found ${files.length} shared file(s) to migrate`);
+
+  for (const file of files) {
+    // Only files uploaded to local disk predate deduplication
+    if (file.storage_backend !== 'local') {
+      console.warn(`Not on local storage, skipped: ${file.file_id} (${file.storage_backend})`);
+      continue;
+    }
+
+    const sourcePath = path.join(ROOT_DIR, file.file_path);
+
+    if (!(await fs.pathExists(sourcePath))) {
+      console.warn(`Missing on disk, skipped: ${file.file_id} (${file.file_path})`);
+      summary.missing++;
+      continue;
+    }
+
+    const hash = await sha256File(sourcePath);
+    const blobPath = blobPathFor(hash);
+    const blobAbsolutePath = path.join(ROOT_DIR, blobPath);
+
+    await withBlobLock(hash, async () => {
+      const blobExists = seen.has(hash) || !!(await db.getBlob(hash)) || (await fs.pathExists(blobAbsolutePath));
+
+      if (blobExists) {
+        summary.duplicates++;
+        summary.bytesFreed += file.file_size;
+      }
+
+      if (!dryRun) {
+        if (blobExists) {
+          await fs.remove(sourcePath);
+        } else {
+          await fs.move(sourcePath, blobAbsolutePath);
+        }
+        await db.linkFileToBlob(file.file_id, hash, blobPath, file.file_size);
+      }
+
+      seen.add(hash);
+      summary.linked++;
+    });
+  }
+
+  console.log(`${dryRun ? '[dry run] ' : ''}Linked ${summary.linked}, duplicates ${summary.duplicates}, ` +
+    `missing ${summary.missing}, freed ${formatFileSize(summary.bytesFreed)}`);
+}
+
+main()
+  .then(() => {
+    db.close();
+  })
+  .catch((error) => {
+    console.error('Deduplication failed:', error);
+    process.exit(1);
+  });
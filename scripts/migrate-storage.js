@@ -0,0 +1,163 @@
+#!/usr/bin/env node
+// Move stored content (shared file blobs, pre-dedup files, their previews, profile
+// pictures and banners) to another storage backend, e.g. from local disk to S3 before switching
+// STORAGE_BACKEND. Each item is copied, its recorded backend updated, then the old copy
+// deleted, so an interrupted run can simply be repeated. Run it while the server is stopped.
+//
+// Usage: node scripts/migrate-storage.js <local|s3> [--dry-run]
+const path = require('path');
+const fs = require('fs-extra');
+const { v4: uuidv4 } = require('uuid');
+const db = require('../database');
+const { getStorage } = require('../lib/storage');
+const { withBlobLock } = require('../lib/blobStore');
+const { profilePictureFiles } = require('../lib/imageProcessing');
+const { formatFileSize } = require('../lib/fileUtils');
+
+const TEMP_DIR = path.join(__dirname, '../uploads/temp');
+const dryRun = process.argv.includes('--dry-run');
+
+// Copy one key between backends (staged through uploads/temp)
+async function copyObject(key, from, to) {
+  const tempPath = path.join(TEMP_DIR, `${uuidv4()}.migrate`);
+  try {
+    const source = await from.getStream(key);
+    await new Promise((resolve, reject) => {
+      const target = fs.createWriteStream(tempPath);
+      source.on('error', reject);
+      target.on('error', reject);
+      target.on('finish', resolve);
+      source.pipe(target);
+    });
+    await to.put(key, tempPath);
+  } finally {
+    await fs.remove(tempPath);
+  }
+}
+
+async function main() {
+  const targetName = process.argv[2];
+  if (!targetName || targetName.startsWith('--')) {
+    console.error('Usage: node scripts/migrate-storage.js <local|s3> [--dry-run]');
+    process.exit(1);
+  }
+
+  const target = getStorage(targetName);
+  await fs.ensureDir(TEMP_DIR);
+
+  const blobs = await db.getBlobsNotOn(targetName);
+  const files = await db.getUnlinkedSharedFilesNotOn(targetName);
+  const pictures = await db.getProfilePicturesNotOn(targetName);
+  const banners = await db.getBannersNotOn(targetName);
+  const summary = { moved: 0, missing: 0, bytes: 0 };
+
+  console.log(`${dryRun ? '[dry run] ' : ''}Moving ${blobs.length} blob(s), ${files.length} unlinked file(s), ` +
+    `${pictures.length} profile picture(s) and ${banners.length} banner(s) to ${targetName}`);
+
+  for (const blob of blobs) {
+    await withBlobLock(blob.hash, async () => {
+      const source = getStorage(blob.storage_backend);
+      if (!(await source.exists(blob.file_path))) {
+        console.warn(`Missing, skipped: blob ${blob.hash} (${blob.storage_backend}:${blob.file_path})`);
+        summary.missing++;
+        return;
+      }
+
+      // Previews live on the same backend as the content
+      const previewPaths = [];
+      for (const previewPath of await db.getBlobPreviewPaths(blob.hash)) {
+        if (await source.exists(previewPath)) previewPaths.push(previewPath);
+      }
+
+      if (!dryRun) {
+        await copyObject(blob.file_path, source, target);
+        for (const previewPath of previewPaths) {
+          await copyObject(previewPath, source, target);
+        }
+        await db.setBlobLocation(blob.hash, targetName, blob.file_path);
+        await source.delete(blob.file_path);
+        await Promise.all(previewPaths.map(previewPath => source.delete(previewPath)));
+      }
+      summary.moved++;
+      summary.bytes += blob.size;
+    });
+  }
+
+  for (const file of files) {
+    const source = getStorage(file.storage_backend);
+    if (!(await source.exists(file.file_path))) {
+      console.warn(`Missing, skipped: file ${file.file_id} (${file.storage_backend}:${file.file_path})`);
+      summary.missing++;
+      continue;
+    }
+
+    const hasPreview = !!file.preview_path && (await source.exists(file.preview_path));
+
+    if (!dryRun) {
+      await copyObject(file.file_path, source, target);
+      if (hasPreview) {
+        await copyObject(file.preview_path, source, target);
+      }
+      await db.setSharedFileLocation(file.file_id, targetName, file.file_path);
+      await source.delete(file.file_path);
+      if (hasPreview) {
+        await source.delete(file.preview_path);
+      }
+    }
+    summary.moved++;
+    summary.bytes += file.file_size;
+  }
+
+  for (const picture of pictures) {
+    const source = getStorage(picture.storage_backend);
+    const keys = [];
+    for (const key of profilePictureFiles(picture.picture_path)) {
+      if (await source.exists(key)) keys.push(key);
+    }
+
+    if (keys.length === 0) {
+      console.warn(`Missing, skipped: profile picture ${picture.version} of ${picture.user_id} (${picture.storage_backend})`);
+      summary.missing++;
+      continue;
+    }
+
+    if (!dryRun) {
+      for (const key of keys) {
+        await copyObject(key, source, target);
+      }
+      await db.setProfilePictureStorage(picture.picture_path, targetName);
+      await Promise.all(keys.map(key => source.delete(key)));
+    }
+    summary.moved++;
+    summary.bytes += picture.file_size;
+  }
+
+  for (const user of banners) {
+    const source = getStorage(user.banner_storage);
+    if (!(await source.exists(user.banner_path))) {
+      console.warn(`Missing, skipped: banner of ${user.user_id} (${user.banner_storage}:${user.banner_path})`);
+      summary.missing++;
+      continue;
+    }
+
+    if (!dryRun) {
+      await copyObject(user.banner_path, source, target);
+      await db.setBannerStorage(user.user_id, targetName);
+      await source.delete(user.banner_path);
+    }
+    summary.moved++;
+    summary.bytes += user.banner_size || 0;
+  }
+
+  console.log(`${dryRun ? '[dry run] ' : ''}Moved ${summary.moved} item(s) (${formatFileSize(summary.bytes)}), ` +
+    `missing ${summary.missing}`);
+}
+
+main()
+  .then(() => {
+    db.close();
+  })
+  .catch((error) => {
+    console.error('Storage migration failed:', error);
+    process.exit(1);
+  });
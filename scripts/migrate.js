@@ -0,0 +1,50 @@
+#!/usr/bin/env node
+// Apply pending schema migrations (migrations/<version>_<name>.js) to data/filestore.db
+// (or DATABASE_PATH). The server also applies them at startup; run this to migrate ahead
+// of a deploy, to check what a deploy would change (--dry-run runs the migrations and rolls
+// them back), or to see which versions are applied (--status).
+//
+// Usage: node scripts/migrate.js [--dry-run | --status]
+const path = require('path');
+const Database = require('better-sqlite3');
+const { migrationStatus, runMigrations } = require('../lib/migrations');
+
+// The database file database.js opens (not required here: it migrates on load)
+const DB_PATH = process.env.DATABASE_PATH
+  ? path.resolve(__dirname, '..', process.env.DATABASE_PATH)
+  : path.join(__dirname, '../data/filestore.db');
+
+async function main() {
+  const args = process.argv.slice(2);
+  if (args.some(arg => !['--dry-run', '--status'].includes(arg)) || args.length > 1) {
+    console.error('Usage: node scripts/migrate.js [--dry-run | --status]');
+    process.exit(1);
+  }
+
+  const db = new Database(DB_PATH, { fileMustExist: args.length > 0 });
+  try {
+    if (args[0] === '--status') {
+      const status = migrationStatus(db);
+      status.applied.forEach(row => console.log(`applied  ${row.version}_${row.name} (${row.applied_at})`));
+      status.pending.forEach(migration => console.log(`pending  ${migration.version}_${migration.name}`));
+      console.log(`Schema version ${status.current}, latest ${status.latest}` +
+        (status.current > status.latest ? ' - the database is newer than this code' : ''));
+      return;
+    }
+
+    const dryRun = args[0] === '--dry-run';
+    const { from, applied } = runMigrations(db, { dryRun });
+    if (applied.length === 0) {
+      console.log(`Schema is up to date at version ${from}`);
+    } else {
+      console.log(`${dryRun ? '[dry run] Would apply' : 'Applied'} ${applied.length} migration(s) from version ${from}: ${applied.join(', ')}`);
+    }
+  } finally {
+    db.close();
+  }
+}
+
+main().catch((error) => {
+  console.error('Migration failed:', error.message);
+  process.exit(1);
+});
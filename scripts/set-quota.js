@@ -0,0 +1,37 @@
+#!/usr/bin/env node
+// Set or clear a user's storage quota override.
+//
+// Usage: node scripts/set-quota.js <userId> <bytes|default>
+const db = require('../database');
+const { DEFAULT_USER_QUOTA, getQuotaUsage, formatQuota } = require('../lib/quota');
+const { formatFileSize } = require('../lib/fileUtils');
+
+async function main() {
+  const [userId, value] = process.argv.slice(2);
+
+  if (!userId || !value) {
+    console.error('Usage: node scripts/set-quota.js <userId> <bytes|default>');
+    process.exit(1);
+  }
+
+  const quota = value === 'default' ? null : parseInt(value);
+  if (quota !== null && (!Number.isInteger(quota) || quota < 0)) {
+    console.error('Quota must be a non-negative number of bytes or "default"');
+    process.exit(1);
+  }
+
+  await db.setUserStorageQuota(userId, quota);
+
+  const usage = formatQuota(await getQuotaUsage(userId));
+  console.log(`Quota for ${userId}: ${quota === null ? `default (${formatFileSize(DEFAULT_USER_QUOTA)})` : usage.formattedLimit}`);
+  console.log(`Used ${usage.formattedUsed} (${usage.percentUsed}%), ${usage.formattedRemaining} remaining`);
+}
+
+main()
+  .then(() => {
+    db.close();
+  })
+  .catch((error) => {
+    console.error('Failed to set quota:', error);
+    process.exit(1);
+  });
@@ -9,8 +9,18 @@ require('dotenv').config();
 const app = express();
 const PORT = process.env.PORT || 3001;
 
+// Behind a load balancer or reverse proxy, TRUST_PROXY makes req.ip the client's address
+// (from X-Forwarded-For) for rate limiting and the audit log: the number of proxies in
+// front of the server, or a list of trusted addresses/subnets (see Express's "trust proxy")
+function parseTrustProxy(value) {
+  if (!value || value === 'false') return false;
+  if (/^\d+$/.test(value)) return parseInt(value);
+  return value === 'true' ? true : value;
+}
+app.set('trust proxy', parseTrustProxy(process.env.TRUST_PROXY));
+
 // Ensure upload directories exist
-const uploadDirs = ['uploads/profiles', 'uploads/shared', 'uploads/temp'];
+const uploadDirs = ['uploads/profiles', 'uploads/banners', 'uploads/shared', 'uploads/temp', 'uploads/quarantine', 'uploads/previews'];
 uploadDirs.forEach(dir => {
   fs.ensureDirSync(path.join(__dirname, dir));
 });
@@ -20,6 +30,9 @@ app.use(helmet({
   crossOriginResourcePolicy: { policy: "cross-origin" }
 }));
 
+// tus capability discovery (OPTIONS /api/uploads); cors() below ends the response
+app.options('/api/uploads', require('./routes/uploads').tusCapabilities);
+
 app.use(cors({
   origin: process.env.ALLOWED_ORIGINS?.split(',') || [
     'http://localhost:3000',  // Frontend Vite server
@@ -28,36 +41,82 @@ app.use(cors({
     'https://chat-website-app.firebaseapp.com',
     'null'  // Allow file:// protocol for standalone HTML tests
   ],
-  credentials: true
+  credentials: true,
+  // Headers the tus client needs to read for resumable uploads, and download metadata
+  exposedHeaders: [
+    'Location', 'Upload-Offset', 'Upload-Length', 'Upload-File-Id', 'Tus-Resumable', 'Tus-Version', 'Tus-Extension', 'Tus-Max-Size',
+    'Accept-Ranges', 'Content-Range', 'Content-Disposition', 'ETag', 'Last-Modified'
+  ]
 }));
 
-// Rate limiting
+// Rate limiting. File content is fetched with many requests (a video player sends a range
+// request on every seek), and a resumable upload sends a PATCH per chunk and a HEAD on every
+// resume, so downloads and requests to an upload (/api/uploads/:uploadId) get their own,
+// looser limits instead.
+const DOWNLOAD_PATHS = ['/api/files/download', '/api/files/preview', '/uploads'];
+const UPLOAD_SESSION_PATH = '/api/uploads';
 const limiter = rateLimit({
   windowMs: 15 * 60 * 1000, // 15 minutes
   max: 100, // limit each IP to 100 requests per windowMs
-  message: { error: 'Too many requests, please try again later.' }
+  message: { error: 'Too many requests, please try again later.' },
+  skip: (req) => [...DOWNLOAD_PATHS, UPLOAD_SESSION_PATH].some(prefix => req.path.startsWith(`${prefix}/`))
 });
 app.use(limiter);
 
+const downloadLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: 1000, // limit each IP to 1000 downloads and range requests per 15 minutes
+  message: { error: 'Too many downloads, please try again later.' }
+});
+app.use(DOWNLOAD_PATHS, downloadLimiter);
+
+const uploadSessionLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: 2000, // limit each IP to 2000 chunks, resumes and status checks per 15 minutes
+  message: { error: 'Too many upload requests, please try again later.' }
+});
+app.use(`${UPLOAD_SESSION_PATH}/:uploadId`, uploadSessionLimiter);
+
 // Stricter rate limiting for uploads
 const uploadLimiter = rateLimit({
   windowMs: 15 * 60 * 1000, // 15 minutes
   max: 20, // limit each IP to 20 uploads per 15 minutes
   message: { error: 'Too many uploads, please try again later.' }
 });
+app.post([
+  '/api/files/upload',
+  '/api/files/upload-batch',
+  UPLOAD_SESSION_PATH,
+  '/api/profile/upload-picture',
+  '/api/profile/upload-banner'
+], uploadLimiter);
 
 app.use(express.json({ limit: '10mb' }));
 app.use(express.urlencoded({ extended: true, limit: '10mb' }));
 
-// Serve static files
-app.use('/uploads', express.static(path.join(__dirname, 'uploads')));
-
 // Initialize database
-const db = require('./database-simple');
+const db = require('./database');
+const { optionalAuth } = require('./middleware/auth');
+const { serveSharedFile } = require('./middleware/fileAccess');
+const { resumePendingScans } = require('./lib/scanner');
+const { resumePendingPreviews } = require('./lib/previews');
+const { resumeTextExtraction } = require('./lib/textExtraction');
+const { startCleanupWorker } = require('./lib/cleanup');
+const { defaultStorageBackend } = require('./lib/storage');
+
+// Serve stored files from their storage backend: profile pictures and banners are public,
+// shared files honour their visibility and scan status, and uploads/temp and uploads/quarantine
+// are never exposed (previews are served by /api/files/preview)
+app.get('/uploads/profiles/:fileName', require('./routes/profile').serveProfilePicture);
+app.get('/uploads/banners/:fileName', require('./routes/profile').serveBanner);
+app.get('/uploads/shared/:fileName', optionalAuth, serveSharedFile);
 
 // Routes
-app.use('/api/profile', uploadLimiter, require('./routes/profile'));
-app.use('/api/files', uploadLimiter, require('./routes/files'));
+app.use('/api/profile', require('./routes/profile'));
+app.use('/api/files', require('./routes/files'));
+app.use('/api/uploads', require('./routes/uploads'));
+app.use('/api/conversations', require('./routes/conversations'));
+app.use('/api/admin', require('./routes/admin'));
 
 // Health check
 app.get('/health', (req, res) => {
@@ -67,6 +126,7 @@ app.get('/health', (req, res) => {
     uptime: process.uptime(),
     memory: process.memoryUsage(),
     storage: {
+      backend: defaultStorageBackend(),
       profiles: fs.readdirSync(path.join(__dirname, 'uploads/profiles')).length,
       shared: fs.readdirSync(path.join(__dirname, 'uploads/shared')).length
     }
@@ -75,7 +135,23 @@ app.get('/health', (req, res) => {
 
 // Error handling middleware
 app.use((err, req, res, next) => {
-  console.error('Error:', err);
+  console.error(`Error handling ${req.method} ${req.originalUrl}:`, err);
+
+  // Failed mid-response (e.g. while streaming a file): let Express close the connection
+  if (res.headersSent) {
+    return next(err);
+  }
+
+  if (err instanceof db.DatabaseError) {
+    if (err.status === 503) {
+      res.setHeader('Retry-After', '1');
+    }
+    return res.status(err.status).json({
+      error: err.status === 503 ? 'Database busy, please try again' : 'Internal server error',
+      code: 'DATABASE_ERROR',
+      message: process.env.NODE_ENV === 'development' ? err.message : undefined
+    });
+  }
   
   if (err.code === 'LIMIT_FILE_SIZE') {
     return res.status(400).json({ 
@@ -84,6 +160,13 @@ app.use((err, req, res, next) => {
     });
   }
   
+  if (err.code === 'INVALID_FILE_TYPE') {
+    return res.status(400).json({ 
+      error: 'Invalid file type',
+      message: err.message
+    });
+  }
+  
   if (err.code === 'LIMIT_UNEXPECTED_FILE') {
     return res.status(400).json({ 
       error: 'Invalid file',
@@ -91,6 +174,13 @@ app.use((err, req, res, next) => {
     });
   }
 
+  if (err.code === 'LIMIT_FILE_COUNT') {
+    return res.status(400).json({
+      error: 'Too many files',
+      message: err.message
+    });
+  }
+
   res.status(500).json({ 
     error: 'Internal server error',
     message: process.env.NODE_ENV === 'development' ? err.message : 'Something went wrong'
@@ -102,23 +192,55 @@ app.use('*', (req, res) => {
   res.status(404).json({ error: 'Route not found' });
 });
 
-// Graceful shutdown
-process.on('SIGTERM', () => {
-  console.log('SIGTERM received, shutting down gracefully');
-  db.close((err) => {
-    if (err) {
-      console.error('Error closing database:', err);
-    } else {
+// Graceful shutdown: stop accepting connections, let in-flight requests finish, then close
+// the database. Background jobs are abandoned; pending ones are resumed at the next start.
+const SHUTDOWN_TIMEOUT_MS = 10 * 1000;
+let server;
+
+function shutdown(signal) {
+  console.log(`${signal} received, shutting down gracefully`);
+
+  // Don't wait forever on long downloads or stuck clients
+  setTimeout(() => {
+    console.error('Shutdown timed out, exiting');
+    process.exit(1);
+  }, SHUTDOWN_TIMEOUT_MS).unref();
+
+  server.close(async () => {
+    try {
+      await db.close();
       console.log('Database connection closed');
+      process.exit(0);
+    } catch (error) {
+      console.error('Error closing database:', error);
+      process.exit(1);
     }
-    process.exit(0);
   });
-});
+}
+
+process.on('SIGTERM', () => shutdown('SIGTERM'));
+process.on('SIGINT', () => shutdown('SIGINT'));
 
-app.listen(PORT, () => {
+server = app.listen(PORT, () => {
   console.log(`🚀 File Storage Server running on port ${PORT}`);
   console.log(`📁 Upload directories initialized`);
   console.log(`🗄️ Database initialized`);
+
+  // Pick up files whose malware scan didn't finish before the last shutdown
+  resumePendingScans()
+    .then(count => count > 0 && console.log(`🛡️ Queued ${count} file(s) for malware scanning`))
+    .catch(error => console.error('Error resuming malware scans:', error));
+
+  // And clean files still waiting for a preview or search indexing
+  resumePendingPreviews()
+    .then(count => count > 0 && console.log(`🖼️ Queued ${count} file(s) for preview generation`))
+    .catch(error => console.error('Error resuming preview generation:', error));
+  resumeTextExtraction()
+    .then(count => count > 0 && console.log(`🔍 Queued ${count} file(s) for search indexing`))
+    .catch(error => console.error('Error resuming text extraction:', error));
+
+  // Remove expired files and stale uploads now and periodically
+  startCleanupWorker();
 });
 
 module.exports = app;
\ No newline at end of file
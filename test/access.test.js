@@ -0,0 +1,76 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const express = require('express');
+const { useTestSigningKeys, useTestDatabase, createTestFile, startServer } = require('./helpers');
+
+const { tokenFor } = useTestSigningKeys();
+useTestDatabase();
+const db = require('../database');
+const { optionalAuth } = require('../middleware/auth');
+const { canAccessFile, loadAccessibleFile, parseVisibility, parseSharedWith } = require('../middleware/fileAccess');
+
+test('canAccessFile applies each visibility level', async () => {
+  const privateFile = await createTestFile(db, { visibility: 'private' });
+  const linkFile = await createTestFile(db, { visibility: 'link' });
+  const publicFile = await createTestFile(db, { visibility: 'public' });
+  const sharedFile = await createTestFile(db, { visibility: 'shared', sharedWith: ['bob'] });
+
+  for (const file of [privateFile, linkFile, publicFile, sharedFile]) {
+    assert.strictEqual(await canAccessFile(file, 'alice'), true, `owner reads ${file.visibility}`);
+  }
+
+  assert.strictEqual(await canAccessFile(privateFile, 'bob'), false);
+  assert.strictEqual(await canAccessFile(privateFile, null), false);
+
+  assert.strictEqual(await canAccessFile(linkFile, 'bob'), true);
+  assert.strictEqual(await canAccessFile(linkFile, null), true);
+  assert.strictEqual(await canAccessFile(publicFile, null), true);
+
+  assert.strictEqual(await canAccessFile(sharedFile, 'bob'), true);
+  assert.strictEqual(await canAccessFile(sharedFile, 'carol'), false);
+  assert.strictEqual(await canAccessFile(sharedFile, null), false);
+});
+
+test('changing a file\'s access takes effect for later checks', async () => {
+  const file = await createTestFile(db, { visibility: 'shared', sharedWith: ['bob'] });
+
+  await db.updateFileAccess(file.file_id, 'shared', ['carol']);
+  let updated = await db.getSharedFile(file.file_id);
+  assert.strictEqual(await canAccessFile(updated, 'bob'), false);
+  assert.strictEqual(await canAccessFile(updated, 'carol'), true);
+
+  await db.updateFileAccess(file.file_id, 'private');
+  updated = await db.getSharedFile(file.file_id);
+  assert.strictEqual(await canAccessFile(updated, 'carol'), false);
+  assert.strictEqual(updated.is_public, 0);
+});
+
+test('parseVisibility and parseSharedWith reject bad input', () => {
+  assert.strictEqual(parseVisibility(undefined), 'link');
+  assert.strictEqual(parseVisibility('shared'), 'shared');
+  assert.strictEqual(parseVisibility('everyone'), null);
+
+  assert.deepStrictEqual(parseSharedWith('bob, carol,bob'), ['bob', 'carol']);
+  assert.deepStrictEqual(parseSharedWith('["bob"]'), ['bob']);
+  assert.strictEqual(parseSharedWith('[bob'), null);
+  assert.strictEqual(parseSharedWith([1, 2]), null);
+  assert.strictEqual(parseSharedWith(Array.from({ length: 101 }, (_, i) => `user-${i}`)), null);
+});
+
+test('loadAccessibleFile answers 401, 403 and 404', async (t) => {
+  const app = express();
+  app.get('/files/:fileId', optionalAuth, loadAccessibleFile, (req, res) => res.json({ fileId: req.sharedFile.file_id }));
+  const server = await startServer(app);
+  t.after(() => server.close());
+
+  const file = await createTestFile(db, { visibility: 'shared', sharedWith: ['bob'] });
+  const get = (fileId, uid) => fetch(`${server.url}/files/${fileId}`, {
+    headers: uid ? { authorization: `Bearer ${tokenFor(uid)}` } : {}
+  });
+
+  assert.strictEqual((await get(file.file_id)).status, 401);
+  assert.strictEqual((await get(file.file_id, 'carol')).status, 403);
+  assert.deepStrictEqual(await (await get(file.file_id, 'bob')).json(), { fileId: file.file_id });
+  assert.strictEqual((await get(file.file_id, 'alice')).status, 200);
+  assert.strictEqual((await get('no-such-file', 'alice')).status, 404);
+});
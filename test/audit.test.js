@@ -0,0 +1,166 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const Database = require('better-sqlite3');
+const express = require('express');
+const { useTestSigningKeys, useTestDatabase, createTestFile, uniqueText, startServer } = require('./helpers');
+
+const { tokenFor } = useTestSigningKeys();
+useTestDatabase();
+// Keep the cleanup worker's temp sweep away from real uploads in progress
+process.env.TEMP_FILE_MAX_AGE_HOURS = '100000';
+const db = require('../database');
+const { requireAuth } = require('../middleware/auth');
+const { runMigrations } = require('../lib/migrations');
+const { SYSTEM_ACTOR, audit, exportAuditEvents } = require('../lib/audit');
+const { runCleanup } = require('../lib/cleanup');
+const { deleteSharedFile } = require('../lib/blobStore');
+const { toDbTimestamp } = require('../lib/fileUtils');
+
+// Events are written once the response has closed, so wait for them to show up
+async function waitForEvents(filters, count) {
+  for (let attempt = 0; attempt < 100; attempt++) {
+    const { events } = await db.queryAuditEvents(filters, { limit: 50 });
+    if (events.length >= count) return events;
+    await new Promise(resolve => setTimeout(resolve, 10));
+  }
+  throw new Error(`Expected ${count} audit events matching ${JSON.stringify(filters)}`);
+}
+
+async function readStream(stream) {
+  let text = '';
+  for await (const chunk of stream) {
+    text += chunk;
+  }
+  return text;
+}
+
+test('audit_events rows cannot be updated or deleted', () => {
+  const connection = new Database(':memory:');
+  try {
+    runMigrations(connection);
+    connection.prepare(`
+      INSERT INTO audit_events (action, outcome, method, path) VALUES ('file.delete', 'success', 'DELETE', '/api/files/f1')
+    `).run();
+
+    assert.throws(() => connection.prepare("UPDATE audit_events SET outcome = 'denied'").run(), /audit_events is append-only/);
+    assert.throws(() => connection.prepare('DELETE FROM audit_events').run(), /audit_events is append-only/);
+    assert.deepStrictEqual(connection.prepare('SELECT action, outcome FROM audit_events').all(), [
+      { action: 'file.delete', outcome: 'success' }
+    ]);
+  } finally {
+    connection.close();
+  }
+});
+
+test('audit() records the actor, target and outcome of each request', async (t) => {
+  const app = express();
+  app.use(express.json());
+  app.post('/files/:fileId/rename', audit('test.rename'), requireAuth, (req, res) => {
+    if (req.user.uid !== 'alice') {
+      return res.status(403).json({ error: 'Not yours' });
+    }
+    res.locals.audit = { details: { originalName: 'renamed.txt' } };
+    res.json({ ok: true });
+  });
+  const server = await startServer(app);
+  t.after(() => server.close());
+
+  const rename = (uid) => fetch(`${server.url}/files/f-42/rename?token=secret`, {
+    method: 'POST',
+    headers: { ...(uid ? { authorization: `Bearer ${tokenFor(uid)}` } : {}), 'user-agent': 'audit-test' }
+  });
+  assert.strictEqual((await rename('alice')).status, 200);
+  assert.strictEqual((await rename('bob')).status, 403);
+  assert.strictEqual((await rename(null)).status, 401);
+
+  const events = (await waitForEvents({ action: 'test.rename' }, 3)).sort((a, b) => a.status_code - b.status_code);
+  const [allowed, anonymous, denied] = events;
+  assert.deepStrictEqual(
+    events.map(event => [event.actor_id, event.outcome, event.status_code]),
+    [['alice', 'success', 200], [null, 'denied', 401], ['bob', 'denied', 403]]
+  );
+  assert.strictEqual(allowed.target_file_id, 'f-42');
+  assert.strictEqual(allowed.method, 'POST');
+  assert.strictEqual(allowed.path, '/files/f-42/rename');
+  assert.strictEqual(allowed.user_agent, 'audit-test');
+  assert.ok(allowed.ip);
+  assert.deepStrictEqual(JSON.parse(allowed.details), { originalName: 'renamed.txt' });
+  assert.strictEqual(denied.details, null);
+  assert.strictEqual(anonymous.target_file_id, 'f-42');
+});
+
+test('CSV exports neutralize spreadsheet formulas', async () => {
+  await db.addAuditEvent({
+    action: 'test.export',
+    actorId: '=HYPERLINK("http://evil.example")',
+    outcome: 'success',
+    method: 'POST',
+    path: '/api/files/upload',
+    userAgent: '@SUM(1,2)',
+    details: { originalName: 'a,b.txt' }
+  });
+
+  const csv = await readStream(exportAuditEvents({ action: 'test.export' }, 'csv'));
+  const [header, row, rest] = csv.split('\r\n');
+  assert.match(header, /^id,createdAt,action,actorId,/);
+  assert.match(row, /,"'=HYPERLINK\(""http:\/\/evil\.example""\)",/);
+  assert.match(row, /,"'@SUM\(1,2\)",/);
+  assert.match(row, /,"\{""originalName"":""a,b\.txt""\}"$/);
+  assert.strictEqual(rest, '');
+
+  const ndjson = await readStream(exportAuditEvents({ action: 'test.export' }, 'ndjson'));
+  assert.strictEqual(JSON.parse(ndjson).actorId, '=HYPERLINK("http://evil.example")');
+});
+
+test('the cleanup worker records the files it deletes', async () => {
+  const expired = await createTestFile(db, { userId: 'alice', expiresAt: toDbTimestamp(new Date(Date.now() - 60 * 1000)) });
+
+  const summary = await runCleanup();
+  assert.strictEqual(summary.files.expired, 1);
+
+  const [event] = await waitForEvents({ action: 'file.delete', fileId: expired.file_id }, 1);
+  assert.strictEqual(event.actor_id, SYSTEM_ACTOR);
+  assert.strictEqual(event.target_user_id, 'alice');
+  assert.strictEqual(event.path, 'cleanup');
+  assert.deepStrictEqual(JSON.parse(event.details), { reason: 'expired', originalName: expired.original_name, fileSize: 5 });
+});
+
+test('resumable uploads are audited, and the completing chunk as file.upload', async (t) => {
+  const app = express();
+  app.use('/api/uploads', require('../routes/uploads'));
+  const server = await startServer(app);
+  t.after(() => server.close());
+
+  const content = uniqueText(64);
+  const headers = { authorization: `Bearer ${tokenFor('alice')}`, 'tus-resumable': '1.0.0' };
+  const created = await fetch(`${server.url}/api/uploads`, {
+    method: 'POST',
+    headers: {
+      ...headers,
+      'upload-length': String(content.length),
+      'upload-metadata': `filename ${Buffer.from('notes.txt').toString('base64')},filetype ${Buffer.from('text/plain').toString('base64')}`
+    }
+  });
+  assert.strictEqual(created.status, 201);
+  const { uploadId } = await created.json();
+
+  const patch = (offset, body) => fetch(`${server.url}/api/uploads/${uploadId}`, {
+    method: 'PATCH',
+    headers: { ...headers, 'content-type': 'application/offset+octet-stream', 'upload-offset': String(offset) },
+    body
+  });
+  assert.strictEqual((await patch(0, content.slice(0, 32))).status, 204);
+  const last = await patch(32, content.slice(32));
+  assert.strictEqual(last.status, 204);
+  const fileId = last.headers.get('upload-file-id');
+  t.after(async () => deleteSharedFile(await db.getSharedFile(fileId)));
+
+  const [create] = await waitForEvents({ action: 'upload.create' }, 1);
+  assert.deepStrictEqual(JSON.parse(create.details), { uploadId, originalName: 'notes.txt', uploadLength: 64 });
+  const [chunk] = await waitForEvents({ action: 'upload.chunk' }, 1);
+  assert.deepStrictEqual(JSON.parse(chunk.details), { uploadId, offset: 0, received: 32 });
+  const [upload] = await waitForEvents({ action: 'file.upload' }, 1);
+  assert.strictEqual(upload.target_file_id, fileId);
+  assert.strictEqual(upload.actor_id, 'alice');
+  assert.strictEqual(upload.outcome, 'success');
+});
@@ -0,0 +1,85 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+const express = require('express');
+const { PROJECT_ID, base64Url, useTestSigningKeys, startServer } = require('./helpers');
+
+const { signToken, tokenFor } = useTestSigningKeys();
+process.env.ADMIN_TOKEN = 'test-admin-token';
+const { verifyIdToken, requireAuth, requireSelf, requireAdmin } = require('../middleware/auth');
+
+const now = () => Math.floor(Date.now() / 1000);
+
+test('verifyIdToken accepts a valid token and returns its claims', async () => {
+  const claims = await verifyIdToken(tokenFor('alice', { email: 'alice@example.com' }));
+  assert.strictEqual(claims.sub, 'alice');
+  assert.strictEqual(claims.email, 'alice@example.com');
+});
+
+test('verifyIdToken rejects forged and tampered tokens', async () => {
+  const { privateKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+  await assert.rejects(verifyIdToken(signToken({ sub: 'alice' }, { key: privateKey })), { message: 'Invalid token signature' });
+
+  // Same signature, different subject
+  const [header, , signature] = tokenFor('alice').split('.');
+  const payload = base64Url({ sub: 'mallory', iss: `https://securetoken.google.com/${PROJECT_ID}`, aud: PROJECT_ID, iat: now(), exp: now() + 3600 });
+  await assert.rejects(verifyIdToken(`${header}.${payload}.${signature}`), { message: 'Invalid token signature' });
+});
+
+test('verifyIdToken rejects unsigned and non-RS256 tokens', async () => {
+  const payload = base64Url({ sub: 'alice', iss: `https://securetoken.google.com/${PROJECT_ID}`, aud: PROJECT_ID, iat: now(), exp: now() + 3600 });
+  await assert.rejects(verifyIdToken(`${base64Url({ alg: 'none', kid: 'test-key' })}.${payload}.`), { message: 'Unsupported token algorithm' });
+
+  const header = base64Url({ alg: 'HS256', kid: 'test-key' });
+  const signature = crypto.createHmac('sha256', 'guess').update(`${header}.${payload}`).digest('base64url');
+  await assert.rejects(verifyIdToken(`${header}.${payload}.${signature}`), { message: 'Unsupported token algorithm' });
+
+  await assert.rejects(verifyIdToken('not-a-token'), { message: 'Malformed token' });
+});
+
+test('verifyIdToken rejects tokens with an unknown key ID', async () => {
+  await assert.rejects(verifyIdToken(signToken({ sub: 'alice' }, { kid: 'other-key' })), { message: 'Unknown token signing key' });
+});
+
+test('verifyIdToken checks expiry, issue time, audience, issuer and subject', async () => {
+  const cases = [
+    [{ sub: 'alice', iat: now() - 7200, exp: now() - 3600 }, 'Token expired'],
+    [{ sub: 'alice', iat: now() + 3600, exp: now() + 7200 }, 'Token issued in the future'],
+    [{ sub: 'alice', aud: 'another-project' }, 'Token was not issued for this project'],
+    [{ sub: 'alice', iss: 'https://securetoken.google.com/another-project' }, 'Token was not issued for this project'],
+    [{ sub: '' }, 'Token has no valid subject'],
+    [{ sub: 'x'.repeat(129) }, 'Token has no valid subject']
+  ];
+  for (const [claims, message] of cases) {
+    await assert.rejects(verifyIdToken(signToken(claims)), { message });
+  }
+
+  // Within the allowed clock skew
+  await verifyIdToken(signToken({ sub: 'alice', exp: now() - 30 }));
+});
+
+test('requireAuth, requireSelf and requireAdmin guard routes', async (t) => {
+  const app = express();
+  app.use(express.json());
+  app.get('/me', requireAuth, (req, res) => res.json({ uid: req.user.uid }));
+  app.post('/users/:userId', requireAuth, requireSelf, (req, res) => res.json({ ok: true }));
+  app.get('/admin', requireAdmin, (req, res) => res.json(req.admin));
+  const server = await startServer(app);
+  t.after(() => server.close());
+
+  const get = (path, headers = {}) => fetch(`${server.url}${path}`, { headers });
+  const bearer = (uid, claims) => ({ authorization: `Bearer ${tokenFor(uid, claims)}` });
+
+  assert.strictEqual((await get('/me')).status, 401);
+  assert.strictEqual((await get('/me', { authorization: 'Bearer garbage' })).status, 401);
+  assert.deepStrictEqual(await (await get('/me', bearer('alice'))).json(), { uid: 'alice' });
+
+  const post = (path, uid) => fetch(`${server.url}${path}`, { method: 'POST', headers: bearer(uid) });
+  assert.strictEqual((await post('/users/alice', 'alice')).status, 200);
+  assert.strictEqual((await post('/users/alice', 'bob')).status, 403);
+
+  assert.strictEqual((await get('/admin', bearer('alice'))).status, 403);
+  assert.deepStrictEqual(await (await get('/admin', bearer('alice', { admin: true }))).json(), { via: 'role', uid: 'alice' });
+  assert.strictEqual((await get('/admin', { 'x-admin-token': 'wrong-token-value' })).status, 403);
+  assert.deepStrictEqual(await (await get('/admin', { 'x-admin-token': 'test-admin-token' })).json(), { via: 'token', uid: null });
+});
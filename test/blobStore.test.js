@@ -0,0 +1,81 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+const path = require('path');
+const fs = require('fs-extra');
+const express = require('express');
+const { useTestSigningKeys, useTestDatabase, uniqueText, postForm, waitForProcessing, startServer } = require('./helpers');
+
+const { tokenFor } = useTestSigningKeys();
+useTestDatabase();
+const db = require('../database');
+const { blobPathFor, deleteSharedFile } = require('../lib/blobStore');
+
+const ROOT = path.join(__dirname, '..');
+
+let server;
+test.before(async () => {
+  const app = express();
+  app.use('/api/files', require('../routes/files'));
+  server = await startServer(app);
+});
+test.after(() => server.close());
+
+async function upload(uid, content, name = 'notes.txt') {
+  const res = await postForm(`${server.url}/api/files/upload`, {
+    files: [{ field: 'file', name, type: 'text/plain', content }],
+    headers: { authorization: `Bearer ${tokenFor(uid)}` }
+  });
+  assert.strictEqual(res.status, 200);
+  return waitForProcessing(db, (await res.json()).file.fileId);
+}
+
+test('identical uploads share one blob until the last copy is deleted', async () => {
+  const content = uniqueText(1000);
+  const hash = crypto.createHash('sha256').update(content).digest('hex');
+
+  const first = await upload('alice', content, 'a.txt');
+  const second = await upload('bob', content, 'b.txt');
+
+  assert.strictEqual(first.blob_hash, hash);
+  assert.strictEqual(second.blob_hash, hash);
+  assert.strictEqual(first.file_path, blobPathFor(hash));
+  assert.strictEqual(second.file_path, first.file_path);
+  assert.notStrictEqual(second.file_name, first.file_name);
+  assert.strictEqual((await db.getBlob(hash)).ref_count, 2);
+  assert.strictEqual(await fs.readFile(path.join(ROOT, first.file_path), 'utf8'), content);
+
+  // Deleting one copy keeps the content for the other
+  const { releasedBlob } = await deleteSharedFile(first);
+  assert.strictEqual(releasedBlob, null);
+  assert.strictEqual((await db.getBlob(hash)).ref_count, 1);
+  assert.strictEqual(await fs.pathExists(path.join(ROOT, second.file_path)), true);
+
+  await deleteSharedFile(second);
+  assert.strictEqual(await db.getBlob(hash), undefined);
+  assert.strictEqual(await fs.pathExists(path.join(ROOT, second.file_path)), false);
+});
+
+test('parallel uploads of the same content are stored once', async () => {
+  const content = uniqueText(2000);
+  const hash = crypto.createHash('sha256').update(content).digest('hex');
+
+  const files = await Promise.all(['carol', 'dave', 'erin'].map(uid => upload(uid, content)));
+  assert.deepStrictEqual(new Set(files.map(file => file.file_path)), new Set([blobPathFor(hash)]));
+  assert.strictEqual((await db.getBlob(hash)).ref_count, 3);
+
+  for (const file of files) {
+    await deleteSharedFile(file);
+  }
+  assert.strictEqual(await fs.pathExists(path.join(ROOT, blobPathFor(hash))), false);
+});
+
+test('each copy still counts toward its owner\'s quota', async () => {
+  const content = uniqueText(500);
+  const mine = await upload('frank', content);
+  const again = await upload('frank', content);
+
+  assert.strictEqual((await db.getUserStorageUsage('frank')).files_size, 1000);
+  await deleteSharedFile(mine);
+  await deleteSharedFile(again);
+});
@@ -0,0 +1,108 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const zlib = require('zlib');
+const express = require('express');
+const { useTestSigningKeys, useTestDatabase, uniqueText, postForm, waitForProcessing, startServer } = require('./helpers');
+
+const { tokenFor } = useTestSigningKeys();
+useTestDatabase();
+const db = require('../database');
+const { deleteSharedFile } = require('../lib/blobStore');
+
+const AUTH = { authorization: `Bearer ${tokenFor('alice')}` };
+
+let server;
+const uploaded = [];
+test.before(async () => {
+  const app = express();
+  app.use('/api/files', require('../routes/files'));
+  server = await startServer(app);
+});
+test.after(async () => {
+  for (const fileId of uploaded) {
+    await deleteSharedFile(await db.getSharedFile(fileId));
+  }
+  await server.close();
+});
+
+async function upload(name, content, { uid = 'alice', fields } = {}) {
+  const res = await postForm(`${server.url}/api/files/upload`, {
+    files: [{ field: 'file', name, type: 'text/plain', content }],
+    fields,
+    headers: { authorization: `Bearer ${tokenFor(uid)}` }
+  });
+  assert.strictEqual(res.status, 200);
+  const { fileId } = (await res.json()).file;
+  uploaded.push(fileId);
+  await waitForProcessing(db, fileId);
+  return fileId;
+}
+
+// Read a ZIP's entries from its central directory: [{ name, crc, content }]
+function readZip(buffer) {
+  const end = buffer.lastIndexOf(Buffer.from([0x50, 0x4b, 0x05, 0x06]));
+  assert.ok(end >= 0, 'no end of central directory record');
+  const count = buffer.readUInt16LE(end + 10);
+  let offset = buffer.readUInt32LE(end + 16);
+
+  const entries = [];
+  for (let i = 0; i < count; i++) {
+    assert.strictEqual(buffer.readUInt32LE(offset), 0x02014b50);
+    const crc = buffer.readUInt32LE(offset + 16);
+    const size = buffer.readUInt32LE(offset + 20);
+    const nameLength = buffer.readUInt16LE(offset + 28);
+    const extraLength = buffer.readUInt16LE(offset + 30);
+    const commentLength = buffer.readUInt16LE(offset + 32);
+    const localOffset = buffer.readUInt32LE(offset + 42);
+    const name = buffer.toString('utf8', offset + 46, offset + 46 + nameLength);
+
+    assert.strictEqual(buffer.readUInt32LE(localOffset), 0x04034b50);
+    const dataStart = localOffset + 30 + buffer.readUInt16LE(localOffset + 26) + buffer.readUInt16LE(localOffset + 28);
+    entries.push({ name, crc, content: buffer.toString('utf8', dataStart, dataStart + size) });
+
+    offset += 46 + nameLength + extraLength + commentLength;
+  }
+  return entries;
+}
+
+test('a bundle holds each file under its original name', async () => {
+  const contents = [uniqueText(100), uniqueText(200)];
+  const ids = [await upload('notes.txt', contents[0]), await upload('summary notes.md', contents[1])];
+
+  const res = await fetch(`${server.url}/api/files/bundle?ids=${ids.join(',')}&name=holiday`, { headers: AUTH });
+  assert.strictEqual(res.status, 200);
+  assert.strictEqual(res.headers.get('content-type'), 'application/zip');
+  assert.match(res.headers.get('content-disposition'), /filename="holiday.zip"/);
+
+  const entries = readZip(Buffer.from(await res.arrayBuffer()));
+  assert.deepStrictEqual(entries.map(entry => entry.name), ['notes.txt', 'summary notes.md']);
+  entries.forEach((entry, index) => {
+    assert.strictEqual(entry.content, contents[index]);
+    assert.strictEqual(entry.crc, zlib.crc32(contents[index]));
+  });
+});
+
+test('duplicate names get a numbered suffix, ignoring case', async () => {
+  const ids = [
+    await upload('report.txt', uniqueText(10)),
+    await upload('Report.txt', uniqueText(10)),
+    await upload('report.txt', uniqueText(10)),
+    await upload('README', uniqueText(10)),
+    await upload('readme', uniqueText(10))
+  ];
+
+  const res = await fetch(`${server.url}/api/files/bundle?ids=${ids.join(',')}`, { headers: AUTH });
+  assert.strictEqual(res.status, 200);
+  assert.deepStrictEqual(readZip(Buffer.from(await res.arrayBuffer())).map(entry => entry.name), [
+    'report.txt', 'Report (2).txt', 'report (3).txt', 'README', 'readme (2)'
+  ]);
+});
+
+test('a bundle with a file the caller can\'t download is refused', async () => {
+  const mine = await upload('mine.txt', uniqueText(10));
+  const theirs = await upload('theirs.txt', uniqueText(10), { uid: 'bob', fields: { visibility: 'private' } });
+
+  const res = await fetch(`${server.url}/api/files/bundle?ids=${mine},${theirs}`, { headers: AUTH });
+  assert.strictEqual(res.status, 403);
+  assert.deepStrictEqual((await res.json()).files.map(file => file.fileId), [theirs]);
+});
@@ -0,0 +1,74 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+const os = require('os');
+const path = require('path');
+const fs = require('fs-extra');
+const { useTestDatabase, createTestFile, uniqueText } = require('./helpers');
+
+useTestDatabase();
+// Keep the temp sweep away from real uploads in progress
+process.env.TEMP_FILE_MAX_AGE_HOURS = '100000';
+const db = require('../database');
+const { storeBlob, deleteSharedFile } = require('../lib/blobStore');
+const { runCleanup } = require('../lib/cleanup');
+const { toDbTimestamp } = require('../lib/fileUtils');
+
+const ROOT = path.join(__dirname, '..');
+const PAST = toDbTimestamp(new Date(Date.now() - 60 * 1000));
+const FUTURE = toDbTimestamp(new Date(Date.now() + 60 * 60 * 1000));
+
+// Store content as a blob and resolve to a shared file row referencing it
+async function storeTestFile(content, fields) {
+  const sha256 = crypto.createHash('sha256').update(content).digest('hex');
+  const tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'cleanup-'));
+  await fs.writeFile(path.join(tempDir, 'upload'), content);
+
+  try {
+    return await storeBlob({ path: path.join(tempDir, 'upload'), sha256 }, (blobPath, storageBackend) => createTestFile(db, {
+      filePath: blobPath,
+      fileSize: content.length,
+      checksum: sha256,
+      blobHash: sha256,
+      storageBackend,
+      ...fields
+    }));
+  } finally {
+    await fs.remove(tempDir);
+  }
+}
+
+test('an expired file is deleted and its blob reference released', async (t) => {
+  const content = uniqueText(300);
+  const expired = await storeTestFile(content, { userId: 'alice', expiresAt: PAST });
+  const kept = await storeTestFile(content, { userId: 'bob', expiresAt: FUTURE });
+  t.after(() => deleteSharedFile(kept));
+  assert.strictEqual((await db.getBlob(expired.blob_hash)).ref_count, 2);
+
+  const summary = await runCleanup();
+  assert.strictEqual(summary.files.expired, 1);
+  assert.strictEqual(summary.bytes, 300);
+  assert.strictEqual(summary.errors, 0);
+
+  assert.strictEqual(await db.getSharedFile(expired.file_id), undefined);
+  assert.ok(await db.getSharedFile(kept.file_id));
+  assert.strictEqual((await db.getBlob(expired.blob_hash)).ref_count, 1);
+  assert.strictEqual(await fs.pathExists(path.join(ROOT, kept.file_path)), true);
+});
+
+test('the blob is removed with the last expired reference', async () => {
+  const file = await storeTestFile(uniqueText(200), { userId: 'carol', expiresAt: PAST });
+
+  assert.strictEqual((await runCleanup()).files.expired, 1);
+  assert.strictEqual(await db.getBlob(file.blob_hash), undefined);
+  assert.strictEqual(await fs.pathExists(path.join(ROOT, file.file_path)), false);
+});
+
+test('taken-down files are kept past their expiry', async (t) => {
+  const file = await storeTestFile(uniqueText(100), { userId: 'dave', expiresAt: PAST });
+  t.after(() => deleteSharedFile(file));
+  await db.takeDownFile(file.file_id, 'evidence', 'admin');
+
+  assert.strictEqual((await runCleanup()).files.expired, undefined);
+  assert.strictEqual((await db.getBlob(file.blob_hash)).ref_count, 1);
+});
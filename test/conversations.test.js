@@ -0,0 +1,140 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const express = require('express');
+const { useTestSigningKeys, useTestDatabase, createTestFile, startServer } = require('./helpers');
+
+const { tokenFor } = useTestSigningKeys();
+useTestDatabase();
+process.env.ADMIN_TOKEN = 'test-admin-token';
+const db = require('../database');
+const { canAccessFile, checkConversationUpload } = require('../middleware/fileAccess');
+const { toDbTimestamp } = require('../lib/fileUtils');
+
+// Stand-in for an express response that records what was sent
+function recordResponse() {
+  return {
+    status(code) {
+      this.statusCode = code;
+      return this;
+    },
+    json(body) {
+      this.body = body;
+      return this;
+    }
+  };
+}
+
+test('current members can read files posted in a conversation', async () => {
+  await db.replaceConversationMembers('chat-1', ['alice', 'bob']);
+  const posted = await createTestFile(db, { conversationId: 'chat-1', visibility: 'conversation' });
+  const shared = await createTestFile(db, { conversationId: 'chat-1', visibility: 'shared', sharedWith: ['dave'] });
+
+  assert.strictEqual(await canAccessFile(posted, 'bob'), true);
+  assert.strictEqual(await canAccessFile(posted, 'carol'), false);
+  assert.strictEqual(await canAccessFile(posted, null), false);
+  assert.strictEqual(await canAccessFile(shared, 'bob'), true);
+  assert.strictEqual(await canAccessFile(shared, 'dave'), true);
+  assert.strictEqual(await canAccessFile(shared, 'carol'), false);
+});
+
+test('private files in a conversation stay owner-only', async () => {
+  await db.replaceConversationMembers('chat-2', ['alice', 'bob']);
+  const file = await createTestFile(db, { conversationId: 'chat-2', visibility: 'private' });
+
+  assert.strictEqual(await canAccessFile(file, 'alice'), true);
+  assert.strictEqual(await canAccessFile(file, 'bob'), false);
+});
+
+test('membership changes take effect immediately', async () => {
+  await db.replaceConversationMembers('chat-3', ['alice', 'bob']);
+  const file = await createTestFile(db, { conversationId: 'chat-3', visibility: 'conversation' });
+
+  await db.removeConversationMember('chat-3', 'bob');
+  assert.strictEqual(await canAccessFile(file, 'bob'), false);
+
+  await db.addConversationMembers('chat-3', ['carol']);
+  assert.strictEqual(await canAccessFile(file, 'carol'), true);
+
+  assert.deepStrictEqual(await db.replaceConversationMembers('chat-3', ['alice', 'dave']), { added: 1, removed: 1 });
+  assert.strictEqual(await canAccessFile(file, 'carol'), false);
+  assert.strictEqual(await canAccessFile(file, 'dave'), true);
+  // The uploader keeps access after leaving
+  await db.removeConversationMember('chat-3', 'alice');
+  assert.strictEqual(await canAccessFile(file, 'alice'), true);
+});
+
+test('checkConversationUpload requires membership and a conversation for conversation visibility', async () => {
+  await db.replaceConversationMembers('chat-4', ['alice']);
+
+  assert.strictEqual(await checkConversationUpload(null, 'link', 'alice', recordResponse()), true);
+  assert.strictEqual(await checkConversationUpload('chat-4', 'conversation', 'alice', recordResponse()), true);
+
+  let res = recordResponse();
+  assert.strictEqual(await checkConversationUpload(null, 'conversation', 'alice', res), false);
+  assert.strictEqual(res.statusCode, 400);
+
+  res = recordResponse();
+  assert.strictEqual(await checkConversationUpload('chat-4', 'link', 'mallory', res), false);
+  assert.strictEqual(res.statusCode, 403);
+});
+
+test('only members can list a conversation\'s files, and others\' private files are hidden', async (t) => {
+  const app = express();
+  app.use(express.json());
+  app.use('/api/conversations', require('../routes/conversations'));
+  const server = await startServer(app);
+  t.after(() => server.close());
+
+  const request = (path, { uid, method = 'GET', body, headers = {} } = {}) => fetch(`${server.url}/api/conversations${path}`, {
+    method,
+    headers: {
+      ...headers,
+      ...(uid ? { authorization: `Bearer ${tokenFor(uid)}` } : {}),
+      ...(body ? { 'content-type': 'application/json' } : {})
+    },
+    body: body && JSON.stringify(body)
+  });
+
+  // Member lists are managed with admin credentials
+  assert.strictEqual((await request('/chat-5/members', { uid: 'alice', method: 'PUT', body: { userIds: ['alice'] } })).status, 403);
+  const sync = await request('/chat-5/members', {
+    method: 'PUT',
+    body: { userIds: ['alice', 'bob'] },
+    headers: { 'x-admin-token': 'test-admin-token' }
+  });
+  assert.strictEqual(sync.status, 200);
+
+  const posted = await createTestFile(db, { userId: 'alice', conversationId: 'chat-5', visibility: 'conversation' });
+  await createTestFile(db, { userId: 'alice', conversationId: 'chat-5', visibility: 'private' });
+
+  assert.strictEqual((await request('/chat-5/files')).status, 401);
+  assert.strictEqual((await request('/chat-5/files', { uid: 'carol' })).status, 403);
+
+  const asBob = await (await request('/chat-5/files', { uid: 'bob' })).json();
+  assert.deepStrictEqual(asBob.files.map(file => file.fileId), [posted.file_id]);
+  const asAlice = await (await request('/chat-5/files', { uid: 'alice' })).json();
+  assert.strictEqual(asAlice.files.length, 2);
+});
+
+test('a conversation\'s file list leaves out files that can\'t be downloaded', async (t) => {
+  const app = express();
+  app.use('/api/conversations', require('../routes/conversations'));
+  const server = await startServer(app);
+  t.after(() => server.close());
+
+  await db.addConversationMembers('chat-6', ['alice', 'bob']);
+  const fields = { userId: 'alice', conversationId: 'chat-6', visibility: 'conversation' };
+  const available = await createTestFile(db, { ...fields, expiresAt: toDbTimestamp(new Date(Date.now() + 60 * 60 * 1000)) });
+  await createTestFile(db, { ...fields, expiresAt: toDbTimestamp(new Date(Date.now() - 60 * 1000)) });
+  const infected = await createTestFile(db, fields);
+  await db.setScanResult(infected.file_id, 'infected', 'Eicar-Test-Signature');
+  const pending = await createTestFile(db, fields);
+  await db.setScanResult(pending.file_id, 'pending');
+
+  for (const uid of ['alice', 'bob']) {
+    const res = await fetch(`${server.url}/api/conversations/chat-6/files`, { headers: { authorization: `Bearer ${tokenFor(uid)}` } });
+    const { files, pagination } = await res.json();
+    assert.deepStrictEqual(files.map(file => file.fileId), [available.file_id]);
+    assert.strictEqual(pagination.total, 1);
+  }
+});
@@ -0,0 +1,106 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+const express = require('express');
+const { useTestSigningKeys, useTestDatabase, uniqueText, postForm, waitForProcessing, startServer } = require('./helpers');
+
+const { tokenFor } = useTestSigningKeys();
+useTestDatabase();
+const db = require('../database');
+const { deleteSharedFile } = require('../lib/blobStore');
+
+const AUTH = { authorization: `Bearer ${tokenFor('alice')}` };
+const CONTENT = uniqueText(1000);
+const ETAG = `"${crypto.createHash('sha256').update(CONTENT).digest('hex')}"`;
+
+let server;
+let url;
+let fileId;
+test.before(async () => {
+  const app = express();
+  app.use('/api/files', require('../routes/files'));
+  server = await startServer(app);
+
+  const res = await postForm(`${server.url}/api/files/upload`, {
+    files: [{ field: 'file', name: 'notes.txt', type: 'text/plain', content: CONTENT }],
+    headers: AUTH
+  });
+  fileId = (await res.json()).file.fileId;
+  await waitForProcessing(db, fileId);
+  url = `${server.url}/api/files/download/${fileId}`;
+});
+test.after(async () => {
+  await deleteSharedFile(await db.getSharedFile(fileId));
+  await server.close();
+});
+
+// fetch() sends Cache-Control: no-cache with conditional headers unless one is given,
+// and the server rightly skips the 304 for those
+function download(headers = {}) {
+  return fetch(url, { headers: { ...AUTH, 'cache-control': 'max-age=0', ...headers } });
+}
+
+// The download count is updated once a response has finished
+function settle() {
+  return new Promise(resolve => setTimeout(resolve, 50));
+}
+
+test('a whole download carries the content hash as its ETag', async () => {
+  const res = await download();
+  assert.strictEqual(res.status, 200);
+  assert.strictEqual(res.headers.get('etag'), ETAG);
+  assert.strictEqual(res.headers.get('accept-ranges'), 'bytes');
+  assert.strictEqual(res.headers.get('content-length'), '1000');
+  assert.strictEqual(await res.text(), CONTENT);
+});
+
+test('a Range request gets 206 with that part of the file', async () => {
+  const res = await download({ range: 'bytes=100-199' });
+  assert.strictEqual(res.status, 206);
+  assert.strictEqual(res.headers.get('content-range'), 'bytes 100-199/1000');
+  assert.strictEqual(res.headers.get('content-length'), '100');
+  assert.strictEqual(await res.text(), CONTENT.slice(100, 200));
+
+  const suffix = await download({ range: 'bytes=-10' });
+  assert.strictEqual(suffix.status, 206);
+  assert.strictEqual(await suffix.text(), CONTENT.slice(-10));
+});
+
+test('an unsatisfiable Range gets 416 with the file size', async () => {
+  const res = await download({ range: 'bytes=5000-6000' });
+  assert.strictEqual(res.status, 416);
+  assert.strictEqual(res.headers.get('content-range'), 'bytes */1000');
+});
+
+test('If-None-Match with the current ETag gets 304', async () => {
+  const res = await download({ 'if-none-match': ETAG });
+  assert.strictEqual(res.status, 304);
+  assert.strictEqual(await res.text(), '');
+
+  assert.strictEqual((await download({ 'if-none-match': '"stale"' })).status, 200);
+});
+
+test('If-Range only honours the Range while the ETag still matches', async () => {
+  const fresh = await download({ range: 'bytes=0-9', 'if-range': ETAG });
+  assert.strictEqual(fresh.status, 206);
+  assert.strictEqual(await fresh.text(), CONTENT.slice(0, 10));
+
+  const stale = await download({ range: 'bytes=0-9', 'if-range': '"stale"' });
+  assert.strictEqual(stale.status, 200);
+  assert.strictEqual(await stale.text(), CONTENT);
+});
+
+test('If-Match with another ETag gets 412', async () => {
+  assert.strictEqual((await download({ 'if-match': '"stale"' })).status, 412);
+});
+
+test('only whole-file downloads are counted', async () => {
+  await settle();
+  const before = (await db.getSharedFile(fileId)).download_count;
+  await (await download({ range: 'bytes=0-9' })).text();
+  await download({ 'if-none-match': ETAG });
+  await (await download()).text();
+
+  await settle();
+  assert.strictEqual((await db.getSharedFile(fileId)).download_count, before + 1);
+});
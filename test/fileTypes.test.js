@@ -0,0 +1,96 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { FileTypeError, detectMimeType, isDeclaredTypeAllowed, verifyFileType } = require('../lib/fileTypes');
+
+const PNG = Buffer.from([0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A, 0, 0, 0, 0x0D, 0x49, 0x48, 0x44, 0x52]);
+
+// A minimal local file header naming an entry
+function zipWith(entryName) {
+  const header = Buffer.alloc(30);
+  header.writeUInt32LE(0x04034b50, 0);
+  header.writeUInt16LE(entryName.length, 26);
+  return Buffer.concat([header, Buffer.from(entryName)]);
+}
+
+function ftyp(brand) {
+  return Buffer.concat([Buffer.from([0, 0, 0, 0x18]), Buffer.from(`ftyp${brand}`), Buffer.alloc(12)]);
+}
+
+let tempDir;
+test.before(() => {
+  tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'filetypes-test-'));
+});
+test.after(() => fs.rmSync(tempDir, { recursive: true, force: true }));
+
+let fileCount = 0;
+function writeTemp(contents) {
+  const filePath = path.join(tempDir, `upload-${++fileCount}`);
+  fs.writeFileSync(filePath, contents);
+  return filePath;
+}
+
+test('detectMimeType identifies content by its magic bytes', () => {
+  const cases = [
+    [Buffer.from([0xFF, 0xD8, 0xFF, 0xE0]), 'image/jpeg'],
+    [PNG, 'image/png'],
+    [Buffer.from('GIF89a\x01\x00'), 'image/gif'],
+    [Buffer.from('RIFF\0\0\0\0WEBPVP8 '), 'image/webp'],
+    [Buffer.from('RIFF\0\0\0\0WAVEfmt '), 'audio/wav'],
+    [Buffer.from([0x49, 0x49, 0x2A, 0x00, 8, 0, 0, 0]), 'image/tiff'],
+    [ftyp('isom'), 'video/mp4'],
+    [ftyp('qt  '), 'video/quicktime'],
+    [ftyp('heic'), 'image/heic'],
+    [Buffer.from('%PDF-1.7\n'), 'application/pdf'],
+    [zipWith('readme.txt'), 'application/zip'],
+    [zipWith('word/document.xml'), 'application/vnd.openxmlformats-officedocument.wordprocessingml.document'],
+    [Buffer.from('ID3\x04\x00'), 'audio/mpeg'],
+    [Buffer.from('plain text, with ünïcode\n'), 'text/plain'],
+    [Buffer.from([0x00, 0x01, 0x02, 0x03]), null]
+  ];
+  for (const [buffer, expected] of cases) {
+    assert.strictEqual(detectMimeType(buffer), expected, `expected ${expected}`);
+  }
+});
+
+test('detectMimeType flags markup a browser would render', () => {
+  assert.strictEqual(detectMimeType(Buffer.from('\uFEFF  <!DOCTYPE html><p>hi</p>')), 'text/html');
+  assert.strictEqual(detectMimeType(Buffer.from('notes\n<SCRIPT>alert(1)</script>')), 'text/html');
+  assert.strictEqual(detectMimeType(Buffer.from('<?xml version="1.0"?>\n<svg xmlns="http://www.w3.org/2000/svg"/>')), 'image/svg+xml');
+});
+
+test('verifyFileType returns the detected type, extension and category', async () => {
+  assert.deepStrictEqual(await verifyFileType(writeTemp(PNG), 'image/png', 'shared'),
+    { mimeType: 'image/png', extension: '.png', category: 'image' });
+  // Aliases and generic types defer to the content
+  assert.strictEqual((await verifyFileType(writeTemp(PNG), 'image/x-png', 'shared')).mimeType, 'image/png');
+  assert.strictEqual((await verifyFileType(writeTemp(PNG), 'application/octet-stream', 'profile')).mimeType, 'image/png');
+});
+
+test('verifyFileType trusts the declared type within a container family', async () => {
+  assert.deepStrictEqual(await verifyFileType(writeTemp('a,b\n1,2\n'), 'text/csv', 'shared'),
+    { mimeType: 'text/csv', extension: '.csv', category: 'text' });
+  assert.strictEqual((await verifyFileType(writeTemp(ftyp('isom')), 'audio/mp4', 'shared')).mimeType, 'audio/mp4');
+});
+
+test('verifyFileType rejects mismatched, disallowed and unrecognized content', async () => {
+  await assert.rejects(verifyFileType(writeTemp(Buffer.from('%PDF-1.7\n')), 'image/png', 'shared'),
+    { name: 'FileTypeError', message: 'File content (application/pdf) does not match declared type (image/png)' });
+  await assert.rejects(verifyFileType(writeTemp('<html><body>hi</body></html>'), 'text/plain', 'shared'),
+    { message: 'File content (text/html) does not match declared type (text/plain)' });
+  await assert.rejects(verifyFileType(writeTemp('<svg onload="alert(1)"></svg>'), '', 'shared'),
+    { message: 'File type not allowed (image/svg+xml)' });
+  await assert.rejects(verifyFileType(writeTemp(Buffer.from('%PDF-1.7\n')), 'application/pdf', 'profile'),
+    { message: 'File type not allowed (application/pdf)' });
+  await assert.rejects(verifyFileType(writeTemp(Buffer.from([0, 1, 2, 3])), 'application/octet-stream', 'shared'),
+    error => error instanceof FileTypeError && error.code === 'INVALID_FILE_TYPE' && error.message === 'Unrecognized file type');
+});
+
+test('isDeclaredTypeAllowed checks the declared type against the policy', () => {
+  assert.strictEqual(isDeclaredTypeAllowed('shared', 'image/jpg'), true);
+  assert.strictEqual(isDeclaredTypeAllowed('shared', 'application/octet-stream'), true);
+  assert.strictEqual(isDeclaredTypeAllowed('shared', 'text/html'), false);
+  assert.strictEqual(isDeclaredTypeAllowed('profile', 'video/mp4'), false);
+});
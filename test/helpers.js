@@ -0,0 +1,122 @@
+const crypto = require('crypto');
+const os = require('os');
+const path = require('path');
+const fs = require('fs-extra');
+
+// Setup shared by the tests in test/*.test.js (this file holds no tests itself). Each test
+// file runs in its own process, so the environment set here only affects that file.
+const PROJECT_ID = 'test-project';
+
+function base64Url(value) {
+  return Buffer.from(typeof value === 'string' ? value : JSON.stringify(value)).toString('base64url');
+}
+
+// Publish a fresh RSA key as a JWKS file (FIREBASE_PUBLIC_KEYS_PATH), so tokens are verified
+// offline. Returns signToken(claims, { alg, kid, key }) for Firebase-style ID tokens with
+// valid iss/aud/iat/exp claims unless overridden, and tokenFor(uid, claims).
+function useTestSigningKeys() {
+  const { privateKey, publicKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+  const kid = 'test-key';
+  const keysPath = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'test-keys-')), 'jwks.json');
+  fs.writeJsonSync(keysPath, { keys: [{ ...publicKey.export({ format: 'jwk' }), kid, alg: 'RS256', use: 'sig' }] });
+
+  process.env.FIREBASE_PUBLIC_KEYS_PATH = keysPath;
+  process.env.FIREBASE_PROJECT_ID = PROJECT_ID;
+
+  const signToken = (claims = {}, { alg = 'RS256', kid: tokenKid = kid, key = privateKey } = {}) => {
+    const now = Math.floor(Date.now() / 1000);
+    const header = base64Url({ alg, kid: tokenKid, typ: 'JWT' });
+    const payload = base64Url({
+      iss: `https://securetoken.google.com/${PROJECT_ID}`,
+      aud: PROJECT_ID,
+      iat: now,
+      exp: now + 60 * 60,
+      ...claims
+    });
+    const signature = crypto.sign('RSA-SHA256', Buffer.from(`${header}.${payload}`), key).toString('base64url');
+    return `${header}.${payload}.${signature}`;
+  };
+
+  return {
+    signToken,
+    tokenFor: (uid, claims = {}) => signToken({ sub: uid, ...claims })
+  };
+}
+
+// Use a throwaway in-memory database. Call before requiring anything that loads database.js.
+function useTestDatabase() {
+  process.env.DATABASE_PATH = ':memory:';
+}
+
+let fileCount = 0;
+
+// Insert a shared file row (scanned clean, with no stored content) and resolve to it
+async function createTestFile(db, { fileId = `file-${++fileCount}`, userId = 'alice', ...fields } = {}) {
+  await db.createSharedFile({
+    fileId,
+    userId,
+    originalName: `${fileId}.txt`,
+    fileName: `${fileId}.txt`,
+    filePath: `uploads/shared/${fileId}`,
+    fileUrl: `/uploads/shared/${fileId}.txt`,
+    fileSize: 5,
+    mimeType: 'text/plain',
+    description: null,
+    category: 'text',
+    ...fields
+  });
+  await db.setScanResult(fileId, 'clean');
+  return db.getSharedFile(fileId);
+}
+
+// Text content no other test (or earlier run) has stored, so blobs are never shared with
+// files outside the test
+function uniqueText(size) {
+  return crypto.randomBytes(Math.ceil(size / 2)).toString('hex').slice(0, size);
+}
+
+// POST a multipart form: files are { field, name, type, content }
+function postForm(url, { files = [], fields = {}, headers = {} } = {}) {
+  const form = new FormData();
+  Object.entries(fields).forEach(([name, value]) => form.append(name, value));
+  files.forEach(({ field, name, type, content }) => form.append(field, new Blob([content], { type }), name));
+  return fetch(url, { method: 'POST', body: form, headers });
+}
+
+// Resolve to a shared file once its background scan and preview are done, so deleting it
+// can't race a preview being written
+async function waitForProcessing(db, fileId) {
+  for (let attempt = 0; attempt < 200; attempt++) {
+    const file = await db.getSharedFile(fileId);
+    if (file.scan_status !== 'pending' && (file.scan_status !== 'clean' || file.preview_status !== 'pending')) {
+      return file;
+    }
+    await new Promise(resolve => setTimeout(resolve, 25));
+  }
+  throw new Error(`${fileId} is still being processed`);
+}
+
+// Listen on a free port; resolves to { url, close() }
+function startServer(app) {
+  return new Promise((resolve, reject) => {
+    const server = app.listen(0, '127.0.0.1', () => {
+      resolve({
+        url: `http://127.0.0.1:${server.address().port}`,
+        close: () => new Promise(done => server.close(done))
+      });
+    });
+    server.on('error', reject);
+  });
+}
+
+module.exports = {
+  PROJECT_ID,
+  base64Url,
+  useTestSigningKeys,
+  useTestDatabase,
+  createTestFile,
+  uniqueText,
+  postForm,
+  waitForProcessing,
+  startServer
+};
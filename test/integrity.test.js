@@ -0,0 +1,65 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+const fs = require('fs-extra');
+const { useTestDatabase, createTestFile, uniqueText } = require('./helpers');
+
+useTestDatabase();
+const db = require('../database');
+const { checkIntegrity } = require('../lib/integrity');
+
+const ROOT = path.join(__dirname, '..');
+const TWO_HOURS_AGO = new Date(Date.now() - 2 * 60 * 60 * 1000);
+
+// Write content under uploads/shared; resolves to its key. The dev store may hold content
+// of its own, so tests only look at the keys they wrote.
+const written = [];
+async function writeStored(content, modified = new Date()) {
+  const key = `uploads/shared/integrity-test-${uniqueText(16)}`;
+  await fs.writeFile(path.join(ROOT, key), content);
+  await fs.utimes(path.join(ROOT, key), modified, modified);
+  written.push(key);
+  return key;
+}
+test.after(() => Promise.all(written.map(key => fs.remove(path.join(ROOT, key)))));
+
+function issueFor(report, key) {
+  return report.issues.find(issue => issue.key === key);
+}
+
+test('intact content is not reported', async () => {
+  const key = await writeStored('hello', TWO_HOURS_AGO);
+  await createTestFile(db, { filePath: key, fileSize: 5 });
+
+  assert.strictEqual(issueFor(await checkIntegrity(), key), undefined);
+});
+
+test('a row whose content is gone is reported missing', async () => {
+  const file = await createTestFile(db, { filePath: 'uploads/shared/integrity-test-gone', fileSize: 5 });
+
+  const report = await checkIntegrity();
+  assert.deepStrictEqual(issueFor(report, file.file_path), {
+    type: 'missing', kind: 'file', backend: 'local', key: file.file_path, fileId: file.file_id
+  });
+  assert.ok(report.summary.missing >= 1);
+});
+
+test('content of another size than recorded is reported', async () => {
+  const key = await writeStored('0123456789', TWO_HOURS_AGO);
+  const file = await createTestFile(db, { filePath: key, fileSize: 20 });
+
+  assert.deepStrictEqual(issueFor(await checkIntegrity(), key), {
+    type: 'size_mismatch', kind: 'file', backend: 'local', key, fileId: file.file_id, expectedSize: 20, actualSize: 10
+  });
+});
+
+test('unreferenced content is reported orphaned once past the grace period', async () => {
+  const old = await writeStored('left behind', TWO_HOURS_AGO);
+  const recent = await writeStored('still being registered');
+
+  const report = await checkIntegrity();
+  const issue = issueFor(report, old);
+  assert.strictEqual(issue.type, 'orphaned');
+  assert.strictEqual(issue.size, 11);
+  assert.strictEqual(issueFor(report, recent), undefined);
+});
@@ -0,0 +1,57 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const Database = require('better-sqlite3');
+const { MigrationError, loadMigrations, migrationStatus, runMigrations } = require('../lib/migrations');
+
+function withDatabase(fn) {
+  const connection = new Database(':memory:');
+  try {
+    return fn(connection);
+  } finally {
+    connection.close();
+  }
+}
+
+test('a new database is migrated to the latest version, once', () => withDatabase((connection) => {
+  const migrations = loadMigrations();
+  const latest = migrations[migrations.length - 1].version;
+
+  const result = runMigrations(connection);
+  assert.strictEqual(result.from, 0);
+  assert.strictEqual(result.to, latest);
+  assert.strictEqual(result.applied.length, migrations.length);
+
+  assert.deepStrictEqual(runMigrations(connection), { from: latest, to: latest, applied: [] });
+  assert.strictEqual(migrationStatus(connection).pending.length, 0);
+}));
+
+test('a dry run applies nothing', () => withDatabase((connection) => {
+  const result = runMigrations(connection, { dryRun: true });
+  assert.strictEqual(result.to, 0);
+  assert.ok(result.applied.length > 0);
+  assert.strictEqual(migrationStatus(connection).current, 0);
+  assert.strictEqual(connection.prepare("SELECT 1 FROM sqlite_master WHERE name = 'shared_files'").get(), undefined);
+}));
+
+test('a database newer than the code is refused', () => withDatabase((connection) => {
+  runMigrations(connection);
+  const { latest } = migrationStatus(connection);
+  connection.prepare('INSERT INTO schema_migrations (version, name) VALUES (?, ?)').run(latest + 1, 'from_the_future');
+
+  assert.throws(() => runMigrations(connection), (error) => {
+    assert.ok(error instanceof MigrationError);
+    assert.match(error.message, new RegExp(`version ${latest + 1} is newer than this code supports \\(${latest}\\)`));
+    return true;
+  });
+  assert.throws(() => runMigrations(connection, { dryRun: true }), MigrationError);
+}));
+
+test('a failing migration keeps the ones before it', () => withDatabase((connection) => {
+  const migrations = [
+    { version: 1, name: 'first', file: '001_first.js', up: db => db.exec('CREATE TABLE first (id INTEGER)') },
+    { version: 2, name: 'broken', file: '002_broken.js', up: db => db.exec('CREATE TABLE first (id INTEGER)') }
+  ];
+
+  assert.throws(() => runMigrations(connection, { migrations }), /Migration 002_broken.js failed/);
+  assert.strictEqual(migrationStatus(connection, migrations).current, 1);
+}));
@@ -0,0 +1,104 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const express = require('express');
+const { Jimp } = require('jimp');
+const { useTestSigningKeys, useTestDatabase, postForm, startServer } = require('./helpers');
+
+const { tokenFor } = useTestSigningKeys();
+useTestDatabase();
+const db = require('../database');
+const { parseProfileUpdate } = require('../lib/userProfiles');
+const { removeProfilePicture } = require('../lib/imageProcessing');
+
+let server;
+test.before(async () => {
+  const app = express();
+  app.use(express.json());
+  app.use('/api/profile', require('../routes/profile'));
+  server = await startServer(app);
+});
+test.after(() => server.close());
+
+function patchProfile(userId, body, uid = userId) {
+  return fetch(`${server.url}/api/profile/${userId}`, {
+    method: 'PATCH',
+    headers: { authorization: `Bearer ${tokenFor(uid)}`, 'content-type': 'application/json' },
+    body: JSON.stringify(body)
+  });
+}
+
+test('upsertUser only changes the columns it is given', async () => {
+  await db.upsertUser({
+    userId: 'alice',
+    username: 'alice',
+    email: 'alice@example.com',
+    bio: 'Hello',
+    bannerPath: 'uploads/banners/alice.jpg',
+    bannerSize: 50
+  });
+  await db.upsertUser({ userId: 'alice', displayName: 'Alice' });
+
+  const user = await db.getUser('alice');
+  assert.strictEqual(user.display_name, 'Alice');
+  assert.strictEqual(user.username, 'alice');
+  assert.strictEqual(user.email, 'alice@example.com');
+  assert.strictEqual(user.bio, 'Hello');
+  assert.strictEqual(user.banner_path, 'uploads/banners/alice.jpg');
+  assert.strictEqual(user.banner_size, 50);
+});
+
+test('parseProfileUpdate keeps only the fields sent, and null clears one', () => {
+  assert.deepStrictEqual(parseProfileUpdate({ bio: '  Hi  ', statusMessage: '', other: 'x' }).fields, { bio: 'Hi', statusMessage: null });
+  assert.deepStrictEqual(parseProfileUpdate({}).fields, {});
+  assert.strictEqual(parseProfileUpdate({ username: 42 }).error, 'username must be a string or null');
+  assert.strictEqual(parseProfileUpdate({ bio: 'x'.repeat(501) }).error, 'bio must be at most 500 characters');
+});
+
+test('PATCH keeps the fields that are not sent', async () => {
+  await db.upsertUser({ userId: 'bob', username: 'bob', email: 'bob@example.com', bio: 'Old bio', statusMessage: 'Busy' });
+
+  const res = await patchProfile('bob', { bio: 'New bio', statusMessage: null });
+  assert.strictEqual(res.status, 200);
+  const { profile } = await res.json();
+  assert.strictEqual(profile.bio, 'New bio');
+  assert.strictEqual(profile.statusMessage, null);
+  assert.strictEqual(profile.username, 'bob');
+  assert.strictEqual(profile.email, 'bob@example.com');
+});
+
+test('PATCH rejects invalid fields and other users\' profiles', async () => {
+  assert.strictEqual((await patchProfile('carol', { displayName: 'x'.repeat(101) })).status, 400);
+  assert.strictEqual((await patchProfile('carol', {})).status, 400);
+  assert.strictEqual((await patchProfile('carol', { bio: 'Hi' }, 'mallory')).status, 403);
+  assert.strictEqual(await db.getUser('carol'), undefined);
+});
+
+async function uploadPicture(uid, fields) {
+  const content = await new Jimp({ width: 8, height: 8, color: 0x3366ccff }).getBuffer('image/png');
+  return postForm(`${server.url}/api/profile/upload-picture`, {
+    files: [{ field: 'profilePicture', name: 'me.png', type: 'image/png', content }],
+    fields,
+    headers: { authorization: `Bearer ${tokenFor(uid)}` }
+  });
+}
+
+test('a picture upload validates the username and email sent along', async (t) => {
+  t.after(async () => {
+    for (const picture of await db.getProfilePictures('dan')) {
+      await removeProfilePicture(picture.picture_path, picture.storage_backend);
+    }
+  });
+  await db.upsertUser({ userId: 'dan', username: 'dan', email: 'dan@example.com' });
+
+  const invalid = await uploadPicture('dan', { username: 'x'.repeat(51) });
+  assert.strictEqual(invalid.status, 400);
+  assert.strictEqual((await invalid.json()).error, 'username must be at most 50 characters');
+  assert.deepStrictEqual(await db.getProfilePictures('dan'), []);
+
+  // Sent fields are trimmed; empty ones don't clear the stored value
+  assert.strictEqual((await uploadPicture('dan', { username: '  danny ', email: '' })).status, 200);
+  const user = await db.getUser('dan');
+  assert.strictEqual(user.username, 'danny');
+  assert.strictEqual(user.email, 'dan@example.com');
+  assert.ok(user.profile_picture_path);
+});
@@ -0,0 +1,123 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const express = require('express');
+const { useTestSigningKeys, useTestDatabase, createTestFile, uniqueText, postForm, startServer } = require('./helpers');
+
+const { tokenFor } = useTestSigningKeys();
+useTestDatabase();
+process.env.USER_STORAGE_QUOTA = '1000';
+const db = require('../database');
+const { deleteSharedFile } = require('../lib/blobStore');
+const {
+  DEFAULT_USER_QUOTA,
+  QuotaExceededError,
+  getQuotaUsage,
+  checkQuota,
+  storeWithinQuota,
+  formatQuota,
+  sendQuotaExceeded
+} = require('../lib/quota');
+
+test('usage counts shared files, stored profile pictures and the banner', async () => {
+  await createTestFile(db, { userId: 'alice', fileSize: 300 });
+  await createTestFile(db, { userId: 'alice', fileSize: 200 });
+  await createTestFile(db, { userId: 'bob', fileSize: 900 });
+  await db.addProfilePicture('alice', { picturePath: 'uploads/profiles/alice-1.jpg', fileSize: 100 });
+  await db.upsertUser({ userId: 'alice', bannerPath: 'uploads/banners/alice.jpg', bannerSize: 50 });
+
+  assert.strictEqual(DEFAULT_USER_QUOTA, 1000);
+  assert.deepStrictEqual(await getQuotaUsage('alice'), { used: 650, limit: 1000, remaining: 350, profilePictureSize: 100 });
+  assert.deepStrictEqual(await getQuotaUsage('nobody'), { used: 0, limit: 1000, remaining: 1000, profilePictureSize: 0 });
+});
+
+test('checkQuota allows uploads up to the limit and no further', async () => {
+  await createTestFile(db, { userId: 'carol', fileSize: 600 });
+
+  assert.strictEqual((await checkQuota('carol', 400)).allowed, true);
+  assert.strictEqual((await checkQuota('carol', 401)).allowed, false);
+  // Space that will be freed (e.g. a replaced banner) counts toward the upload
+  assert.strictEqual((await checkQuota('carol', 500, 100)).allowed, true);
+  assert.strictEqual((await checkQuota('carol', 501, 100)).allowed, false);
+});
+
+test('a per-user override replaces the default quota', async () => {
+  await createTestFile(db, { userId: 'dave', fileSize: 900 });
+  await db.setUserStorageQuota('dave', 5000);
+  assert.strictEqual((await checkQuota('dave', 4100)).allowed, true);
+
+  await db.setUserStorageQuota('dave', 500);
+  const { allowed, usage } = await checkQuota('dave', 1);
+  assert.strictEqual(allowed, false);
+  assert.strictEqual(usage.remaining, 0);
+
+  await db.setUserStorageQuota('dave', null);
+  assert.strictEqual((await getQuotaUsage('dave')).limit, 1000);
+});
+
+test('formatQuota caps the percentage and handles a zero quota', () => {
+  assert.strictEqual(formatQuota({ used: 250, limit: 1000, remaining: 750 }).percentUsed, 25);
+  assert.strictEqual(formatQuota({ used: 1500, limit: 1000, remaining: 0 }).percentUsed, 100);
+  assert.strictEqual(formatQuota({ used: 0, limit: 0, remaining: 0 }).percentUsed, 100);
+});
+
+test('sendQuotaExceeded answers 413 with the quota details', async (t) => {
+  const app = express();
+  app.get('/upload', async (req, res) => {
+    const size = 2000;
+    const quota = await checkQuota('alice', size);
+    return quota.allowed ? res.json({ ok: true }) : sendQuotaExceeded(res, quota.usage, size);
+  });
+  const server = await startServer(app);
+  t.after(() => server.close());
+
+  const res = await fetch(`${server.url}/upload`);
+  assert.strictEqual(res.status, 413);
+  const body = await res.json();
+  assert.strictEqual(body.error, 'Storage quota exceeded');
+  assert.strictEqual(body.quota.requested, 2000);
+  assert.strictEqual(body.quota.remaining, 350);
+});
+
+test('storeWithinQuota rolls back a write that takes the user over quota', async () => {
+  await db.setUserStorageQuota('frank', 1000);
+  const write = fileId => tx => tx.createSharedFile({
+    fileId, userId: 'frank', originalName: 'a.txt', fileName: `${fileId}.txt`, filePath: `uploads/shared/${fileId}`,
+    fileUrl: `/uploads/shared/${fileId}.txt`, fileSize: 600, mimeType: 'text/plain', description: null, category: 'text'
+  });
+
+  // Both pass the quick check before either is stored
+  assert.strictEqual((await checkQuota('frank', 600)).allowed, true);
+  assert.strictEqual((await checkQuota('frank', 600)).allowed, true);
+
+  const results = await Promise.allSettled([
+    storeWithinQuota('frank', 600, write('frank-1')),
+    storeWithinQuota('frank', 600, write('frank-2'))
+  ]);
+  assert.deepStrictEqual(results.map(result => result.status), ['fulfilled', 'rejected']);
+  assert.ok(results[1].reason instanceof QuotaExceededError);
+  assert.strictEqual(results[1].reason.usage.used, 600);
+  assert.strictEqual(await db.getSharedFile('frank-2'), undefined);
+  assert.strictEqual((await getQuotaUsage('frank')).used, 600);
+});
+
+test('concurrent uploads can\'t together exceed the quota', async (t) => {
+  const app = express();
+  app.use('/api/files', require('../routes/files'));
+  const server = await startServer(app);
+  t.after(() => server.close());
+  t.after(async () => {
+    for (const file of (await db.queryFiles({ userId: 'gina' }, { sort: 'date', order: 'desc', limit: 10 })).files) {
+      await deleteSharedFile(file);
+    }
+  });
+
+  await db.setUserStorageQuota('gina', 1000);
+  const upload = () => postForm(`${server.url}/api/files/upload`, {
+    files: [{ field: 'file', name: 'notes.txt', type: 'text/plain', content: uniqueText(600) }],
+    headers: { authorization: `Bearer ${tokenFor('gina')}` }
+  });
+
+  const responses = await Promise.all([upload(), upload(), upload()]);
+  assert.deepStrictEqual(responses.map(res => res.status).sort(), [200, 413, 413]);
+  assert.strictEqual((await getQuotaUsage('gina')).used, 600);
+});
@@ -0,0 +1,63 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const os = require('os');
+const path = require('path');
+const fs = require('fs-extra');
+const { v4: uuidv4 } = require('uuid');
+const { createS3Storage } = require('../lib/storage/s3');
+
+// Runs the S3 driver against a real S3-compatible service, e.g. MinIO (see "Storage
+// Backends" in the README). Skipped unless S3_TEST_ENDPOINT and S3_TEST_BUCKET are set.
+const { S3_TEST_ENDPOINT, S3_TEST_BUCKET } = process.env;
+const skip = !(S3_TEST_ENDPOINT && S3_TEST_BUCKET) && 'set S3_TEST_ENDPOINT and S3_TEST_BUCKET to run';
+
+test('S3 driver against an S3-compatible service', { skip }, async (t) => {
+  const storage = createS3Storage({
+    bucket: S3_TEST_BUCKET,
+    region: process.env.S3_TEST_REGION || 'us-east-1',
+    endpoint: S3_TEST_ENDPOINT,
+    accessKeyId: process.env.S3_TEST_ACCESS_KEY_ID || 'minioadmin',
+    secretAccessKey: process.env.S3_TEST_SECRET_ACCESS_KEY || 'minioadmin',
+    forcePathStyle: true,
+    // Each run writes under its own prefix
+    prefix: `storage-test-${uuidv4()}/`,
+    timeout: 10 * 1000
+  });
+  const read = async (key, range) => {
+    const chunks = [];
+    for await (const chunk of await storage.getStream(key, range)) {
+      chunks.push(chunk);
+    }
+    return Buffer.concat(chunks).toString('utf8');
+  };
+
+  await t.test('puts and reads a buffer, keys needing encoding included', async () => {
+    await storage.put('uploads/shared/a file+name$.txt', Buffer.from('hello world'));
+    assert.strictEqual(await read('uploads/shared/a file+name$.txt'), 'hello world');
+    assert.strictEqual(await read('uploads/shared/a file+name$.txt', { start: 6, end: 10 }), 'world');
+  });
+
+  await t.test('streams a local file into storage and removes it', async () => {
+    const source = path.join(os.tmpdir(), `${uuidv4()}.upload`);
+    await fs.writeFile(source, 'x'.repeat(1024 * 1024));
+    await storage.put('uploads/shared/large', source);
+
+    assert.strictEqual(await fs.pathExists(source), false);
+    assert.strictEqual((await storage.stat('uploads/shared/large')).size, 1024 * 1024);
+  });
+
+  await t.test('lists, moves and deletes', async () => {
+    const listed = await storage.list('uploads/shared');
+    assert.deepStrictEqual(listed.map(object => object.key).sort(), ['uploads/shared/a file+name$.txt', 'uploads/shared/large']);
+
+    await storage.move('uploads/shared/large', 'uploads/quarantine/large');
+    assert.strictEqual(await storage.exists('uploads/shared/large'), false);
+    assert.strictEqual(await storage.exists('uploads/quarantine/large'), true);
+
+    for (const key of ['uploads/shared/a file+name$.txt', 'uploads/quarantine/large']) {
+      await storage.delete(key);
+    }
+    assert.strictEqual(await storage.stat('uploads/quarantine/large'), null);
+    await assert.rejects(storage.getStream('uploads/quarantine/large'), { code: 'ENOENT' });
+  });
+});
@@ -0,0 +1,79 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { spawn } = require('child_process');
+const crypto = require('crypto');
+const os = require('os');
+const path = require('path');
+const fs = require('fs-extra');
+const express = require('express');
+const { useTestSigningKeys, useTestDatabase, uniqueText, postForm, waitForProcessing, startServer } = require('./helpers');
+
+const { tokenFor } = useTestSigningKeys();
+useTestDatabase();
+const SOCKET_PATH = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'clamd-')), 'clamd.sock');
+process.env.MALWARE_SCANNER = 'clamav';
+process.env.CLAMD_SOCKET = SOCKET_PATH;
+const db = require('../database');
+const { deleteSharedFile } = require('../lib/blobStore');
+const { QUARANTINE_DIR } = require('../lib/scanner');
+
+const ROOT = path.join(__dirname, '..');
+const EICAR = 'X5O!P%@AP[4\\PZX54(P^)7CC)7}$EICAR-STANDARD-ANTIVIRUS-TEST-FILE!$H+H*';
+
+let clamd;
+let server;
+test.before(async () => {
+  clamd = spawn(process.execPath, [path.join(ROOT, 'scripts/clamd-stub.js'), SOCKET_PATH]);
+  await new Promise((resolve, reject) => {
+    clamd.stdout.once('data', resolve);
+    clamd.once('error', reject);
+  });
+
+  const app = express();
+  app.use('/api/files', require('../routes/files'));
+  server = await startServer(app);
+});
+test.after(async () => {
+  await server.close();
+  clamd.kill();
+});
+
+const AUTH = { authorization: `Bearer ${tokenFor('alice')}` };
+
+async function upload(content) {
+  const res = await postForm(`${server.url}/api/files/upload`, {
+    files: [{ field: 'file', name: 'notes.txt', type: 'text/plain', content }],
+    headers: AUTH
+  });
+  assert.strictEqual(res.status, 200);
+  return (await res.json()).file.fileId;
+}
+
+test('a file clamd reports as FOUND is quarantined and can\'t be downloaded', async (t) => {
+  const content = `${EICAR}\n${uniqueText(100)}`;
+  const hash = crypto.createHash('sha256').update(content).digest('hex');
+  const fileId = await upload(content);
+  t.after(async () => deleteSharedFile(await db.getSharedFile(fileId)));
+
+  const file = await waitForProcessing(db, fileId);
+  assert.strictEqual(file.scan_status, 'infected');
+  assert.strictEqual(file.scan_signature, 'Eicar-Test-Signature');
+  assert.strictEqual(file.file_path, `${QUARANTINE_DIR}/${hash}`);
+  assert.strictEqual(await fs.pathExists(path.join(ROOT, file.file_path)), true);
+  assert.strictEqual(await fs.pathExists(path.join(ROOT, 'uploads/shared', hash)), false);
+
+  const res = await fetch(`${server.url}/api/files/download/${fileId}`, { headers: AUTH });
+  assert.strictEqual(res.status, 403);
+  assert.strictEqual((await res.json()).code, 'FILE_INFECTED');
+});
+
+test('a clean file becomes downloadable after its scan', async (t) => {
+  const content = uniqueText(100);
+  const fileId = await upload(content);
+  t.after(async () => deleteSharedFile(await db.getSharedFile(fileId)));
+
+  assert.strictEqual((await waitForProcessing(db, fileId)).scan_status, 'clean');
+  const res = await fetch(`${server.url}/api/files/download/${fileId}`, { headers: AUTH });
+  assert.strictEqual(res.status, 200);
+  assert.strictEqual(await res.text(), content);
+});
@@ -0,0 +1,124 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+const { spawnSync } = require('child_process');
+const express = require('express');
+const { useTestSigningKeys, useTestDatabase, createTestFile, startServer } = require('./helpers');
+
+const { tokenFor } = useTestSigningKeys();
+useTestDatabase();
+process.env.SIGNED_URL_SECRET = 'test-signed-url-secret';
+const db = require('../database');
+const { optionalAuth } = require('../middleware/auth');
+const { parseLinkOptions, createSignedLink, loadFileFromSignedLink } = require('../middleware/signedLinks');
+
+let server;
+test.before(async () => {
+  const app = express();
+  app.get('/api/files/download/:fileId', optionalAuth, loadFileFromSignedLink, (req, res) => {
+    res.json({ fileId: req.sharedFile.file_id });
+  });
+  server = await startServer(app);
+});
+test.after(() => server.close());
+
+const get = (url, uid, headers = {}) => fetch(`${server.url}${url}`, {
+  headers: { ...headers, ...(uid ? { authorization: `Bearer ${tokenFor(uid)}` } : {}) }
+});
+
+// Fetch a URL and return { status, code }
+async function attempt(url, uid) {
+  const res = await get(url, uid);
+  const body = await res.json();
+  return { status: res.status, code: body.code };
+}
+
+function withParam(url, name, value) {
+  const parsed = new URL(url, 'http://localhost');
+  parsed.searchParams.set(name, value);
+  return `${parsed.pathname}${parsed.search}`;
+}
+
+test('a signed link grants access to a private file', async () => {
+  const file = await createTestFile(db, { visibility: 'private' });
+  const { url } = await createSignedLink(file.file_id, 'alice', parseLinkOptions({}));
+
+  const res = await get(url);
+  assert.strictEqual(res.status, 200);
+  assert.deepStrictEqual(await res.json(), { fileId: file.file_id });
+});
+
+test('tampered, expired and transplanted links are rejected', async () => {
+  const file = await createTestFile(db, { visibility: 'private' });
+  const other = await createTestFile(db, { visibility: 'private' });
+  const { url } = await createSignedLink(file.file_id, 'alice', parseLinkOptions({}));
+  const sig = new URL(url, 'http://localhost').searchParams.get('sig');
+  const tampered = `${sig.slice(0, -1)}${sig.endsWith('A') ? 'B' : 'A'}`;
+
+  assert.deepStrictEqual(await attempt(withParam(url, 'sig', tampered)), { status: 403, code: 'LINK_INVALID' });
+  assert.deepStrictEqual(await attempt(withParam(url, 'sig', '')), { status: 403, code: 'LINK_INVALID' });
+  // Pushing the expiry out invalidates the signature
+  assert.deepStrictEqual(await attempt(withParam(url, 'expires', '9999999999')), { status: 403, code: 'LINK_INVALID' });
+  // The same query string on another file
+  assert.deepStrictEqual(await attempt(url.replace(file.file_id, other.file_id)), { status: 403, code: 'LINK_INVALID' });
+
+  const expired = await createSignedLink(file.file_id, 'alice', { expiresIn: -10, maxUses: null, recipientId: null });
+  assert.deepStrictEqual(await attempt(expired.url), { status: 410, code: 'LINK_EXPIRED' });
+});
+
+test('a link bound to a recipient only works for that user', async () => {
+  const file = await createTestFile(db, { visibility: 'private' });
+  const { url } = await createSignedLink(file.file_id, 'alice', parseLinkOptions({ recipientId: 'bob' }));
+
+  assert.deepStrictEqual(await attempt(url), { status: 401, code: 'LINK_RECIPIENT_REQUIRED' });
+  assert.deepStrictEqual(await attempt(url, 'carol'), { status: 403, code: 'LINK_WRONG_RECIPIENT' });
+  assert.strictEqual((await get(url, 'bob')).status, 200);
+});
+
+test('a link stops working after maxUses downloads', async () => {
+  const file = await createTestFile(db, { visibility: 'private' });
+  const { url, linkId } = await createSignedLink(file.file_id, 'alice', parseLinkOptions({ maxUses: 2 }));
+
+  assert.strictEqual((await get(url)).status, 200);
+  assert.strictEqual((await get(url)).status, 200);
+  assert.deepStrictEqual(await attempt(url), { status: 410, code: 'LINK_USED_UP' });
+  assert.strictEqual((await db.getSignedLink(linkId)).use_count, 2);
+});
+
+test('range requests each use up a link', async () => {
+  const file = await createTestFile(db, { visibility: 'private' });
+  const { url } = await createSignedLink(file.file_id, 'alice', parseLinkOptions({ maxUses: 1 }));
+
+  assert.strictEqual((await get(url, null, { range: 'bytes=0-1' })).status, 200);
+  const second = await get(url, null, { range: 'bytes=2-' });
+  assert.strictEqual(second.status, 410);
+  assert.strictEqual((await second.json()).code, 'LINK_USED_UP');
+});
+
+test('parallel requests can\'t use a link more than maxUses times', async () => {
+  const file = await createTestFile(db, { visibility: 'private' });
+  const { url, linkId } = await createSignedLink(file.file_id, 'alice', parseLinkOptions({ maxUses: 2 }));
+
+  const statuses = (await Promise.all(Array.from({ length: 6 }, () => get(url)))).map(res => res.status);
+  assert.deepStrictEqual(statuses.sort(), [200, 200, 410, 410, 410, 410]);
+  assert.strictEqual((await db.getSignedLink(linkId)).use_count, 2);
+});
+
+test('parseLinkOptions validates expiry, use limit and recipient', () => {
+  assert.deepStrictEqual(parseLinkOptions({}), { expiresIn: 3600, maxUses: null, recipientId: null });
+  assert.ok(parseLinkOptions({ expiresIn: 0 }).error);
+  assert.ok(parseLinkOptions({ expiresIn: 8 * 24 * 60 * 60 }).error);
+  assert.ok(parseLinkOptions({ maxUses: 0 }).error);
+  assert.ok(parseLinkOptions({ maxUses: 1001 }).error);
+  assert.ok(parseLinkOptions({ recipientId: 42 }).error);
+});
+
+test('refuses to load with the example secret from .env.example', () => {
+  const result = spawnSync(process.execPath, ['-e', "require('./middleware/signedLinks')"], {
+    cwd: path.join(__dirname, '..'),
+    env: { ...process.env, SIGNED_URL_SECRET: 'change-me-to-a-long-random-string' },
+    encoding: 'utf8'
+  });
+  assert.notStrictEqual(result.status, 0);
+  assert.match(result.stderr, /SIGNED_URL_SECRET is still the example value/);
+});
@@ -0,0 +1,76 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+const http = require('http');
+const path = require('path');
+const fs = require('fs-extra');
+const express = require('express');
+const multer = require('multer');
+const { uniqueText, postForm, startServer } = require('./helpers');
+const { tempFileStorage, discardUpload } = require('../lib/uploadStorage');
+
+const TEMP_DIR = path.join(__dirname, '../uploads/temp');
+
+let server;
+let stored = null;
+test.before(async () => {
+  const upload = multer({ storage: tempFileStorage() });
+  const app = express();
+  app.post('/upload', upload.single('file'), async (req, res) => {
+    stored = { ...req.file, existed: await fs.pathExists(req.file.path) };
+    await discardUpload(req.file);
+    res.json({ ok: true });
+  });
+  // multer's errors (the aborted upload) end up here
+  app.use((err, req, res, next) => res.status(400).json({ error: err.message }));
+  server = await startServer(app);
+});
+test.after(() => server.close());
+
+async function tempEntries() {
+  return new Set((await fs.readdir(TEMP_DIR).catch(() => [])).filter(entry => entry.endsWith('.upload')));
+}
+
+async function waitFor(condition) {
+  for (let attempt = 0; attempt < 200; attempt++) {
+    if (await condition()) return;
+    await new Promise(resolve => setTimeout(resolve, 10));
+  }
+  throw new Error('Timed out waiting');
+}
+
+test('uploads are streamed to a temp file with their size and SHA-256', async () => {
+  const content = uniqueText(256 * 1024);
+  const res = await postForm(`${server.url}/upload`, {
+    files: [{ field: 'file', name: 'big.txt', type: 'text/plain', content }]
+  });
+  assert.strictEqual(res.status, 200);
+
+  assert.strictEqual(stored.existed, true);
+  assert.strictEqual(path.dirname(stored.path), TEMP_DIR);
+  assert.strictEqual(stored.size, content.length);
+  assert.strictEqual(stored.sha256, crypto.createHash('sha256').update(content).digest('hex'));
+  assert.strictEqual(await fs.pathExists(stored.path), false);
+});
+
+test('an aborted upload removes its temp file', async () => {
+  const before = await tempEntries();
+  const boundary = '----test-boundary';
+  const req = http.request(`${server.url}/upload`, {
+    method: 'POST',
+    headers: { 'content-type': `multipart/form-data; boundary=${boundary}`, 'content-length': 10 * 1024 * 1024 }
+  });
+  req.on('error', () => {});
+  req.write(`--${boundary}\r\nContent-Disposition: form-data; name="file"; filename="big.txt"\r\nContent-Type: text/plain\r\n\r\n`);
+  req.write(uniqueText(64 * 1024));
+
+  // Wait for the temp file to appear, then drop the connection mid-upload
+  let created;
+  await waitFor(async () => {
+    created = [...(await tempEntries())].find(entry => !before.has(entry));
+    return created;
+  });
+  req.destroy();
+
+  await waitFor(async () => !(await fs.pathExists(path.join(TEMP_DIR, created))));
+});
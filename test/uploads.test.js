@@ -0,0 +1,123 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+const express = require('express');
+const { useTestSigningKeys, useTestDatabase, uniqueText, startServer } = require('./helpers');
+
+const { tokenFor } = useTestSigningKeys();
+useTestDatabase();
+const db = require('../database');
+const { deleteSharedFile } = require('../lib/blobStore');
+
+let server;
+test.before(async () => {
+  const app = express();
+  app.use('/api/uploads', require('../routes/uploads'));
+  server = await startServer(app);
+});
+test.after(() => server.close());
+
+const TUS_HEADERS = { authorization: `Bearer ${tokenFor('alice')}`, 'tus-resumable': '1.0.0' };
+
+function encodeMetadata(metadata) {
+  return Object.entries(metadata).map(([key, value]) => `${key} ${Buffer.from(value).toString('base64')}`).join(',');
+}
+
+async function createUpload(content, metadata = {}) {
+  const res = await fetch(`${server.url}/api/uploads`, {
+    method: 'POST',
+    headers: {
+      ...TUS_HEADERS,
+      'upload-length': String(content.length),
+      'upload-metadata': encodeMetadata({ filename: 'notes.txt', filetype: 'text/plain', ...metadata })
+    }
+  });
+  assert.strictEqual(res.status, 201);
+  assert.match(res.headers.get('location'), /^\/api\/uploads\/[0-9a-f-]{36}$/);
+  return (await res.json()).uploadId;
+}
+
+function patch(uploadId, offset, body) {
+  return fetch(`${server.url}/api/uploads/${uploadId}`, {
+    method: 'PATCH',
+    headers: { ...TUS_HEADERS, 'content-type': 'application/offset+octet-stream', 'upload-offset': String(offset) },
+    body
+  });
+}
+
+function head(uploadId) {
+  return fetch(`${server.url}/api/uploads/${uploadId}`, { method: 'HEAD', headers: TUS_HEADERS });
+}
+
+test('requests without the tus version are refused', async () => {
+  const res = await fetch(`${server.url}/api/uploads`, { method: 'POST', headers: { authorization: TUS_HEADERS.authorization } });
+  assert.strictEqual(res.status, 412);
+  assert.strictEqual(res.headers.get('tus-version'), '1.0.0');
+});
+
+test('an upload is resumed from the offset HEAD reports', async (t) => {
+  const content = uniqueText(100);
+  const checksum = crypto.createHash('sha256').update(content).digest('hex');
+  const uploadId = await createUpload(content, { checksum });
+
+  assert.strictEqual((await patch(uploadId, 0, content.slice(0, 40))).status, 204);
+
+  // A chunk sent for the wrong offset is refused and the current one reported
+  const conflict = await patch(uploadId, 10, content.slice(10, 50));
+  assert.strictEqual(conflict.status, 409);
+  assert.strictEqual((await conflict.json()).offset, 40);
+
+  const status = await head(uploadId);
+  assert.strictEqual(status.status, 200);
+  assert.strictEqual(status.headers.get('upload-offset'), '40');
+  assert.strictEqual(status.headers.get('upload-length'), '100');
+  assert.strictEqual(status.headers.get('cache-control'), 'no-store');
+
+  const last = await patch(uploadId, 40, content.slice(40));
+  assert.strictEqual(last.status, 204);
+  assert.strictEqual(last.headers.get('upload-offset'), '100');
+  const fileId = last.headers.get('upload-file-id');
+  t.after(async () => deleteSharedFile(await db.getSharedFile(fileId)));
+
+  const file = await db.getSharedFile(fileId);
+  assert.strictEqual(file.checksum, checksum);
+  assert.strictEqual(file.file_size, 100);
+  assert.strictEqual((await db.getUploadSession(uploadId)).status, 'completed');
+});
+
+test('a checksum mismatch fails the upload when it completes', async () => {
+  const content = uniqueText(50);
+  const uploadId = await createUpload(content, { checksum: 'a'.repeat(64) });
+
+  const res = await patch(uploadId, 0, content);
+  assert.strictEqual(res.status, 460);
+  assert.strictEqual((await res.json()).error, 'Checksum mismatch');
+
+  const session = await db.getUploadSession(uploadId);
+  assert.strictEqual(session.status, 'failed');
+  assert.strictEqual(session.file_id, null);
+  assert.strictEqual((await head(uploadId)).status, 410);
+  assert.strictEqual((await patch(uploadId, 50, 'x')).status, 410);
+});
+
+test('chunks past Upload-Length are refused', async () => {
+  const content = uniqueText(20);
+  const uploadId = await createUpload(content);
+
+  assert.strictEqual((await patch(uploadId, 0, `${content}extra`)).status, 413);
+  assert.ok(Number((await head(uploadId)).headers.get('upload-offset')) <= 20);
+  await fetch(`${server.url}/api/uploads/${uploadId}`, { method: 'DELETE', headers: TUS_HEADERS });
+});
+
+test('uploads belong to their creator', async () => {
+  const uploadId = await createUpload(uniqueText(10));
+  const res = await fetch(`${server.url}/api/uploads/${uploadId}`, {
+    method: 'HEAD',
+    headers: { ...TUS_HEADERS, authorization: `Bearer ${tokenFor('mallory')}` }
+  });
+  assert.strictEqual(res.status, 404);
+
+  const terminated = await fetch(`${server.url}/api/uploads/${uploadId}`, { method: 'DELETE', headers: TUS_HEADERS });
+  assert.strictEqual(terminated.status, 204);
+  assert.strictEqual((await head(uploadId)).status, 404);
+});